@@ -0,0 +1,17 @@
+// What a player can be notified about
+const NOTIFICATION_TYPES = [
+  'deposit_approved',
+  'deposit_rejected',
+  'withdrawal_approved',
+  'withdrawal_rejected',
+  'round_won',
+  'account_blocked'
+];
+
+// Notifications older than this are dropped, read or not
+const NOTIFICATION_TTL_DAYS = Number(process.env.NOTIFICATION_TTL_DAYS) || 90;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TTL_DAYS
+};
@@ -0,0 +1,31 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Limits players can set on themselves, each for any of the periods below
+const LIMIT_KINDS = ['deposit', 'loss', 'wager'];
+
+// Periods are rolling windows ending now
+const LIMIT_PERIODS = {
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY
+};
+
+// Lowering a limit applies at once; raising or removing one waits this long
+const LIMIT_RAISE_DELAY_HOURS = Number(process.env.LIMIT_RAISE_DELAY_HOURS) || 24;
+
+// Lengths in days players can pick for a break. Neither can be shortened once started.
+const EXCLUSION_DAYS = {
+  cool_off: [1, 7, 30],
+  self_exclusion: [180, 365, 1825]
+};
+
+const SESSION_REMINDER_MINUTES = [15, 30, 60, 120];
+
+module.exports = {
+  DAY,
+  LIMIT_KINDS,
+  LIMIT_PERIODS,
+  LIMIT_RAISE_DELAY_HOURS,
+  EXCLUSION_DAYS,
+  SESSION_REMINDER_MINUTES
+};
@@ -0,0 +1,41 @@
+// Signals recorded on sign-up, login and every bet slip. Accounts that share
+// one are linked.
+const SIGNAL_KINDS = ['ip', 'fingerprint'];
+
+// Signals not seen for this long are forgotten
+const SIGNAL_TTL_DAYS = Number(process.env.RISK_SIGNAL_TTL_DAYS) || 180;
+
+// An IP shared by more accounts than this is a proxy, carrier NAT or office
+// network rather than one person, and doesn't link them
+const MAX_ACCOUNTS_PER_IP = Number(process.env.RISK_MAX_ACCOUNTS_PER_IP) || 10;
+
+// A withdrawal after wagering less than this share of the last deposit
+// counts as deposit-then-withdraw without play
+const MIN_PLAY_RATIO = 0.5;
+
+// What each open alert adds to a player's risk score (capped at 100)
+const ALERT_WEIGHTS = {
+  shared_device: 40,
+  shared_ip: 15,
+  opposite_betting: 50,
+  deposit_no_play: 25
+};
+
+const ALERT_CODES = Object.keys(ALERT_WEIGHTS);
+
+// Lowest score for each risk level
+const RISK_LEVELS = {
+  high: 60,
+  medium: 30,
+  low: 1
+};
+
+module.exports = {
+  SIGNAL_KINDS,
+  SIGNAL_TTL_DAYS,
+  MAX_ACCOUNTS_PER_IP,
+  MIN_PLAY_RATIO,
+  ALERT_WEIGHTS,
+  ALERT_CODES,
+  RISK_LEVELS
+};
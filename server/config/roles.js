@@ -0,0 +1,44 @@
+// What each admin role may do. Admins listed in ADMIN_EMAILS, and admins from
+// before roles existed, are superadmins.
+const PERMISSIONS = [
+  'stats:view',
+  'users:view',
+  'users:block',
+  'users:logout',
+  'users:roles',
+  'transactions:view',
+  'transactions:decide',
+  'ledger:view',
+  'games:control', // create and end rounds, start and stop continuous play
+  'rooms:edit',
+  'paytable:edit',
+  'settings:edit',
+  'audit:view'
+];
+
+const ROLES = {
+  superadmin: PERMISSIONS,
+  support: ['stats:view', 'users:view', 'users:block', 'users:logout', 'transactions:view'],
+  finance: ['stats:view', 'users:view', 'transactions:view', 'transactions:decide', 'ledger:view'],
+  operator: ['stats:view', 'games:control', 'rooms:edit', 'paytable:edit', 'settings:edit']
+};
+
+const ADMIN_ROLES = Object.keys(ROLES);
+
+const getAdminRole = (user) => {
+  if (!user?.isAdmin) return null;
+  return user.adminRole || 'superadmin';
+};
+
+const getPermissions = (user) => ROLES[getAdminRole(user)] || [];
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ADMIN_ROLES,
+  getAdminRole,
+  getPermissions,
+  hasPermission
+};
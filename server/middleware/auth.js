@@ -1,29 +1,42 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../config/roles');
+const { findActiveSession, touchSession } = require('../services/sessions');
+const { blockNotice } = require('../services/blocks');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens stop working as soon as their session is revoked
+    const session = await findActiveSession(decoded.sessionId);
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired. Please login again.' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
-    
+
     if (!user) {
       return res.status(401).json({ error: 'Invalid token.' });
     }
 
-    if (user.isBlocked) {
-      return res.status(403).json({ error: 'Account is blocked.' });
+    if (user.isBlockedNow()) {
+      return res.status(403).json({ error: 'Account is blocked.', blocked: blockNotice(user) });
     }
 
     // Update last active timestamp
     user.lastActive = new Date();
     await user.save();
+    await touchSession(session, req);
     req.user = user;
+    req.sessionId = session._id;
+    req.twoFactorVerified = session.twoFactorVerified;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -33,18 +46,51 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {});
-    
+const adminAuth = (req, res, next) => {
+  auth(req, res, () => {
     if (!req.user.isAdmin) {
       return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
     }
-    
+
+    // A password alone is not enough for the admin panel
+    if (!req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        error: 'Enable two-factor authentication to use admin features.',
+        twoFactorSetupRequired: true
+      });
+    }
+    if (!req.twoFactorVerified) {
+      return res.status(403).json({
+        error: 'Sign in again with your two-factor code to use admin features.',
+        twoFactorRequired: true
+      });
+    }
+
+    next();
+  });
+};
+
+// Admin routes that need a particular permission for the admin's role
+const requirePermission = (permission) => (req, res, next) => {
+  adminAuth(req, res, () => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Access denied. Your admin role does not allow this.' });
+    }
+
     next();
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token.' });
+  });
+};
+
+// For routes that move money; use after auth
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Verify your email address first. Check your inbox for the link.',
+      emailVerificationRequired: true
+    });
   }
+
+  next();
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, adminAuth, requirePermission, requireVerifiedEmail };
@@ -1,28 +1,46 @@
 const multer = require('multer');
-const cloudinary = require('../config/cloudinary');
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { MAX_IMAGE_PIXELS, detectImageType, readImageSize } = require('../utils/fileType');
 
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'colorbet/deposits',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
-    transformation: [{ width: 800, height: 800, crop: 'limit' }]
-  }
-});
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit
 
-const upload = multer({
-  storage: storage,
+// Files are kept in memory until the route has checked the rest of the request
+// and saves them to storage itself
+const parser = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
+    fileSize: MAX_FILE_SIZE,
+    files: 1
   }
 });
 
-module.exports = upload;
\ No newline at end of file
+// Parse one image from a multipart field. Its content has to be a JPEG, PNG,
+// GIF or WebP image whatever type it was sent as, of at most MAX_IMAGE_PIXELS;
+// req.file.imageType is the type found.
+const uploadImage = (field) => (req, res, next) => {
+  parser.single(field)(req, res, async (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : error.message;
+      return res.status(400).json({ error: message, fields: { [field]: message } });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (req.file) {
+      const imageType = detectImageType(req.file.buffer);
+      const size = imageType && await readImageSize(req.file.buffer);
+      if (!size) {
+        const message = 'Only JPEG, PNG, GIF or WebP images are allowed';
+        return res.status(400).json({ error: message, fields: { [field]: message } });
+      }
+      if (size.width * size.height > MAX_IMAGE_PIXELS) {
+        const message = 'Image dimensions are too large';
+        return res.status(400).json({ error: message, fields: { [field]: message } });
+      }
+      req.file.imageType = imageType;
+    }
+    next();
+  });
+};
+
+module.exports = { uploadImage };
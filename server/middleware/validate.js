@@ -0,0 +1,36 @@
+// Validate a request against zod schemas for its body, query and params.
+// Parsed values replace the originals, so routes only ever see clean input:
+// unknown fields dropped, strings trimmed and numbers coerced where the schema says so.
+//
+// Failures are answered with 400 and the message for each invalid field,
+// keyed by its path, e.g. { error, fields: { 'legs.0.amount': '...' } }
+const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) {
+      req[part] = result.data;
+      continue;
+    }
+
+    for (const issue of result.error.issues) {
+      const path = issue.path.join('.') || part;
+      // Keep the first problem reported for each field
+      if (!fields[path]) {
+        fields[path] = issue.message;
+      }
+    }
+  }
+
+  const messages = Object.values(fields);
+  if (messages.length > 0) {
+    return res.status(400).json({ error: messages[0], fields });
+  }
+
+  next();
+};
+
+module.exports = validate;
@@ -5,6 +5,11 @@ const adminSettingsSchema = new mongoose.Schema({
     type: String,
     default: 'https://via.placeholder.com/200x200?text=Payment+QR+Code'
   },
+  // An uploaded QR code image (see services/storage), shown instead of qrCodeUrl
+  qrCode: {
+    driver: String,
+    key: String
+  },
   headerBannerText: {
     type: String,
     default: 'Welcome to ColorBet Casino!'
@@ -13,9 +18,31 @@ const adminSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  gameDuration: {
+  // Stake limits for paytable bet types, on top of each room's own bet limits.
+  // null leaves that end open.
+  betTypeLimits: [{
+    _id: false,
+    betType: {
+      type: String,
+      required: true
+    },
+    minStake: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    maxStake: {
+      type: Number,
+      default: null,
+      min: 0
+    }
+  }],
+  // Most the house may have to pay out on any single result of a round,
+  // across every player's bets; null for no cap
+  maxRoundLiability: {
     type: Number,
-    default: 60
+    default: null,
+    min: 0
   }
 }, {
   timestamps: true
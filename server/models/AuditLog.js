@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One admin action, with the values it changed. The log is append-only.
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  // e.g. transaction.approve, user.block, settings.update, game.end
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'transaction', 'settings', 'game', 'room', 'paytable'],
+    required: true
+  },
+  // An ObjectId, or a room slug
+  targetId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Pages are read newest first by _id
+auditLogSchema.index({ action: 1, _id: -1 });
+auditLogSchema.index({ actorId: 1, _id: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, _id: -1 });
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => auditLogSchema.pre(operation, rejectMutation));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
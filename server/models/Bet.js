@@ -11,9 +11,14 @@ const betSchema = new mongoose.Schema({
     ref: 'Game',
     required: true
   },
+  // Legs placed together in one bet slip share a slipId
+  slipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // A bet type and value from the paytable the bet was placed under
   betType: {
     type: String,
-    enum: ['number', 'color', 'size'],
     required: true
   },
   betValue: {
@@ -25,9 +30,21 @@ const betSchema = new mongoose.Schema({
     required: true,
     min: 0.01
   },
+  // Bets from before paytables existed were placed under version 1
+  paytableVersion: {
+    type: Number,
+    default: 1
+  },
+  // House commission taken from the stake; payouts are worked out on the rest
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // A refunded bet was on a voided round; its payout is the stake handed back
   result: {
     type: String,
-    enum: ['win', 'loss', 'pending'],
+    enum: ['win', 'loss', 'pending', 'refunded'],
     default: 'pending'
   },
   payout: {
@@ -39,4 +56,8 @@ const betSchema = new mongoose.Schema({
   timestamps: true
 });
 
+betSchema.index({ gameId: 1, userId: 1 });
+// A player's bet history, paged newest first
+betSchema.index({ userId: 1, _id: -1 });
+
 module.exports = mongoose.model('Bet', betSchema);
\ No newline at end of file
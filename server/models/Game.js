@@ -1,14 +1,18 @@
 const mongoose = require('mongoose');
+const { generateSeed, hashSeed } = require('../utils/provablyFair');
 
 const gameSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
   gameNumber: {
     type: Number,
-    required: true,
-    unique: true
+    required: true
   },
   status: {
     type: String,
-    enum: ['waiting', 'betting', 'completed'],
+    enum: ['waiting', 'betting', 'completed', 'voided'],
     default: 'waiting'
   },
   startTime: {
@@ -25,28 +29,64 @@ const gameSchema = new mongoose.Schema({
     max: 9,
     default: null
   },
+  // Colour and size of the result under the paytable at settlement
   resultColor: {
     type: String,
-    enum: ['red', 'green'],
     default: null
   },
   resultSize: {
     type: String,
-    enum: ['big', 'small'],
     default: null
   },
-  isFixed: {
-    type: Boolean,
-    default: false
+  // Why an admin called the round off; its stakes were refunded
+  voidReason: {
+    type: String,
+    default: null
   },
-  fixedResult: {
+  betCount: {
     type: Number,
-    min: 0,
-    max: 9,
-    default: null
+    default: 0
+  },
+  // Kept secret until the round completes; only its hash is public before then
+  serverSeed: {
+    type: String,
+    select: false
+  },
+  serverSeedHash: {
+    type: String
+  },
+  clientSeed: {
+    type: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Rounds are broadcast to every player, so the seed never leaves the server
+  // this way; a new round still holds its seed even though queries leave it
+  // out. The verify route reveals the seed itself. Rounds from before result
+  // fixing was removed may still carry a fixed result.
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.serverSeed;
+      delete ret.isFixed;
+      delete ret.fixedResult;
+      return ret;
+    }
+  }
+});
+
+// Game numbers run separately in each room
+gameSchema.index({ room: 1, gameNumber: 1 }, { unique: true });
+
+// Commit to the round's seeds as soon as it is created
+gameSchema.pre('validate', function(next) {
+  if (this.isNew && !this.serverSeed) {
+    this.serverSeed = generateSeed();
+    this.serverSeedHash = hashSeed(this.serverSeed);
+  }
+  if (this.isNew && !this.clientSeed) {
+    this.clientSeed = generateSeed().slice(0, 16);
+  }
+  next();
 });
 
 module.exports = mongoose.model('Game', gameSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const legSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ['user', 'house', 'pending_deposit', 'pending_withdrawal'],
+    required: true
+  },
+  // Set for per-user accounts; null for the house
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'bet', 'win', 'refund',
+      'deposit_request', 'deposit_approved', 'deposit_rejected',
+      'withdrawal_request', 'withdrawal_approved', 'withdrawal_rejected',
+      'adjustment', 'opening_balance'
+    ],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  legs: {
+    type: [legSchema],
+    validate: {
+      validator: (legs) => legs.length >= 2,
+      message: 'A journal entry needs at least two legs'
+    }
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  betId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bet',
+    default: null
+  },
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ 'legs.account': 1, 'legs.userId': 1 });
+
+// Debits and credits must cancel out, rounded to the cent
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = this.legs.reduce((sum, leg) => sum + leg.debit, 0);
+  const credits = this.legs.reduce((sum, leg) => sum + leg.credit, 0);
+  if (Math.round(debits * 100) !== Math.round(credits * 100)) {
+    return next(new Error(`Unbalanced journal entry: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+// The ledger is append-only; corrections are posted as new entries
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => ledgerEntrySchema.pre(operation, rejectMutation));
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
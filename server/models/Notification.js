@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_TTL_DAYS } = require('../config/notifications');
+
+// Something the player should hear about, shown in the bell menu until read
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Where in the app the notification leads, e.g. /wallet
+  link: {
+    type: String,
+    default: null
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ userId: 1, _id: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+// Each winner hears about a round once, even if it is settled twice at once
+notificationSchema.index(
+  { userId: 1, gameId: 1 },
+  { unique: true, partialFilterExpression: { type: 'round_won' } }
+);
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
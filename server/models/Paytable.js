@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// One selectable outcome of a bet type, winning on any of its result numbers
+const optionSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  numbers: {
+    type: [{ type: Number, min: 0, max: 9 }],
+    validate: {
+      validator: (numbers) => numbers.length > 0 && numbers.every(Number.isInteger),
+      message: 'An option must win on at least one result number from 0 to 9'
+    }
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const betTypeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: 'A bet type needs at least one option'
+    }
+  }
+}, { _id: false });
+
+const paytableSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  // Share of every stake kept by the house; payouts are worked out on the rest
+  commissionRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 0.5
+  },
+  betTypes: {
+    type: [betTypeSchema],
+    validate: {
+      validator: (betTypes) => betTypes.length > 0,
+      message: 'A paytable needs at least one bet type'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Bet types and the values within each must be unique
+paytableSchema.pre('validate', function(next) {
+  const types = new Set();
+  for (const betType of this.betTypes) {
+    if (types.has(betType.type)) {
+      const error = new Error(`Bet type ${betType.type} is listed twice`);
+      error.name = 'ValidationError';
+      return next(error);
+    }
+    types.add(betType.type);
+
+    const values = new Set();
+    for (const option of betType.options) {
+      if (values.has(option.value)) {
+        const error = new Error(`Value ${option.value} is listed twice for ${betType.type} bets`);
+        error.name = 'ValidationError';
+        return next(error);
+      }
+      values.add(option.value);
+    }
+  }
+  next();
+});
+
+// Bets are settled against the version they were placed under, so a
+// published version never changes; edits are published as a new version
+paytableSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Paytable versions cannot be modified'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Paytable versions cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => paytableSchema.pre(operation, rejectMutation));
+
+module.exports = mongoose.model('Paytable', paytableSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { ALERT_CODES } = require('../config/risk');
+
+// Something about a player that needs a look: accounts sharing a device or
+// IP, linked accounts betting against each other, or money moved through
+// without play. A player has at most one open alert of each kind; repeats
+// add to it until an admin resolves it.
+const riskAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    enum: ALERT_CODES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Linked accounts involved
+  relatedUserIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  // Latest round or withdrawal that raised it
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolution: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+riskAlertSchema.index({ userId: 1, resolvedAt: 1, code: 1 });
+riskAlertSchema.index({ resolvedAt: 1 });
+
+module.exports = mongoose.model('RiskAlert', riskAlertSchema);
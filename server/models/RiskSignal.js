@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { SIGNAL_KINDS, SIGNAL_TTL_DAYS } = require('../config/risk');
+
+// An IP address or device fingerprint a player signed up, logged in or bet
+// from. One document per player and value; other players with the same
+// value are linked to them.
+const riskSignalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: SIGNAL_KINDS,
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  // Browser last seen with this value
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastEvent: {
+    type: String,
+    enum: ['register', 'login', 'bet'],
+    required: true
+  },
+  seenCount: {
+    type: Number,
+    default: 0
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+riskSignalSchema.index({ userId: 1, kind: 1, value: 1 }, { unique: true });
+riskSignalSchema.index({ kind: 1, value: 1 });
+riskSignalSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: SIGNAL_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RiskSignal', riskSignalSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A named table with its own round length, bet limits and game-number
+// sequence. Each room runs its rounds independently of the others.
+const roomSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  roundDuration: {
+    type: Number,
+    required: true,
+    min: 10,
+    default: 60
+  },
+  minBet: {
+    type: Number,
+    min: 0.01,
+    default: 1
+  },
+  maxBet: {
+    type: Number,
+    min: 0.01,
+    default: 10000
+  },
+  // Per-player exposure limits for a single round, across all of their slips
+  maxStakePerRound: {
+    type: Number,
+    min: 0.01,
+    default: 50000
+  },
+  maxLegsPerRound: {
+    type: Number,
+    min: 1,
+    default: 20
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  continuousEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Guards round creation across instances; expires so a crash can't wedge it
+  creationLockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+roomSchema.pre('validate', function(next) {
+  if (this.minBet > this.maxBet) {
+    const error = new Error('Minimum bet cannot be greater than maximum bet');
+    error.name = 'ValidationError';
+    return next(error);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Round scheduler lease shared by every server instance. Only the instance
+// holding the lease drives rounds, so a second instance never creates
+// duplicate rounds. Continuous mode is kept per room on Room.
+const schedulerStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  leaderId: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SchedulerState', schedulerStateSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token is only ever stored hashed and is
+// replaced on every refresh; the previous hash is kept to spot a stolen token
+// being replayed.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  // Signed in with a second factor; admin routes require it
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_all', 'admin', 'reuse', 'two_factor', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -8,7 +8,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'bet', 'win', 'loss', 'pending_deposit'],
+    enum: ['deposit', 'bet', 'win', 'loss', 'pending_deposit', 'pending_withdrawal', 'withdrawal', 'refund'],
     required: true
   },
   amount: {
@@ -24,16 +24,84 @@ const transactionSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected'],
     default: 'approved'
   },
+  // Where the deposit screenshot is stored (see services/storage). Older
+  // deposits have a public link in screenshotUrl instead.
+  screenshot: {
+    driver: String,
+    key: String
+  },
   screenshotUrl: {
     type: String,
     default: null
   },
+  // Deposit checks: the payment reference (UTR) the player entered, and an
+  // exact and a perceptual hash of the screenshot (see services/depositChecks)
+  utr: {
+    type: String,
+    default: undefined
+  },
+  screenshotHash: {
+    type: String,
+    default: null
+  },
+  screenshotPhash: {
+    type: String,
+    default: null
+  },
+  // The perceptual hash in bands, indexed to find similar screenshots
+  screenshotPhashBands: {
+    type: [String],
+    default: undefined
+  },
+  // Reasons to look twice before approving, each naming the earlier deposit it matched
+  riskFlags: [{
+    _id: false,
+    code: {
+      type: String,
+      enum: ['duplicate_screenshot', 'similar_screenshot', 'reused_screenshot', 'rejected_screenshot'],
+      required: true
+    },
+    message: String,
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  }],
   adminNotes: {
     type: String,
     default: null
+  },
+  // Where a withdrawal should be paid out to
+  payoutDetails: {
+    method: {
+      type: String,
+      enum: ['upi', 'bank']
+    },
+    upiId: String,
+    accountHolder: String,
+    accountNumber: String,
+    ifsc: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Deposit checks are for admins only, so they're left out of what players
+  // are sent; admin routes read them off the document directly
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.screenshotHash;
+      delete ret.screenshotPhash;
+      delete ret.screenshotPhashBands;
+      delete ret.riskFlags;
+      return ret;
+    }
+  }
 });
 
+// A player's transaction history, paged newest first
+transactionSchema.index({ userId: 1, _id: -1 });
+// Each payment reference can only back one deposit
+transactionSchema.index({ utr: 1 }, { unique: true, partialFilterExpression: { utr: { $type: 'string' } } });
+transactionSchema.index({ screenshotHash: 1 }, { partialFilterExpression: { screenshotHash: { $type: 'string' } } });
+transactionSchema.index({ screenshotPhashBands: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
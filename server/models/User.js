@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES } = require('../config/roles');
+const { LIMIT_KINDS, LIMIT_PERIODS, EXCLUSION_DAYS } = require('../config/responsibleGaming');
+
+// A deposit, loss or wager limit. A raised limit waits in pendingAmount
+// until pendingFrom; see services/responsibleGaming.js.
+const gamingLimitSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: LIMIT_KINDS,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: Object.keys(LIMIT_PERIODS),
+    required: true
+  },
+  // null means no limit
+  amount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  pendingAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  pendingFrom: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -21,10 +55,26 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Confirmed through the link emailed at sign-up; deposits and
+  // withdrawals wait for it
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   isAdmin: {
     type: Boolean,
     default: false
   },
+  // Decides what an admin may do; see config/roles.js
+  adminRole: {
+    type: String,
+    enum: [...ADMIN_ROLES, null],
+    default: null
+  },
   isBlocked: {
     type: Boolean,
     default: false
@@ -33,9 +83,88 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Shown to the player on the login screen
+  blockMessage: {
+    type: String,
+    default: null
+  },
+  // End of a temporary block; null blocks until an admin unblocks.
+  // See services/blocks.js.
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  // Weight of the player's open risk alerts, 0-100; see services/risk.js
+  riskScore: {
+    type: Number,
+    default: 0
+  },
+  // TOTP second factor. Secrets and recovery code hashes are never selected
+  // unless asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Set during enrolment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last time step accepted, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: 0
+    },
+    requireForWithdrawals: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Limits and breaks players set on themselves
+  responsibleGaming: {
+    limits: {
+      type: [gamingLimitSchema],
+      default: []
+    },
+    sessionReminderMinutes: {
+      type: Number,
+      default: null
+    },
+    exclusionType: {
+      type: String,
+      enum: [...Object.keys(EXCLUSION_DAYS), null],
+      default: null
+    },
+    excludedUntil: {
+      type: Date,
+      default: null
+    },
+    // Bumped by every limit check made inside a transaction, so concurrent
+    // bets and deposits by the player conflict (see services/responsibleGaming.js)
+    limitChecks: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true
@@ -59,11 +188,18 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Blocked right now. A temporary block stops applying at blockedUntil, even
+// before the expiry sweep in services/blocks.js has cleared it.
+userSchema.methods.isBlockedNow = function() {
+  return Boolean(this.isBlocked && (!this.blockedUntil || this.blockedUntil > new Date()));
+};
+
 // Set admin status based on email
 userSchema.pre('save', function(next) {
   const adminEmails = (process.env.ADMIN_EMAILS || '').split(',');
   if (adminEmails.includes(this.email)) {
     this.isAdmin = true;
+    this.adminRole = 'superadmin';
   }
   next();
 });
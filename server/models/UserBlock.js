@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One time a player was blocked. Kept after the block ends, so admins can
+// see who blocked whom, why, and how it ended.
+const userBlockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  // Shown to the player when they try to sign in
+  message: {
+    type: String,
+    default: null
+  },
+  // null for a block that only an admin can lift
+  until: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Unblocked by an admin, ran out, or replaced by a newer block
+  endReason: {
+    type: String,
+    enum: ['unblocked', 'expired', 'replaced', null],
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userBlockSchema.index({ userId: 1, _id: -1 });
+userBlockSchema.index({ endedAt: 1, until: 1 });
+
+module.exports = mongoose.model('UserBlock', userBlockSchema);
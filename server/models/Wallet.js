@@ -11,6 +11,12 @@ const walletSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
+  },
+  // Requested withdrawals waiting for admin payout
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
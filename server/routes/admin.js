@@ -1,17 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Game = require('../models/Game');
 const Bet = require('../models/Bet');
 const Wallet = require('../models/Wallet');
 const AdminSettings = require('../models/AdminSettings');
-const { adminAuth } = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { adminAuth, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/admin');
+const { idParams } = require('../validation/common');
+const ledger = require('../services/ledger');
+const realtime = require('../services/realtime');
+const { revokeUserSessions } = require('../services/sessions');
+const { snapshot, recordAudit, listAudit } = require('../services/audit');
+const { paginate, createdBetween } = require('../services/pagination');
+const { getDailyReport, dailyReportCsv } = require('../services/reports');
+const { getAnalytics } = require('../services/analytics');
+const { getAdminRole } = require('../config/roles');
+const { uploadImage } = require('../middleware/upload');
+const storage = require('../services/storage');
+const risk = require('../services/risk');
+const blocks = require('../services/blocks');
+const notifications = require('../services/notifications');
 
 const router = express.Router();
 
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Get admin stats
-router.get('/stats', adminAuth, async (req, res) => {
+router.get('/stats', requirePermission('stats:view'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ isBlocked: false });
     const totalBalance = await Wallet.aggregate([
@@ -25,9 +43,17 @@ router.get('/stats', adminAuth, async (req, res) => {
     today.setHours(0, 0, 0, 0);
     
     const todayBets = await Bet.countDocuments({ createdAt: { $gte: today } });
-    const todayRevenue = await Bet.aggregate([
-      { $match: { createdAt: { $gte: today } } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+    // Revenue is gross gaming revenue: settled stakes minus what they paid out
+    const [todayTotals] = await Bet.aggregate([
+      { $match: { createdAt: { $gte: today }, result: { $ne: 'refunded' } } },
+      {
+        $group: {
+          _id: null,
+          stakes: { $sum: '$amount' },
+          settledStakes: { $sum: { $cond: [{ $in: ['$result', ['win', 'loss']] }, '$amount', 0] } },
+          payouts: { $sum: { $cond: [{ $eq: ['$result', 'win'] }, '$payout', 0] } }
+        }
+      }
     ]);
     
     const totalGames = await Game.countDocuments({ status: 'completed' });
@@ -45,7 +71,8 @@ router.get('/stats', adminAuth, async (req, res) => {
       pendingTransactions,
       activeGames,
       todayBets,
-      todayRevenue: todayRevenue[0]?.total || 0,
+      todayStakes: todayTotals?.stakes || 0,
+      todayRevenue: Math.round(((todayTotals?.settledStakes || 0) - (todayTotals?.payouts || 0)) * 100) / 100,
       blockedUsers,
       totalGames,
       totalBetsAmount: totalBetsAmount[0]?.total || 0,
@@ -57,8 +84,20 @@ router.get('/stats', adminAuth, async (req, res) => {
   }
 });
 
+// Hourly or daily series of players, stakes, payouts, GGR, deposits and
+// sign-ups over a date range, and how often each digit came up
+router.get('/analytics', requirePermission('stats:view'), validate(schemas.analyticsQuery), async (req, res) => {
+  try {
+    const analytics = await getAnalytics(req.query);
+    res.json({ analytics });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get all users
-router.get('/users', adminAuth, async (req, res) => {
+router.get('/users', requirePermission('users:view'), async (req, res) => {
   try {
     const users = await User.find().select('-password').sort({ createdAt: -1 });
     
@@ -73,6 +112,8 @@ router.get('/users', adminAuth, async (req, res) => {
 
         return {
           ...user.toObject(),
+          id: user._id,
+          adminRole: getAdminRole(user),
           balance: wallet?.balance || 0,
           totalBets,
           winRate
@@ -88,18 +129,34 @@ router.get('/users', adminAuth, async (req, res) => {
 });
 
 // Block/Unblock user
-router.put('/users/:id/block', adminAuth, async (req, res) => {
+router.put('/users/:id/block', requirePermission('users:block'), validate(schemas.blockUser), async (req, res) => {
   try {
-    const { isBlocked, blockReason } = req.body;
+    const { isBlocked, blockReason, blockMessage, durationHours } = req.body;
     
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.isBlocked = isBlocked;
-    user.blockReason = isBlocked ? blockReason : null;
-    await user.save();
+    const blockFields = ['isBlocked', 'blockReason', 'blockMessage', 'blockedUntil'];
+    const before = snapshot(user, blockFields);
+    if (isBlocked) {
+      await blocks.blockUser(user, req.user, {
+        reason: blockReason || null,
+        message: blockMessage || null,
+        durationHours
+      });
+    } else {
+      await blocks.unblockUser(user, req.user);
+    }
+
+    await recordAudit(req, {
+      action: isBlocked ? 'user.block' : 'user.unblock',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: snapshot(user, blockFields)
+    });
 
     res.json({ message: `User ${isBlocked ? 'blocked' : 'unblocked'} successfully` });
   } catch (error) {
@@ -108,70 +165,342 @@ router.put('/users/:id/block', adminAuth, async (req, res) => {
   }
 });
 
+// Who blocked a player, when, why, and how each block ended
+router.get('/users/:id/blocks', requirePermission('users:view'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ blocks: await blocks.listBlocks(user._id) });
+  } catch (error) {
+    console.error('Get user blocks error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Players with their risk level and open alerts, and the page's summary totals
+router.get('/security', requirePermission('users:view'), validate(schemas.securityQuery), async (req, res) => {
+  try {
+    const { risk: level, search, ...page } = req.query;
+    const filter = createdBetween(page);
+    if (level) filter.riskScore = risk.scoreFilter(level);
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ email: pattern }, { username: pattern }];
+    }
+
+    const { items, nextCursor } = await paginate(
+      User.find(filter).select('email username isBlocked blockReason blockMessage blockedUntil lastActive riskScore createdAt'),
+      page
+    );
+
+    res.json({
+      users: await risk.describePlayers(items),
+      nextCursor,
+      summary: await risk.getSummary()
+    });
+  } catch (error) {
+    console.error('Get security overview error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A player's IPs and devices, the accounts linked through them, and their alerts
+router.get('/security/users/:id', requirePermission('users:view'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const details = await risk.getPlayerRisk(req.params.id);
+    if (!details) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(details);
+  } catch (error) {
+    console.error('Get user risk error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Close a risk alert after review
+router.put('/security/alerts/:id/resolve', requirePermission('users:block'), validate(schemas.resolveAlert), async (req, res) => {
+  try {
+    const alert = await risk.resolveAlert(req.params.id, req.user._id, req.body.resolution || null);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found or already resolved' });
+    }
+
+    await recordAudit(req, {
+      action: 'risk.resolve',
+      targetType: 'user',
+      targetId: alert.userId,
+      before: { code: alert.code, resolvedAt: null, resolution: null },
+      after: snapshot(alert, ['code', 'resolvedAt', 'resolution'])
+    });
+
+    res.json({ message: 'Alert resolved' });
+  } catch (error) {
+    console.error('Resolve risk alert error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Force logout a user from every device
+router.post('/users/:id/logout', requirePermission('users:logout'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const count = await revokeUserSessions(user._id, 'admin');
+
+    await recordAudit(req, {
+      action: 'user.force_logout',
+      targetType: 'user',
+      targetId: user._id,
+      after: { sessionsRevoked: count }
+    });
+
+    res.json({ message: `${user.username} was logged out of ${count} ${count === 1 ? 'session' : 'sessions'}` });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Give a user an admin role, or take admin access away
+router.put('/users/:id/role', requirePermission('users:roles'), validate(schemas.updateRole), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const adminEmails = (process.env.ADMIN_EMAILS || '').split(',');
+    if (adminEmails.includes(user.email)) {
+      return res.status(400).json({ error: 'Admins listed in ADMIN_EMAILS are always superadmins' });
+    }
+
+    const before = snapshot(user, ['isAdmin', 'adminRole']);
+    user.isAdmin = role !== null;
+    user.adminRole = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: snapshot(user, ['isAdmin', 'adminRole'])
+    });
+
+    res.json({ message: role ? `${user.username} is now ${role}` : `${user.username} is no longer an admin` });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get all transactions
-router.get('/transactions', adminAuth, async (req, res) => {
+router.get('/transactions', requirePermission('transactions:view'), validate(schemas.transactionsQuery), async (req, res) => {
   try {
-    const transactions = await Transaction.find()
-      .populate('userId', 'email username')
-      .sort({ createdAt: -1 });
+    const { type, status, userId, flagged, search, ...page } = req.query;
+    const filter = createdBetween(page);
+    if (type) filter.type = { $in: type };
+    if (status) filter.status = status;
+    if (userId) filter.userId = userId;
+    if (flagged) filter['riskFlags.0'] = { $exists: true };
+    if (search) {
+      filter.$or = await searchTransactions(search);
+    }
+
+    const { items: transactions, nextCursor } = await paginate(
+      Transaction.find(filter).populate('userId', 'email username'),
+      page
+    );
 
     // Format transactions for frontend
-    const formattedTransactions = transactions.map(transaction => ({
-      _id: transaction._id,
-      id: transaction._id, // Add both for compatibility
-      userId: transaction.userId,
-      user_email: transaction.userId?.email || 'Unknown',
-      type: transaction.type,
-      amount: transaction.amount,
-      description: transaction.description,
-      status: transaction.status,
-      screenshotUrl: transaction.screenshotUrl,
-      screenshot_url: transaction.screenshotUrl, // Add both for compatibility
-      adminNotes: transaction.adminNotes,
-      admin_notes: transaction.adminNotes, // Add both for compatibility
-      createdAt: transaction.createdAt,
-      created_at: transaction.createdAt // Add both for compatibility
+    const formattedTransactions = await Promise.all(transactions.map(async (transaction) => {
+      const screenshotUrl = await storage.signedUrl(transaction.screenshot) || transaction.screenshotUrl;
+      return {
+        _id: transaction._id,
+        id: transaction._id, // Add both for compatibility
+        userId: transaction.userId,
+        user_email: transaction.userId?.email || 'Unknown',
+        type: transaction.type,
+        amount: transaction.amount,
+        description: transaction.description,
+        status: transaction.status,
+        screenshotUrl,
+        screenshot_url: screenshotUrl, // Add both for compatibility
+        adminNotes: transaction.adminNotes,
+        admin_notes: transaction.adminNotes, // Add both for compatibility
+        payoutDetails: transaction.payoutDetails,
+        utr: transaction.utr,
+        riskFlags: transaction.riskFlags,
+        createdAt: transaction.createdAt,
+        created_at: transaction.createdAt // Add both for compatibility
+      };
     }));
-    res.json({ transactions: formattedTransactions });
+    res.json({ transactions: formattedTransactions, nextCursor, counts: await countTransactions() });
   } catch (error) {
     console.error('Get transactions error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Conditions matching a search on the player's email or username, the
+// description, the deposit reference or the transaction id
+async function searchTransactions(search) {
+  const pattern = new RegExp(escapeRegex(search), 'i');
+  const users = await User.find({ $or: [{ email: pattern }, { username: pattern }] }).select('_id').limit(100);
+
+  const conditions = [
+    { description: pattern },
+    { utr: search.toUpperCase() },
+    { userId: { $in: users.map((user) => user._id) } }
+  ];
+  if (/^[0-9a-fA-F]{24}$/.test(search)) {
+    conditions.push({ _id: search });
+  }
+  return conditions;
+}
+
+// Totals by status across every transaction, for the page's summary cards
+async function countTransactions() {
+  const byStatus = await Transaction.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const count = (status) => byStatus.find((group) => group._id === status)?.count || 0;
+
+  return {
+    total: byStatus.reduce((sum, group) => sum + group.count, 0),
+    pending: count('pending'),
+    approved: count('approved'),
+    rejected: count('rejected'),
+    pendingWithdrawals: await Transaction.countDocuments({ type: 'pending_withdrawal', status: 'pending' }),
+    flaggedPending: await Transaction.countDocuments({ status: 'pending', 'riskFlags.0': { $exists: true } })
+  };
+}
+
+// Move the funds for a pending deposit or withdrawal that has just been decided
+async function applyTransactionDecision(transaction, status, session) {
+  const { userId, amount } = transaction;
+
+  if (transaction.type === 'pending_deposit' && status === 'approved') {
+    // Create approved deposit transaction
+    const approvedTransaction = new Transaction({
+      userId,
+      type: 'deposit',
+      amount,
+      description: `Approved deposit of $${amount}`,
+      status: 'approved'
+    });
+    await approvedTransaction.save({ session });
+
+    // Release the pending deposit into the wallet
+    await ledger.postEntry({
+      type: 'deposit_approved',
+      description: approvedTransaction.description,
+      legs: ledger.transfer(ledger.pendingDepositAccount(userId), ledger.userAccount(userId), amount),
+      transactionId: transaction._id,
+      session
+    });
+  }
+
+  if (transaction.type === 'pending_deposit' && status === 'rejected') {
+    // Return the pending deposit to the house
+    await ledger.postEntry({
+      type: 'deposit_rejected',
+      description: `Rejected deposit of $${amount}`,
+      legs: ledger.transfer(ledger.pendingDepositAccount(userId), ledger.houseAccount(), amount),
+      transactionId: transaction._id,
+      session
+    });
+  }
+
+  if (transaction.type === 'pending_withdrawal' && status === 'approved') {
+    // Create paid-out withdrawal transaction
+    const paidTransaction = new Transaction({
+      userId,
+      type: 'withdrawal',
+      amount: -amount,
+      description: `Withdrawal of $${amount} paid out`,
+      status: 'approved'
+    });
+    await paidTransaction.save({ session });
+
+    // The held funds leave the wallet through the house
+    await ledger.postEntry({
+      type: 'withdrawal_approved',
+      description: paidTransaction.description,
+      legs: ledger.transfer(ledger.pendingWithdrawalAccount(userId), ledger.houseAccount(), amount),
+      transactionId: transaction._id,
+      session
+    });
+  }
+
+  if (transaction.type === 'pending_withdrawal' && status === 'rejected') {
+    // Release the held funds back to the wallet
+    await ledger.postEntry({
+      type: 'withdrawal_rejected',
+      description: `Rejected withdrawal of $${amount}, funds returned`,
+      legs: ledger.transfer(ledger.pendingWithdrawalAccount(userId), ledger.userAccount(userId), amount),
+      transactionId: transaction._id,
+      session
+    });
+  }
+}
+
 // Approve/Reject transaction
-router.put('/transactions/:id', adminAuth, async (req, res) => {
+router.put('/transactions/:id', requirePermission('transactions:decide'), validate(schemas.updateTransaction), async (req, res) => {
   try {
     const { status, adminNotes } = req.body;
-    
+
     const transaction = await Transaction.findById(req.params.id);
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    transaction.status = status;
-    transaction.adminNotes = adminNotes;
-    await transaction.save();
+    if (transaction.status !== 'pending') {
+      return res.status(400).json({ error: 'Transaction has already been processed' });
+    }
 
-    // If approving a deposit, update wallet balance
-    if (status === 'approved' && transaction.type === 'pending_deposit') {
-      const wallet = await Wallet.findOne({ userId: transaction.userId });
-      if (wallet) {
-        wallet.balance += transaction.amount;
-        await wallet.save();
+    let decided;
+    await mongoose.connection.transaction(async (session) => {
+      // Only one decision can claim a pending request, so funds move exactly once
+      decided = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'pending' },
+        { status, adminNotes },
+        { new: true, session }
+      );
+      if (decided) {
+        await applyTransactionDecision(decided, status, session);
+        await recordAudit(req, {
+          action: status === 'approved' ? 'transaction.approve' : 'transaction.reject',
+          targetType: 'transaction',
+          targetId: decided._id,
+          before: snapshot(transaction, ['type', 'amount', 'status', 'adminNotes']),
+          after: snapshot(decided, ['type', 'amount', 'status', 'adminNotes'])
+        }, session);
       }
+    });
 
-      // Create approved deposit transaction
-      const approvedTransaction = new Transaction({
-        userId: transaction.userId,
-        type: 'deposit',
-        amount: transaction.amount,
-        description: `Approved deposit of $${transaction.amount}`,
-        status: 'approved'
-      });
-      await approvedTransaction.save();
+    if (!decided) {
+      return res.status(400).json({ error: 'Transaction has already been processed' });
     }
 
+    await realtime.emitWalletUpdate(decided.userId);
+    realtime.emitAdminStatsChanged();
+    await notifications.notifyTransactionDecision(decided);
+
     res.json({ message: 'Transaction updated successfully' });
   } catch (error) {
     console.error('Update transaction error:', error);
@@ -179,6 +508,45 @@ router.put('/transactions/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Report wallets whose balance disagrees with the ledger
+router.get('/ledger/reconcile', requirePermission('ledger:view'), async (req, res) => {
+  try {
+    const report = await ledger.reconcileWallets();
+    res.json({ report });
+  } catch (error) {
+    console.error('Reconcile ledger error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const fileDate = (date) => date.toISOString().slice(0, 10);
+
+// Per-day accounting for the game over a date range, as JSON or a CSV download
+router.get('/reports/daily', requirePermission('ledger:view'), validate(schemas.dailyReportQuery), async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    const report = await getDailyReport({ from, to });
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`game-ledger-${fileDate(from)}-to-${fileDate(to)}.csv`);
+      return res.send(dailyReportCsv(report));
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Daily report error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Settings as sent to the frontend, with an uploaded QR code as a signed link
+const withQrCodeUrl = async (settings) => {
+  const plain = settings.toObject();
+  const qrCodeUrl = await storage.signedUrl(plain.qrCode);
+  return qrCodeUrl ? { ...plain, qrCodeUrl } : plain;
+};
+
 // Get admin settings
 router.get('/settings', adminAuth, async (req, res) => {
   try {
@@ -189,7 +557,7 @@ router.get('/settings', adminAuth, async (req, res) => {
       await settings.save();
     }
 
-    res.json({ settings });
+    res.json({ settings: await withQrCodeUrl(settings) });
   } catch (error) {
     console.error('Get settings error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -197,47 +565,81 @@ router.get('/settings', adminAuth, async (req, res) => {
 });
 
 // Update admin settings
-router.put('/settings', adminAuth, async (req, res) => {
+router.put('/settings', requirePermission('settings:edit'), validate(schemas.updateSettings), async (req, res) => {
   try {
     const updates = req.body;
+    const fields = Object.keys(updates);
     
     let settings = await AdminSettings.findOne();
+    let before = null;
     if (!settings) {
       settings = new AdminSettings(updates);
     } else {
+      before = snapshot(settings, fields);
       Object.assign(settings, updates);
     }
+
+    // A QR code URL set by hand replaces an uploaded image
+    if (updates.qrCodeUrl !== undefined) {
+      settings.qrCode = undefined;
+    }
     
     await settings.save();
 
-    res.json({ message: 'Settings updated successfully', settings });
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'settings',
+      targetId: settings._id,
+      before,
+      after: snapshot(settings, fields)
+    });
+
+    res.json({ message: 'Settings updated successfully', settings: await withQrCodeUrl(settings) });
   } catch (error) {
     console.error('Update settings error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Fix game result
-router.put('/games/:id/fix', adminAuth, async (req, res) => {
+// Upload the payment QR code image players are shown
+router.post('/settings/qr-code', requirePermission('settings:edit'), uploadImage('qrCode'), async (req, res) => {
   try {
-    const { fixedResult } = req.body;
-    
-    const game = await Game.findById(req.params.id);
-    if (!game) {
-      return res.status(404).json({ error: 'Game not found' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'QR code image is required', fields: { qrCode: 'QR code image is required' } });
     }
 
-    if (game.status === 'completed') {
-      return res.status(400).json({ error: 'Cannot fix result of completed game' });
+    const qrCode = await storage.saveImage(req.file, 'qr-codes');
+
+    let settings = await AdminSettings.findOne();
+    const before = snapshot(settings, ['qrCode']);
+    if (!settings) {
+      settings = new AdminSettings();
     }
+    settings.qrCode = qrCode;
+    await settings.save();
 
-    game.isFixed = true;
-    game.fixedResult = fixedResult;
-    await game.save();
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'settings',
+      targetId: settings._id,
+      before,
+      after: snapshot(settings, ['qrCode'])
+    });
 
-    res.json({ message: 'Game result fixed successfully', game });
+    res.json({ message: 'QR code uploaded successfully', settings: await withQrCodeUrl(settings) });
+  } catch (error) {
+    console.error('Upload QR code error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin actions, newest first
+router.get('/audit', requirePermission('audit:view'), validate(schemas.auditQuery), async (req, res) => {
+  try {
+    const { entries, nextCursor } = await listAudit(req.query);
+    res.json({ entries, nextCursor });
   } catch (error) {
-    console.error('Fix game error:', error);
+    console.error('Get audit log error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
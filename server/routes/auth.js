@@ -1,20 +1,63 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const Wallet = require('../models/Wallet');
 const { auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/auth');
+const { idParams } = require('../validation/common');
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  revokeOtherSessions,
+  markTwoFactorVerified
+} = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const accountEmails = require('../services/accountEmails');
+const { getAdminRole, getPermissions } = require('../config/roles');
+const { isExcluded } = require('../services/responsibleGaming');
+const risk = require('../services/risk');
+const { blockNotice } = require('../services/blocks');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+// Six-digit codes are easy to guess given enough tries
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { error: 'Too many two-factor attempts. Please try again later.' }
+});
+
+// Every request sends an email, so keep them rare
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: { error: 'Too many emails requested. Please try again later.' }
+});
+
+const userResponse = (user) => ({
+  id: user._id,
+  email: user.email,
+  username: user.username,
+  emailVerified: user.emailVerified,
+  isAdmin: user.isAdmin,
+  adminRole: getAdminRole(user),
+  permissions: getPermissions(user),
+  twoFactorEnabled: user.twoFactor.enabled,
+  requireTwoFactorForWithdrawals: user.twoFactor.requireForWithdrawals,
+  sessionReminderMinutes: user.responsibleGaming.sessionReminderMinutes,
+  excludedUntil: isExcluded(user) ? user.responsibleGaming.excludedUntil : null
+});
+
+const rejectCode = (res, message = 'Invalid two-factor code') => {
+  res.status(400).json({ error: message, fields: { code: message } });
 };
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res) => {
   try {
     const { email, username, password } = req.body;
 
@@ -32,18 +75,22 @@ router.post('/register', async (req, res) => {
     const wallet = new Wallet({ userId: user._id });
     await wallet.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail outage shouldn't fail sign-up; the link can be sent again
+    try {
+      await accountEmails.sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    // Sign the new user in on this device
+    const { token, refreshToken } = await createSession(user, req);
+    await risk.recordActivity(user._id, req, 'register');
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        username: user.username,
-        isAdmin: user.isAdmin
-      }
+      refreshToken,
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -52,7 +99,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -62,33 +109,39 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Check if user is blocked
-    if (user.isBlocked) {
-      return res.status(403).json({ error: 'Account is blocked' });
-    }
-
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
+    // Only someone with the password gets to see the block message
+    if (user.isBlockedNow()) {
+      return res.status(403).json({ error: 'Account is blocked', blocked: blockNotice(user) });
+    }
+
+    // Ask for the second factor before starting a session
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter your two-factor code',
+        twoFactorRequired: true,
+        challengeToken: twoFactor.createChallenge(user._id)
+      });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+    await risk.recordActivity(user._id, req, 'login');
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        username: user.username,
-        isAdmin: user.isAdmin
-      }
+      refreshToken,
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -96,16 +149,310 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', twoFactorLimiter, validate(schemas.loginTwoFactor), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = await User.findById(twoFactor.readChallenge(challengeToken));
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in expired. Please login again.' });
+    }
+
+    if (user.isBlockedNow()) {
+      return res.status(403).json({ error: 'Account is blocked', blocked: blockNotice(user) });
+    }
+
+    if (!await twoFactor.verify(user._id, code)) {
+      return rejectCode(res);
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+    await risk.recordActivity(user._id, req, 'login');
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: userResponse(user)
+    });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { session, token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeSession(session._id, 'revoked');
+      return res.status(401).json({ error: 'Session expired. Please login again.' });
+    }
+    if (user.isBlockedNow()) {
+      await revokeSession(session._id, 'revoked');
+      return res.status(403).json({ error: 'Account is blocked', blocked: blockNotice(user) });
+    }
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error.name === 'SessionError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout this device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get the user's signed-in devices
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out one of the user's devices
+router.delete('/sessions/:id', auth, validate({ params: idParams }), async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'revoked', req.user._id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout everywhere, including this device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout_all');
+    res.json({ message: `Logged out of ${count} ${count === 1 ? 'session' : 'sessions'}` });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm an email address from the emailed link
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const verification = accountEmails.readVerificationToken(req.body.token);
+    if (!verification) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    // The link is only good for the address it was sent to
+    const user = await User.findOne({ _id: verification.userId, email: verification.email });
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send the verification link again
+router.post('/verify-email/resend', auth, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await accountEmails.sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Email a password reset link. The answer is the same whether or not the
+// account exists, so this can't be used to find out who has signed up.
+router.post('/forgot-password', emailLimiter, validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.isBlockedNow()) {
+      await accountEmails.sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set a new password from the emailed link and sign out every device
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const user = await accountEmails.findPasswordResetUser(req.body.token);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // Following the link proved the address is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully. Please login with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get two-factor settings
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const status = await twoFactor.getStatus(req.user._id);
+    res.json({ twoFactor: status });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start enrolment: a new secret for the authenticator app
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactor.beginSetup(req.user);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm enrolment with the first code. Other devices signed in with just a
+// password are logged out.
+router.post('/2fa/enable', auth, validate(schemas.twoFactorConfirm), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.enable(req.user._id, req.body.code);
+    await markTwoFactorVerified(req.sessionId);
+    await revokeOtherSessions(req.user._id, req.sessionId, 'two_factor');
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    if (error.name === 'TwoFactorError') {
+      return rejectCode(res, error.message);
+    }
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/2fa/disable', auth, validate(schemas.twoFactorConfirm), async (req, res) => {
+  try {
+    if (req.user.isAdmin) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    if (!await twoFactor.verify(req.user._id, req.body.code)) {
+      return rejectCode(res);
+    }
+
+    await twoFactor.disable(req.user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', auth, validate(schemas.twoFactorConfirm), async (req, res) => {
+  try {
+    if (!await twoFactor.verify(req.user._id, req.body.code)) {
+      return rejectCode(res);
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Require a two-factor code for every withdrawal request
+router.put('/2fa/withdrawals', auth, validate(schemas.twoFactorWithdrawals), async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Enable two-factor authentication first' });
+    }
+
+    if (!await twoFactor.verify(req.user._id, req.body.code)) {
+      return rejectCode(res);
+    }
+
+    await twoFactor.setWithdrawalRequirement(req.user._id, req.body.requireForWithdrawals);
+    res.json({
+      message: req.body.requireForWithdrawals
+        ? 'Withdrawals now require a two-factor code'
+        : 'Withdrawals no longer require a two-factor code'
+    });
+  } catch (error) {
+    console.error('Update withdrawal two-factor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        email: req.user.email,
-        username: req.user.username,
-        isAdmin: req.user.isAdmin
-      }
+      user: userResponse(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -0,0 +1,27 @@
+const express = require('express');
+const { readToken } = require('../utils/signedToken');
+const { localPath } = require('../services/storage');
+
+const router = express.Router();
+
+// Serve a file saved by the local storage driver. The token in the link is
+// the only check, so links are short-lived and only handed to those allowed
+// to see the file.
+router.get('/:token', (req, res) => {
+  const payload = readToken('file', req.params.token);
+  const file = payload && localPath(payload.key);
+  if (!file) {
+    return res.status(404).json({ error: 'File not found or link expired' });
+  }
+
+  // The frontend runs on another origin and shows these in <img> tags
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'File not found or link expired' });
+    }
+  });
+});
+
+module.exports = router;
@@ -1,225 +1,218 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Game = require('../models/Game');
 const Bet = require('../models/Bet');
-const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
+const Room = require('../models/Room');
 const AdminSettings = require('../models/AdminSettings');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/games');
+const { idParams } = require('../validation/common');
+const { hashSeed, computeResult } = require('../utils/provablyFair');
+const ledger = require('../services/ledger');
+const realtime = require('../services/realtime');
+const { snapshot, recordAudit } = require('../services/audit');
+const responsibleGaming = require('../services/responsibleGaming');
+const liability = require('../services/liability');
+const risk = require('../services/risk');
+const { getBettingEndsAt, endGameAndProcessBets, voidRound } = require('../services/rounds');
+const { paginate, createdBetween } = require('../services/pagination');
+const { listRooms, resolveRoom } = require('../services/rooms');
+const Paytable = require('../models/Paytable');
+const { getActivePaytable, publishPaytable, findOption, getCommission } = require('../services/paytable');
+const {
+  createNewGameSafely,
+  setContinuousEnabled,
+  getSchedulerStatus
+} = require('../services/scheduler');
 
 const router = express.Router();
 
-// Global variables to manage game state
-let gameCreationInProgress = false;
-let continuousGamesEnabled = false;
-let gameCreationTimeout = null;
-let gameCheckInterval = null;
-
-// Start game monitoring when server starts
-const startGameMonitoring = () => {
-  if (gameCheckInterval) {
-    clearInterval(gameCheckInterval);
+// Get game rooms
+router.get('/rooms', auth, async (req, res) => {
+  try {
+    const rooms = await listRooms().select('-creationLockedUntil');
+    res.json({ rooms });
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
-  
-  gameCheckInterval = setInterval(async () => {
-    try {
-      if (!continuousGamesEnabled) return;
-      
-      const activeGame = await Game.findOne({ 
-        status: { $in: ['waiting', 'betting'] } 
-      }).sort({ createdAt: -1 });
-
-      if (!activeGame) {
-        if (continuousGamesEnabled) {
-          await createNewGameSafely();
-        }
-        return;
-      }
+});
 
-      const now = new Date();
-      
-      // Check if waiting game should start betting
-      if (activeGame.status === 'waiting' && now >= activeGame.startTime) {
-        activeGame.status = 'betting';
-        await activeGame.save();
-        console.log(`Game #${activeGame.gameNumber} started betting`);
-      }
-      
-      // Check if betting game should end
-      if (activeGame.status === 'betting') {
-        const settings = await AdminSettings.findOne();
-        const bettingDuration = (settings?.gameDuration || 60) * 1000;
-        const bettingEndTime = new Date(activeGame.startTime.getTime() + bettingDuration);
-        
-        if (now >= bettingEndTime) {
-          await endGameAndProcessBets(activeGame);
-          
-          // Schedule next game creation
-          if (continuousGamesEnabled) {
-            setTimeout(async () => {
-              await createNewGameSafely();
-            }, 3000); // 3 seconds delay
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error in game monitoring:', error);
+// Admin: Create room
+router.post('/rooms', requirePermission('rooms:edit'), validate(schemas.createRoom), async (req, res) => {
+  try {
+    const room = new Room(req.body);
+    await room.save();
+
+    await recordAudit(req, {
+      action: 'room.create',
+      targetType: 'room',
+      targetId: room.slug,
+      after: req.body
+    });
+
+    res.status(201).json({ message: 'Room created successfully', room });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A room with this slug already exists' });
     }
-  }, 2000); // Check every 2 seconds
-};
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create room error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-// Get current game
-router.get('/current', auth, async (req, res) => {
+// Admin: Update room duration, limits or visibility
+router.put('/rooms/:slug', requirePermission('rooms:edit'), validate(schemas.updateRoom), async (req, res) => {
   try {
-    let game = await Game.findOne({ 
-      status: { $in: ['waiting', 'betting'] } 
-    }).sort({ createdAt: -1 });
+    const room = await Room.findOne({ slug: req.params.slug });
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const fields = Object.keys(req.body);
+    const before = snapshot(room, fields);
+
+    room.set(req.body);
+    await room.save();
 
-    res.json({ game });
+    await recordAudit(req, {
+      action: 'room.update',
+      targetType: 'room',
+      targetId: room.slug,
+      before,
+      after: snapshot(room, fields)
+    });
+
+    res.json({ message: 'Room updated successfully', room });
   } catch (error) {
-    console.error('Get current game error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update room error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Safe game creation with proper locking and unique game numbers
-async function createNewGameSafely() {
-  if (gameCreationInProgress) {
-    console.log('Game creation already in progress, skipping...');
-    return null;
+// Get the paytable new bets are placed under
+router.get('/paytable', auth, async (req, res) => {
+  try {
+    const paytable = await getActivePaytable();
+    res.json({ paytable });
+  } catch (error) {
+    console.error('Get paytable error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
+});
 
-  gameCreationInProgress = true;
-  
+// Admin: Get every published paytable version, newest first
+router.get('/paytables', requirePermission('paytable:edit'), async (req, res) => {
   try {
-    // Double-check if a game already exists
-    const existingGame = await Game.findOne({ 
-      status: { $in: ['waiting', 'betting'] } 
-    }).sort({ createdAt: -1 });
+    const paytables = await Paytable.find()
+      .populate('createdBy', 'username')
+      .sort({ version: -1 });
+    res.json({ paytables });
+  } catch (error) {
+    console.error('Get paytables error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    if (existingGame) {
-      console.log('Game already exists, skipping creation');
-      return existingGame;
-    }
+// Admin: Publish edited multipliers, bet types or commission as a new version.
+// Bets already placed keep settling under the version they were placed on.
+router.post('/paytables', requirePermission('paytable:edit'), validate(schemas.publishPaytable), async (req, res) => {
+  try {
+    const { commissionRate, betTypes } = req.body;
+    const fields = ['version', 'commissionRate', 'betTypes'];
+    const previous = await getActivePaytable();
+    const paytable = await publishPaytable({ commissionRate, betTypes }, req.user._id);
+
+    await recordAudit(req, {
+      action: 'paytable.publish',
+      targetType: 'paytable',
+      targetId: paytable.version,
+      before: snapshot(previous, fields),
+      after: snapshot(paytable, fields)
+    });
 
-    // Get the next game number safely with atomic operation
-    const lastGame = await Game.findOne().sort({ gameNumber: -1 });
-    const nextGameNumber = lastGame ? lastGame.gameNumber + 1 : 1;
-    
-    // Create the game with retry logic for duplicate key errors
-    let attempts = 0;
-    const maxAttempts = 5;
-    
-    while (attempts < maxAttempts) {
-      try {
-        const gameData = {
-          gameNumber: nextGameNumber + attempts,
-          status: 'waiting',
-          startTime: new Date(Date.now() + 5000) // Start in 5 seconds
-        };
-        
-        const game = new Game(gameData);
-        await game.save();
-        
-        console.log(`Successfully created game #${game.gameNumber}`);
-        return game;
-      } catch (error) {
-        if (error.code === 11000) { // Duplicate key error
-          attempts++;
-          console.log(`Duplicate key error, retrying with gameNumber ${nextGameNumber + attempts}`);
-          
-          if (attempts >= maxAttempts) {
-            console.log('Max attempts reached for game creation');
-            return null;
-          }
-          
-          // Wait a bit before retrying
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } else {
-          throw error;
-        }
-      }
-    }
+    realtime.emitPaytableUpdate(paytable);
+
+    res.status(201).json({ message: `Paytable version ${paytable.version} published`, paytable });
   } catch (error) {
-    console.error('Error in createNewGameSafely:', error);
-    return null;
-  } finally {
-    gameCreationInProgress = false;
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Publish paytable error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
-}
+});
 
-// Helper function to end game and process bets
-async function endGameAndProcessBets(game) {
+// Get current game in a room (the first room if none is given)
+router.get('/current', auth, validate(schemas.roomQuery), async (req, res) => {
   try {
-    const resultNumber = game.fixedResult !== null ? game.fixedResult : Math.floor(Math.random() * 10);
-    const resultColor = resultNumber === 0 ? 'green' : (resultNumber % 2 === 0 ? 'red' : 'green');
-    const resultSize = resultNumber >= 5 ? 'big' : 'small';
+    const room = await resolveRoom(req.query.room);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
 
-    game.status = 'completed';
-    game.endTime = new Date();
-    game.resultNumber = resultNumber;
-    game.resultColor = resultColor;
-    game.resultSize = resultSize;
-    await game.save();
+    let game = await Game.findOne({ 
+      room: room.slug,
+      status: { $in: ['waiting', 'betting'] } 
+    }).sort({ createdAt: -1 });
 
-    console.log(`Game #${game.gameNumber} ended with result: ${resultNumber} (${resultColor}, ${resultSize})`);
+    const bettingEndsAt = game ? await getBettingEndsAt(game) : null;
 
-    // Process bets
-    const bets = await Bet.find({ gameId: game._id, result: 'pending' });
-    
-    for (const bet of bets) {
-      let isWin = false;
-      let multiplier = 1;
-
-      switch (bet.betType) {
-        case 'number':
-          isWin = parseInt(bet.betValue) === resultNumber;
-          multiplier = 9;
-          break;
-        case 'color':
-          isWin = bet.betValue === resultColor;
-          multiplier = 2;
-          break;
-        case 'size':
-          isWin = bet.betValue === resultSize;
-          multiplier = 2;
-          break;
-      }
+    res.json({ room, game, bettingEndsAt, serverTime: Date.now() });
+  } catch (error) {
+    console.error('Get current game error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-      bet.result = isWin ? 'win' : 'loss';
-      bet.payout = isWin ? bet.amount * multiplier : 0;
-      await bet.save();
+const betRejectedError = (message) => {
+  const error = new Error(message);
+  error.name = 'BetRejectedError';
+  return error;
+};
 
-      if (isWin) {
-        // Update wallet
-        const wallet = await Wallet.findOne({ userId: bet.userId });
-        if (wallet) {
-          wallet.balance += bet.payout;
-          await wallet.save();
-        }
+const describeStakeRange = (minStake, maxStake) => {
+  if (minStake !== null && maxStake !== null) return `between $${minStake} and $${maxStake}`;
+  return minStake !== null ? `at least $${minStake}` : `at most $${maxStake}`;
+};
 
-        // Create transaction
-        const transaction = new Transaction({
-          userId: bet.userId,
-          type: 'win',
-          amount: bet.payout,
-          description: `Won $${bet.payout} from ${bet.betType} bet on ${bet.betValue} (Game #${game.gameNumber})`,
-          status: 'approved'
-        });
-        await transaction.save();
-      }
-    }
+// Check a leg against the paytable's bet types, the room's stake limits and
+// the stake limits for its bet type. Returns an error message, or null if the
+// leg is valid.
+const validateLeg = (leg, room, paytable, settings) => {
+  const betType = paytable.betTypes.find((entry) => entry.type === leg.betType);
+  if (!betType) {
+    return 'Invalid bet type';
+  }
+  if (!findOption(paytable, leg.betType, leg.betValue)) {
+    return `Invalid value for ${leg.betType} bet`;
+  }
+  if (leg.amount < room.minBet || leg.amount > room.maxBet) {
+    return `Bet must be between $${room.minBet} and $${room.maxBet} in this room`;
+  }
 
-    console.log(`Processed ${bets.length} bets for game #${game.gameNumber}`);
-  } catch (error) {
-    console.error('Error ending game and processing bets:', error);
-    throw error;
+  const stakeLimit = settings.betTypeLimits.find((entry) => entry.betType === leg.betType);
+  if (stakeLimit) {
+    const { minStake, maxStake } = stakeLimit;
+    if ((minStake !== null && leg.amount < minStake) || (maxStake !== null && leg.amount > maxStake)) {
+      return `${betType.label} bets must be ${describeStakeRange(minStake, maxStake)}`;
+    }
   }
-}
+  return null;
+};
 
-// Place bet
-router.post('/bet', auth, async (req, res) => {
+// Place a bet slip. Every leg is accepted or the whole slip is rejected.
+router.post('/bet', auth, validate(schemas.placeBet), async (req, res) => {
   try {
-    const { gameId, betType, betValue, amount } = req.body;
+    const { gameId, legs } = req.body;
 
     // Validate game
     const game = await Game.findById(gameId);
@@ -227,92 +220,232 @@ router.post('/bet', auth, async (req, res) => {
       return res.status(400).json({ error: 'Game is not accepting bets' });
     }
 
-    // Check if user already has a bet for this game
-    const existingBet = await Bet.findOne({ userId: req.user._id, gameId });
-    if (existingBet) {
-      return res.status(400).json({ error: 'You have already placed a bet for this game' });
+    // Each room sets its own stake limits
+    const room = await Room.findOne({ slug: game.room });
+    if (!room || !room.isActive) {
+      return res.status(400).json({ error: 'Game is not accepting bets' });
     }
 
-    // Check wallet balance
-    const wallet = await Wallet.findOne({ userId: req.user._id });
-    if (!wallet || wallet.balance < amount) {
-      return res.status(400).json({ error: 'Insufficient balance' });
+    // The whole slip is placed under the paytable in force right now
+    const paytable = await getActivePaytable();
+    const settings = await AdminSettings.findOne() || new AdminSettings();
+    for (const [index, leg] of legs.entries()) {
+      const legError = validateLeg(leg, room, paytable, settings);
+      if (legError) {
+        return res.status(400).json({ error: legs.length > 1 ? `Leg ${index + 1}: ${legError}` : legError });
+      }
     }
 
-    // Create bet
-    const bet = new Bet({
-      userId: req.user._id,
-      gameId,
-      betType,
-      betValue,
-      amount
-    });
-    await bet.save();
-
-    // Update wallet balance
-    wallet.balance -= amount;
-    await wallet.save();
-
-    // Create transaction
-    const transaction = new Transaction({
-      userId: req.user._id,
-      type: 'bet',
-      amount: -amount,
-      description: `Bet $${amount} on ${betType}: ${betValue} (Game #${game.gameNumber})`,
-      status: 'approved'
+    const slipId = new mongoose.Types.ObjectId();
+    const slipStake = legs.reduce((sum, leg) => sum + leg.amount, 0);
+    let bets = [];
+
+    await mongoose.connection.transaction(async (session) => {
+      // Start over if the transaction is retried
+      bets = [];
+      // Writing to the round makes concurrent bets on it, and the round
+      // ending, conflict with this transaction instead of racing it
+      const openGame = await Game.findOneAndUpdate(
+        { _id: gameId, status: 'betting' },
+        { $inc: { betCount: legs.length } },
+        { new: true, session }
+      );
+      if (!openGame) {
+        throw betRejectedError('Game is not accepting bets');
+      }
+
+      // Per-round exposure limits, counting the player's earlier slips on this round
+      const [placed] = await Bet.aggregate([
+        { $match: { userId: req.user._id, gameId: openGame._id } },
+        { $group: { _id: null, stake: { $sum: '$amount' }, legs: { $sum: 1 } } }
+      ]).session(session);
+
+      if ((placed?.legs || 0) + legs.length > room.maxLegsPerRound) {
+        throw betRejectedError(`You can place at most ${room.maxLegsPerRound} bets per round in this room`);
+      }
+      if ((placed?.stake || 0) + slipStake > room.maxStakePerRound) {
+        throw betRejectedError(`You can stake at most $${room.maxStakePerRound} per round in this room`);
+      }
+
+      // The house's exposure across every player's bets on the round
+      if (settings.maxRoundLiability !== null) {
+        const worstCase = await liability.getWorstCaseWith(openGame._id, legs, paytable, session);
+        if (worstCase > settings.maxRoundLiability) {
+          throw betRejectedError('This round has reached its maximum payout. Try a smaller stake or a different bet.');
+        }
+      }
+
+      // The player's own wager and loss limits, and any break they're taking
+      await responsibleGaming.checkBet(req.user, slipStake, session);
+
+      for (const leg of legs) {
+        // Create bet
+        const bet = new Bet({
+          userId: req.user._id,
+          gameId,
+          slipId,
+          betType: leg.betType,
+          betValue: leg.betValue,
+          amount: leg.amount,
+          paytableVersion: paytable.version,
+          fee: getCommission(paytable, leg.amount)
+        });
+        await bet.save({ session });
+
+        // Create transaction
+        const transaction = new Transaction({
+          userId: req.user._id,
+          type: 'bet',
+          amount: -leg.amount,
+          description: `Bet $${leg.amount} on ${leg.betType}: ${leg.betValue} (Game #${game.gameNumber})`,
+          status: 'approved'
+        });
+        await transaction.save({ session });
+
+        // Move the stake from the wallet to the house; fails if the wallet can't cover it
+        await ledger.postEntry({
+          type: 'bet',
+          description: transaction.description,
+          legs: ledger.transfer(ledger.userAccount(req.user._id), ledger.houseAccount(), leg.amount),
+          transactionId: transaction._id,
+          betId: bet._id,
+          gameId: game._id,
+          session
+        });
+
+        bets.push(bet);
+      }
     });
-    await transaction.save();
 
-    res.json({ message: 'Bet placed successfully', bet });
+    await realtime.emitWalletUpdate(req.user._id);
+    realtime.emitAdminStatsChanged();
+
+    await risk.recordActivity(req.user._id, req, 'bet');
+    await risk.checkOppositeBets(req.user._id, game._id);
+
+    res.json({ message: legs.length > 1 ? 'Bets placed successfully' : 'Bet placed successfully', slipId, bets });
   } catch (error) {
+    if (error.name === 'BetRejectedError' || error.name === 'LimitError') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.name === 'ExclusionError') {
+      return res.status(403).json({ error: error.message, excluded: true });
+    }
+    if (error.name === 'InsufficientBalanceError') {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
     console.error('Place bet error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get user's bet for current game
-router.get('/current-bet', auth, async (req, res) => {
+// Get user's bets for the current game in a room
+router.get('/current-bet', auth, validate(schemas.roomQuery), async (req, res) => {
   try {
+    const room = await resolveRoom(req.query.room);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
     const currentGame = await Game.findOne({ 
-      status: { $in: ['waiting', 'betting', 'completed'] } 
+      room: room.slug,
+      status: { $in: ['waiting', 'betting', 'completed', 'voided'] } 
     }).sort({ createdAt: -1 });
 
     if (!currentGame) {
-      return res.json({ bet: null, game: null });
+      return res.json({ bets: [], game: null });
     }
 
-    const bet = await Bet.findOne({ 
+    const bets = await Bet.find({ 
       userId: req.user._id, 
       gameId: currentGame._id 
-    });
+    }).sort({ createdAt: 1 });
 
-    res.json({ bet, game: currentGame });
+    res.json({ bets, game: currentGame });
   } catch (error) {
     console.error('Get current bet error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get user's recent bets
-router.get('/user-bets', auth, async (req, res) => {
+// Get the user's bets, newest first, a page at a time
+router.get('/user-bets', auth, validate(schemas.userBets), async (req, res) => {
   try {
-    const bets = await Bet.find({ userId: req.user._id })
-      .populate('gameId')
-      .sort({ createdAt: -1 })
-      .limit(20);
+    const { betType, result, ...page } = req.query;
+    const filter = { userId: req.user._id, ...createdBetween(page) };
+    if (betType) filter.betType = betType;
+    if (result) filter.result = result;
+
+    const { items, nextCursor } = await paginate(Bet.find(filter).populate('gameId'), page);
 
-    res.json({ bets });
+    res.json({ bets: items, nextCursor });
   } catch (error) {
     console.error('Get user bets error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Admin: Create new game
-router.post('/create', adminAuth, async (req, res) => {
+// Verify a completed round's result against its committed seeds
+router.get('/:id/verify', validate({ params: idParams }), async (req, res) => {
   try {
-    const game = await createNewGameSafely();
+    const game = await Game.findById(req.params.id).select('+serverSeed');
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const verification = {
+      gameId: game._id,
+      gameNumber: game.gameNumber,
+      status: game.status,
+      serverSeedHash: game.serverSeedHash,
+      clientSeed: game.clientSeed,
+      algorithm: 'HMAC-SHA256(serverSeed, clientSeed:gameNumber)'
+    };
+
+    // Never reveal the seed of a round that can still take bets
+    if (game.status !== 'completed') {
+      return res.json({ verification });
+    }
+
+    if (!game.serverSeed) {
+      return res.status(400).json({ error: 'This round was played before provably fair results were introduced' });
+    }
+
+    const computedResult = computeResult(game.serverSeed, game.clientSeed, game.gameNumber);
+
+    res.json({
+      verification: {
+        ...verification,
+        serverSeed: game.serverSeed,
+        resultNumber: game.resultNumber,
+        computedResult,
+        hashMatches: hashSeed(game.serverSeed) === game.serverSeedHash,
+        resultMatches: computedResult === game.resultNumber
+      }
+    });
+  } catch (error) {
+    console.error('Verify game error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: Create new game in a room
+router.post('/create', requirePermission('games:control'), validate(schemas.roomBody), async (req, res) => {
+  try {
+    const room = await resolveRoom(req.body.room);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const game = await createNewGameSafely(room);
     if (game) {
+      await recordAudit(req, {
+        action: 'game.create',
+        targetType: 'game',
+        targetId: game._id,
+        after: snapshot(game, ['room', 'gameNumber', 'status'])
+      });
+
       res.json({ message: 'Game created successfully', game });
     } else {
       res.status(400).json({ error: 'Failed to create game' });
@@ -324,43 +457,101 @@ router.post('/create', adminAuth, async (req, res) => {
 });
 
 // Admin: End game
-router.put('/:id/end', adminAuth, async (req, res) => {
+router.put('/:id/end', requirePermission('games:control'), validate({ params: idParams }), async (req, res) => {
   try {
     const game = await Game.findById(req.params.id);
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
 
+    if (game.status === 'voided') {
+      return res.status(400).json({ error: 'Game was voided' });
+    }
+
+    // A completed round can only be ended again to finish an interrupted settlement
     if (game.status === 'completed') {
-      return res.status(400).json({ error: 'Game is already completed' });
+      const pendingBets = await Bet.countDocuments({ gameId: game._id, result: 'pending' });
+      if (pendingBets === 0) {
+        return res.status(400).json({ error: 'Game is already completed' });
+      }
     }
 
+    const before = snapshot(game, ['status', 'resultNumber']);
     await endGameAndProcessBets(game);
 
-    res.json({ message: 'Game ended successfully', game });
+    const ended = await Game.findById(game._id);
+    await recordAudit(req, {
+      action: 'game.end',
+      targetType: 'game',
+      targetId: game._id,
+      before,
+      after: snapshot(ended, ['status', 'resultNumber'])
+    });
+
+    res.json({ message: 'Game ended successfully', game: ended });
   } catch (error) {
     console.error('End game error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Admin: Start continuous games
-router.post('/start-continuous', adminAuth, async (req, res) => {
+// Admin: Void a round and refund its stakes, without settling a result
+router.put('/:id/void', requirePermission('games:control'), validate(schemas.voidGame), async (req, res) => {
   try {
-    // Enable continuous games
-    continuousGamesEnabled = true;
-    
-    // End any current games first
-    await Game.updateMany(
-      { status: { $in: ['waiting', 'betting'] } },
-      { status: 'completed', endTime: new Date() }
-    );
+    const game = await Game.findById(req.params.id);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    if (game.status === 'voided') {
+      return res.status(400).json({ error: 'Game is already voided' });
+    }
+    if (game.status === 'completed' && game.resultNumber !== null) {
+      return res.status(400).json({ error: 'Cannot void a game that has a result' });
+    }
+
+    const before = snapshot(game, ['status', 'voidReason']);
+    const voided = await voidRound(game, req.body.reason || null);
+    if (!voided) {
+      return res.status(409).json({ error: 'The game ended before it could be voided' });
+    }
 
-    // Start game monitoring
-    startGameMonitoring();
+    await recordAudit(req, {
+      action: 'game.void',
+      targetType: 'game',
+      targetId: game._id,
+      before,
+      after: snapshot(voided, ['status', 'voidReason'])
+    });
 
-    // Create first game
-    const game = await createNewGameSafely();
+    res.json({ message: 'Game voided and stakes refunded', game: voided });
+  } catch (error) {
+    console.error('Void game error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: Start continuous games in a room
+router.post('/start-continuous', requirePermission('games:control'), validate(schemas.roomBody), async (req, res) => {
+  try {
+    const room = await resolveRoom(req.body.room);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    // Enable continuous games; the scheduler keeps them running across restarts
+    await setContinuousEnabled(room, true);
+
+    await recordAudit(req, {
+      action: 'room.start_continuous',
+      targetType: 'room',
+      targetId: room.slug,
+      before: { continuousEnabled: room.continuousEnabled },
+      after: { continuousEnabled: true }
+    });
+    
+    // A round already open carries on and is settled as usual; otherwise open one
+    const game = await createNewGameSafely(room);
     
     if (game) {
       res.json({ message: 'Continuous games started', game });
@@ -373,25 +564,27 @@ router.post('/start-continuous', adminAuth, async (req, res) => {
   }
 });
 
-// Admin: Stop continuous games
-router.post('/stop-continuous', adminAuth, async (req, res) => {
+// Admin: Stop continuous games in a room
+router.post('/stop-continuous', requirePermission('games:control'), validate(schemas.roomBody), async (req, res) => {
   try {
-    // Disable continuous games
-    continuousGamesEnabled = false;
-    
-    // Clear intervals
-    if (gameCheckInterval) {
-      clearInterval(gameCheckInterval);
-      gameCheckInterval = null;
+    const room = await resolveRoom(req.body.room);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
     }
-    
-    if (gameCreationTimeout) {
-      clearTimeout(gameCreationTimeout);
-      gameCreationTimeout = null;
-    }
-    
-    // End all active games
-    const activeGames = await Game.find({ status: { $in: ['waiting', 'betting'] } });
+
+    // Disable continuous games
+    await setContinuousEnabled(room, false);
+
+    await recordAudit(req, {
+      action: 'room.stop_continuous',
+      targetType: 'room',
+      targetId: room.slug,
+      before: { continuousEnabled: room.continuousEnabled },
+      after: { continuousEnabled: false }
+    });
+
+    // End the room's active games
+    const activeGames = await Game.find({ room: room.slug, status: { $in: ['waiting', 'betting'] } });
     
     for (const game of activeGames) {
       await endGameAndProcessBets(game);
@@ -405,44 +598,34 @@ router.post('/stop-continuous', adminAuth, async (req, res) => {
 });
 
 // Get continuous games status
-router.get('/continuous-status', adminAuth, async (req, res) => {
+router.get('/continuous-status', requirePermission('games:control'), async (req, res) => {
   try {
-    res.json({ 
-      enabled: continuousGamesEnabled,
-      creationInProgress: gameCreationInProgress
-    });
+    res.json(await getSchedulerStatus());
   } catch (error) {
     console.error('Get continuous status error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Admin: Fix game result
-router.put('/:id/fix', adminAuth, async (req, res) => {
+// Admin: What the house would pay out on each result of a round
+router.get('/:id/liability', requirePermission('games:control'), validate({ params: idParams }), async (req, res) => {
   try {
-    const { fixedResult } = req.body;
-    
     const game = await Game.findById(req.params.id);
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
 
-    if (game.status === 'completed') {
-      return res.status(400).json({ error: 'Cannot fix result of completed game' });
-    }
-
-    game.isFixed = true;
-    game.fixedResult = fixedResult;
-    await game.save();
-
-    res.json({ message: 'Game result fixed successfully', game });
+    const settings = await AdminSettings.findOne();
+    res.json({
+      gameId: game._id,
+      gameNumber: game.gameNumber,
+      maxRoundLiability: settings?.maxRoundLiability ?? null,
+      ...await liability.getRoundLiability(game._id)
+    });
   } catch (error) {
-    console.error('Fix game error:', error);
+    console.error('Get liability error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Start monitoring when module loads
-startGameMonitoring();
-
 module.exports = router;
\ No newline at end of file
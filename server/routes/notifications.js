@@ -0,0 +1,45 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/notifications');
+const notifications = require('../services/notifications');
+
+const router = express.Router();
+
+// The player's notifications, newest first, with the unread count for the bell
+router.get('/', auth, validate(schemas.list), async (req, res) => {
+  try {
+    res.json(await notifications.listNotifications(req.user._id, req.query));
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark every notification read
+router.patch('/', auth, validate(schemas.markAllRead), async (req, res) => {
+  try {
+    const updated = await notifications.markAllRead(req.user._id);
+    res.json({ message: 'All notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark one notification read or unread
+router.patch('/:id', auth, validate(schemas.markRead), async (req, res) => {
+  try {
+    const notification = await notifications.markRead(req.user._id, req.params.id, req.body.read);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/responsibleGaming');
+const responsibleGaming = require('../services/responsibleGaming');
+
+const router = express.Router();
+
+// Get the player's limits, how much of each is used, and any break in force
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await responsibleGaming.getStatus(req.user._id));
+  } catch (error) {
+    console.error('Get responsible gaming error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set deposit, loss and wager limits. Lowering applies at once; raising or
+// removing a limit only takes effect after a delay.
+router.put('/limits', auth, validate(schemas.updateLimits), async (req, res) => {
+  try {
+    const changes = [];
+    for (const [kind, periods] of Object.entries(req.body)) {
+      for (const [period, amount] of Object.entries(periods || {})) {
+        if (amount !== undefined) {
+          changes.push({ kind, period, amount });
+        }
+      }
+    }
+
+    await responsibleGaming.updateLimits(req.user._id, changes);
+
+    res.json({
+      message: 'Limits updated',
+      ...await responsibleGaming.getStatus(req.user._id)
+    });
+  } catch (error) {
+    console.error('Update limits error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remind the player how long they've been playing, every so many minutes
+router.put('/reminder', auth, validate(schemas.sessionReminder), async (req, res) => {
+  try {
+    const { minutes } = req.body;
+    await responsibleGaming.setSessionReminder(req.user._id, minutes);
+
+    res.json({
+      message: minutes ? `You'll be reminded every ${minutes} minutes` : 'Session reminders turned off',
+      sessionReminderMinutes: minutes
+    });
+  } catch (error) {
+    console.error('Update session reminder error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Take a cool-off or self-exclude. Betting and deposits stay blocked until it
+// ends, and it can't be cut short.
+router.post('/exclusion', auth, validate(schemas.startExclusion), async (req, res) => {
+  try {
+    const { type, days } = req.body;
+    const until = await responsibleGaming.startExclusion(req.user._id, type, days);
+
+    res.json({
+      message: type === 'self_exclusion' ? 'Self-exclusion started' : 'Cool-off started',
+      exclusion: { type, until }
+    });
+  } catch (error) {
+    if (error.name === 'LimitError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Start exclusion error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
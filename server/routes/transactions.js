@@ -1,35 +1,161 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
-const { auth } = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const ledger = require('../services/ledger');
+const realtime = require('../services/realtime');
+const twoFactor = require('../services/twoFactor');
+const responsibleGaming = require('../services/responsibleGaming');
+const { uploadImage } = require('../middleware/upload');
+const storage = require('../services/storage');
+const depositChecks = require('../services/depositChecks');
+const risk = require('../services/risk');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/transactions');
 
 const router = express.Router();
 
 // Create deposit request
-router.post('/deposit', auth, upload.single('screenshot'), async (req, res) => {
+// The multipart body is only parsed by the upload, so validation runs after it
+router.post('/deposit', auth, requireVerifiedEmail, uploadImage('screenshot'), validate(schemas.deposit), async (req, res) => {
   try {
-    const { amount } = req.body;
+    const { amount, utr } = req.body;
     
     if (!req.file) {
       return res.status(400).json({ error: 'Screenshot is required' });
     }
 
-    const transaction = new Transaction({
-      userId: req.user._id,
-      type: 'pending_deposit',
-      amount: parseFloat(amount),
-      description: `Deposit request of $${amount}`,
-      status: 'pending',
-      screenshotUrl: req.file.path
-    });
+    await responsibleGaming.checkDeposit(req.user, amount);
+    await depositChecks.checkReference(utr);
+
+    // A screenshot seen before doesn't stop the deposit, but is flagged for review
+    const hashes = await depositChecks.hashScreenshot(req.file);
+    const riskFlags = await depositChecks.screenshotFlags(req.user._id, hashes);
+
+    // Stored only once the request has passed every check
+    const screenshot = await storage.saveImage(req.file, 'deposits');
+
+    let transaction;
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        // Checked again now that a concurrent deposit can't pass it at the same time
+        await responsibleGaming.checkDeposit(req.user, amount, session);
+
+        transaction = new Transaction({
+          userId: req.user._id,
+          type: 'pending_deposit',
+          amount,
+          description: `Deposit request of $${amount}`,
+          status: 'pending',
+          screenshot,
+          utr,
+          ...hashes,
+          riskFlags
+        });
+        await transaction.save({ session });
+
+        // Hold the claimed amount in the user's pending deposit account
+        await ledger.postEntry({
+          type: 'deposit_request',
+          description: transaction.description,
+          legs: ledger.transfer(
+            ledger.houseAccount(),
+            ledger.pendingDepositAccount(req.user._id),
+            transaction.amount
+          ),
+          transactionId: transaction._id,
+          session
+        });
+      });
+    } catch (error) {
+      // Nothing refers to the screenshot if the request wasn't recorded
+      await storage.deleteImage(screenshot).catch((deleteError) => {
+        console.error('Delete deposit screenshot error:', deleteError);
+      });
+      throw error;
+    }
 
-    await transaction.save();
+    realtime.emitAdminStatsChanged();
 
     res.json({ message: 'Deposit request submitted successfully', transaction });
   } catch (error) {
+    if (error.name === 'LimitError') {
+      return res.status(400).json({ error: error.message, fields: { amount: error.message } });
+    }
+    if (error.name === 'ExclusionError') {
+      return res.status(403).json({ error: error.message, excluded: true });
+    }
+    // Also raised by the unique index when two deposits race on one reference
+    if (error.name === 'DuplicateReferenceError' || (error.code === 11000 && error.keyPattern?.utr)) {
+      const message = 'This reference number has already been used for a deposit';
+      return res.status(400).json({ error: message, fields: { utr: message } });
+    }
     console.error('Create deposit error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Create withdrawal request; the amount is held until an admin pays it out
+router.post('/withdraw', auth, requireVerifiedEmail, validate(schemas.withdraw), async (req, res) => {
+  try {
+    const { amount: withdrawAmount, method, upiId, accountHolder, accountNumber, ifsc, twoFactorCode } = req.body;
+
+    // Players can ask for every withdrawal to be confirmed with their second factor
+    if (req.user.twoFactor.requireForWithdrawals) {
+      if (!twoFactorCode) {
+        return res.status(403).json({ error: 'Enter your two-factor code to withdraw', twoFactorRequired: true });
+      }
+      if (!await twoFactor.verify(req.user._id, twoFactorCode)) {
+        return res.status(400).json({
+          error: 'Invalid two-factor code',
+          fields: { twoFactorCode: 'Invalid two-factor code' }
+        });
+      }
+    }
+
+    const payoutDetails = method === 'upi'
+      ? { method, upiId }
+      : { method, accountHolder, accountNumber, ifsc };
+
+    let transaction;
+    await mongoose.connection.transaction(async (session) => {
+      transaction = new Transaction({
+        userId: req.user._id,
+        type: 'pending_withdrawal',
+        amount: withdrawAmount,
+        description: `Withdrawal request of $${withdrawAmount}`,
+        status: 'pending',
+        payoutDetails
+      });
+      await transaction.save({ session });
+
+      // Move the amount from the balance onto hold; fails if the wallet can't cover it
+      await ledger.postEntry({
+        type: 'withdrawal_request',
+        description: transaction.description,
+        legs: ledger.transfer(
+          ledger.userAccount(req.user._id),
+          ledger.pendingWithdrawalAccount(req.user._id),
+          withdrawAmount
+        ),
+        transactionId: transaction._id,
+        session
+      });
+    });
+
+    await realtime.emitWalletUpdate(req.user._id);
+    realtime.emitAdminStatsChanged();
+
+    await risk.checkWithdrawal(req.user._id, transaction);
+
+    res.json({ message: 'Withdrawal request submitted successfully', transaction });
+  } catch (error) {
+    if (error.name === 'InsufficientBalanceError') {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+    console.error('Create withdrawal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
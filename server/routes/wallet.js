@@ -2,7 +2,12 @@ const express = require('express');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const Bet = require('../models/Bet');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/wallet');
+const { paginate, createdBetween } = require('../services/pagination');
+const { getStatement, statementCsv, statementPdf } = require('../services/statements');
 
 const router = express.Router();
 
@@ -23,20 +28,48 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Get transactions
-router.get('/transactions', auth, async (req, res) => {
+// Get the user's transactions, newest first, a page at a time
+router.get('/transactions', auth, validate(schemas.transactions), async (req, res) => {
   try {
-    const transactions = await Transaction.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(20);
+    const { type, status, ...page } = req.query;
+    const filter = { userId: req.user._id, ...createdBetween(page) };
+    if (type) filter.type = { $in: type };
+    if (status) filter.status = status;
 
-    res.json({ transactions });
+    const { items, nextCursor } = await paginate(Transaction.find(filter), page);
+
+    res.json({ transactions: items, nextCursor });
   } catch (error) {
     console.error('Get transactions error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+const fileDate = (date) => date.toISOString().slice(0, 10);
+
+// Download a statement of the wallet balance over a date range, as CSV or PDF
+router.get('/statement', auth, validate(schemas.statement), async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    const statement = await getStatement(req.user._id, { from, to });
+    const filename = `statement-${fileDate(from)}-to-${fileDate(to)}.${format}`;
+
+    if (format === 'pdf') {
+      const user = await User.findById(req.user._id).select('username email');
+      res.type('application/pdf');
+      res.attachment(filename);
+      return res.send(statementPdf(statement, user));
+    }
+
+    res.type('text/csv');
+    res.attachment(filename);
+    res.send(statementCsv(statement));
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user statistics
 router.get('/stats', auth, async (req, res) => {
   try {
@@ -69,24 +102,4 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
-// Update wallet balance (internal use)
-router.put('/balance', auth, async (req, res) => {
-  try {
-    const { amount } = req.body;
-    
-    const wallet = await Wallet.findOne({ userId: req.user._id });
-    if (!wallet) {
-      return res.status(404).json({ error: 'Wallet not found' });
-    }
-
-    wallet.balance = Math.max(0, amount);
-    await wallet.save();
-
-    res.json({ wallet });
-  } catch (error) {
-    console.error('Update balance error:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
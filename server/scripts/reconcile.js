@@ -0,0 +1,53 @@
+require('dotenv').config();
+const ledger = require('../services/ledger');
+
+const connectDB = require('../config/database');
+
+// Usage: node scripts/reconcile.js [--opening-balances]
+// --opening-balances posts an opening entry for wallets that predate the
+// ledger (no entries yet) so their existing balance is carried over
+const reconcile = async () => {
+  try {
+    await connectDB();
+
+    const postOpeningBalances = process.argv.includes('--opening-balances');
+    let report = await ledger.reconcileWallets();
+
+    if (postOpeningBalances) {
+      const unopened = report.mismatches.filter((mismatch) => mismatch.field === 'balance' && mismatch.ledgerEntries === 0);
+
+      for (const mismatch of unopened) {
+        const userAccount = ledger.userAccount(mismatch.userId);
+        const amount = mismatch.storedBalance;
+
+        // The wallet already holds this balance, so only the ledger is written
+        await ledger.postEntry({
+          type: 'opening_balance',
+          description: `Opening balance of $${amount}`,
+          legs: amount > 0
+            ? ledger.transfer(ledger.houseAccount(), userAccount, amount)
+            : ledger.transfer(userAccount, ledger.houseAccount(), -amount),
+          applyToWallets: false
+        });
+      }
+
+      console.log(`Posted ${unopened.length} opening balances`);
+      report = await ledger.reconcileWallets();
+    }
+
+    console.log(`Checked ${report.walletsChecked} wallets, ${report.mismatches.length} mismatched`);
+    report.mismatches.forEach((mismatch) => {
+      console.log(
+        `${mismatch.email || mismatch.userId} ${mismatch.field}: stored $${mismatch.storedBalance}, ` +
+        `ledger $${mismatch.ledgerBalance} (difference $${mismatch.difference})`
+      );
+    });
+
+    process.exit(report.mismatches.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    process.exit(1);
+  }
+};
+
+reconcile();
@@ -4,6 +4,8 @@ const User = require('../models/User');
 const Wallet = require('../models/Wallet');
 const AdminSettings = require('../models/AdminSettings');
 const Game = require('../models/Game');
+const { DEFAULT_ROOMS, ensureRooms } = require('../services/rooms');
+const { ensurePaytable } = require('../services/paytable');
 
 const connectDB = require('../config/database');
 
@@ -19,17 +21,23 @@ const seedDatabase = async () => {
       const settings = new AdminSettings({
         qrCodeUrl: 'https://via.placeholder.com/200x200?text=Payment+QR+Code',
         headerBannerText: 'Welcome to ColorBet Casino!',
-        headerBannerActive: true,
-        gameDuration: 60
+        headerBannerActive: true
       });
       await settings.save();
       console.log('Admin settings created');
     }
 
+    // Create the default rooms
+    await ensureRooms();
+
+    // Create the first paytable
+    await ensurePaytable();
+
     // Create initial game
     const existingGame = await Game.findOne();
     if (!existingGame) {
       const game = new Game({
+        room: DEFAULT_ROOMS[0].slug,
         gameNumber: 1,
         status: 'waiting',
         startTime: new Date(Date.now() + 10000)
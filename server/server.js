@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,6 +8,11 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/database');
+const { initRealtime } = require('./services/realtime');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+const { startBlockExpiry, stopBlockExpiry } = require('./services/blocks');
+const { verifyExistingAccounts } = require('./services/accountEmails');
+const { bandExistingScreenshots } = require('./services/depositChecks');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -14,12 +20,12 @@ const walletRoutes = require('./routes/wallet');
 const gameRoutes = require('./routes/games');
 const adminRoutes = require('./routes/admin');
 const transactionRoutes = require('./routes/transactions');
+const responsibleGamingRoutes = require('./routes/responsibleGaming');
+const fileRoutes = require('./routes/files');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 
-// Connect to database
-connectDB();
-
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -32,10 +38,12 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // CORS
+const corsOrigins = process.env.NODE_ENV === 'production' 
+  ? ['https://your-domain.com'] 
+  : ['http://localhost:5173', 'http://localhost:3000'];
+
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://your-domain.com'] 
-    : ['http://localhost:5173', 'http://localhost:3000'],
+  origin: corsOrigins,
   credentials: true
 }));
 
@@ -54,6 +62,9 @@ app.use('/api/wallet', walletRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/responsible-gaming', responsibleGamingRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -73,6 +84,30 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Socket.IO shares the HTTP server with the REST API
+const server = http.createServer(app);
+initRealtime(server, corsOrigins);
+
+// Connect to database and bring existing accounts up to date before taking
+// requests (saving an old account first would store it as unverified), then
+// start driving game rounds and lifting temporary blocks
+connectDB().then(async () => {
+  await verifyExistingAccounts();
+  await bandExistingScreenshots();
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+  startScheduler();
+  startBlockExpiry();
+});
+
+// Release the scheduler lease on shutdown so another instance takes over at once
+const shutdown = async () => {
+  stopBlockExpiry();
+  await stopScheduler();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { signToken, readToken } = require('../utils/signedToken');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+const VERIFY_EMAIL_TTL = '24h';
+const PASSWORD_RESET_TTL = '1h';
+
+// Ties a reset token to the current password hash, so the link stops
+// working once it has been used (or the password changed some other way)
+const passwordFingerprint = (user) => crypto
+  .createHash('sha256')
+  .update(user.password)
+  .digest('hex')
+  .slice(0, 16);
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const link = (page, token) => `${APP_URL}/${page}?token=${encodeURIComponent(token)}`;
+
+async function sendVerificationEmail(user) {
+  const token = signToken('verify_email', { userId: user._id, email: user.email }, VERIFY_EMAIL_TTL);
+  const url = link('verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your ColorBet email',
+    text: `Hi ${user.username},\n\nConfirm your email address to start depositing:\n${url}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address to start depositing:</p><p><a href="${url}">Verify email</a></p><p>This link expires in 24 hours.</p>`
+  });
+}
+
+// The user and email a verification token was issued for, or null
+const readVerificationToken = (token) => {
+  const decoded = readToken('verify_email', token);
+  return decoded && { userId: decoded.userId, email: decoded.email };
+};
+
+async function sendPasswordResetEmail(user) {
+  const token = signToken('password_reset', {
+    userId: user._id,
+    fingerprint: passwordFingerprint(user)
+  }, PASSWORD_RESET_TTL);
+  const url = link('reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your ColorBet password',
+    text: `Hi ${user.username},\n\nReset your password here:\n${url}\n\nThis link expires in 1 hour. If you didn't ask for it, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${url}">Reset your password</a></p><p>This link expires in 1 hour. If you didn't ask for it, you can ignore this email.</p>`
+  });
+}
+
+// The user a reset token was issued for, or null if the token is invalid,
+// expired or already used
+async function findPasswordResetUser(token) {
+  const decoded = readToken('password_reset', token);
+  if (!decoded) return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user || decoded.fingerprint !== passwordFingerprint(user)) return null;
+  return user;
+}
+
+// Accounts from before email verification existed have no emailVerified
+// field. They signed up without being asked to verify, so count them as
+// verified rather than locking them out of deposits and withdrawals.
+async function verifyExistingAccounts() {
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: null } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+    }
+  } catch (error) {
+    console.error('Verify existing accounts error:', error);
+  }
+}
+
+module.exports = {
+  verifyExistingAccounts,
+  sendVerificationEmail,
+  readVerificationToken,
+  sendPasswordResetEmail,
+  findPasswordResetUser
+};
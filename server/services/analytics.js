@@ -0,0 +1,121 @@
+const Bet = require('../models/Bet');
+const Game = require('../models/Game');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const INTERVALS = {
+  hour: { step: HOUR, format: '%Y-%m-%dT%H:00:00.000Z' },
+  day: { step: DAY, format: '%Y-%m-%dT00:00:00.000Z' }
+};
+
+const RESULT_NUMBERS = Array.from({ length: 10 }, (_, i) => i);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+
+// The start of every bucket from `from` to `to` as an ISO string (UTC), matching
+// what `$dateToString` gives for the bucket in the pipelines below
+const bucketTimes = (from, to, step) => {
+  const times = [];
+  for (let time = Math.floor(from.getTime() / step) * step; time <= to.getTime(); time += step) {
+    times.push(new Date(time).toISOString());
+  }
+  return times;
+};
+
+// Time series for the admin dashboard over a date range, in hourly or daily
+// buckets (UTC), plus how often each digit came up. GGR is settled stakes
+// minus payouts; stakes refunded on a voided round are left out throughout.
+async function getAnalytics({ from, to, interval }) {
+  const { step, format } = INTERVALS[interval];
+  const bucket = (field) => ({ $dateToString: { format, date: field } });
+  const inRange = { $gte: from, $lte: to };
+  const betMatch = { createdAt: inRange, result: { $ne: 'refunded' } };
+  const settled = { $in: ['$result', ['win', 'loss']] };
+
+  const bets = await Bet.aggregate([
+    { $match: betMatch },
+    {
+      $group: {
+        _id: bucket('$createdAt'),
+        players: { $addToSet: '$userId' },
+        bets: { $sum: 1 },
+        stakes: { $sum: '$amount' },
+        settledStakes: sumIf(settled, '$amount'),
+        payouts: sumIf({ $eq: ['$result', 'win'] }, '$payout')
+      }
+    }
+  ]);
+
+  const deposits = await Transaction.aggregate([
+    { $match: { type: 'deposit', createdAt: inRange } },
+    { $group: { _id: bucket('$createdAt'), deposits: { $sum: '$amount' } } }
+  ]);
+
+  const registrations = await User.aggregate([
+    { $match: { createdAt: inRange } },
+    { $group: { _id: bucket('$createdAt'), registrations: { $sum: 1 } } }
+  ]);
+
+  const results = await Game.aggregate([
+    { $match: { status: 'completed', resultNumber: { $ne: null }, endTime: inRange } },
+    { $group: { _id: '$resultNumber', count: { $sum: 1 } } }
+  ]);
+
+  const activePlayers = await Bet.distinct('userId', betMatch);
+
+  const points = new Map(bucketTimes(from, to, step).map((time) => [time, {
+    time,
+    activePlayers: 0,
+    bets: 0,
+    stakes: 0,
+    payouts: 0,
+    ggr: 0,
+    deposits: 0,
+    registrations: 0
+  }]));
+
+  for (const { _id, players, settledStakes, ...totals } of bets) {
+    Object.assign(points.get(_id), totals, {
+      activePlayers: players.length,
+      ggr: settledStakes - totals.payouts
+    });
+  }
+  for (const { _id, ...totals } of [...deposits, ...registrations]) {
+    Object.assign(points.get(_id), totals);
+  }
+
+  const series = [...points.values()];
+  const totals = { activePlayers: activePlayers.length, bets: 0, stakes: 0, payouts: 0, ggr: 0, deposits: 0, registrations: 0 };
+  for (const point of series) {
+    for (const field of ['stakes', 'payouts', 'ggr', 'deposits']) {
+      point[field] = roundMoney(point[field]);
+      totals[field] = roundMoney(totals[field] + point[field]);
+    }
+    totals.bets += point.bets;
+    totals.registrations += point.registrations;
+  }
+
+  const counts = Object.fromEntries(results.map((result) => [result._id, result.count]));
+  const rounds = results.reduce((sum, result) => sum + result.count, 0);
+
+  return {
+    from,
+    to,
+    interval,
+    series,
+    totals,
+    distribution: {
+      rounds,
+      digits: RESULT_NUMBERS.map((number) => ({ number, count: counts[number] || 0 }))
+    }
+  };
+}
+
+module.exports = {
+  getAnalytics
+};
@@ -0,0 +1,48 @@
+const AuditLog = require('../models/AuditLog');
+const { getAdminRole } = require('../config/roles');
+const { paginate } = require('./pagination');
+
+const PAGE_SIZE = 50;
+
+// Plain copy of just the given fields, for before/after values
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+};
+
+// Record an action by the admin making the request. Pass the transaction
+// session to record it together with the change itself.
+async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null }, session = null) {
+  const [entry] = await AuditLog.create([{
+    actorId: req.user._id,
+    actorUsername: req.user.username,
+    actorRole: getAdminRole(req.user),
+    action,
+    targetType,
+    targetId: targetId === null ? null : String(targetId),
+    before,
+    after,
+    ip: req.ip || ''
+  }], { session });
+  return entry;
+}
+
+// Newest entries first, PAGE_SIZE at a time. Pass the previous page's
+// nextCursor as `before` to continue.
+async function listAudit({ action, targetType, targetId, actorId, before } = {}) {
+  const filter = {};
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (actorId) filter.actorId = actorId;
+
+  const { items, nextCursor } = await paginate(AuditLog.find(filter), { before, limit: PAGE_SIZE });
+  return { entries: items, nextCursor };
+}
+
+module.exports = {
+  snapshot,
+  recordAudit,
+  listAudit
+};
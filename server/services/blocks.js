@@ -0,0 +1,101 @@
+const User = require('../models/User');
+const UserBlock = require('../models/UserBlock');
+const { revokeUserSessions } = require('./sessions');
+const { notifyBlocked } = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+const EXPIRY_INTERVAL = 60 * 1000;
+
+let expiryTimer = null;
+
+// Sent with a 403 so the login screen can tell the player why, and for how long
+const blockNotice = (user) => ({
+  message: user.blockMessage || null,
+  until: user.blockedUntil || null
+});
+
+// Close the player's current block record, if any
+const endBlock = (userId, endReason, endedBy = null, endedAt = new Date()) => UserBlock.updateMany(
+  { userId, endedAt: null },
+  { endedAt, endReason, endedBy }
+);
+
+// Block a player, for durationHours or until an admin unblocks them, and sign
+// them out everywhere. Blocking someone already blocked replaces the old block.
+async function blockUser(user, admin, { reason = null, message = null, durationHours = null } = {}) {
+  const until = durationHours ? new Date(Date.now() + durationHours * HOUR) : null;
+
+  await endBlock(user._id, 'replaced', admin._id);
+  await UserBlock.create({ userId: user._id, blockedBy: admin._id, reason, message, until });
+
+  user.isBlocked = true;
+  user.blockReason = reason;
+  user.blockMessage = message;
+  user.blockedUntil = until;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'admin');
+  await notifyBlocked(user);
+}
+
+async function unblockUser(user, admin) {
+  await endBlock(user._id, 'unblocked', admin._id);
+
+  user.isBlocked = false;
+  user.blockReason = null;
+  user.blockMessage = null;
+  user.blockedUntil = null;
+  await user.save();
+}
+
+// Clear temporary blocks that have run out
+async function liftExpiredBlocks() {
+  try {
+    const expired = await User.find({ isBlocked: true, blockedUntil: { $ne: null, $lte: new Date() } })
+      .select('blockedUntil');
+
+    for (const user of expired) {
+      const result = await User.updateOne(
+        { _id: user._id, isBlocked: true, blockedUntil: user.blockedUntil },
+        { isBlocked: false, blockReason: null, blockMessage: null, blockedUntil: null }
+      );
+      if (result.modifiedCount > 0) {
+        await endBlock(user._id, 'expired', null, user.blockedUntil);
+      }
+    }
+  } catch (error) {
+    console.error('Lift expired blocks error:', error);
+  }
+}
+
+function startBlockExpiry() {
+  if (expiryTimer) return;
+  expiryTimer = setInterval(liftExpiredBlocks, EXPIRY_INTERVAL);
+  liftExpiredBlocks();
+}
+
+function stopBlockExpiry() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+// A player's blocks, newest first
+async function listBlocks(userId) {
+  return UserBlock.find({ userId })
+    .populate('blockedBy', 'username')
+    .populate('endedBy', 'username')
+    .sort({ _id: -1 })
+    .limit(100);
+}
+
+module.exports = {
+  blockNotice,
+  blockUser,
+  unblockUser,
+  liftExpiredBlocks,
+  startBlockExpiry,
+  stopBlockExpiry,
+  listBlocks
+};
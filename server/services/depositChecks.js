@@ -0,0 +1,121 @@
+const Transaction = require('../models/Transaction');
+const { exactHash, perceptualHash, hammingDistance, HASH_BANDS, hashBands } = require('../utils/imageHash');
+
+// Perceptual hashes at most this many bits apart count as the same picture.
+// Must stay below HASH_BANDS so a similar hash always shares a band.
+const SIMILAR_DISTANCE = 6;
+// How far back similar (rather than identical) screenshots are looked for
+const SIMILAR_LOOKBACK_DAYS = 180;
+const DAY = 24 * 60 * 60 * 1000;
+
+const depositError = (message) => {
+  const error = new Error(message);
+  error.name = 'DuplicateReferenceError';
+  return error;
+};
+
+// Hashes to store for an uploaded screenshot (checked by the upload middleware)
+async function hashScreenshot(file) {
+  const screenshotPhash = await perceptualHash(file.buffer);
+  return {
+    screenshotHash: exactHash(file.buffer),
+    screenshotPhash,
+    screenshotPhashBands: screenshotPhash ? hashBands(screenshotPhash) : undefined
+  };
+}
+
+// Deposits from before hashes were banded can't be found as similar until
+// their bands are filled in from the stored hash
+async function bandExistingScreenshots() {
+  try {
+    const result = await Transaction.updateMany(
+      { screenshotPhash: { $type: 'string' }, screenshotPhashBands: { $exists: false } },
+      [{
+        $set: {
+          screenshotPhashBands: {
+            $map: {
+              input: { $range: [0, HASH_BANDS] },
+              as: 'band',
+              in: {
+                $concat: [
+                  { $toString: '$$band' },
+                  ':',
+                  { $substrCP: ['$screenshotPhash', { $multiply: ['$$band', 2] }, 2] }
+                ]
+              }
+            }
+          }
+        }
+      }]
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Banded the screenshot hashes of ${result.modifiedCount} deposits`);
+    }
+  } catch (error) {
+    console.error('Band screenshot hashes error:', error);
+  }
+}
+
+// Throws if a deposit already used this payment reference
+async function checkReference(utr) {
+  if (await Transaction.exists({ utr })) {
+    throw depositError('This reference number has already been used for a deposit');
+  }
+}
+
+const FLAGS = {
+  rejected_screenshot: 'Matches the screenshot of a rejected deposit',
+  duplicate_screenshot: 'Same screenshot as a deposit by another account',
+  similar_screenshot: 'Looks like the screenshot of a deposit by another account',
+  reused_screenshot: "Same or similar screenshot as one of the player's earlier deposits"
+};
+
+// Flags for a new deposit whose screenshot matches earlier deposits: exact
+// copies at any time, similar pictures from the last SIMILAR_LOOKBACK_DAYS.
+// Only deposits sharing a hash band are candidates for the Hamming check.
+// One flag per kind, pointing at the latest match.
+async function screenshotFlags(userId, { screenshotHash, screenshotPhash }) {
+  const conditions = [{ screenshotHash }];
+  if (screenshotPhash) {
+    conditions.push({
+      screenshotPhashBands: { $in: hashBands(screenshotPhash) },
+      createdAt: { $gte: new Date(Date.now() - SIMILAR_LOOKBACK_DAYS * DAY) }
+    });
+  }
+
+  const earlier = await Transaction.find({ type: 'pending_deposit', $or: conditions })
+    .select('userId status screenshotHash screenshotPhash')
+    .sort({ _id: -1 })
+    .lean();
+
+  const flags = new Map();
+  for (const deposit of earlier) {
+    const exact = deposit.screenshotHash === screenshotHash;
+    if (!exact && !(screenshotPhash && deposit.screenshotPhash &&
+        hammingDistance(screenshotPhash, deposit.screenshotPhash) <= SIMILAR_DISTANCE)) {
+      continue;
+    }
+
+    let code;
+    if (deposit.status === 'rejected') code = 'rejected_screenshot';
+    else if (String(deposit.userId) === String(userId)) code = 'reused_screenshot';
+    else code = exact ? 'duplicate_screenshot' : 'similar_screenshot';
+
+    const flag = flags.get(code) || { code, transactionId: deposit._id, matches: 0 };
+    flag.matches++;
+    flags.set(code, flag);
+  }
+
+  return [...flags.values()].map(({ code, transactionId, matches }) => ({
+    code,
+    message: matches > 1 ? `${FLAGS[code]} (${matches} deposits)` : FLAGS[code],
+    transactionId
+  }));
+}
+
+module.exports = {
+  hashScreenshot,
+  bandExistingScreenshots,
+  checkReference,
+  screenshotFlags
+};
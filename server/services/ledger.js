@@ -0,0 +1,133 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+
+// Every account's balance is credits minus debits, so money moves from the
+// debited account to the credited one and all balances together sum to zero.
+// The wallet caches two of a player's accounts: 'user' as Wallet.balance and
+// 'pending_withdrawal' (funds on hold) as Wallet.heldBalance.
+const WALLET_FIELDS = {
+  user: 'balance',
+  pending_withdrawal: 'heldBalance'
+};
+
+const userAccount = (userId) => ({ account: 'user', userId });
+const pendingDepositAccount = (userId) => ({ account: 'pending_deposit', userId });
+const pendingWithdrawalAccount = (userId) => ({ account: 'pending_withdrawal', userId });
+const houseAccount = () => ({ account: 'house', userId: null });
+
+// Build the two legs moving `amount` from one account to another
+const transfer = (from, to, amount) => [
+  { ...from, debit: amount, credit: 0 },
+  { ...to, debit: 0, credit: amount }
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Append a journal entry and apply its legs to the cached wallet fields.
+// Debits only go through while the wallet can cover them; pass a session to
+// make the entry and the wallet updates one atomic write.
+const postEntry = async ({ applyToWallets = true, session = null, ...entryData }) => {
+  const entry = new LedgerEntry(entryData);
+  await entry.validate();
+
+  if (applyToWallets) {
+    const changes = new Map();
+    for (const leg of entry.legs) {
+      const field = WALLET_FIELDS[leg.account];
+      if (!field) continue;
+      const key = `${leg.userId}:${field}`;
+      const change = changes.get(key) || { userId: leg.userId, field, amount: 0 };
+      change.amount += leg.credit - leg.debit;
+      changes.set(key, change);
+    }
+
+    for (const { userId, field, amount } of changes.values()) {
+      if (amount === 0) continue;
+
+      const filter = amount < 0 ? { userId, [field]: { $gte: -amount } } : { userId };
+      const result = await Wallet.updateOne(filter, { $inc: { [field]: amount } }, { session });
+
+      if (amount < 0 && result.matchedCount === 0) {
+        const error = new Error('Insufficient balance');
+        error.name = 'InsufficientBalanceError';
+        throw error;
+      }
+    }
+  }
+
+  await entry.save({ session });
+  return entry;
+};
+
+// Sum of every wallet-backed account in the ledger, keyed by "userId:field"
+const getLedgerBalances = async () => {
+  const totals = await LedgerEntry.aggregate([
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': { $in: Object.keys(WALLET_FIELDS) } } },
+    {
+      $group: {
+        _id: { userId: '$legs.userId', account: '$legs.account' },
+        balance: { $sum: { $subtract: ['$legs.credit', '$legs.debit'] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(totals.map((total) => [
+    `${total._id.userId}:${WALLET_FIELDS[total._id.account]}`,
+    total
+  ]));
+};
+
+// Report every wallet field whose stored value disagrees with its ledger sum
+const reconcileWallets = async () => {
+  const ledgerBalances = await getLedgerBalances();
+  const wallets = await Wallet.find().lean();
+
+  const mismatches = [];
+  for (const wallet of wallets) {
+    const userId = wallet.userId.toString();
+
+    for (const field of Object.values(WALLET_FIELDS)) {
+      const ledger = ledgerBalances.get(`${userId}:${field}`);
+      const ledgerBalance = roundCents(ledger?.balance || 0);
+      const storedBalance = roundCents(wallet[field] || 0);
+
+      if (ledgerBalance !== storedBalance) {
+        mismatches.push({
+          walletId: wallet._id,
+          userId,
+          field,
+          storedBalance,
+          ledgerBalance,
+          difference: roundCents(storedBalance - ledgerBalance),
+          ledgerEntries: ledger?.entries || 0
+        });
+      }
+    }
+  }
+
+  const users = await User.find({ _id: { $in: mismatches.map((m) => m.userId) } }).select('email');
+  const emails = new Map(users.map((user) => [user._id.toString(), user.email]));
+  mismatches.forEach((mismatch) => {
+    mismatch.email = emails.get(mismatch.userId) || null;
+  });
+
+  return {
+    checkedAt: new Date(),
+    walletsChecked: wallets.length,
+    mismatches
+  };
+};
+
+module.exports = {
+  userAccount,
+  pendingDepositAccount,
+  pendingWithdrawalAccount,
+  houseAccount,
+  transfer,
+  postEntry,
+  getLedgerBalances,
+  reconcileWallets
+};
@@ -0,0 +1,73 @@
+const Bet = require('../models/Bet');
+const { getPaytable, findOption, getCommission } = require('./paytable');
+
+const RESULT_NUMBERS = Array.from({ length: 10 }, (_, i) => i);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Add what a stake pays on each result number it wins on
+const addPayouts = (payouts, option, netStake) => {
+  for (const number of option.numbers) {
+    payouts[number] += netStake * option.multiplier;
+  }
+};
+
+// Total the house would pay out on each result number for the bets already
+// on a round, plus any legs about to be placed under `paytable`
+async function getRoundPayouts(gameId, { legs = [], paytable = null, session = null } = {}) {
+  const groups = await Bet.aggregate([
+    { $match: { gameId } },
+    {
+      $group: {
+        _id: { version: '$paytableVersion', betType: '$betType', betValue: '$betValue' },
+        stake: { $sum: '$amount' },
+        netStake: { $sum: { $subtract: ['$amount', '$fee'] } }
+      }
+    }
+  ]).session(session);
+
+  const payouts = RESULT_NUMBERS.map(() => 0);
+  let totalStake = 0;
+
+  for (const group of groups) {
+    const placedUnder = await getPaytable(group._id.version);
+    const option = placedUnder && findOption(placedUnder, group._id.betType, group._id.betValue);
+    totalStake += group.stake;
+    if (option) {
+      addPayouts(payouts, option, group.netStake);
+    }
+  }
+
+  for (const leg of legs) {
+    totalStake += leg.amount;
+    addPayouts(payouts, findOption(paytable, leg.betType, leg.betValue), leg.amount - getCommission(paytable, leg.amount));
+  }
+
+  return { payouts, totalStake };
+}
+
+// The payout and house result for each possible outcome of a round
+async function getRoundLiability(gameId) {
+  const { payouts, totalStake } = await getRoundPayouts(gameId);
+
+  return {
+    totalStake: roundMoney(totalStake),
+    worstCase: roundMoney(Math.max(...payouts)),
+    outcomes: RESULT_NUMBERS.map((number) => ({
+      number,
+      payout: roundMoney(payouts[number]),
+      houseResult: roundMoney(totalStake - payouts[number])
+    }))
+  };
+}
+
+// The round's largest payout on any one result if these legs were placed
+async function getWorstCaseWith(gameId, legs, paytable, session = null) {
+  const { payouts } = await getRoundPayouts(gameId, { legs, paytable, session });
+  return roundMoney(Math.max(...payouts));
+}
+
+module.exports = {
+  getRoundLiability,
+  getWorstCaseWith
+};
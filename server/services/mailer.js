@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'ColorBet <no-reply@colorbet.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+// A transport delivers one message: { from, to, subject, text, html }.
+// Register another (e.g. an SMTP or API client) with registerTransport and
+// pick it with MAIL_TRANSPORT.
+const transports = {
+  // Print the message, for local development
+  console: {
+    async send(message) {
+      console.log([
+        '----- Email -----',
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '-----------------'
+      ].join('\n'));
+    }
+  },
+
+  // Write each message to MAIL_DIR, for tests and local testing
+  file: {
+    async send(message) {
+      await fs.mkdir(MAIL_DIR, { recursive: true });
+      const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const file = path.join(MAIL_DIR, `${Date.now()}-${slug}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  }
+};
+
+const registerTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must have a send(message) method`);
+  }
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail, registerTransport };
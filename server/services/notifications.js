@@ -0,0 +1,177 @@
+const Notification = require('../models/Notification');
+const Bet = require('../models/Bet');
+const realtime = require('./realtime');
+const { paginate } = require('./pagination');
+
+// A push transport delivers a notification outside the app:
+// send({ userId, title, message, link }). Register one (e.g. a web-push client
+// that keeps each player's subscriptions) with registerPushTransport and pick
+// it with PUSH_TRANSPORT. Without one, notifications are in-app only.
+const pushTransports = {
+  // Print the notification, for local development
+  console: {
+    async send(push) {
+      console.log(`Push to ${push.userId}: ${push.title} - ${push.message}`);
+    }
+  }
+};
+
+const registerPushTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Push transport "${name}" must have a send(push) method`);
+  }
+  pushTransports[name] = transport;
+};
+
+async function sendPush(notification) {
+  const name = process.env.PUSH_TRANSPORT;
+  if (!name) return;
+
+  const transport = pushTransports[name];
+  if (!transport) {
+    throw new Error(`Unknown push transport "${name}"`);
+  }
+
+  await transport.send({
+    userId: String(notification.userId),
+    title: notification.title,
+    message: notification.message,
+    link: notification.link
+  });
+}
+
+// Save a notification, show it in any open tab and push it if a transport is
+// set. Never throws: a lost notification mustn't undo what it reports on.
+async function notify(userId, { type, title, message, link = null, transactionId = null, gameId = null }) {
+  try {
+    const notification = await Notification.create({ userId, type, title, message, link, transactionId, gameId });
+    realtime.emitNotification(userId, notification);
+
+    try {
+      await sendPush(notification);
+    } catch (error) {
+      console.error('Push notification error:', error);
+    }
+
+    return notification;
+  } catch (error) {
+    // A duplicate round win was already sent by another settlement
+    if (error.code !== 11000) {
+      console.error('Notify error:', error);
+    }
+    return null;
+  }
+}
+
+const money = (amount) => `$${Math.abs(amount).toFixed(2)}`;
+
+// Tell the player an admin approved or rejected their deposit or withdrawal
+async function notifyTransactionDecision(transaction) {
+  const { userId, amount, status, adminNotes } = transaction;
+  const approved = status === 'approved';
+  const note = adminNotes ? ` Note: ${adminNotes}` : '';
+
+  if (transaction.type === 'pending_deposit') {
+    return notify(userId, {
+      type: approved ? 'deposit_approved' : 'deposit_rejected',
+      title: approved ? 'Deposit approved' : 'Deposit rejected',
+      message: approved
+        ? `${money(amount)} has been added to your wallet.${note}`
+        : `Your deposit of ${money(amount)} was not approved.${note}`,
+      link: '/wallet',
+      transactionId: transaction._id
+    });
+  }
+
+  if (transaction.type === 'pending_withdrawal') {
+    return notify(userId, {
+      type: approved ? 'withdrawal_approved' : 'withdrawal_rejected',
+      title: approved ? 'Withdrawal approved' : 'Withdrawal rejected',
+      message: approved
+        ? `Your withdrawal of ${money(amount)} is on its way.${note}`
+        : `Your withdrawal of ${money(amount)} was not approved and is back in your wallet.${note}`,
+      link: '/wallet',
+      transactionId: transaction._id
+    });
+  }
+
+  return null;
+}
+
+// One notification per winner for a settled round, however many bets won.
+// Built from every winning bet on the round, so a settlement that was cut
+// short and resumed still tells everyone, and winners already told are skipped.
+async function notifyRoundWins(game) {
+  const [winners, notified] = await Promise.all([
+    Bet.aggregate([
+      { $match: { gameId: game._id, result: 'win' } },
+      { $group: { _id: '$userId', payout: { $sum: '$payout' } } }
+    ]),
+    Notification.distinct('userId', { type: 'round_won', gameId: game._id })
+  ]);
+  const alreadyNotified = new Set(notified.map(String));
+
+  for (const { _id: userId, payout } of winners) {
+    if (alreadyNotified.has(String(userId))) continue;
+
+    await notify(userId, {
+      type: 'round_won',
+      title: `You won ${money(payout)}`,
+      message: `Game #${game.gameNumber} came up ${game.resultNumber} (${game.resultColor}, ${game.resultSize}).`,
+      link: '/bets',
+      gameId: game._id
+    });
+  }
+}
+
+// Read in the app once the block is over, or straight away through push
+async function notifyBlocked(user) {
+  const until = user.blockedUntil ? user.blockedUntil.toUTCString() : 'an admin lifts it';
+  return notify(user._id, {
+    type: 'account_blocked',
+    title: 'Your account has been blocked',
+    message: `${user.blockMessage || 'An admin has blocked your account.'} The block lasts until ${until}.`
+  });
+}
+
+// A page of the player's notifications, newest first, with how many are unread
+async function listNotifications(userId, { unread, ...page } = {}) {
+  const filter = { userId };
+  if (unread) filter.readAt = null;
+
+  const [{ items, nextCursor }, unreadCount] = await Promise.all([
+    paginate(Notification.find(filter), page),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+
+  return { notifications: items, nextCursor, unreadCount };
+}
+
+// Mark one notification read or unread; null if it isn't the player's
+async function markRead(userId, notificationId, read) {
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+  if (!notification) return null;
+
+  // Keep when it was first read
+  if (read !== Boolean(notification.readAt)) {
+    notification.readAt = read ? new Date() : null;
+    await notification.save();
+  }
+  return notification;
+}
+
+async function markAllRead(userId) {
+  const result = await Notification.updateMany({ userId, readAt: null }, { readAt: new Date() });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  registerPushTransport,
+  notify,
+  notifyTransactionDecision,
+  notifyRoundWins,
+  notifyBlocked,
+  listNotifications,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,34 @@
+const DEFAULT_PAGE_SIZE = 20;
+
+// Run a find query newest first, `limit` documents at a time. Pass the
+// previous page's nextCursor as `before` to continue from where it stopped.
+async function paginate(query, { before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  if (before) {
+    query.where('_id').lt(before);
+  }
+
+  const docs = await query.sort({ _id: -1 }).limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+
+  return {
+    items: page,
+    nextCursor: hasMore ? page[page.length - 1]._id : null
+  };
+}
+
+// Filter on createdAt for an optional from/to date range, both inclusive
+const createdBetween = ({ from, to } = {}) => {
+  if (!from && !to) return {};
+
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lte = to;
+  return { createdAt };
+};
+
+module.exports = {
+  paginate,
+  createdBetween
+};
@@ -0,0 +1,160 @@
+const Paytable = require('../models/Paytable');
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Version 1 keeps the original rules (9x number, 2x colour, 2x size, 0 counted
+// as green) so bets placed before paytables existed settle exactly as before
+const DEFAULT_PAYTABLE = {
+  version: 1,
+  commissionRate: 0,
+  betTypes: [
+    {
+      type: 'number',
+      label: 'Number',
+      options: range(0, 9).map((number) => ({
+        value: String(number),
+        label: String(number),
+        numbers: [number],
+        multiplier: 9
+      }))
+    },
+    {
+      type: 'color',
+      label: 'Color',
+      options: [
+        { value: 'red', label: 'Red', numbers: [2, 4, 6, 8], multiplier: 2 },
+        { value: 'green', label: 'Green', numbers: [0, 1, 3, 5, 7, 9], multiplier: 2 },
+        { value: 'violet', label: 'Violet', numbers: [0, 5], multiplier: 4.5 }
+      ]
+    },
+    {
+      type: 'size',
+      label: 'Big/Small',
+      options: [
+        { value: 'small', label: 'Small', numbers: range(0, 4), multiplier: 2 },
+        { value: 'big', label: 'Big', numbers: range(5, 9), multiplier: 2 }
+      ]
+    },
+    {
+      type: 'parity',
+      label: 'Odd/Even',
+      options: [
+        { value: 'odd', label: 'Odd', numbers: [1, 3, 5, 7, 9], multiplier: 2 },
+        { value: 'even', label: 'Even', numbers: [0, 2, 4, 6, 8], multiplier: 2 }
+      ]
+    },
+    {
+      type: 'range',
+      label: 'Range',
+      options: [
+        { value: '0-2', label: '0-2', numbers: range(0, 2), multiplier: 3 },
+        { value: '3-6', label: '3-6', numbers: range(3, 6), multiplier: 2.25 },
+        { value: '7-9', label: '7-9', numbers: range(7, 9), multiplier: 3 }
+      ]
+    }
+  ]
+};
+
+// Published versions never change, so they can be kept for the process lifetime
+const versionCache = new Map();
+
+const cacheVersion = (paytable) => {
+  if (paytable) {
+    versionCache.set(paytable.version, paytable);
+  }
+  return paytable;
+};
+
+// Create the first paytable on an empty database
+async function ensurePaytable() {
+  if (await Paytable.countDocuments() > 0) return;
+
+  try {
+    await Paytable.create(DEFAULT_PAYTABLE);
+    console.log('Default paytable created');
+  } catch (error) {
+    // Another instance created it first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// The latest version is the one new bets are placed under
+async function getActivePaytable() {
+  let paytable = await Paytable.findOne().sort({ version: -1 });
+  if (!paytable) {
+    await ensurePaytable();
+    paytable = await Paytable.findOne().sort({ version: -1 });
+  }
+  return cacheVersion(paytable);
+}
+
+async function getPaytable(version) {
+  if (versionCache.has(version)) {
+    return versionCache.get(version);
+  }
+  return cacheVersion(await Paytable.findOne({ version }));
+}
+
+// Publish edited rules as the next version. Retries if another admin
+// published at the same moment.
+async function publishPaytable({ commissionRate, betTypes }, userId) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await getActivePaytable();
+    try {
+      const paytable = await Paytable.create({
+        version: latest.version + 1,
+        commissionRate,
+        betTypes,
+        createdBy: userId
+      });
+      return cacheVersion(paytable);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not publish paytable, please try again');
+}
+
+const findOption = (paytable, betType, betValue) => {
+  const type = paytable.betTypes.find((entry) => entry.type === betType);
+  return type ? type.options.find((option) => option.value === String(betValue)) || null : null;
+};
+
+// The house commission on a stake, rounded to the cent
+const getCommission = (paytable, amount) => Math.round(amount * paytable.commissionRate * 100) / 100;
+
+// Work out whether a bet won against a result number
+function evaluateBet(paytable, bet, resultNumber) {
+  const option = findOption(paytable, bet.betType, bet.betValue);
+  if (!option) {
+    return { isWin: false, multiplier: 1 };
+  }
+  return { isWin: option.numbers.includes(resultNumber), multiplier: option.multiplier };
+}
+
+// The colour and size shown for a result: the first colour and size option
+// that wins on it
+function describeResult(paytable, resultNumber) {
+  const firstMatch = (betType) => {
+    const type = paytable.betTypes.find((entry) => entry.type === betType);
+    const option = type?.options.find((entry) => entry.numbers.includes(resultNumber));
+    return option ? option.value : null;
+  };
+
+  return {
+    resultColor: firstMatch('color'),
+    resultSize: firstMatch('size')
+  };
+}
+
+module.exports = {
+  DEFAULT_PAYTABLE,
+  ensurePaytable,
+  getActivePaytable,
+  getPaytable,
+  publishPaytable,
+  findOption,
+  getCommission,
+  evaluateBet,
+  describeResult
+};
@@ -0,0 +1,135 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const Session = require('../models/Session');
+
+let io = null;
+
+// Attach Socket.IO to the HTTP server. Sockets authenticate with the same
+// access token as the REST API and join a private room for their own bets and
+// balance, plus one for their session so revoking it disconnects them.
+const initRealtime = (httpServer, corsOrigins) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: corsOrigins,
+      credentials: true
+    }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = decoded.sessionId && await Session.findOne({
+        _id: decoded.sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+      const user = session && await User.findById(decoded.userId).select('-password');
+      if (!user || user.isBlockedNow()) {
+        return next(new Error('Invalid token.'));
+      }
+
+      socket.user = user;
+      socket.sessionId = session._id;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    socket.join(`user:${socket.user._id}`);
+    socket.join(`session:${socket.sessionId}`);
+    if (socket.user.isAdmin) {
+      socket.join('admins');
+    }
+
+    // Lets clients measure their clock offset for the countdown
+    socket.on('time:sync', (callback) => {
+      if (typeof callback === 'function') {
+        callback({ serverTime: Date.now() });
+      }
+    });
+  });
+
+  return io;
+};
+
+// Round lifecycle: created (waiting), betting opened, completed with result or voided
+const emitGameUpdate = (game, bettingEndsAt = null) => {
+  if (!io) return;
+  io.emit('game:update', {
+    game,
+    bettingEndsAt,
+    serverTime: Date.now()
+  });
+  io.to('admins').emit('admin:stats-changed');
+};
+
+const emitBetSettled = (userId, bet, game) => {
+  if (!io) return;
+  io.to(`user:${userId}`).emit('bet:settled', { bet, game });
+};
+
+const emitNotification = (userId, notification) => {
+  if (!io) return;
+  io.to(`user:${userId}`).emit('notification:new', { notification });
+};
+
+// Push the wallet's current balances to its owner
+const emitWalletUpdate = async (userId) => {
+  if (!io) return;
+  try {
+    const wallet = await Wallet.findOne({ userId });
+    if (wallet) {
+      io.to(`user:${userId}`).emit('wallet:update', {
+        balance: wallet.balance,
+        heldBalance: wallet.heldBalance
+      });
+    }
+  } catch (error) {
+    console.error('Error emitting wallet update:', error);
+  }
+};
+
+// New bets are placed under the newly published paytable from now on
+const emitPaytableUpdate = (paytable) => {
+  if (!io) return;
+  io.emit('paytable:update', { paytable });
+};
+
+// Tell a revoked session's sockets to sign out, then drop them
+const disconnectSession = (sessionId) => {
+  if (!io) return;
+  io.to(`session:${sessionId}`).emit('session:revoked');
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+const disconnectUser = (userId) => {
+  if (!io) return;
+  io.to(`user:${userId}`).emit('session:revoked');
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+const emitAdminStatsChanged = () => {
+  if (!io) return;
+  io.to('admins').emit('admin:stats-changed');
+};
+
+module.exports = {
+  initRealtime,
+  emitGameUpdate,
+  emitBetSettled,
+  emitNotification,
+  emitWalletUpdate,
+  emitPaytableUpdate,
+  disconnectSession,
+  disconnectUser,
+  emitAdminStatsChanged
+};
@@ -0,0 +1,119 @@
+const Bet = require('../models/Bet');
+const Game = require('../models/Game');
+const Transaction = require('../models/Transaction');
+const { toCsv } = require('../utils/csv');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Group by calendar day in UTC
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+
+const MONEY_FIELDS = ['stakes', 'payouts', 'ggr', 'commission', 'refunds', 'unsettled', 'deposits', 'withdrawals'];
+
+const emptyDay = (date) => ({
+  date,
+  rounds: 0,
+  voidedRounds: 0,
+  players: 0,
+  bets: 0,
+  ...Object.fromEntries(MONEY_FIELDS.map((field) => [field, 0]))
+});
+
+// Per-day accounting for the game: rounds played, stakes, payouts and gross
+// gaming revenue (settled stakes minus payouts), plus money in and out.
+// Bets count on the day they were placed, rounds on the day they ended.
+async function getDailyReport({ from, to }) {
+  const settled = { $in: ['$result', ['win', 'loss']] };
+
+  const bets = await Bet.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: dayOf('$createdAt'),
+        players: { $addToSet: '$userId' },
+        bets: sumIf({ $ne: ['$result', 'refunded'] }, 1),
+        stakes: sumIf(settled, '$amount'),
+        payouts: sumIf({ $eq: ['$result', 'win'] }, '$payout'),
+        commission: sumIf(settled, '$fee'),
+        refunds: sumIf({ $eq: ['$result', 'refunded'] }, '$amount'),
+        unsettled: sumIf({ $eq: ['$result', 'pending'] }, '$amount')
+      }
+    }
+  ]);
+
+  const games = await Game.aggregate([
+    { $match: { status: { $in: ['completed', 'voided'] }, endTime: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: dayOf('$endTime'),
+        rounds: sumIf({ $eq: ['$status', 'completed'] }, 1),
+        voidedRounds: sumIf({ $eq: ['$status', 'voided'] }, 1)
+      }
+    }
+  ]);
+
+  // Approved deposits and paid-out withdrawals get a transaction of their own
+  const payments = await Transaction.aggregate([
+    { $match: { type: { $in: ['deposit', 'withdrawal'] }, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: dayOf('$createdAt'),
+        deposits: sumIf({ $eq: ['$type', 'deposit'] }, '$amount'),
+        withdrawals: sumIf({ $eq: ['$type', 'withdrawal'] }, { $abs: '$amount' })
+      }
+    }
+  ]);
+
+  const days = new Map();
+  const dayFor = (date) => {
+    if (!days.has(date)) days.set(date, emptyDay(date));
+    return days.get(date);
+  };
+
+  for (const { _id, players, ...totals } of bets) {
+    Object.assign(dayFor(_id), totals, { players: players.length, ggr: totals.stakes - totals.payouts });
+  }
+  for (const { _id, ...totals } of [...games, ...payments]) {
+    Object.assign(dayFor(_id), totals);
+  }
+
+  const rows = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  rows.forEach((row) => MONEY_FIELDS.forEach((field) => {
+    row[field] = roundMoney(row[field]);
+  }));
+
+  // Players are counted per day, so the total is the sum of daily players
+  const totals = rows.reduce((sum, row) => {
+    for (const key of Object.keys(sum)) {
+      if (key !== 'date') sum[key] = roundMoney(sum[key] + row[key]);
+    }
+    return sum;
+  }, emptyDay('Total'));
+
+  return { from, to, days: rows, totals };
+}
+
+const REPORT_COLUMNS = [
+  { key: 'date', label: 'Date (UTC)' },
+  { key: 'rounds', label: 'Rounds' },
+  { key: 'voidedRounds', label: 'Voided rounds' },
+  { key: 'players', label: 'Players' },
+  { key: 'bets', label: 'Bets' },
+  { key: 'stakes', label: 'Settled stakes' },
+  { key: 'payouts', label: 'Payouts' },
+  { key: 'ggr', label: 'GGR' },
+  { key: 'commission', label: 'Commission' },
+  { key: 'refunds', label: 'Refunds' },
+  { key: 'unsettled', label: 'Unsettled stakes' },
+  { key: 'deposits', label: 'Deposits' },
+  { key: 'withdrawals', label: 'Withdrawals' }
+];
+
+const dailyReportCsv = (report) => toCsv(REPORT_COLUMNS, [...report.days, report.totals]);
+
+module.exports = {
+  getDailyReport,
+  dailyReportCsv
+};
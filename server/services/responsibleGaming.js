@@ -0,0 +1,214 @@
+const User = require('../models/User');
+const Bet = require('../models/Bet');
+const Transaction = require('../models/Transaction');
+const {
+  DAY,
+  LIMIT_KINDS,
+  LIMIT_PERIODS,
+  LIMIT_RAISE_DELAY_HOURS,
+  EXCLUSION_DAYS
+} = require('../config/responsibleGaming');
+
+const PERIODS = Object.keys(LIMIT_PERIODS);
+const HOUR = 60 * 60 * 1000;
+
+const gamingError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toPlain = (limit) => (typeof limit.toObject === 'function' ? limit.toObject() : { ...limit });
+
+// Apply raises whose waiting period is over and drop limits that were removed
+const settleLimits = (limits, now = new Date()) => limits
+  .map((limit) => {
+    const plain = toPlain(limit);
+    if (plain.pendingFrom && plain.pendingFrom <= now) {
+      return { ...plain, amount: plain.pendingAmount, pendingAmount: null, pendingFrom: null };
+    }
+    return plain;
+  })
+  .filter((limit) => limit.amount !== null || limit.pendingFrom !== null);
+
+// Amounts deposited, wagered and lost in each period, counting back from now.
+// Deposit requests count unless rejected, unsettled bets count as lost and
+// bets refunded on a voided round don't count at all.
+async function getUsage(userId, session = null) {
+  const now = Date.now();
+  const oldest = new Date(now - Math.max(...Object.values(LIMIT_PERIODS)));
+  const sumSince = (field, period) => ({
+    $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - LIMIT_PERIODS[period])] }, field, 0] }
+  });
+
+  const betTotals = { _id: null };
+  const depositTotals = { _id: null };
+  for (const period of PERIODS) {
+    betTotals[`${period}Wagered`] = sumSince('$amount', period);
+    betTotals[`${period}Paid`] = sumSince('$payout', period);
+    depositTotals[period] = sumSince('$amount', period);
+  }
+
+  // One after the other: operations inside a transaction can't run in parallel
+  const [bets] = await Bet.aggregate([
+    { $match: { userId, result: { $ne: 'refunded' }, createdAt: { $gte: oldest } } },
+    { $group: betTotals }
+  ]).session(session);
+  const [deposits] = await Transaction.aggregate([
+    { $match: { userId, type: 'pending_deposit', status: { $ne: 'rejected' }, createdAt: { $gte: oldest } } },
+    { $group: depositTotals }
+  ]).session(session);
+
+  const usage = Object.fromEntries(LIMIT_KINDS.map((kind) => [kind, {}]));
+  for (const period of PERIODS) {
+    const wagered = bets?.[`${period}Wagered`] || 0;
+    const paid = bets?.[`${period}Paid`] || 0;
+    usage.deposit[period] = roundMoney(deposits?.[period] || 0);
+    usage.wager[period] = roundMoney(wagered);
+    usage.loss[period] = roundMoney(Math.max(0, wagered - paid));
+  }
+  return usage;
+}
+
+const isExcluded = (user) => {
+  const { excludedUntil } = user.responsibleGaming;
+  return Boolean(excludedUntil && excludedUntil > new Date());
+};
+
+function checkExclusion(user) {
+  if (!isExcluded(user)) return;
+
+  const { exclusionType, excludedUntil } = user.responsibleGaming;
+  const what = exclusionType === 'self_exclusion' ? 'You have self-excluded' : 'You are taking a break';
+  throw gamingError('ExclusionError', `${what} until ${excludedUntil.toUTCString()}`);
+}
+
+// Throws if adding `amount` would go over one of the player's limits of the given kinds.
+// Inside a transaction the check first writes to the player's own document:
+// bet slips in different rooms and deposits share nothing else, so without
+// it two of them could each pass a limit they go over together. Now one
+// conflicts and is retried, and its usage then includes the other.
+async function checkLimits(user, kinds, amount, subject, session) {
+  checkExclusion(user);
+
+  const limits = settleLimits(user.responsibleGaming.limits)
+    .filter((limit) => kinds.includes(limit.kind) && limit.amount !== null);
+  if (limits.length === 0) return;
+
+  if (session) {
+    await User.updateOne({ _id: user._id }, { $inc: { 'responsibleGaming.limitChecks': 1 } }, { session });
+  }
+
+  const usage = await getUsage(user._id, session);
+  for (const limit of limits) {
+    const used = usage[limit.kind][limit.period];
+    if (used + amount > limit.amount) {
+      const left = roundMoney(Math.max(0, limit.amount - used));
+      throw gamingError(
+        'LimitError',
+        `${subject} would take you over your ${limit.period} ${limit.kind} limit of $${limit.amount} ($${left} left)`
+      );
+    }
+  }
+}
+
+// A bet slip counts against wager limits, and could lose its whole stake
+const checkBet = (user, stake, session = null) => checkLimits(user, ['wager', 'loss'], stake, 'This bet', session);
+
+const checkDeposit = (user, amount, session = null) => checkLimits(user, ['deposit'], amount, 'This deposit', session);
+
+async function getStatus(userId) {
+  const user = await User.findById(userId).select('responsibleGaming');
+  const limits = settleLimits(user.responsibleGaming.limits);
+
+  // Save raises that have come into force so they stop showing as pending
+  if (limits.length !== user.responsibleGaming.limits.length ||
+      user.responsibleGaming.limits.some((limit) => limit.pendingFrom && limit.pendingFrom <= new Date())) {
+    await User.updateOne({ _id: userId }, { 'responsibleGaming.limits': limits });
+  }
+
+  const { sessionReminderMinutes, exclusionType, excludedUntil } = user.responsibleGaming;
+  return {
+    limits,
+    usage: await getUsage(user._id),
+    raiseDelayHours: LIMIT_RAISE_DELAY_HOURS,
+    sessionReminderMinutes,
+    exclusion: isExcluded(user) ? { type: exclusionType, until: excludedUntil } : null
+  };
+}
+
+// Set limits, each `{ kind, period, amount }` with a null amount for no limit.
+// Lower limits apply at once; higher or removed ones after the raise delay.
+async function updateLimits(userId, changes) {
+  const user = await User.findById(userId).select('responsibleGaming');
+  const now = new Date();
+  const limits = settleLimits(user.responsibleGaming.limits, now);
+
+  for (const { kind, period, amount } of changes) {
+    const index = limits.findIndex((limit) => limit.kind === kind && limit.period === period);
+    const current = index === -1 ? null : limits[index].amount;
+
+    let next;
+    if (amount === current || (amount !== null && (current === null || amount < current))) {
+      // Also cancels a raise that was still waiting
+      next = { kind, period, amount, pendingAmount: null, pendingFrom: null };
+    } else {
+      next = {
+        kind,
+        period,
+        amount: current,
+        pendingAmount: amount,
+        pendingFrom: new Date(now.getTime() + LIMIT_RAISE_DELAY_HOURS * HOUR)
+      };
+    }
+
+    if (index === -1) {
+      limits.push(next);
+    } else {
+      limits[index] = next;
+    }
+  }
+
+  await User.updateOne({ _id: userId }, {
+    'responsibleGaming.limits': limits.filter((limit) => limit.amount !== null || limit.pendingFrom !== null)
+  });
+}
+
+async function setSessionReminder(userId, minutes) {
+  await User.updateOne({ _id: userId }, { 'responsibleGaming.sessionReminderMinutes': minutes });
+}
+
+// Start a cool-off or self-exclusion. A break can be extended but never shortened.
+async function startExclusion(userId, type, days) {
+  if (!EXCLUSION_DAYS[type]?.includes(days)) {
+    throw gamingError('LimitError', 'Choose one of the offered break lengths');
+  }
+
+  const user = await User.findById(userId).select('responsibleGaming');
+  const until = new Date(Date.now() + days * DAY);
+  if (isExcluded(user) && user.responsibleGaming.excludedUntil >= until) {
+    throw gamingError(
+      'LimitError',
+      `Your current break already runs until ${user.responsibleGaming.excludedUntil.toUTCString()}`
+    );
+  }
+
+  await User.updateOne({ _id: userId }, {
+    'responsibleGaming.exclusionType': type,
+    'responsibleGaming.excludedUntil': until
+  });
+  return until;
+}
+
+module.exports = {
+  getUsage,
+  isExcluded,
+  checkBet,
+  checkDeposit,
+  getStatus,
+  updateLimits,
+  setSessionReminder,
+  startExclusion
+};
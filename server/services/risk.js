@@ -0,0 +1,369 @@
+const User = require('../models/User');
+const Bet = require('../models/Bet');
+const Transaction = require('../models/Transaction');
+const RiskSignal = require('../models/RiskSignal');
+const RiskAlert = require('../models/RiskAlert');
+const { getPaytable, findOption } = require('./paytable');
+const {
+  SIGNAL_KINDS,
+  MAX_ACCOUNTS_PER_IP,
+  MIN_PLAY_RATIO,
+  ALERT_WEIGHTS,
+  RISK_LEVELS
+} = require('../config/risk');
+
+const FINGERPRINT_PATTERN = /^[a-f0-9]{16,64}$/;
+
+const LINK_ALERTS = {
+  fingerprint: ['shared_device', 'Uses the same device as other accounts'],
+  ip: ['shared_ip', 'Uses the same IP address as other accounts']
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// The IP, device fingerprint and browser a request came from. The client
+// works the fingerprint out from the browser, so it is a hint, not proof.
+const requestSignals = (req) => {
+  const fingerprint = String(req.get('X-Device-Fingerprint') || '').toLowerCase();
+  return {
+    ip: req.ip || '',
+    fingerprint: FINGERPRINT_PATTERN.test(fingerprint) ? fingerprint : '',
+    userAgent: (req.get('User-Agent') || '').slice(0, 500)
+  };
+};
+
+// high, medium, low or none for a risk score
+const riskLevel = (score) => Object.keys(RISK_LEVELS).find((level) => score >= RISK_LEVELS[level]) || 'none';
+
+// Score range for a risk level filter; `flagged` is any score above zero
+const scoreFilter = (level) => {
+  if (level === 'flagged') return { $gte: RISK_LEVELS.low };
+  const levels = Object.keys(RISK_LEVELS);
+  const above = levels[levels.indexOf(level) - 1];
+  return above ? { $gte: RISK_LEVELS[level], $lt: RISK_LEVELS[above] } : { $gte: RISK_LEVELS[level] };
+};
+
+// A player's score is the weight of their open alerts
+async function refreshScore(userId) {
+  const alerts = await RiskAlert.find({ userId, resolvedAt: null }).select('code');
+  const score = Math.min(100, alerts.reduce((sum, alert) => sum + ALERT_WEIGHTS[alert.code], 0));
+  await User.updateOne({ _id: userId }, { riskScore: score });
+}
+
+// Open an alert, or add to the player's open alert of the same kind
+async function raiseAlert(userId, code, message, { relatedUserIds = [], gameId = null, transactionId = null } = {}) {
+  await RiskAlert.updateOne(
+    { userId, code, resolvedAt: null },
+    {
+      $set: {
+        message,
+        lastSeenAt: new Date(),
+        ...(gameId && { gameId }),
+        ...(transactionId && { transactionId })
+      },
+      $addToSet: { relatedUserIds: { $each: relatedUserIds } },
+      $inc: { occurrences: 1 }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  await refreshScore(userId);
+}
+
+// Other accounts that used one of the player's IPs or devices, with what they
+// share. IPs shared by too many accounts are left out; see MAX_ACCOUNTS_PER_IP.
+async function getLinkedAccounts(userId) {
+  const signals = await RiskSignal.find({ userId }).select('kind value');
+  if (signals.length === 0) return [];
+
+  const matches = await RiskSignal.find({
+    userId: { $ne: userId },
+    $or: signals.map(({ kind, value }) => ({ kind, value }))
+  }).select('userId kind value lastSeenAt');
+
+  const accountsPerIp = new Map();
+  for (const match of matches.filter((signal) => signal.kind === 'ip')) {
+    accountsPerIp.set(match.value, (accountsPerIp.get(match.value) || 0) + 1);
+  }
+
+  const links = new Map();
+  for (const match of matches) {
+    if (match.kind === 'ip' && accountsPerIp.get(match.value) >= MAX_ACCOUNTS_PER_IP) continue;
+
+    const key = String(match.userId);
+    const link = links.get(key) || { userId: match.userId, shared: [], lastSeenAt: match.lastSeenAt };
+    if (!link.shared.includes(match.kind)) link.shared.push(match.kind);
+    if (match.lastSeenAt > link.lastSeenAt) link.lastSeenAt = match.lastSeenAt;
+    links.set(key, link);
+  }
+  return [...links.values()];
+}
+
+// Raise a link alert for the accounts the player wasn't already linked to.
+// Links an admin has resolved aren't raised again.
+async function linkAccounts(userId, kind, linkedIds) {
+  const [code, message] = LINK_ALERTS[kind];
+  const known = new Set((await RiskAlert.distinct('relatedUserIds', { userId, code })).map(String));
+  const added = linkedIds.filter((id) => !known.has(String(id)));
+  if (added.length > 0) {
+    await raiseAlert(userId, code, message, { relatedUserIds: added });
+  }
+  return added;
+}
+
+// Alert both sides of any new link between the player and other accounts
+async function checkLinkedAccounts(userId) {
+  const links = await getLinkedAccounts(userId);
+  for (const kind of SIGNAL_KINDS) {
+    const linkedIds = links.filter((link) => link.shared.includes(kind)).map((link) => link.userId);
+    if (linkedIds.length === 0) continue;
+
+    for (const otherId of await linkAccounts(userId, kind, linkedIds)) {
+      await linkAccounts(otherId, kind, [userId]);
+    }
+  }
+}
+
+// Record where a player signed up, logged in or bet from. Sign-ups and
+// logins also look for accounts sharing the device or IP; bets leave that to
+// the next login. Never throws, so risk checks can't get in the way of play.
+async function recordActivity(userId, req, event) {
+  try {
+    const signals = requestSignals(req);
+    const now = new Date();
+
+    await Promise.all(SIGNAL_KINDS.filter((kind) => signals[kind]).map((kind) => RiskSignal.updateOne(
+      { userId, kind, value: signals[kind] },
+      {
+        $set: { userAgent: signals.userAgent, lastEvent: event, lastSeenAt: now },
+        $setOnInsert: { firstSeenAt: now },
+        $inc: { seenCount: 1 }
+      },
+      { upsert: true }
+    )));
+
+    if (event !== 'bet') {
+      await checkLinkedAccounts(userId);
+    }
+  } catch (error) {
+    console.error('Record risk signals error:', error);
+  }
+}
+
+// Result numbers a bet wins on, under the paytable it was placed with
+async function winningNumbers(bet, cache) {
+  const key = `${bet.paytableVersion}:${bet.betType}:${bet.betValue}`;
+  if (!cache.has(key)) {
+    const paytable = await getPaytable(bet.paytableVersion);
+    cache.set(key, (paytable && findOption(paytable, bet.betType, bet.betValue)?.numbers) || []);
+  }
+  return cache.get(key);
+}
+
+// Alert a player betting against linked accounts, once per round
+async function raiseRoundAlert(userId, opponentIds, gameId) {
+  const alreadyRaised = await RiskAlert.exists({
+    userId,
+    code: 'opposite_betting',
+    resolvedAt: null,
+    gameId,
+    relatedUserIds: { $all: opponentIds }
+  });
+  if (!alreadyRaised) {
+    await raiseAlert(userId, 'opposite_betting', 'Bet on opposite outcomes to a linked account in the same round', {
+      relatedUserIds: opponentIds,
+      gameId
+    });
+  }
+}
+
+// Look for linked accounts betting against the player on a round: the same
+// bet type on options with no result in common, such as red against green.
+// Both sides are alerted. Never throws.
+async function checkOppositeBets(userId, gameId) {
+  try {
+    const links = await getLinkedAccounts(userId);
+    if (links.length === 0) return;
+
+    const bets = await Bet.find({ gameId, userId: { $in: [userId, ...links.map((link) => link.userId)] } })
+      .select('userId betType betValue paytableVersion');
+    const mine = bets.filter((bet) => String(bet.userId) === String(userId));
+    const cache = new Map();
+
+    const opponents = new Set();
+    for (const bet of mine) {
+      const numbers = await winningNumbers(bet, cache);
+      for (const other of bets) {
+        if (String(other.userId) === String(userId) || other.betType !== bet.betType || other.betValue === bet.betValue) {
+          continue;
+        }
+        const otherNumbers = await winningNumbers(other, cache);
+        if (!numbers.some((number) => otherNumbers.includes(number))) {
+          opponents.add(String(other.userId));
+        }
+      }
+    }
+
+    for (const opponentId of opponents) {
+      await raiseRoundAlert(opponentId, [userId], gameId);
+    }
+    if (opponents.size > 0) {
+      await raiseRoundAlert(userId, [...opponents], gameId);
+    }
+  } catch (error) {
+    console.error('Check opposite bets error:', error);
+  }
+}
+
+// Alert on a withdrawal asked for after little play since the last approved
+// deposit; see MIN_PLAY_RATIO. Never throws.
+async function checkWithdrawal(userId, withdrawal) {
+  try {
+    const deposit = await Transaction.findOne({ userId, type: 'pending_deposit', status: 'approved' })
+      .sort({ updatedAt: -1 })
+      .select('amount updatedAt');
+    if (!deposit) return;
+
+    const [played] = await Bet.aggregate([
+      { $match: { userId, result: { $ne: 'refunded' }, createdAt: { $gte: deposit.updatedAt } } },
+      { $group: { _id: null, stake: { $sum: '$amount' } } }
+    ]);
+    const wagered = roundMoney(played?.stake || 0);
+    if (wagered >= deposit.amount * MIN_PLAY_RATIO) return;
+
+    await raiseAlert(
+      userId,
+      'deposit_no_play',
+      `Asked to withdraw $${withdrawal.amount} after wagering $${wagered} of a $${deposit.amount} deposit`,
+      { transactionId: withdrawal._id }
+    );
+  } catch (error) {
+    console.error('Check withdrawal risk error:', error);
+  }
+}
+
+// Bet counts, win rates and open alert kinds for a page of players
+async function describePlayers(users) {
+  const ids = users.map((user) => user._id);
+  const [betStats, openAlerts] = await Promise.all([
+    Bet.aggregate([
+      { $match: { userId: { $in: ids }, result: { $ne: 'refunded' } } },
+      {
+        $group: {
+          _id: '$userId',
+          bets: { $sum: 1 },
+          settled: { $sum: { $cond: [{ $in: ['$result', ['win', 'loss']] }, 1, 0] } },
+          wins: { $sum: { $cond: [{ $eq: ['$result', 'win'] }, 1, 0] } }
+        }
+      }
+    ]),
+    RiskAlert.aggregate([
+      { $match: { userId: { $in: ids }, resolvedAt: null } },
+      { $group: { _id: '$userId', codes: { $addToSet: '$code' } } }
+    ])
+  ]);
+
+  const find = (groups, user) => groups.find((group) => String(group._id) === String(user._id));
+  return users.map((user) => {
+    const stats = find(betStats, user);
+    return {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      isBlocked: user.isBlocked,
+      blockReason: user.blockReason,
+      blockMessage: user.blockMessage,
+      blockedUntil: user.blockedUntil,
+      lastActive: user.lastActive,
+      createdAt: user.createdAt,
+      totalBets: stats?.bets || 0,
+      winRate: stats?.settled ? Math.round((stats.wins / stats.settled) * 1000) / 10 : 0,
+      riskScore: user.riskScore,
+      riskLevel: riskLevel(user.riskScore),
+      alerts: find(openAlerts, user)?.codes || []
+    };
+  });
+}
+
+// Totals for the security page's summary cards
+async function getSummary() {
+  const [activeUsers, blockedUsers, flaggedUsers, highRiskUsers, openAlerts] = await Promise.all([
+    User.countDocuments({ isBlocked: false }),
+    User.countDocuments({ isBlocked: true }),
+    User.countDocuments({ riskScore: scoreFilter('flagged') }),
+    User.countDocuments({ riskScore: scoreFilter('high') }),
+    RiskAlert.countDocuments({ resolvedAt: null })
+  ]);
+  return { activeUsers, blockedUsers, flaggedUsers, highRiskUsers, openAlerts };
+}
+
+// Everything the risk engine knows about one player
+async function getPlayerRisk(userId) {
+  const user = await User.findById(userId).select('email username isBlocked riskScore');
+  if (!user) return null;
+
+  const [signals, links, alerts] = await Promise.all([
+    RiskSignal.find({ userId }).select('-userId').sort({ lastSeenAt: -1 }).limit(50),
+    getLinkedAccounts(userId),
+    RiskAlert.find({ userId })
+      .populate('relatedUserIds', 'email username')
+      .populate('resolvedBy', 'username')
+      .sort({ _id: -1 })
+      .limit(50)
+  ]);
+
+  const linkedUsers = await User.find({ _id: { $in: links.map((link) => link.userId) } })
+    .select('email username isBlocked riskScore');
+  const linkedAccounts = links.map((link) => {
+    const linked = linkedUsers.find((candidate) => candidate._id.equals(link.userId));
+    return {
+      id: link.userId,
+      email: linked?.email,
+      username: linked?.username,
+      isBlocked: linked?.isBlocked || false,
+      riskLevel: riskLevel(linked?.riskScore || 0),
+      shared: link.shared,
+      lastSeenAt: link.lastSeenAt
+    };
+  });
+
+  return {
+    user: {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      isBlocked: user.isBlocked,
+      riskScore: user.riskScore,
+      riskLevel: riskLevel(user.riskScore)
+    },
+    signals,
+    linkedAccounts,
+    alerts
+  };
+}
+
+// Close an open alert after review. Resolves to the alert, or null if it
+// was already resolved.
+async function resolveAlert(alertId, adminId, resolution = null) {
+  const alert = await RiskAlert.findOneAndUpdate(
+    { _id: alertId, resolvedAt: null },
+    { resolvedAt: new Date(), resolvedBy: adminId, resolution },
+    { new: true }
+  );
+  if (alert) {
+    await refreshScore(alert.userId);
+  }
+  return alert;
+}
+
+module.exports = {
+  riskLevel,
+  scoreFilter,
+  recordActivity,
+  checkOppositeBets,
+  checkWithdrawal,
+  getLinkedAccounts,
+  describePlayers,
+  getSummary,
+  getPlayerRisk,
+  resolveAlert
+};
@@ -0,0 +1,50 @@
+const Room = require('../models/Room');
+const Game = require('../models/Game');
+
+// Rooms created on first start
+const DEFAULT_ROOMS = [
+  { slug: '1m', name: '1 Minute', roundDuration: 60, sortOrder: 1 },
+  { slug: '3m', name: '3 Minutes', roundDuration: 180, sortOrder: 2 },
+  { slug: '5m', name: '5 Minutes', roundDuration: 300, sortOrder: 3 }
+];
+
+const listRooms = () => Room.find({ isActive: true }).sort({ sortOrder: 1, createdAt: 1 });
+
+// Look up an active room by slug, or the first room when no slug is given
+async function resolveRoom(slug) {
+  if (slug) {
+    return Room.findOne({ slug: String(slug).toLowerCase(), isActive: true });
+  }
+  return listRooms().findOne();
+}
+
+// Create the default rooms on an empty database and move rounds from before
+// rooms existed into the first one
+async function ensureRooms() {
+  if (await Room.countDocuments() === 0) {
+    try {
+      await Room.insertMany(DEFAULT_ROOMS);
+      console.log('Default game rooms created');
+    } catch (error) {
+      // Another instance created them first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const legacyGames = await Game.countDocuments({ room: { $exists: false } });
+  if (legacyGames > 0) {
+    const firstRoom = await Room.findOne().sort({ sortOrder: 1, createdAt: 1 });
+    await Game.updateMany({ room: { $exists: false } }, { room: firstRoom.slug });
+    console.log(`Moved ${legacyGames} existing games into room ${firstRoom.slug}`);
+  }
+
+  // Replaces the old global unique index on gameNumber with the per-room one
+  await Game.syncIndexes();
+}
+
+module.exports = {
+  DEFAULT_ROOMS,
+  listRooms,
+  resolveRoom,
+  ensureRooms
+};
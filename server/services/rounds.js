@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const Bet = require('../models/Bet');
+const Transaction = require('../models/Transaction');
+const Room = require('../models/Room');
+const { computeResult } = require('../utils/provablyFair');
+const ledger = require('./ledger');
+const { getActivePaytable, getPaytable, evaluateBet, describeResult } = require('./paytable');
+const realtime = require('./realtime');
+const { notifyRoundWins } = require('./notifications');
+
+// When betting closes for a round, from its room's round duration
+async function getBettingEndsAt(game) {
+  const room = await Room.findOne({ slug: game.room });
+  const bettingDuration = (room?.roundDuration || 60) * 1000;
+  return new Date(game.startTime.getTime() + bettingDuration);
+}
+
+// Settle a single bet in its own transaction. Only a still-pending bet is
+// updated, so settling the same round again never pays a bet twice.
+// Resolves to the settled bet, or null if it had already been settled.
+async function settleBet(bet, game) {
+  // Settle against the rules the bet was placed under, not the current ones
+  const paytable = await getPaytable(bet.paytableVersion);
+  if (!paytable) {
+    throw new Error(`Paytable version ${bet.paytableVersion} not found for bet ${bet._id}`);
+  }
+  const { isWin, multiplier } = evaluateBet(paytable, bet, game.resultNumber);
+  const payout = isWin ? Math.round((bet.amount - bet.fee) * multiplier * 100) / 100 : 0;
+
+  let settled = null;
+  await mongoose.connection.transaction(async (session) => {
+    settled = await Bet.findOneAndUpdate(
+      { _id: bet._id, result: 'pending' },
+      { result: isWin ? 'win' : 'loss', payout },
+      { new: true, session }
+    );
+
+    if (!settled || !isWin) return;
+
+    // Create transaction
+    const transaction = new Transaction({
+      userId: bet.userId,
+      type: 'win',
+      amount: payout,
+      description: `Won $${payout} from ${bet.betType} bet on ${bet.betValue} (Game #${game.gameNumber})`,
+      status: 'approved'
+    });
+    await transaction.save({ session });
+
+    // Pay out from the house and credit the wallet
+    await ledger.postEntry({
+      type: 'win',
+      description: transaction.description,
+      legs: ledger.transfer(ledger.houseAccount(), ledger.userAccount(bet.userId), payout),
+      transactionId: transaction._id,
+      betId: bet._id,
+      gameId: game._id,
+      session
+    });
+  });
+
+  return settled;
+}
+
+// Helper function to end game and process bets. Safe to call again on a
+// completed round: the stored result is reused and only pending bets are settled.
+async function endGameAndProcessBets(game) {
+  try {
+    // The server seed is not selected by default, so load it for this round
+    const seeded = await Game.findById(game._id).select('+serverSeed');
+    let resultNumber;
+    if (seeded?.serverSeed) {
+      resultNumber = computeResult(seeded.serverSeed, seeded.clientSeed, seeded.gameNumber);
+    } else {
+      // Rounds created before seeds were introduced have nothing to derive from
+      resultNumber = Math.floor(Math.random() * 10);
+    }
+    const { resultColor, resultSize } = describeResult(await getActivePaytable(), resultNumber);
+
+    // Completing the round conflicts with any bet still being placed on it
+    let completed = await Game.findOneAndUpdate(
+      { _id: game._id, status: { $in: ['waiting', 'betting'] } },
+      { status: 'completed', endTime: new Date(), resultNumber, resultColor, resultSize },
+      { new: true }
+    );
+
+    if (completed) {
+      console.log(`Game #${game.gameNumber} ended with result: ${resultNumber} (${resultColor}, ${resultSize})`);
+    } else {
+      completed = await Game.findById(game._id);
+      if (completed.status === 'voided') {
+        console.log(`Game #${game.gameNumber} was voided, nothing to settle`);
+        return;
+      }
+      // Rounds closed without a result can't be settled fairly, so refund them
+      if (completed.resultNumber === null) {
+        await voidRound(completed, 'Closed without a result');
+        return;
+      }
+      console.log(`Game #${game.gameNumber} was already completed, resuming settlement`);
+    }
+
+    game.set({
+      status: completed.status,
+      endTime: completed.endTime,
+      resultNumber: completed.resultNumber,
+      resultColor: completed.resultColor,
+      resultSize: completed.resultSize
+    });
+
+    // Process bets
+    const bets = await Bet.find({ gameId: game._id, result: 'pending' });
+
+    realtime.emitGameUpdate(completed);
+
+    for (const bet of bets) {
+      const settled = await settleBet(bet, completed);
+      if (settled) {
+        realtime.emitBetSettled(settled.userId, settled, completed);
+        if (settled.result === 'win') {
+          await realtime.emitWalletUpdate(settled.userId);
+        }
+      }
+    }
+
+    await notifyRoundWins(completed);
+
+    console.log(`Processed ${bets.length} bets for game #${game.gameNumber}`);
+  } catch (error) {
+    console.error('Error ending game and processing bets:', error);
+    throw error;
+  }
+}
+
+// Call a round off and refund every stake still pending on it, all in one
+// transaction. Open rounds can be voided, and so can completed rounds that
+// never got a result. Resolves to the voided round, or null if it couldn't be.
+async function voidRound(game, reason = null) {
+  let voided = null;
+  let refunded = [];
+  await mongoose.connection.transaction(async (session) => {
+    refunded = [];
+    voided = await Game.findOneAndUpdate(
+      {
+        _id: game._id,
+        $or: [
+          { status: { $in: ['waiting', 'betting'] } },
+          { status: 'completed', resultNumber: null }
+        ]
+      },
+      { status: 'voided', endTime: new Date(), voidReason: reason },
+      { new: true, session }
+    );
+
+    if (!voided) return;
+
+    const bets = await Bet.find({ gameId: game._id, result: 'pending' }).session(session);
+    for (const bet of bets) {
+      // The whole stake comes back, commission included
+      const refund = await Bet.findOneAndUpdate(
+        { _id: bet._id, result: 'pending' },
+        { result: 'refunded', payout: bet.amount },
+        { new: true, session }
+      );
+
+      const transaction = new Transaction({
+        userId: bet.userId,
+        type: 'refund',
+        amount: bet.amount,
+        description: `Refunded $${bet.amount} ${bet.betType} bet on ${bet.betValue} (Game #${game.gameNumber} voided)`,
+        status: 'approved'
+      });
+      await transaction.save({ session });
+
+      await ledger.postEntry({
+        type: 'refund',
+        description: transaction.description,
+        legs: ledger.transfer(ledger.houseAccount(), ledger.userAccount(bet.userId), bet.amount),
+        transactionId: transaction._id,
+        betId: bet._id,
+        gameId: game._id,
+        session
+      });
+
+      refunded.push(refund);
+    }
+  });
+
+  if (!voided) return null;
+
+  console.log(`Game #${voided.gameNumber} voided, refunded ${refunded.length} bets`);
+
+  realtime.emitGameUpdate(voided);
+  for (const bet of refunded) {
+    realtime.emitBetSettled(bet.userId, bet, voided);
+  }
+  const userIds = [...new Set(refunded.map((bet) => bet.userId.toString()))];
+  for (const userId of userIds) {
+    await realtime.emitWalletUpdate(userId);
+  }
+
+  return voided;
+}
+
+module.exports = {
+  getBettingEndsAt,
+  endGameAndProcessBets,
+  voidRound
+};
@@ -0,0 +1,360 @@
+const os = require('os');
+const crypto = require('crypto');
+const Game = require('../models/Game');
+const Bet = require('../models/Bet');
+const Room = require('../models/Room');
+const SchedulerState = require('../models/SchedulerState');
+const { getBettingEndsAt, endGameAndProcessBets } = require('./rounds');
+const { listRooms, ensureRooms } = require('./rooms');
+const { ensurePaytable } = require('./paytable');
+const realtime = require('./realtime');
+
+const STATE_KEY = 'rounds';
+const TICK_INTERVAL = 2000; // Check every 2 seconds
+const LEASE_DURATION = 10000; // Another instance takes over 10 seconds after the leader stops renewing
+const LEASE_RENEW_INTERVAL = LEASE_DURATION / 3; // Renewed this often while a tick is busy
+const CREATION_LOCK_DURATION = 10000;
+const NEXT_ROUND_DELAY = 3000; // 3 seconds between rounds
+
+// Identifies this process as the holder of the leader lease
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let tickTimer = null;
+let tickRunning = false;
+let isLeader = false;
+
+// Load the shared scheduler state, creating it on first use
+async function getState() {
+  try {
+    return await SchedulerState.findOneAndUpdate(
+      { key: STATE_KEY },
+      { $setOnInsert: { key: STATE_KEY } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two instances inserted it at once; the other one won
+    if (error.code === 11000) {
+      return SchedulerState.findOne({ key: STATE_KEY });
+    }
+    throw error;
+  }
+}
+
+// Take or renew the leader lease. Resolves to the state if this instance leads.
+async function acquireLease() {
+  const now = new Date();
+  return SchedulerState.findOneAndUpdate(
+    {
+      key: STATE_KEY,
+      $or: [
+        { leaderId: instanceId },
+        { leaderId: null },
+        { leaseExpiresAt: { $lte: now } }
+      ]
+    },
+    { leaderId: instanceId, leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION) },
+    { new: true }
+  );
+}
+
+const leadershipLostError = () => {
+  const error = new Error('Round scheduler leadership lost');
+  error.name = 'LeadershipLostError';
+  return error;
+};
+
+// Renew the lease between rounds, throwing once it has been lost so a long
+// tick stops instead of carrying on alongside the new leader
+async function holdLease() {
+  if (!isLeader || !await acquireLease()) {
+    isLeader = false;
+    throw leadershipLostError();
+  }
+}
+
+// Keep renewing the lease while a tick settles rounds, since settling one
+// round can take longer than the lease lasts
+function startLeaseHeartbeat() {
+  const timer = setInterval(async () => {
+    try {
+      if (isLeader && !await acquireLease()) {
+        isLeader = false;
+      }
+    } catch (error) {
+      console.error('Error renewing scheduler lease:', error);
+    }
+  }, LEASE_RENEW_INTERVAL);
+  return () => clearInterval(timer);
+}
+
+async function releaseLease() {
+  await SchedulerState.updateOne(
+    { key: STATE_KEY, leaderId: instanceId },
+    { leaderId: null, leaseExpiresAt: null }
+  );
+  isLeader = false;
+}
+
+// Safe game creation with proper locking and unique game numbers. The lock
+// lives on the room so admin requests on any instance and the leader's
+// schedule can't open two rounds in the same room at once.
+async function createNewGameSafely(room) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + CREATION_LOCK_DURATION);
+  const locked = await Room.findOneAndUpdate(
+    {
+      _id: room._id,
+      $or: [
+        { creationLockedUntil: null },
+        { creationLockedUntil: { $lte: now } }
+      ]
+    },
+    { creationLockedUntil: lockedUntil }
+  );
+
+  if (!locked) {
+    console.log(`Game creation already in progress in room ${room.slug}, skipping...`);
+    return null;
+  }
+
+  try {
+    // Double-check if a game already exists
+    const existingGame = await Game.findOne({
+      room: room.slug,
+      status: { $in: ['waiting', 'betting'] }
+    }).sort({ createdAt: -1 });
+
+    if (existingGame) {
+      console.log('Game already exists, skipping creation');
+      return existingGame;
+    }
+
+    // Get the next game number in this room
+    const lastGame = await Game.findOne({ room: room.slug }).sort({ gameNumber: -1 });
+    const nextGameNumber = lastGame ? lastGame.gameNumber + 1 : 1;
+
+    // Create the game with retry logic for duplicate key errors
+    let attempts = 0;
+    const maxAttempts = 5;
+
+    while (attempts < maxAttempts) {
+      try {
+        const gameData = {
+          room: room.slug,
+          gameNumber: nextGameNumber + attempts,
+          status: 'waiting',
+          startTime: new Date(Date.now() + 5000) // Start in 5 seconds
+        };
+
+        const game = new Game(gameData);
+        await game.save();
+
+        console.log(`Successfully created game #${game.gameNumber} in room ${room.slug}`);
+        realtime.emitGameUpdate(game, await getBettingEndsAt(game));
+        return game;
+      } catch (error) {
+        if (error.code === 11000) { // Duplicate key error
+          attempts++;
+          console.log(`Duplicate key error, retrying with gameNumber ${nextGameNumber + attempts}`);
+
+          if (attempts >= maxAttempts) {
+            console.log('Max attempts reached for game creation');
+            return null;
+          }
+
+          // Wait a bit before retrying
+          await new Promise(resolve => setTimeout(resolve, 100));
+        } else {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error in createNewGameSafely:', error);
+    return null;
+  } finally {
+    // Only release the lock if it is still ours
+    await Room.updateOne(
+      { _id: room._id, creationLockedUntil: lockedUntil },
+      { creationLockedUntil: null }
+    );
+  }
+}
+
+// Finish rounds left behind by a crash or restart: rounds whose betting window
+// closed while no scheduler was running, and completed rounds whose
+// settlement was cut short. Settlement is idempotent, so this is safe to
+// repeat if leadership changes hands part way through.
+async function recoverOverdueRounds() {
+  const now = new Date();
+  const openGames = await Game.find({ status: { $in: ['waiting', 'betting'] } });
+
+  for (const game of openGames) {
+    if (now >= await getBettingEndsAt(game)) {
+      await holdLease();
+      console.log(`Recovering overdue game #${game.gameNumber}`);
+      await endGameAndProcessBets(game);
+    }
+  }
+
+  const unsettledGameIds = await Bet.distinct('gameId', { result: 'pending' });
+  const interruptedGames = await Game.find({ _id: { $in: unsettledGameIds }, status: 'completed' });
+
+  for (const game of interruptedGames) {
+    await holdLease();
+    console.log(`Resuming settlement of game #${game.gameNumber}`);
+    await endGameAndProcessBets(game);
+  }
+}
+
+// Move a room's current round along its lifecycle and open the next one
+async function driveRoom(room) {
+  const activeGame = await Game.findOne({
+    room: room.slug,
+    status: { $in: ['waiting', 'betting'] }
+  }).sort({ createdAt: -1 });
+
+  if (!activeGame) {
+    // Leave a short pause after the previous round before opening the next
+    const lastGame = await Game.findOne({ room: room.slug, status: { $in: ['completed', 'voided'] } })
+      .sort({ endTime: -1 });
+    if (lastGame?.endTime && Date.now() - lastGame.endTime.getTime() < NEXT_ROUND_DELAY) {
+      return;
+    }
+    await createNewGameSafely(room);
+    return;
+  }
+
+  const now = new Date();
+
+  // Check if waiting game should start betting
+  if (activeGame.status === 'waiting' && now >= activeGame.startTime) {
+    const bettingGame = await Game.findOneAndUpdate(
+      { _id: activeGame._id, status: 'waiting' },
+      { status: 'betting' },
+      { new: true }
+    );
+    if (bettingGame) {
+      console.log(`Game #${bettingGame.gameNumber} in room ${room.slug} started betting`);
+      realtime.emitGameUpdate(bettingGame, await getBettingEndsAt(bettingGame));
+    }
+    return;
+  }
+
+  // Check if betting game should end
+  if (activeGame.status === 'betting' && now >= await getBettingEndsAt(activeGame)) {
+    await endGameAndProcessBets(activeGame);
+  }
+}
+
+async function driveRounds() {
+  const rooms = await Room.find({ isActive: true, continuousEnabled: true });
+
+  for (const room of rooms) {
+    await holdLease();
+
+    // One room failing shouldn't hold up the others
+    try {
+      await driveRoom(room);
+    } catch (error) {
+      console.error(`Error driving room ${room.slug}:`, error);
+    }
+  }
+}
+
+async function tick() {
+  // A slow settlement can outlast the interval; never run two ticks at once
+  if (tickRunning) return;
+  tickRunning = true;
+  let stopHeartbeat = null;
+
+  try {
+    const state = await acquireLease();
+    const wasLeader = isLeader;
+    isLeader = Boolean(state);
+
+    if (!isLeader) {
+      if (wasLeader) {
+        console.log('Round scheduler leadership lost');
+      }
+      return;
+    }
+
+    stopHeartbeat = startLeaseHeartbeat();
+
+    if (!wasLeader) {
+      console.log(`Round scheduler leadership acquired by ${instanceId}`);
+      await recoverOverdueRounds();
+    }
+
+    await driveRounds();
+  } catch (error) {
+    if (error.name === 'LeadershipLostError') {
+      console.log('Round scheduler leadership lost part way through a tick');
+    } else {
+      console.error('Error in game monitoring:', error);
+    }
+  } finally {
+    stopHeartbeat?.();
+    tickRunning = false;
+  }
+}
+
+// Start competing for leadership once the database is connected
+async function startScheduler() {
+  if (tickTimer) return;
+
+  try {
+    await getState();
+    await ensureRooms();
+    await ensurePaytable();
+  } catch (error) {
+    console.error('Error loading scheduler state:', error);
+  }
+
+  tickTimer = setInterval(tick, TICK_INTERVAL);
+  tick();
+}
+
+// Hand leadership over straight away instead of waiting for the lease to expire
+async function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+
+  try {
+    await releaseLease();
+  } catch (error) {
+    console.error('Error releasing scheduler lease:', error);
+  }
+}
+
+async function setContinuousEnabled(room, enabled) {
+  return Room.findByIdAndUpdate(room._id, { continuousEnabled: enabled }, { new: true });
+}
+
+async function getSchedulerStatus() {
+  const [state, rooms] = await Promise.all([getState(), listRooms()]);
+  const now = new Date();
+  const leaseActive = Boolean(state.leaderId && state.leaseExpiresAt && state.leaseExpiresAt > now);
+
+  return {
+    rooms: rooms.map((room) => ({
+      slug: room.slug,
+      name: room.name,
+      enabled: room.continuousEnabled,
+      creationInProgress: Boolean(room.creationLockedUntil && room.creationLockedUntil > now)
+    })),
+    leaderId: leaseActive ? state.leaderId : null,
+    leaseExpiresAt: leaseActive ? state.leaseExpiresAt : null
+  };
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  createNewGameSafely,
+  setContinuousEnabled,
+  getSchedulerStatus
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const realtime = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days since the last refresh
+const REUSE_GRACE = 10000; // Other tabs may still send the token that was just replaced
+const LAST_SEEN_INTERVAL = 60000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Access tokens name their session so revoking it signs the device out
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const BROWSERS = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+const SYSTEMS = [['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+// A readable name for the device, e.g. "Chrome on Android"
+function describeDevice(userAgent) {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return 'Unknown device';
+  return [browser ? browser[0] : 'Browser', system && system[0]].filter(Boolean).join(' on ');
+}
+
+const requestInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || '' };
+};
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.name = 'SessionError';
+  return error;
+};
+
+// Start a session for a user who just signed in
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    twoFactorVerified,
+    ...requestInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+}
+
+// Swap a refresh token for a new access and refresh token. A refresh token
+// works once; replaying a replaced one revokes the session, since only a
+// stolen copy would still be in use.
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+      ...requestInfo(req)
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      session,
+      token: generateAccessToken(session.userId, session._id),
+      refreshToken: nextToken
+    };
+  }
+
+  const replayed = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+  if (replayed) {
+    if (now - replayed.rotatedAt < REUSE_GRACE) {
+      throw sessionError('Refresh token already used');
+    }
+    console.warn(`Refresh token reuse detected, revoking session ${replayed._id}`);
+    await revokeSession(replayed._id, 'reuse');
+  }
+
+  throw sessionError('Session expired. Please login again.');
+}
+
+// The session behind an access token, if it is still signed in
+async function findActiveSession(sessionId) {
+  if (!sessionId) return null;
+  return Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+}
+
+// Record activity at most once a minute
+async function touchSession(session, req) {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL) return;
+  await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip || session.ip });
+}
+
+async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ip lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 });
+}
+
+// Revoke one session. Pass userId to only revoke a session that user owns.
+// Resolves to whether a session was revoked.
+async function revokeSession(sessionId, reason, userId = null) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+  if (result.modifiedCount > 0) {
+    realtime.disconnectSession(sessionId);
+    return true;
+  }
+  return false;
+}
+
+// Sign a user out everywhere. Resolves to the number of sessions revoked.
+async function revokeUserSessions(userId, reason) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  realtime.disconnectUser(userId);
+  return result.modifiedCount;
+}
+
+// Sign a user out everywhere except the given session
+async function revokeOtherSessions(userId, sessionId, reason) {
+  const sessions = await Session.find({ userId, _id: { $ne: sessionId }, revokedAt: null }).select('_id');
+  await Promise.all(sessions.map((session) => revokeSession(session._id, reason)));
+  return sessions.length;
+}
+
+// The device just proved the second factor, e.g. while enrolling
+async function markTwoFactorVerified(sessionId) {
+  await Session.updateOne({ _id: sessionId }, { twoFactorVerified: true });
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  revokeOtherSessions,
+  markTwoFactorVerified
+};
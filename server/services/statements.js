@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const { toCsv } = require('../utils/csv');
+const { renderTablePdf } = require('../utils/pdf');
+
+// How each kind of ledger entry reads on a player's statement
+const LINE_TYPES = {
+  bet: 'Bet',
+  win: 'Win',
+  refund: 'Refund',
+  deposit_approved: 'Deposit',
+  withdrawal_request: 'Withdrawal',
+  withdrawal_rejected: 'Withdrawal returned',
+  adjustment: 'Adjustment',
+  opening_balance: 'Opening balance'
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+// Legs on the player's wallet balance
+const userLegs = (userId) => ({ account: 'user', userId });
+
+// The player's wallet balance at `from` and `to`, and every ledger entry that
+// moved it in between. Built from the ledger, so it always adds up.
+async function getStatement(userId, { from, to }) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const [opening] = await LedgerEntry.aggregate([
+    { $match: { createdAt: { $lt: from }, legs: { $elemMatch: userLegs(id) } } },
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': 'user', 'legs.userId': id } },
+    { $group: { _id: null, balance: { $sum: { $subtract: ['$legs.credit', '$legs.debit'] } } } }
+  ]);
+
+  const entries = await LedgerEntry.find({
+    createdAt: { $gte: from, $lte: to },
+    legs: { $elemMatch: userLegs(id) }
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const openingBalance = roundMoney(opening?.balance || 0);
+  let balance = openingBalance;
+  const lines = entries.map((entry) => {
+    const amount = roundMoney(entry.legs
+      .filter((leg) => leg.account === 'user' && String(leg.userId) === String(id))
+      .reduce((sum, leg) => sum + leg.credit - leg.debit, 0));
+    balance = roundMoney(balance + amount);
+
+    return {
+      date: entry.createdAt,
+      type: LINE_TYPES[entry.type] || entry.type,
+      description: entry.description,
+      amount,
+      balance,
+      reference: String(entry.transactionId || entry._id)
+    };
+  });
+
+  return { from, to, openingBalance, closingBalance: balance, lines };
+}
+
+const STATEMENT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'type', label: 'Type' },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'balance', label: 'Balance' },
+  { key: 'reference', label: 'Reference' }
+];
+
+// Opening and closing balances go in as lines of their own, so the file adds up on its own
+const statementCsv = (statement) => toCsv(STATEMENT_COLUMNS, [
+  { date: statement.from, type: 'Opening balance', balance: statement.openingBalance },
+  ...statement.lines,
+  { date: statement.to, type: 'Closing balance', balance: statement.closingBalance }
+]);
+
+const statementPdf = (statement, user) => renderTablePdf({
+  title: 'Account Statement',
+  details: [
+    `${user.username} <${user.email}>`,
+    `${statement.from.toUTCString()} to ${statement.to.toUTCString()}`,
+    `Opening balance: ${formatMoney(statement.openingBalance)}`
+  ],
+  columns: [
+    { label: 'Date (UTC)', width: 0.18 },
+    { label: 'Type', width: 0.14 },
+    { label: 'Description', width: 0.44 },
+    { label: 'Amount', width: 0.12, align: 'right' },
+    { label: 'Balance', width: 0.12, align: 'right' }
+  ],
+  rows: statement.lines.map((line) => [
+    line.date.toISOString().slice(0, 16).replace('T', ' '),
+    line.type,
+    line.description,
+    formatMoney(line.amount),
+    formatMoney(line.balance)
+  ]),
+  summary: [
+    `Closing balance: ${formatMoney(statement.closingBalance)}`,
+    statement.lines.length === 0 ? 'No activity in this period' : `${statement.lines.length} transactions`
+  ]
+});
+
+module.exports = {
+  getStatement,
+  statementCsv,
+  statementPdf
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const cloudinary = require('../config/cloudinary');
+const { signToken } = require('../utils/signedToken');
+const { signRequest, presignUrl } = require('../utils/awsSignature');
+
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'tmp', 'uploads'));
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const URL_TTL_SECONDS = (Number(process.env.SIGNED_URL_TTL_MINUTES) || 60) * 60;
+
+const s3Config = () => ({
+  region: process.env.S3_REGION || 'us-east-1',
+  credentials: {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+});
+
+const s3ObjectUrl = (key) => {
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${s3Config().region}.amazonaws.com`).replace(/\/$/, '');
+  return `${endpoint}/${process.env.S3_BUCKET}/${key}`;
+};
+
+// A driver stores files by key and hands out links to them that expire:
+//   save({ key, buffer, contentType }) and signedUrl(key, expiresIn seconds),
+//   plus optionally remove(key) to delete a file again.
+// Register another with registerDriver and pick it with STORAGE_DRIVER.
+// Stored files are referred to as { driver, key }, so files saved under one
+// driver can still be read after switching to another.
+const drivers = {
+  // Files on this server's disk, served by GET /api/files/:token
+  local: {
+    async save({ key, buffer }) {
+      const file = path.join(STORAGE_DIR, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async remove(key) {
+      await fs.rm(path.join(STORAGE_DIR, key), { force: true });
+    },
+    signedUrl(key, expiresIn) {
+      return `${API_URL}/api/files/${signToken('file', { key }, expiresIn)}`;
+    }
+  },
+
+  // Cloudinary, as private images that only signed download links can fetch
+  cloudinary: {
+    async save({ key, buffer }) {
+      await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream({
+          public_id: key.replace(/\.[^.]+$/, ''),
+          type: 'private',
+          resource_type: 'image',
+          transformation: [{ width: 800, height: 800, crop: 'limit' }]
+        }, (error, result) => (error ? reject(error) : resolve(result)));
+        stream.end(buffer);
+      });
+    },
+    async remove(key) {
+      await cloudinary.uploader.destroy(key.replace(/\.[^.]+$/, ''), { type: 'private', resource_type: 'image' });
+    },
+    signedUrl(key, expiresIn) {
+      const { ext } = path.parse(key);
+      return cloudinary.utils.private_download_url(key.slice(0, -ext.length), ext.slice(1), {
+        type: 'private',
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    }
+  },
+
+  // Any S3-compatible store, addressed path-style (S3_ENDPOINT/S3_BUCKET/key)
+  s3: {
+    async save({ key, buffer, contentType }) {
+      const url = s3ObjectUrl(key);
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: signRequest({
+          method: 'PUT',
+          url,
+          headers: { 'content-type': contentType },
+          body: buffer,
+          ...s3Config()
+        }),
+        body: buffer
+      });
+      if (!response.ok) {
+        throw new Error(`S3 upload failed with status ${response.status}: ${await response.text()}`);
+      }
+    },
+    async remove(key) {
+      const url = s3ObjectUrl(key);
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: signRequest({ method: 'DELETE', url, ...s3Config() })
+      });
+      if (!response.ok) {
+        throw new Error(`S3 delete failed with status ${response.status}: ${await response.text()}`);
+      }
+    },
+    signedUrl(key, expiresIn) {
+      return presignUrl({ url: s3ObjectUrl(key), expiresIn, ...s3Config() });
+    }
+  }
+};
+
+const registerDriver = (name, driver) => {
+  if (typeof driver?.save !== 'function' || typeof driver?.signedUrl !== 'function') {
+    throw new Error(`Storage driver "${name}" must have save(file) and signedUrl(key, expiresIn) methods`);
+  }
+  drivers[name] = driver;
+};
+
+// Cloudinary stays the default where it's configured
+const currentDriver = () => process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+const getDriver = (name) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+};
+
+// Save an uploaded image (checked by the upload middleware) under `folder`
+// and return the reference to keep for it
+async function saveImage(file, folder) {
+  const driver = currentDriver();
+  const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${file.imageType.ext}`;
+  await getDriver(driver).save({ key, buffer: file.buffer, contentType: file.imageType.contentType });
+  return { driver, key };
+}
+
+// Delete a stored file, for one saved by a request that then failed. Drivers
+// without remove keep the file.
+async function deleteImage(ref) {
+  const driver = getDriver(ref.driver);
+  if (typeof driver.remove === 'function') {
+    await driver.remove(ref.key);
+  }
+}
+
+// A link to a stored file that stops working after SIGNED_URL_TTL_MINUTES
+async function signedUrl(ref) {
+  if (!ref?.driver || !ref?.key) return null;
+  return getDriver(ref.driver).signedUrl(ref.key, URL_TTL_SECONDS);
+}
+
+// Path of a file saved by the local driver, or null if the key would leave STORAGE_DIR
+const localPath = (key) => {
+  const file = path.resolve(STORAGE_DIR, key);
+  return file.startsWith(`${STORAGE_DIR}${path.sep}`) ? file : null;
+};
+
+module.exports = {
+  saveImage,
+  deleteImage,
+  signedUrl,
+  localPath,
+  registerDriver
+};
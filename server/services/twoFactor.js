@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { signToken, readToken } = require('../utils/signedToken');
+
+const ISSUER = process.env.TOTP_ISSUER || 'ColorBet';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const twoFactorError = (message) => {
+  const error = new Error(message);
+  error.name = 'TwoFactorError';
+  return error;
+};
+
+// Recovery codes are typed by hand, so ignore case, spaces and dashes
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+// Short-lived proof that the password was right, exchanged for a session
+// once the second factor checks out
+const createChallenge = (userId) => signToken('two_factor', { userId }, CHALLENGE_TTL);
+
+const readChallenge = (challengeToken) => {
+  const decoded = readToken('two_factor', challengeToken);
+  if (!decoded) {
+    throw twoFactorError('Sign-in expired. Please login again.');
+  }
+  return decoded.userId;
+};
+
+async function getStatus(userId) {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return {
+    enabled: user.twoFactor.enabled,
+    required: user.isAdmin,
+    requireForWithdrawals: user.twoFactor.requireForWithdrawals,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+  };
+}
+
+// Start enrolment with a fresh secret; nothing changes until a code is confirmed
+async function beginSetup(user) {
+  if (user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  return {
+    secret,
+    otpauthUrl: totp.keyUri(secret, user.email, ISSUER)
+  };
+}
+
+// Finish enrolment with a code from the app. Resolves to the recovery codes,
+// which are only ever shown this once.
+async function enable(userId, code) {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first');
+  }
+
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw twoFactorError('Invalid two-factor code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, {
+    'twoFactor.enabled': true,
+    'twoFactor.secret': user.twoFactor.pendingSecret,
+    'twoFactor.pendingSecret': null,
+    'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+    'twoFactor.lastUsedStep': step,
+    'twoFactor.enabledAt': new Date()
+  });
+
+  return recoveryCodes;
+}
+
+// Check a code from the authenticator app or a recovery code. Each is
+// accepted once: app codes can't be replayed and recovery codes are used up.
+async function verify(userId, code) {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user || !user.twoFactor.enabled || !code) return false;
+
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function disable(userId) {
+  await User.updateOne({ _id: userId }, {
+    'twoFactor.enabled': false,
+    'twoFactor.secret': null,
+    'twoFactor.pendingSecret': null,
+    'twoFactor.recoveryCodes': [],
+    'twoFactor.requireForWithdrawals': false,
+    'twoFactor.enabledAt': null
+  });
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, {
+    'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode)
+  });
+  return recoveryCodes;
+}
+
+async function setWithdrawalRequirement(userId, required) {
+  await User.updateOne({ _id: userId }, { 'twoFactor.requireForWithdrawals': required });
+}
+
+module.exports = {
+  createChallenge,
+  readChallenge,
+  getStatus,
+  beginSetup,
+  enable,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  setWithdrawalRequirement
+};
@@ -0,0 +1,112 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Bet = require('../models/Bet');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const { reconcileWallets } = require('../services/ledger');
+const {
+  startDatabase,
+  clearDatabase,
+  startServer,
+  createPlayer,
+  createRoom,
+  createOpenRound,
+  placeBet
+} = require('./setup');
+
+// Rounds numbered 1 to count, all open for betting at once
+const openRounds = async (count) => {
+  const room = await createRoom();
+  return Promise.all(Array.from({ length: count }, (_, i) => createOpenRound(room, i + 1)));
+};
+
+describe('placing bets at the same time', () => {
+  let stopDatabase;
+  let server;
+
+  before(async () => {
+    stopDatabase = await startDatabase();
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server?.close();
+    await stopDatabase?.();
+  });
+
+  beforeEach(clearDatabase);
+
+  it('never spends more than the wallet holds', async () => {
+    const rounds = await openRounds(10);
+    const { user, token } = await createPlayer(100);
+
+    // Ten $25 bets on different rounds against $100: only four can be covered
+    const responses = await Promise.all(rounds.map((game) => placeBet(server.url, token, {
+      gameId: game._id,
+      betType: 'color',
+      betValue: 'red',
+      amount: 25
+    })));
+
+    const placed = responses.filter((response) => response.status === 200);
+    const refused = responses.filter((response) => response.status !== 200);
+    assert.equal(placed.length, 4);
+    assert.equal(refused.length, 6);
+    refused.forEach((response) => assert.deepEqual(response.body, { error: 'Insufficient balance' }));
+
+    const wallet = await Wallet.findOne({ userId: user._id });
+    assert.equal(wallet.balance, 0);
+    assert.equal(await Bet.countDocuments({ userId: user._id }), 4);
+    assert.equal(await Transaction.countDocuments({ userId: user._id, type: 'bet' }), 4);
+
+    const { mismatches } = await reconcileWallets();
+    assert.deepEqual(mismatches, []);
+  });
+
+  it('debits every bet that fits within the balance', async () => {
+    const rounds = await openRounds(4);
+    const { user, token } = await createPlayer(100);
+
+    const responses = await Promise.all(rounds.map((game) => placeBet(server.url, token, {
+      gameId: game._id,
+      betType: 'size',
+      betValue: 'big',
+      amount: 20
+    })));
+
+    responses.forEach((response) => assert.equal(response.status, 200));
+
+    const wallet = await Wallet.findOne({ userId: user._id });
+    assert.equal(wallet.balance, 20);
+    assert.equal(await Bet.countDocuments({ userId: user._id }), 4);
+
+    const { mismatches } = await reconcileWallets();
+    assert.deepEqual(mismatches, []);
+  });
+
+  it('keeps slips on different rounds within a wager limit together', async () => {
+    const rounds = await openRounds(2);
+    const { user, token } = await createPlayer(100);
+    await User.updateOne({ _id: user._id }, {
+      'responsibleGaming.limits': [{ kind: 'wager', period: 'daily', amount: 50 }]
+    });
+
+    // Each $30 slip fits the $50 limit on its own, but not both
+    const responses = await Promise.all(rounds.map((game) => placeBet(server.url, token, {
+      gameId: game._id,
+      betType: 'color',
+      betValue: 'green',
+      amount: 30
+    })));
+
+    const placed = responses.filter((response) => response.status === 200);
+    const refused = responses.filter((response) => response.status !== 200);
+    assert.equal(placed.length, 1);
+    assert.equal(refused.length, 1);
+    assert.match(refused[0].body.error, /daily wager limit/);
+
+    const wallet = await Wallet.findOne({ userId: user._id });
+    assert.equal(wallet.balance, 70);
+  });
+});
@@ -0,0 +1,115 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Bet = require('../models/Bet');
+const Game = require('../models/Game');
+const LedgerEntry = require('../models/LedgerEntry');
+const Notification = require('../models/Notification');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const { reconcileWallets } = require('../services/ledger');
+const { endGameAndProcessBets } = require('../services/rounds');
+const {
+  startDatabase,
+  clearDatabase,
+  startServer,
+  createPlayer,
+  createRoom,
+  createOpenRound,
+  placeBet
+} = require('./setup');
+
+describe('settling a round more than once', () => {
+  let stopDatabase;
+  let server;
+
+  before(async () => {
+    stopDatabase = await startDatabase();
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server?.close();
+    await stopDatabase?.();
+  });
+
+  beforeEach(clearDatabase);
+
+  // A fresh copy each time, as the scheduler and an admin would each load their own
+  const loadRound = (game) => Game.findById(game._id);
+
+  // Ten players with $100 each put $1 on a different number, so whatever
+  // comes up exactly one of them wins $9
+  const betOnEveryNumber = async (game) => {
+    const players = await Promise.all(Array.from({ length: 10 }, () => createPlayer(100)));
+    for (const [number, { token }] of players.entries()) {
+      const response = await placeBet(server.url, token, {
+        gameId: game._id,
+        betType: 'number',
+        betValue: String(number),
+        amount: 1
+      });
+      assert.equal(response.status, 200);
+    }
+    return players;
+  };
+
+  const assertPaidOnce = async () => {
+    assert.equal(await Bet.countDocuments({ result: 'pending' }), 0);
+    assert.equal(await Bet.countDocuments({ result: 'win' }), 1);
+    assert.equal(await Transaction.countDocuments({ type: 'win' }), 1);
+    assert.equal(await LedgerEntry.countDocuments({ type: 'win' }), 1);
+    assert.equal(await Notification.countDocuments({ type: 'round_won' }), 1);
+
+    const winner = await Bet.findOne({ result: 'win' });
+    assert.equal(winner.payout, 9);
+    const wallets = await Wallet.find();
+    for (const wallet of wallets) {
+      assert.equal(wallet.balance, wallet.userId.equals(winner.userId) ? 108 : 99);
+    }
+
+    const { mismatches } = await reconcileWallets();
+    assert.deepEqual(mismatches, []);
+    return winner;
+  };
+
+  it('pays each bet once when settled again', async () => {
+    const game = await createOpenRound(await createRoom());
+    await betOnEveryNumber(game);
+
+    await endGameAndProcessBets(await loadRound(game));
+    await endGameAndProcessBets(await loadRound(game));
+
+    await assertPaidOnce();
+  });
+
+  it('pays each bet once when settled twice at the same time', async () => {
+    const game = await createOpenRound(await createRoom());
+    await betOnEveryNumber(game);
+
+    await Promise.all([
+      endGameAndProcessBets(await loadRound(game)),
+      endGameAndProcessBets(await loadRound(game))
+    ]);
+
+    await assertPaidOnce();
+  });
+
+  it('finishes a settlement cut short after the round completed', async () => {
+    const game = await createOpenRound(await createRoom());
+    await betOnEveryNumber(game);
+
+    // The round got its result, then the server went down before paying anyone
+    await Game.updateOne(
+      { _id: game._id },
+      { status: 'completed', endTime: new Date(), resultNumber: 3, resultColor: 'green', resultSize: 'small' }
+    );
+
+    await Promise.all([
+      endGameAndProcessBets(await loadRound(game)),
+      endGameAndProcessBets(await loadRound(game))
+    ]);
+
+    const winner = await assertPaidOnce();
+    assert.equal(winner.betValue, '3');
+  });
+});
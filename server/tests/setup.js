@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const Room = require('../models/Room');
+const Game = require('../models/Game');
+const ledger = require('../services/ledger');
+const { createSession } = require('../services/sessions');
+const { ensurePaytable } = require('../services/paytable');
+const gameRoutes = require('../routes/games');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Start a single-node replica set, since transactions need one, and connect
+// mongoose to it. Resolves to a function that tears both down again.
+async function startDatabase() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Unique indexes, like one wallet per player, must exist before the races start
+  await mongoose.connection.syncIndexes();
+
+  return async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  };
+}
+
+async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+// Serve the games routes on a free port. Resolves to the base URL and a close function.
+async function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/games', gameRoutes);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/games`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// A signed-in player whose wallet was funded through the ledger, so the
+// ledger and the wallet agree from the start
+async function createPlayer(balance) {
+  const user = await User.create({
+    email: `player-${new mongoose.Types.ObjectId()}@example.com`,
+    username: 'player',
+    password: 'password123'
+  });
+  await Wallet.create({ userId: user._id });
+  await ledger.postEntry({
+    type: 'adjustment',
+    description: 'Test funds',
+    legs: ledger.transfer(ledger.houseAccount(), ledger.userAccount(user._id), balance)
+  });
+
+  const { token } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' });
+  return { user, token };
+}
+
+// A room for the test's rounds, with the default stake limits and paytable
+async function createRoom() {
+  await ensurePaytable();
+  return Room.create({ slug: 'test', name: 'Test' });
+}
+
+// A round open for betting in the room
+async function createOpenRound(room, gameNumber = 1) {
+  return Game.create({
+    room: room.slug,
+    gameNumber,
+    status: 'betting',
+    startTime: new Date()
+  });
+}
+
+async function placeBet(url, token, body) {
+  const response = await fetch(`${url}/bet`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  startDatabase,
+  clearDatabase,
+  startServer,
+  createPlayer,
+  createRoom,
+  createOpenRound,
+  placeBet
+};
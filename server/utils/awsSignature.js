@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// AWS Signature Version 4, as used by S3 and the S3-compatible stores
+// (MinIO, R2, Spaces...). Only what the storage driver needs: signed
+// headers for a request, and presigned URLs.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, which encodeURIComponent falls just short of
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodePath = (pathname) => pathname.split('/').map((segment) => encode(decodeURIComponent(segment))).join('/');
+
+const canonicalQuery = (params) => [...params.entries()]
+  .map(([key, value]) => [encode(key), encode(value)])
+  .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  .map(([key, value]) => `${key}=${value}`)
+  .join('&');
+
+// 20240101T000000Z and 20240101
+const timestamps = (now) => {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, date: amzDate.slice(0, 8) };
+};
+
+const signature = ({ method, url, headers, payloadHash, credentials, amzDate, scope }) => {
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    encodePath(url.pathname),
+    canonicalQuery(url.searchParams),
+    names.map((name) => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const [date, region, service] = scope.split('/');
+  const key = [date, region, service, 'aws4_request']
+    .reduce((signingKey, part) => hmac(signingKey, part), `AWS4${credentials.secretAccessKey}`);
+
+  return { signedHeaders, value: crypto.createHmac('sha256', key).update(stringToSign).digest('hex') };
+};
+
+// Headers (including Authorization) for a request with the body in `body`
+function signRequest({ method, url, headers = {}, body = '', region, credentials, service = 's3', now = new Date() }) {
+  const target = new URL(url);
+  const { amzDate, date } = timestamps(now);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const payloadHash = sha256(body);
+
+  const allHeaders = {
+    ...headers,
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const { signedHeaders, value } = signature({
+    method, url: target, headers: allHeaders, payloadHash, credentials, amzDate, scope
+  });
+
+  return {
+    ...allHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${value}`
+  };
+}
+
+// A URL anyone holding it can use for `expiresIn` seconds
+function presignUrl({ method = 'GET', url, region, credentials, expiresIn, service = 's3', now = new Date() }) {
+  const target = new URL(url);
+  const { amzDate, date } = timestamps(now);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+
+  target.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+  target.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  target.searchParams.set('X-Amz-Date', amzDate);
+  target.searchParams.set('X-Amz-Expires', String(expiresIn));
+  target.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const { value } = signature({
+    method, url: target, headers: { host: target.host }, payloadHash: 'UNSIGNED-PAYLOAD', credentials, amzDate, scope
+  });
+  target.searchParams.set('X-Amz-Signature', value);
+  return target.toString();
+}
+
+module.exports = { signRequest, presignUrl };
@@ -0,0 +1,21 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A CSV document from `columns` ({ key, label }) and plain row objects
+const toCsv = (columns, rows) => [
+  columns.map((column) => csvCell(column.label)).join(','),
+  ...rows.map((row) => columns.map((column) => csvCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
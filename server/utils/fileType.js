@@ -0,0 +1,42 @@
+const sharp = require('sharp');
+
+// Largest image we'll decode, in pixels. A small file can declare a huge
+// picture, so this is checked against the header before anything is decoded.
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Image formats we accept, recognised by the signature at the start of the
+// file rather than the type the browser claims for it
+const IMAGE_TYPES = [
+  { ext: 'jpg', contentType: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    ext: 'png',
+    contentType: 'image/png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  { ext: 'gif', contentType: 'image/gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  {
+    ext: 'webp',
+    contentType: 'image/webp',
+    matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+// { ext, contentType } for an image buffer, or null if it isn't one we accept
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const type = IMAGE_TYPES.find((candidate) => candidate.matches(buffer));
+  return type ? { ext: type.ext, contentType: type.contentType } : null;
+};
+
+// { width, height } from the image's header, without decoding it, or null if
+// the header can't be read
+async function readImageSize(buffer) {
+  try {
+    const { width, height } = await sharp(buffer, { limitInputPixels: false }).metadata();
+    return width && height ? { width, height } : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { MAX_IMAGE_PIXELS, detectImageType, readImageSize };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { MAX_IMAGE_PIXELS } = require('./fileType');
+
+// SHA-256 of the file itself: equal only for byte-for-byte copies
+const exactHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Size the image is shrunk to before hashing: 9x8 cells of 8x8 pixels each
+const CELL = 8;
+const SAMPLE_WIDTH = 9 * CELL;
+const SAMPLE_HEIGHT = 8 * CELL;
+
+// Mean of one cell of the shrunk image
+const cellMean = (pixels, col, row) => {
+  let sum = 0;
+  for (let y = row * CELL; y < (row + 1) * CELL; y++) {
+    for (let x = col * CELL; x < (col + 1) * CELL; x++) sum += pixels[y * SAMPLE_WIDTH + x];
+  }
+  return sum / (CELL * CELL);
+};
+
+// A 64-bit difference hash as 16 hex digits: the image in grayscale averaged
+// down to 9x8 and each cell compared with its right-hand neighbour.
+// Re-saving, resizing or recompressing an image barely changes it, so similar
+// images are a small Hamming distance apart. Null if the image can't be decoded.
+async function perceptualHash(buffer) {
+  let pixels;
+  try {
+    pixels = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+      .grayscale()
+      .resize(SAMPLE_WIDTH, SAMPLE_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  } catch {
+    return null;
+  }
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    const cells = Array.from({ length: 9 }, (_, col) => cellMean(pixels, col, row));
+    for (let col = 0; col < 8; col++) {
+      // Cells within a grey level of each other count as equal, so flat areas
+      // of a screenshot don't flip with compression noise
+      hash = (hash << 1n) | (cells[col] > cells[col + 1] + 1 ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of bits two perceptual hashes differ in
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// A perceptual hash cut into 8-bit bands, each tagged with its position.
+// Hashes at most 7 bits apart always share at least one band, since the
+// differing bits can touch at most 7 of the 8.
+const HASH_BANDS = 8;
+const hashBands = (hash) => Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${hash.slice(i * 2, i * 2 + 2)}`);
+
+module.exports = { exactHash, perceptualHash, hammingDistance, HASH_BANDS, hashBands };
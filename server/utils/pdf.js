@@ -0,0 +1,127 @@
+// Just enough PDF to print a titled table: A4 pages, the standard Helvetica
+// fonts and no dependencies. Text outside Latin-1 is replaced with '?'.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const ROW_HEIGHT = 14;
+const FONT_SIZE = 8;
+
+// Helvetica advance widths per 1000 units; close enough for anything not listed
+const CHAR_WIDTHS = { ' ': 278, '.': 278, ',': 278, ':': 278, '/': 278, '-': 333, '(': 333, ')': 333, i: 222, l: 222 };
+const DEFAULT_WIDTH = 556;
+
+const textWidth = (text, size) =>
+  [...text].reduce((width, char) => width + (CHAR_WIDTHS[char] || DEFAULT_WIDTH), 0) * size / 1000;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/[\\()]/g, (char) => `\\${char}`);
+
+// Shorten text to fit a column, marking the cut with '...'
+const fitText = (text, width, size) => {
+  if (textWidth(text, size) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+// Render `rows` (arrays of strings) under `columns` ({ label, width, align }),
+// with a title and detail lines above the table and summary lines after it.
+// Column widths are fractions of the printable width. Returns a Buffer.
+function renderTablePdf({ title, details = [], columns, rows, summary = [] }) {
+  const printableWidth = PAGE_WIDTH - MARGIN * 2;
+  const pages = [];
+  let ops;
+  let y;
+
+  const text = (x, value, { size = FONT_SIZE, bold = false } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(value)}) Tj ET`);
+  };
+  // A line just under the row of text on `baseline`
+  const rule = (baseline) => {
+    ops.push(`${MARGIN} ${(baseline - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(baseline - 4).toFixed(2)} l S`);
+  };
+
+  const row = (cells, options = {}) => {
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const width = column.width * printableWidth;
+      const size = options.size || FONT_SIZE;
+      const value = fitText(String(cells[index] ?? ''), width - 4, size);
+      const left = column.align === 'right' ? x + width - 4 - textWidth(value, size) : x;
+      text(left, value, options);
+      x += width;
+    });
+    y -= ROW_HEIGHT;
+  };
+
+  const newPage = () => {
+    ops = ['0.5 w 0.6 G'];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+    if (pages.length === 1) {
+      text(MARGIN, title, { size: 16, bold: true });
+      y -= 24;
+      for (const line of details) {
+        text(MARGIN, line, { size: 9 });
+        y -= ROW_HEIGHT;
+      }
+      y -= 8;
+    }
+    const headerBaseline = y;
+    row(columns.map((column) => column.label), { bold: true });
+    rule(headerBaseline);
+  };
+
+  newPage();
+  for (const cells of rows) {
+    if (y < MARGIN + ROW_HEIGHT * 2) newPage();
+    row(cells);
+  }
+
+  rule(y + ROW_HEIGHT);
+  y -= 4;
+  for (const line of summary) {
+    if (y < MARGIN + ROW_HEIGHT * 2) newPage();
+    text(MARGIN, line, { size: 9, bold: true });
+    y -= ROW_HEIGHT;
+  }
+
+  pages.forEach((pageOps, index) => {
+    pageOps.push(`BT /F1 7 Tf ${MARGIN} ${MARGIN / 2} Td (${escapeText(`Page ${index + 1} of ${pages.length}`)}) Tj ET`);
+  });
+
+  // Objects: catalog, page tree, two fonts, then a page and its content per page
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((pageOps, index) => {
+    const content = pageOps.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderTablePdf };
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Largest multiple of 10 that fits in 32 bits; values at or above it are
+// skipped so every digit is equally likely
+const MAX_UNBIASED = Math.floor(0x100000000 / 10) * 10;
+
+const generateSeed = () => crypto.randomBytes(32).toString('hex');
+
+const hashSeed = (serverSeed) => {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+};
+
+// HMAC-SHA256 keyed with the server seed over "clientSeed:gameNumber",
+// read 8 hex chars (32 bits) at a time until one falls below MAX_UNBIASED
+const computeResult = (serverSeed, clientSeed, gameNumber) => {
+  const hmac = crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${gameNumber}`)
+    .digest('hex');
+
+  for (let i = 0; i + 8 <= hmac.length; i += 8) {
+    const value = parseInt(hmac.slice(i, i + 8), 16);
+    if (value < MAX_UNBIASED) {
+      return value % 10;
+    }
+  }
+
+  // Practically unreachable: all eight chunks would have to land in the top 6 values
+  return parseInt(hmac.slice(0, 8), 16) % 10;
+};
+
+module.exports = { generateSeed, hashSeed, computeResult };
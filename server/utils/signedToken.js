@@ -0,0 +1,20 @@
+const jwt = require('jsonwebtoken');
+
+// Short-lived tokens for one job each (a login challenge, an email link).
+// The purpose is signed in, so a token for one job is rejected by the others
+// and none of them work as an access token.
+const signToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// The token's payload, or null if it is invalid, expired or for another purpose
+const readToken = (purpose, token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { signToken, readToken };
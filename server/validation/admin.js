@@ -0,0 +1,137 @@
+const { z } = require('zod');
+const { objectId, amount, transactionTypes, transactionStatus, pagedQuery, dateRange, reportQuery } = require('./common');
+const { ADMIN_ROLES } = require('../config/roles');
+
+const blockUser = {
+  params: z.object({ id: objectId }),
+  body: z.object({
+    isBlocked: z.boolean({
+      required_error: 'isBlocked is required',
+      invalid_type_error: 'isBlocked must be true or false'
+    }),
+    blockReason: z.string().trim().max(500, 'Block reason is too long').optional(),
+    // Shown to the player when they try to sign in
+    blockMessage: z.string().trim().max(1000, 'Block message is too long').optional(),
+    // Leave out or null for a block that lasts until an admin lifts it
+    durationHours: z.number({ invalid_type_error: 'Duration must be a number of hours' })
+      .int('Duration must be a whole number of hours')
+      .min(1, 'Duration must be at least 1 hour')
+      .max(24 * 365, 'Duration can be at most a year')
+      .nullable()
+      .optional()
+  })
+};
+
+const updateTransaction = {
+  params: z.object({ id: objectId }),
+  body: z.object({
+    status: z.enum(['approved', 'rejected'], {
+      errorMap: () => ({ message: 'Status must be approved or rejected' })
+    }),
+    adminNotes: z.string().trim().max(1000, 'Notes are too long').optional()
+  })
+};
+
+// Only the known settings can be changed
+const updateSettings = {
+  body: z.object({
+    qrCodeUrl: z.string().trim().url('QR code must be a URL').or(z.literal('')).optional(),
+    headerBannerText: z.string().trim().max(200, 'Banner text is too long').optional(),
+    headerBannerActive: z.boolean({ invalid_type_error: 'Banner active must be true or false' }).optional(),
+    betTypeLimits: z.array(
+      z.object({
+        betType: z.string({ required_error: 'Bet type is required' }).trim().min(1, 'Bet type is required'),
+        minStake: amount.nullable(),
+        maxStake: amount.nullable()
+      }).refine((limit) => limit.minStake === null || limit.maxStake === null || limit.minStake <= limit.maxStake, {
+        message: 'Minimum stake cannot be more than the maximum',
+        path: ['maxStake']
+      })
+    )
+      .refine((limits) => new Set(limits.map((limit) => limit.betType)).size === limits.length, {
+        message: 'Each bet type can only have one limit'
+      })
+      .optional(),
+    maxRoundLiability: amount.nullable().optional()
+  })
+};
+
+// null takes admin access away
+const updateRole = {
+  params: z.object({ id: objectId }),
+  body: z.object({
+    role: z.enum(ADMIN_ROLES, {
+      errorMap: () => ({ message: `Role must be one of ${ADMIN_ROLES.join(', ')}` })
+    }).nullable()
+  })
+};
+
+const transactionsQuery = {
+  query: pagedQuery({
+    type: transactionTypes.optional(),
+    status: transactionStatus.optional(),
+    userId: objectId.optional(),
+    // Only deposits with risk flags
+    flagged: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+    search: z.string().trim().max(100, 'Search is too long').optional()
+  })
+};
+
+const auditQuery = {
+  query: z.object({
+    action: z.string().trim().max(50).optional(),
+    targetType: z.enum(['user', 'transaction', 'settings', 'game', 'room', 'paytable'], {
+      errorMap: () => ({ message: 'Unknown target type' })
+    }).optional(),
+    targetId: z.string().trim().max(50).optional(),
+    actorId: objectId.optional(),
+    before: objectId.optional()
+  })
+};
+
+// Hourly series are capped at a week so a chart stays readable
+const analyticsQuery = {
+  query: dateRange({
+    interval: z.enum(['day', 'hour'], {
+      errorMap: () => ({ message: 'Interval must be day or hour' })
+    }).default('day')
+  })
+    .refine((query) => query.interval === 'day' || query.to - query.from <= 7 * 24 * 60 * 60 * 1000, {
+      message: 'Hourly data can cover at most 7 days',
+      path: ['interval']
+    })
+};
+
+// Players with their risk level, paged; from/to bound the sign-up date
+const securityQuery = {
+  query: pagedQuery({
+    risk: z.enum(['flagged', 'low', 'medium', 'high'], {
+      errorMap: () => ({ message: 'Risk must be flagged, low, medium or high' })
+    }).optional(),
+    search: z.string().trim().max(100, 'Search is too long').optional()
+  })
+};
+
+const resolveAlert = {
+  params: z.object({ id: objectId }),
+  body: z.object({
+    resolution: z.string().trim().max(500, 'Resolution is too long').optional()
+  })
+};
+
+const dailyReportQuery = {
+  query: reportQuery(['json', 'csv'])
+};
+
+module.exports = {
+  blockUser,
+  updateTransaction,
+  updateSettings,
+  updateRole,
+  transactionsQuery,
+  auditQuery,
+  analyticsQuery,
+  securityQuery,
+  resolveAlert,
+  dailyReportQuery
+};
@@ -0,0 +1,89 @@
+const { z } = require('zod');
+const { twoFactorCode } = require('./common');
+
+const email = z.string({ required_error: 'Email is required' })
+  .trim()
+  .toLowerCase()
+  .email('Enter a valid email address');
+
+const password = z.string({ required_error: 'Password is required' })
+  .min(6, 'Password must be at least 6 characters');
+
+// Tokens from emailed links
+const linkToken = (message) => z.string({ required_error: message }).min(1, message);
+
+const register = {
+  body: z.object({
+    email,
+    username: z.string({ required_error: 'Username is required' })
+      .trim()
+      .min(3, 'Username must be at least 3 characters')
+      .max(30, 'Username must be at most 30 characters'),
+    password
+  })
+};
+
+const login = {
+  body: z.object({
+    email,
+    password: z.string({ required_error: 'Password is required' }).min(1, 'Password is required')
+  })
+};
+
+const refresh = {
+  body: z.object({
+    refreshToken: z.string({ required_error: 'Refresh token is required' }).min(1, 'Refresh token is required')
+  })
+};
+
+const loginTwoFactor = {
+  body: z.object({
+    challengeToken: z.string({ required_error: 'Sign-in expired. Please login again.' })
+      .min(1, 'Sign-in expired. Please login again.'),
+    code: twoFactorCode
+  })
+};
+
+// Changes to two-factor settings are confirmed with a current code
+const twoFactorConfirm = {
+  body: z.object({ code: twoFactorCode })
+};
+
+const twoFactorWithdrawals = {
+  body: z.object({
+    requireForWithdrawals: z.boolean({
+      required_error: 'requireForWithdrawals is required',
+      invalid_type_error: 'requireForWithdrawals must be true or false'
+    }),
+    code: twoFactorCode
+  })
+};
+
+const verifyEmail = {
+  body: z.object({
+    token: linkToken('Verification link is invalid')
+  })
+};
+
+const forgotPassword = {
+  body: z.object({ email })
+};
+
+const resetPassword = {
+  body: z.object({
+    token: linkToken('Reset link is invalid'),
+    password
+  })
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  loginTwoFactor,
+  twoFactorConfirm,
+  twoFactorWithdrawals,
+  verifyEmail,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,118 @@
+const { z } = require('zod');
+
+const objectId = z.string({ required_error: 'Id is required' })
+  .regex(/^[0-9a-fA-F]{24}$/, 'Invalid id');
+
+const idParams = z.object({ id: objectId });
+
+// A positive amount of money, sent as a JSON number
+const amount = z.number({
+  required_error: 'Amount is required',
+  invalid_type_error: 'Amount must be a number'
+})
+  .finite('Amount must be a number')
+  .positive('Amount must be greater than 0');
+
+const roomSlug = z.string({ required_error: 'Room is required', invalid_type_error: 'Invalid room' })
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9-]+$/, 'Room may only contain lowercase letters, numbers and dashes');
+
+const resultNumber = z.number({
+  required_error: 'Result is required',
+  invalid_type_error: 'Result must be a number'
+})
+  .int('Result must be a whole number from 0 to 9')
+  .min(0, 'Result must be a whole number from 0 to 9')
+  .max(9, 'Result must be a whole number from 0 to 9');
+
+const TRANSACTION_TYPES = [
+  'deposit', 'bet', 'win', 'loss', 'pending_deposit', 'pending_withdrawal', 'withdrawal', 'refund'
+];
+
+// One or more transaction types, comma separated in a query string
+const transactionTypes = z.string({ invalid_type_error: 'Invalid transaction type' })
+  .transform((value) => value.split(',').map((type) => type.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(TRANSACTION_TYPES, {
+    errorMap: () => ({ message: 'Unknown transaction type' })
+  })).min(1, 'Pick at least one transaction type'));
+
+const transactionStatus = z.enum(['pending', 'approved', 'rejected'], {
+  errorMap: () => ({ message: 'Unknown transaction status' })
+});
+
+const queryDate = (label) => z.coerce.date({
+  errorMap: () => ({ message: `${label} is not a valid date` })
+});
+
+// Paging for lists sorted newest first: `before` is the previous page's
+// nextCursor, and `from`/`to` limit the list to a date range
+const pageQuery = z.object({
+  before: objectId.optional(),
+  limit: z.coerce.number({ invalid_type_error: 'Limit must be a number' })
+    .int('Limit must be a whole number')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .optional(),
+  from: queryDate('From date').optional(),
+  to: queryDate('To date').optional()
+});
+
+// A page query with extra filters, checking the date range runs forwards
+const pagedQuery = (filters) => pageQuery.extend(filters)
+  .refine((query) => !query.from || !query.to || query.from <= query.to, {
+    message: 'From date must be before to date',
+    path: ['to']
+  });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A date range with `to` defaulting to now and `from` to 30 days before it,
+// covering at most a year, plus any other fields in `extra`
+const dateRange = (extra = {}) => z.object({
+  from: queryDate('From date').optional(),
+  to: queryDate('To date').optional(),
+  ...extra
+})
+  .transform(({ from, to, ...rest }) => {
+    const end = to || new Date();
+    return { from: from || new Date(end.getTime() - 30 * DAY), to: end, ...rest };
+  })
+  .refine((query) => query.from <= query.to, {
+    message: 'From date must be before to date',
+    path: ['to']
+  })
+  .refine((query) => query.to - query.from <= 366 * DAY, {
+    message: 'Date range can be at most a year',
+    path: ['from']
+  });
+
+// A date range for a download and the file format (the first one listed is the default)
+const reportQuery = (formats) => dateRange({
+  format: z.enum(formats, {
+    errorMap: () => ({ message: `Format must be one of ${formats.join(', ')}` })
+  }).default(formats[0])
+});
+
+// A code from an authenticator app or one of the recovery codes
+const twoFactorCode = z.string({
+  required_error: 'Two-factor code is required',
+  invalid_type_error: 'Two-factor code is required'
+})
+  .trim()
+  .min(1, 'Two-factor code is required')
+  .max(20, 'Invalid two-factor code');
+
+module.exports = {
+  objectId,
+  idParams,
+  amount,
+  roomSlug,
+  resultNumber,
+  twoFactorCode,
+  transactionTypes,
+  transactionStatus,
+  pagedQuery,
+  dateRange,
+  reportQuery
+};
@@ -0,0 +1,126 @@
+const { z } = require('zod');
+const { objectId, amount, roomSlug, resultNumber, pagedQuery } = require('./common');
+
+const positiveNumber = (label) => z.number({ invalid_type_error: `${label} must be a number` })
+  .finite(`${label} must be a number`)
+  .positive(`${label} must be greater than 0`);
+
+const wholeNumber = (label, min) => z.number({ invalid_type_error: `${label} must be a number` })
+  .int(`${label} must be a whole number`)
+  .min(min, `${label} must be at least ${min}`);
+
+// Room fields an admin can set
+const roomFields = {
+  name: z.string({ invalid_type_error: 'Name must be text' }).trim().min(1, 'Name is required').max(50, 'Name is too long'),
+  roundDuration: wholeNumber('Round duration', 10),
+  minBet: positiveNumber('Minimum bet'),
+  maxBet: positiveNumber('Maximum bet'),
+  maxStakePerRound: positiveNumber('Maximum stake per round'),
+  maxLegsPerRound: wholeNumber('Maximum bets per round', 1),
+  isActive: z.boolean({ invalid_type_error: 'Active must be true or false' }),
+  sortOrder: z.number({ invalid_type_error: 'Sort order must be a number' }).int('Sort order must be a whole number')
+};
+
+const roomSettings = z.object(roomFields).partial();
+
+const createRoom = {
+  body: roomSettings.extend({
+    slug: roomSlug,
+    name: roomFields.name
+  })
+};
+
+const updateRoom = {
+  params: z.object({ slug: roomSlug }),
+  body: roomSettings
+};
+
+const roomQuery = {
+  query: z.object({ room: roomSlug.optional() })
+};
+
+const roomBody = {
+  body: z.object({ room: roomSlug.optional() })
+};
+
+const leg = z.object({
+  betType: z.string({ required_error: 'Bet type is required', invalid_type_error: 'Invalid bet type' })
+    .trim()
+    .min(1, 'Bet type is required'),
+  betValue: z.union([z.string(), z.number()], {
+    errorMap: () => ({ message: 'Bet value is required' })
+  }).transform(String),
+  amount
+});
+
+// A bet slip is a list of legs; a single bet in the old shape is a one-leg slip
+const placeBet = {
+  body: z.preprocess(
+    (body) => (body && typeof body === 'object' && body.legs === undefined
+      ? { gameId: body.gameId, legs: [{ betType: body.betType, betValue: body.betValue, amount: body.amount }] }
+      : body),
+    z.object({
+      gameId: objectId,
+      legs: z.array(leg, { invalid_type_error: 'Legs must be a list of bets' })
+        .min(1, 'Bet slip is empty')
+        .max(100, 'Bet slip has too many legs')
+    })
+  )
+};
+
+const userBets = {
+  query: pagedQuery({
+    betType: z.string().trim().toLowerCase().max(50).optional(),
+    result: z.enum(['win', 'loss', 'pending', 'refunded'], {
+      errorMap: () => ({ message: 'Unknown bet result' })
+    }).optional()
+  })
+};
+
+const voidGame = {
+  params: z.object({ id: objectId }),
+  body: z.object({
+    reason: z.string({ invalid_type_error: 'Reason must be text' })
+      .trim()
+      .max(200, 'Reason is too long')
+      .optional()
+  })
+};
+
+const paytableOption = z.object({
+  value: z.string({ required_error: 'Value is required' }).trim().min(1, 'Value is required'),
+  label: z.string({ required_error: 'Label is required' }).trim().min(1, 'Label is required'),
+  numbers: z.array(resultNumber, { required_error: 'Numbers are required' })
+    .min(1, 'Pick at least one result number'),
+  multiplier: z.number({ required_error: 'Multiplier is required', invalid_type_error: 'Multiplier must be a number' })
+    .finite('Multiplier must be a number')
+    .min(1, 'Multiplier must be at least 1')
+});
+
+const publishPaytable = {
+  body: z.object({
+    commissionRate: z.number({ invalid_type_error: 'Commission must be a number' })
+      .min(0, 'Commission cannot be negative')
+      .max(0.5, 'Commission can be at most 50%')
+      .default(0),
+    betTypes: z.array(z.object({
+      type: z.string({ required_error: 'Bet type key is required' })
+        .trim()
+        .toLowerCase()
+        .regex(/^[a-z0-9-]+$/, 'Bet type key may only contain letters, numbers and dashes'),
+      label: z.string({ required_error: 'Label is required' }).trim().min(1, 'Label is required'),
+      options: z.array(paytableOption).min(1, 'A bet type needs at least one option')
+    }), { required_error: 'Bet types are required' }).min(1, 'A paytable needs at least one bet type')
+  })
+};
+
+module.exports = {
+  createRoom,
+  updateRoom,
+  roomQuery,
+  roomBody,
+  placeBet,
+  userBets,
+  voidGame,
+  publishPaytable
+};
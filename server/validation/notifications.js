@@ -0,0 +1,33 @@
+const { z } = require('zod');
+const { idParams, pagedQuery } = require('./common');
+
+const read = z.boolean({
+  required_error: 'read is required',
+  invalid_type_error: 'read must be true or false'
+});
+
+const list = {
+  query: pagedQuery({
+    unread: z.enum(['true', 'false']).transform((value) => value === 'true').optional()
+  })
+};
+
+const markRead = {
+  params: idParams,
+  body: z.object({ read })
+};
+
+// Only marking everything read makes sense in bulk
+const markAllRead = {
+  body: z.object({
+    read: z.literal(true, {
+      errorMap: () => ({ message: 'read must be true' })
+    })
+  })
+};
+
+module.exports = {
+  list,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,59 @@
+const { z } = require('zod');
+const {
+  LIMIT_KINDS,
+  LIMIT_PERIODS,
+  EXCLUSION_DAYS,
+  SESSION_REMINDER_MINUTES
+} = require('../config/responsibleGaming');
+
+// null removes the limit; leave a period out to keep it as it is
+const limitAmount = z.number({ invalid_type_error: 'Limit must be a number' })
+  .finite('Limit must be a number')
+  .min(0, 'Limit cannot be negative')
+  .max(10000000, 'Limit is too large')
+  .nullable()
+  .optional();
+
+const periodLimits = z.object(
+  Object.fromEntries(Object.keys(LIMIT_PERIODS).map((period) => [period, limitAmount]))
+).optional();
+
+const updateLimits = {
+  body: z.object(
+    Object.fromEntries(LIMIT_KINDS.map((kind) => [kind, periodLimits]))
+  )
+};
+
+const sessionReminder = {
+  body: z.object({
+    minutes: z.number({
+      required_error: 'Reminder interval is required',
+      invalid_type_error: 'Reminder interval must be a number'
+    })
+      .refine((minutes) => SESSION_REMINDER_MINUTES.includes(minutes), {
+        message: `Reminder interval must be one of ${SESSION_REMINDER_MINUTES.join(', ')} minutes`
+      })
+      .nullable()
+  })
+};
+
+const startExclusion = {
+  body: z.object({
+    type: z.enum(Object.keys(EXCLUSION_DAYS), {
+      errorMap: () => ({ message: 'Choose a cool-off or self-exclusion' })
+    }),
+    days: z.number({
+      required_error: 'Break length is required',
+      invalid_type_error: 'Break length must be a number'
+    }).int('Break length must be a whole number of days')
+  }).refine((body) => EXCLUSION_DAYS[body.type].includes(body.days), {
+    message: 'Choose one of the offered break lengths',
+    path: ['days']
+  })
+};
+
+module.exports = {
+  updateLimits,
+  sessionReminder,
+  startExclusion
+};
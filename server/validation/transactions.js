@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const { amount, twoFactorCode } = require('./common');
+
+const deposit = {
+  // Sent as multipart form data, so the amount arrives as a string
+  body: z.object({
+    amount: z.coerce.number({ invalid_type_error: 'Amount must be a number' })
+      .finite('Amount must be a number')
+      .positive('Amount must be greater than 0'),
+    // The UTR or reference number of the payment, unique per deposit
+    utr: z.string({ required_error: 'Reference number is required' })
+      .trim()
+      .toUpperCase()
+      .regex(/^[A-Z0-9]{6,30}$/, 'Reference number must be 6 to 30 letters or digits')
+  })
+};
+
+const requiredText = (message) => z.string({ required_error: message }).trim().min(1, message);
+
+const withdraw = {
+  body: z.discriminatedUnion('method', [
+    z.object({
+      method: z.literal('upi'),
+      amount,
+      upiId: requiredText('UPI ID is required'),
+      twoFactorCode: twoFactorCode.optional()
+    }),
+    z.object({
+      method: z.literal('bank'),
+      amount,
+      accountHolder: requiredText('Account holder is required'),
+      accountNumber: requiredText('Account number is required'),
+      ifsc: requiredText('IFSC is required'),
+      twoFactorCode: twoFactorCode.optional()
+    })
+  ], {
+    errorMap: (issue, ctx) => (issue.code === 'invalid_union_discriminator'
+      ? { message: 'Payout method must be upi or bank' }
+      : { message: ctx.defaultError })
+  })
+};
+
+module.exports = {
+  deposit,
+  withdraw
+};
@@ -0,0 +1,18 @@
+const { z } = require('zod');
+const { transactionTypes, transactionStatus, pagedQuery, reportQuery } = require('./common');
+
+const transactions = {
+  query: pagedQuery({
+    type: transactionTypes.optional(),
+    status: transactionStatus.optional()
+  })
+};
+
+const statement = {
+  query: reportQuery(['csv', 'pdf'])
+};
+
+module.exports = {
+  transactions,
+  statement
+};
@@ -7,14 +7,19 @@ import { Layout } from './components/Layout';
 import { AdminLayout } from './components/AdminLayout';
 import { Dashboard } from './pages/Dashboard';
 import { GamePage } from './pages/GamePage';
+import { BetPage } from './pages/BetPage';
 import { WalletPage } from './pages/WalletPage';
 import { HistoryPage } from './pages/HistoryPage';
+import { AccountPage } from './pages/AccountPage';
+import { ResponsibleGamingPage } from './pages/ResponsibleGamingPage';
 import { AdminDashboard } from './pages/admin/AdminDashboard';
 import { AdminUsers } from './pages/admin/AdminUsers';
 import { AdminQRBanner } from './pages/admin/AdminQRBanner';
 import { AdminTransactions } from './pages/admin/AdminTransactions';
 import { AdminGameControl } from './pages/admin/AdminGameControl';
 import { AdminSecurity } from './pages/admin/AdminSecurity';
+import { AdminPaytable } from './pages/admin/AdminPaytable';
+import { AdminAudit } from './pages/admin/AdminAudit';
 
 function ProtectedRoute({ children }: { children: React.ReactNode }) {
   const { user, loading } = useAuth();
@@ -55,10 +60,26 @@ function AdminRoute({ children }: { children: React.ReactNode }) {
   if (!user || !isAdmin) {
     return <Navigate to="/dashboard" replace />;
   }
+
+  // Admins have to turn on two-factor authentication first
+  if (!user.twoFactorEnabled) {
+    return <Navigate to="/account" replace />;
+  }
   
   return <>{children}</>;
 }
 
+// Sends admins whose role doesn't cover a page back to the admin dashboard
+function PermissionRoute({ permission, children }: { permission: string; children: React.ReactNode }) {
+  const { can } = useAdmin();
+
+  if (!can(permission)) {
+    return <Navigate to="/admin" replace />;
+  }
+
+  return <>{children}</>;
+}
+
 function AppContent() {
   const { user, loading } = useAuth();
   
@@ -77,6 +98,8 @@ function AppContent() {
     <Router>
       <Routes>
         <Route path="/auth" element={user ? <Navigate to="/dashboard" replace /> : <AuthPage />} />
+        <Route path="/reset-password" element={<AuthPage link="reset-password" />} />
+        <Route path="/verify-email" element={<AuthPage link="verify-email" />} />
         <Route path="/" element={<Navigate to="/dashboard" replace />} />
         
         {/* User Routes */}
@@ -90,8 +113,11 @@ function AppContent() {
         >
           <Route path="dashboard" element={<Dashboard />} />
           <Route path="game" element={<GamePage />} />
+          <Route path="bets" element={<BetPage />} />
           <Route path="wallet" element={<WalletPage />} />
           <Route path="history" element={<HistoryPage />} />
+          <Route path="account" element={<AccountPage />} />
+          <Route path="responsible-gaming" element={<ResponsibleGamingPage />} />
         </Route>
 
         {/* Admin Routes */}
@@ -104,11 +130,13 @@ function AppContent() {
           }
         >
           <Route index element={<AdminDashboard />} />
-          <Route path="users" element={<AdminUsers />} />
-          <Route path="qr-banner" element={<AdminQRBanner />} />
-          <Route path="transactions" element={<AdminTransactions />} />
-          <Route path="security" element={<AdminSecurity />} />
-          <Route path="game-control" element={<AdminGameControl />} />
+          <Route path="users" element={<PermissionRoute permission="users:view"><AdminUsers /></PermissionRoute>} />
+          <Route path="qr-banner" element={<PermissionRoute permission="settings:edit"><AdminQRBanner /></PermissionRoute>} />
+          <Route path="transactions" element={<PermissionRoute permission="transactions:view"><AdminTransactions /></PermissionRoute>} />
+          <Route path="security" element={<PermissionRoute permission="users:view"><AdminSecurity /></PermissionRoute>} />
+          <Route path="game-control" element={<PermissionRoute permission="games:control"><AdminGameControl /></PermissionRoute>} />
+          <Route path="paytable" element={<PermissionRoute permission="paytable:edit"><AdminPaytable /></PermissionRoute>} />
+          <Route path="audit" element={<PermissionRoute permission="audit:view"><AdminAudit /></PermissionRoute>} />
         </Route>
       </Routes>
     </Router>
@@ -1,22 +1,26 @@
 import React from 'react';
 import { Outlet, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Shield, Users, CreditCard, QrCode, Settings, Home, LogOut, Menu, X, AlertTriangle } from 'lucide-react';
+import { useAdmin } from '../contexts/AdminContext';
+import { Shield, Users, CreditCard, QrCode, Settings, Home, LogOut, Menu, X, AlertTriangle, Percent, ScrollText } from 'lucide-react';
 import { useState } from 'react';
 
 export function AdminLayout() {
   const { user, signOut } = useAuth();
+  const { can } = useAdmin();
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
   const navigation = [
-    { name: 'Dashboard', href: '/admin', icon: Home },
-    { name: 'Users', href: '/admin/users', icon: Users },
-    { name: 'QR & Banner', href: '/admin/qr-banner', icon: QrCode },
-    { name: 'Transactions', href: '/admin/transactions', icon: CreditCard },
-    { name: 'Security', href: '/admin/security', icon: AlertTriangle },
-    { name: 'Game Control', href: '/admin/game-control', icon: Settings },
-  ];
+    { name: 'Dashboard', href: '/admin', icon: Home, permission: 'stats:view' },
+    { name: 'Users', href: '/admin/users', icon: Users, permission: 'users:view' },
+    { name: 'QR & Banner', href: '/admin/qr-banner', icon: QrCode, permission: 'settings:edit' },
+    { name: 'Transactions', href: '/admin/transactions', icon: CreditCard, permission: 'transactions:view' },
+    { name: 'Security', href: '/admin/security', icon: AlertTriangle, permission: 'users:view' },
+    { name: 'Game Control', href: '/admin/game-control', icon: Settings, permission: 'games:control' },
+    { name: 'Paytable', href: '/admin/paytable', icon: Percent, permission: 'paytable:edit' },
+    { name: 'Audit Log', href: '/admin/audit', icon: ScrollText, permission: 'audit:view' },
+  ].filter((item) => can(item.permission));
 
   const handleSignOut = async () => {
     try {
@@ -70,6 +74,7 @@ export function AdminLayout() {
               <div className="hidden sm:flex items-center space-x-3">
                 <div className="text-[#b1bad3] text-sm">
                   Admin: {user?.email?.split('@')[0]}
+                  {user?.adminRole && <span className="ml-1 capitalize">({user.adminRole})</span>}
                 </div>
                 <Link
                   to="/dashboard"
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import { api, Analytics, AnalyticsInterval, AnalyticsPoint, ReportRange } from '../lib/api';
+import { toDateRange } from '../lib/dateRange';
+import { DateRangeFilter } from './DateRangeFilter';
+import { TimeSeriesChart } from './TimeSeriesChart';
+import { ResultHistogram } from './ResultHistogram';
+import { BarChart3 } from 'lucide-react';
+
+const HOUR = 60 * 60 * 1000;
+
+const PRESETS = [
+  { key: '24h', label: '24 hours', hours: 24, interval: 'hour' as const },
+  { key: '7d', label: '7 days', hours: 7 * 24, interval: 'hour' as const },
+  { key: '30d', label: '30 days', hours: 30 * 24, interval: 'day' as const },
+  { key: '90d', label: '90 days', hours: 90 * 24, interval: 'day' as const },
+];
+
+type Metric = Exclude<keyof AnalyticsPoint, 'time' | 'bets'>;
+
+const money = (value: number) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const count = (value: number) => value.toLocaleString();
+
+const METRICS: { key: Metric; title: string; color: string; format: (value: number) => string }[] = [
+  { key: 'ggr', title: 'Gross gaming revenue', color: '#00d4aa', format: money },
+  { key: 'stakes', title: 'Stakes', color: '#00b4d8', format: money },
+  { key: 'payouts', title: 'Payouts', color: '#f59e0b', format: money },
+  { key: 'deposits', title: 'Deposits', color: '#10b981', format: money },
+  { key: 'activePlayers', title: 'Active players', color: '#8b5cf6', format: count },
+  { key: 'registrations', title: 'New registrations', color: '#3b82f6', format: count },
+];
+
+// Charts of play and money over a preset or chosen date range. Chosen ranges
+// of up to two days are shown by the hour, longer ones by the day.
+export function AnalyticsPanel() {
+  const [preset, setPreset] = useState('30d');
+  const [dates, setDates] = useState({ from: '', to: '' });
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let range: ReportRange;
+    let interval: AnalyticsInterval;
+    const chosen = PRESETS.find((option) => option.key === preset);
+    if (chosen) {
+      const now = Date.now();
+      range = { from: new Date(now - chosen.hours * HOUR).toISOString(), to: new Date(now).toISOString() };
+      interval = chosen.interval;
+    } else {
+      range = toDateRange(dates.from, dates.to);
+      const span = new Date(range.to ?? Date.now()).getTime() - new Date(range.from ?? 0).getTime();
+      interval = range.from && span <= 48 * HOUR ? 'hour' : 'day';
+    }
+
+    let cancelled = false;
+    const fetchAnalytics = async () => {
+      try {
+        setLoading(true);
+        const response = await api.getAnalytics(range, interval);
+        if (!cancelled) {
+          setAnalytics(response.analytics);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load analytics');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [preset, dates]);
+
+  const handleDatesChange = (range: { from: string; to: string }) => {
+    setDates(range);
+    setPreset(range.from || range.to ? 'custom' : '30d');
+  };
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+          <BarChart3 className="h-5 w-5 text-[#00d4aa]" />
+          <span>Analytics</span>
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {PRESETS.map((option) => (
+            <button
+              key={option.key}
+              onClick={() => {
+                setPreset(option.key);
+                setDates({ from: '', to: '' });
+              }}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                preset === option.key
+                  ? 'bg-[#00d4aa] text-[#0f212e]'
+                  : 'bg-[#2f4553] text-[#b1bad3] hover:bg-[#3a5664] hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <DateRangeFilter from={dates.from} to={dates.to} onChange={handleDatesChange} />
+        </div>
+      </div>
+
+      {error && <p className="text-red-300 text-sm mb-4">{error}</p>}
+
+      {!analytics ? (
+        loading && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+          </div>
+        )
+      ) : (
+        <div className={`space-y-6 transition-opacity ${loading ? 'opacity-50' : ''}`}>
+          {/* Totals for the range */}
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            {METRICS.map((metric) => (
+              <div key={metric.key} className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-3">
+                <p className="text-[#b1bad3] text-xs">{metric.title}</p>
+                <p className="text-white font-bold text-lg" style={{ color: metric.color }}>
+                  {metric.format(analytics.totals[metric.key])}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {METRICS.map((metric) => (
+              <TimeSeriesChart
+                key={metric.key}
+                title={metric.title}
+                points={analytics.series.map((point) => ({ time: point.time, value: point[metric.key] }))}
+                interval={analytics.interval}
+                color={metric.color}
+                formatValue={metric.format}
+              />
+            ))}
+          </div>
+
+          <ResultHistogram digits={analytics.distribution.digits} rounds={analytics.distribution.rounds} />
+
+          <p className="text-[#b1bad3] text-xs">
+            Times are bucketed in UTC. GGR is settled stakes minus payouts; stakes refunded on voided rounds are left out.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { api } from '../../lib/api';
+import { applyFieldErrors } from '../../lib/formErrors';
+import { Mail, Send } from 'lucide-react';
+
+interface ForgotPasswordFormData {
+  email: string;
+}
+
+interface ForgotPasswordFormProps {
+  onBack: () => void;
+}
+
+export function ForgotPasswordForm({ onBack }: ForgotPasswordFormProps) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { register, handleSubmit, setError: setFieldError, formState: { errors } } = useForm<ForgotPasswordFormData>();
+
+  const onSubmit = async (data: ForgotPasswordFormData) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.forgotPassword(data.email);
+      setMessage(response.message);
+    } catch (err) {
+      if (!applyFieldErrors(err, setFieldError, ['email'])) {
+        setError(err instanceof Error ? err.message : 'Failed to send reset link');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md">
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8">
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-white mb-2">Forgot Password</h2>
+          <p className="text-gray-300">We'll email you a link to choose a new one</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-lg mb-6">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-500/20 border border-green-500/50 text-green-200 px-4 py-3 rounded-lg">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Email
+              </label>
+              <div className="relative">
+                <Mail className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^\S+@\S+$/i,
+                      message: 'Invalid email address'
+                    }
+                  })}
+                  type="email"
+                  className="w-full pl-10 pr-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Enter your email"
+                />
+              </div>
+              {errors.email && (
+                <p className="text-red-400 text-sm mt-1">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+            >
+              <Send className="h-5 w-5" />
+              <span>{loading ? 'Sending...' : 'Send Reset Link'}</span>
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <button
+            onClick={onBack}
+            className="text-purple-400 hover:text-purple-300 font-semibold"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
-import { Mail, Lock, LogIn } from 'lucide-react';
+import { ApiError, BlockNotice } from '../../lib/api';
+import { applyFieldErrors, getFieldErrors } from '../../lib/formErrors';
+import { Mail, Lock, LogIn, ShieldCheck, Ban } from 'lucide-react';
 
 interface LoginFormData {
   email: string;
@@ -10,27 +12,150 @@ interface LoginFormData {
 
 interface LoginFormProps {
   onToggleMode: () => void;
+  onForgotPassword: () => void;
 }
 
-export function LoginForm({ onToggleMode }: LoginFormProps) {
-  const { signIn } = useAuth();
+export function LoginForm({ onToggleMode, onForgotPassword }: LoginFormProps) {
+  const { signIn, verifyTwoFactor } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set once the password is accepted and the account needs a second factor
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  // Set when the account is blocked, with what the admin wants the player to know
+  const [blocked, setBlocked] = useState<BlockNotice | null>(null);
   
-  const { register, handleSubmit, formState: { errors } } = useForm<LoginFormData>();
+  const { register, handleSubmit, setError: setFieldError, formState: { errors } } = useForm<LoginFormData>();
 
   const onSubmit = async (data: LoginFormData) => {
     try {
       setLoading(true);
       setError('');
-      await signIn(data.email, data.password);
+      setBlocked(null);
+      const challenge = await signIn(data.email, data.password);
+      if (challenge) {
+        setChallengeToken(challenge.challengeToken);
+      }
     } catch (err: any) {
-      setError(err.message || 'Failed to sign in');
+      if (err instanceof ApiError && err.status === 403 && err.blocked) {
+        setBlocked(err.blocked);
+      } else if (!applyFieldErrors(err, setFieldError, ['email', 'password'])) {
+        setError(err.message || 'Failed to sign in');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const onSubmitCode = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!challengeToken) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      setCodeError('');
+      await verifyTwoFactor(challengeToken, code);
+    } catch (err) {
+      const fieldErrors = getFieldErrors(err);
+      if (err instanceof ApiError && err.status === 403 && err.blocked) {
+        // Nothing left to verify; show the notice on the sign-in screen
+        setBlocked(err.blocked);
+        setChallengeToken(null);
+        setCode('');
+      } else if (fieldErrors.code) {
+        setCodeError(fieldErrors.code);
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to verify code');
+        // The challenge has expired; start over from the password
+        if (err instanceof ApiError && err.status === 401) {
+          setChallengeToken(null);
+        }
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderBlockNotice = () => blocked && (
+    <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-lg mb-6">
+      <p className="font-semibold flex items-center space-x-2">
+        <Ban className="h-4 w-4" />
+        <span>Your account is blocked</span>
+      </p>
+      {blocked.message && <p className="mt-2 whitespace-pre-line">{blocked.message}</p>}
+      <p className="mt-2 text-sm text-red-300">
+        {blocked.until
+          ? `The block ends on ${new Date(blocked.until).toLocaleString()}.`
+          : 'This block does not expire. Contact support if you think it is a mistake.'}
+      </p>
+    </div>
+  );
+
+  if (challengeToken) {
+    return (
+      <div className="w-full max-w-md">
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8">
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-bold text-white mb-2">Two-Factor Check</h2>
+            <p className="text-gray-300">Enter the 6-digit code from your authenticator app, or one of your recovery codes</p>
+          </div>
+
+          {error && (
+            <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-lg mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={onSubmitCode} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Code
+              </label>
+              <div className="relative">
+                <ShieldCheck className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoFocus
+                  autoComplete="one-time-code"
+                  className="w-full pl-10 pr-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent tracking-widest"
+                  placeholder="123456"
+                />
+              </div>
+              {codeError && (
+                <p className="text-red-400 text-sm mt-1">{codeError}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || !code.trim()}
+              className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+            >
+              <ShieldCheck className="h-5 w-5" />
+              <span>{loading ? 'Verifying...' : 'Verify'}</span>
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => {
+                setChallengeToken(null);
+                setCode('');
+                setCodeError('');
+              }}
+              className="text-purple-400 hover:text-purple-300 font-semibold"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="w-full max-w-md">
       <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8">
@@ -39,6 +164,8 @@ export function LoginForm({ onToggleMode }: LoginFormProps) {
           <p className="text-gray-300">Sign in to start betting</p>
         </div>
 
+        {renderBlockNotice()}
+
         {error && (
           <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-lg mb-6">
             {error}
@@ -92,6 +219,15 @@ export function LoginForm({ onToggleMode }: LoginFormProps) {
             {errors.password && (
               <p className="text-red-400 text-sm mt-1">{errors.password.message}</p>
             )}
+            <div className="text-right mt-2">
+              <button
+                type="button"
+                onClick={onForgotPassword}
+                className="text-sm text-purple-400 hover:text-purple-300"
+              >
+                Forgot password?
+              </button>
+            </div>
           </div>
 
           <button
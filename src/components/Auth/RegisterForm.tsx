@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
+import { applyFieldErrors } from '../../lib/formErrors';
 import { Mail, Lock, User, UserPlus } from 'lucide-react';
 
 interface RegisterFormData {
@@ -20,7 +21,7 @@ export function RegisterForm({ onToggleMode }: RegisterFormProps) {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
   
-  const { register, handleSubmit, formState: { errors }, watch } = useForm<RegisterFormData>();
+  const { register, handleSubmit, setError: setFieldError, formState: { errors }, watch } = useForm<RegisterFormData>();
   const password = watch('password');
 
   const onSubmit = async (data: RegisterFormData) => {
@@ -30,7 +31,9 @@ export function RegisterForm({ onToggleMode }: RegisterFormProps) {
       await signUp(data.email, data.password, data.username);
       setSuccess(true);
     } catch (err: any) {
-      setError(err.message || 'Failed to create account');
+      if (!applyFieldErrors(err, setFieldError, ['email', 'username', 'password'])) {
+        setError(err.message || 'Failed to create account');
+      }
     } finally {
       setLoading(false);
     }
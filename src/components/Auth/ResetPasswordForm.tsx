@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { api } from '../../lib/api';
+import { applyFieldErrors } from '../../lib/formErrors';
+import { Lock, KeyRound } from 'lucide-react';
+
+interface ResetPasswordFormData {
+  password: string;
+  confirmPassword: string;
+}
+
+interface ResetPasswordFormProps {
+  token: string | null;
+  onDone: () => void;
+}
+
+export function ResetPasswordForm({ token, onDone }: ResetPasswordFormProps) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(token ? '' : 'Reset link is invalid or has expired');
+  const [success, setSuccess] = useState(false);
+
+  const { register, handleSubmit, setError: setFieldError, formState: { errors }, watch } = useForm<ResetPasswordFormData>();
+  const password = watch('password');
+
+  const onSubmit = async (data: ResetPasswordFormData) => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      await api.resetPassword(token, data.password);
+      setSuccess(true);
+    } catch (err) {
+      if (!applyFieldErrors(err, setFieldError, ['password'])) {
+        setError(err instanceof Error ? err.message : 'Failed to reset password');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (success) {
+    return (
+      <div className="w-full max-w-md">
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8 text-center">
+          <div className="w-16 h-16 bg-green-500 rounded-full flex items-center justify-center mx-auto mb-4">
+            <KeyRound className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-2">Password Updated</h2>
+          <p className="text-gray-300 mb-6">
+            Your password has been changed and every device has been signed out. Sign in with your new password.
+          </p>
+          <button
+            onClick={onDone}
+            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-all"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-md">
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8">
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-white mb-2">Choose a New Password</h2>
+          <p className="text-gray-300">You'll be signed out everywhere afterwards</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-lg mb-6">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              New Password
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+              <input
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: {
+                    value: 6,
+                    message: 'Password must be at least 6 characters'
+                  }
+                })}
+                type="password"
+                className="w-full pl-10 pr-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="Enter a new password"
+              />
+            </div>
+            {errors.password && (
+              <p className="text-red-400 text-sm mt-1">{errors.password.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">
+              Confirm Password
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+              <input
+                {...register('confirmPassword', {
+                  required: 'Please confirm your password',
+                  validate: (value) => value === password || 'Passwords do not match'
+                })}
+                type="password"
+                className="w-full pl-10 pr-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="Confirm your new password"
+              />
+            </div>
+            {errors.confirmPassword && (
+              <p className="text-red-400 text-sm mt-1">{errors.confirmPassword.message}</p>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading || !token}
+            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+          >
+            <KeyRound className="h-5 w-5" />
+            <span>{loading ? 'Saving...' : 'Reset Password'}</span>
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <button
+            onClick={onDone}
+            className="text-purple-400 hover:text-purple-300 font-semibold"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { api } from '../../lib/api';
+import { MailCheck, MailX } from 'lucide-react';
+
+interface VerifyEmailProps {
+  token: string | null;
+  onDone: () => void;
+}
+
+export function VerifyEmail({ token, onDone }: VerifyEmailProps) {
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : 'Verification link is invalid or has expired');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        await api.verifyEmail(token);
+        setStatus('verified');
+      } catch (err) {
+        setStatus('failed');
+        setError(err instanceof Error ? err.message : 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleDone = async () => {
+    // Pick up the verified flag if this browser is signed in
+    if (user) {
+      await refreshUser();
+    }
+    onDone();
+  };
+
+  return (
+    <div className="w-full max-w-md">
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 p-8 text-center">
+        {status === 'verifying' ? (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+            <p className="text-gray-300">Verifying your email...</p>
+          </>
+        ) : (
+          <>
+            <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${
+              status === 'verified' ? 'bg-green-500' : 'bg-red-500'
+            }`}>
+              {status === 'verified'
+                ? <MailCheck className="h-8 w-8 text-white" />
+                : <MailX className="h-8 w-8 text-white" />}
+            </div>
+            <h2 className="text-2xl font-bold text-white mb-2">
+              {status === 'verified' ? 'Email Verified' : 'Verification Failed'}
+            </h2>
+            <p className="text-gray-300 mb-6">
+              {status === 'verified'
+                ? 'Thanks for confirming your email. Deposits and withdrawals are now available.'
+                : `${error}. You can request a new link from the banner after signing in.`}
+            </p>
+            <button
+              onClick={handleDone}
+              className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-all"
+            >
+              {user ? 'Continue' : 'Sign In'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,17 @@
 import React, { useEffect } from 'react';
-import { Trophy, TrendingDown, Sparkles, X } from 'lucide-react';
+import { Trophy, TrendingDown, Sparkles, X, Clock, RotateCcw } from 'lucide-react';
+import { Bet } from '../hooks/useGame';
+import { Paytable } from '../lib/api';
+import { getNumberBackground } from '../lib/paytable';
 
 interface BetResultProps {
-  winningNumber: number;
-  winningColor: 'red' | 'green';
-  winningSize: 'big' | 'small';
-  isWin: boolean;
-  payout: number;
-  betType: string;
-  betValue: string;
+  winningNumber: number | null;
+  winningColor: string | null;
+  winningSize: string | null;
+  voided?: boolean;
+  voidReason?: string | null;
+  legs: Bet[];
+  paytable: Paytable | null;
   onClose: () => void;
 }
 
@@ -16,24 +19,27 @@ export function BetResult({
   winningNumber, 
   winningColor, 
   winningSize, 
-  isWin, 
-  payout, 
-  betType, 
-  betValue, 
+  voided = false,
+  voidReason = null,
+  legs, 
+  paytable,
   onClose 
 }: BetResultProps) {
+  const settled = legs.every((leg) => leg.result !== 'pending');
+  const isWin = legs.some((leg) => leg.result === 'win');
+  const payout = legs.reduce((sum, leg) => sum + leg.payout, 0);
+  const staked = legs.reduce((sum, leg) => sum + leg.amount, 0);
+
+  // Close on its own once every leg has settled
   useEffect(() => {
+    if (!settled) return;
+
     const timer = setTimeout(() => {
       onClose();
     }, 5000);
 
     return () => clearTimeout(timer);
-  }, [onClose]);
-
-  const getNumberColor = (num: number) => {
-    if (num === 0) return 'bg-green-500';
-    return num % 2 === 0 ? 'bg-red-500' : 'bg-green-500';
-  };
+  }, [onClose, settled]);
 
   return (
     <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -53,47 +59,89 @@ export function BetResult({
         
         <div className="relative z-10">
           <div className="mb-6">
-            {isWin ? (
+            {voided ? (
+              <div className="w-20 h-20 bg-yellow-500/20 border border-yellow-500/30 rounded-full flex items-center justify-center mx-auto mb-4">
+                <RotateCcw className="h-10 w-10 text-yellow-300" />
+              </div>
+            ) : isWin ? (
               <div className="w-20 h-20 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] rounded-full flex items-center justify-center mx-auto mb-4 animate-bounce">
                 <Trophy className="h-10 w-10 text-white" />
               </div>
-            ) : (
+            ) : settled ? (
               <div className="w-20 h-20 bg-gradient-to-r from-red-500 to-red-600 rounded-full flex items-center justify-center mx-auto mb-4">
                 <TrendingDown className="h-10 w-10 text-white" />
               </div>
+            ) : (
+              <div className="w-20 h-20 bg-[#2f4553] rounded-full flex items-center justify-center mx-auto mb-4">
+                <Clock className="h-10 w-10 text-white animate-spin" />
+              </div>
             )}
             
-            <h2 className={`text-3xl font-bold mb-4 ${isWin ? 'text-[#00d4aa]' : 'text-red-400'}`}>
-              {isWin ? '🎉 Congratulations!' : '😔 Better Luck Next Time'}
+            <h2 className={`text-3xl font-bold mb-4 ${voided ? 'text-yellow-300' : isWin ? 'text-[#00d4aa]' : settled ? 'text-red-400' : 'text-white'}`}>
+              {voided ? 'Round Voided' : isWin ? '🎉 Congratulations!' : settled ? '😔 Better Luck Next Time' : 'Settling your bets...'}
             </h2>
-            
+
+            {/* A voided round has no result; every stake goes back to the wallet */}
+            {voided && (
+              <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 mb-4 text-yellow-200 text-sm">
+                <p>This round was called off, so your stake has been refunded to your wallet.</p>
+                {voidReason && <p className="mt-2 text-yellow-300/80">Reason: {voidReason}</p>}
+              </div>
+            )}
+
             {/* Game Result */}
-            <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 mb-4">
-              <h3 className="text-white font-bold mb-3">Game Result</h3>
-              <div className="flex items-center justify-center space-x-6">
-                <div className="text-center">
-                  <p className="text-[#b1bad3] text-sm mb-2">Number</p>
-                  <div className={`w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-lg ${getNumberColor(winningNumber)}`}>
-                    {winningNumber}
+            {winningNumber !== null && (
+              <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 mb-4">
+                <h3 className="text-white font-bold mb-3">Game Result</h3>
+                <div className="flex items-center justify-center space-x-6">
+                  <div className="text-center">
+                    <p className="text-[#b1bad3] text-sm mb-2">Number</p>
+                    <div className={`w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-lg ${getNumberBackground(paytable, winningNumber)}`}>
+                      {winningNumber}
+                    </div>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-[#b1bad3] text-sm mb-2">Color</p>
+                    <p className="text-white font-bold capitalize">{winningColor}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-[#b1bad3] text-sm mb-2">Size</p>
+                    <p className="text-white font-bold capitalize">{winningSize}</p>
                   </div>
-                </div>
-                <div className="text-center">
-                  <p className="text-[#b1bad3] text-sm mb-2">Color</p>
-                  <p className="text-white font-bold capitalize">{winningColor}</p>
-                </div>
-                <div className="text-center">
-                  <p className="text-[#b1bad3] text-sm mb-2">Size</p>
-                  <p className="text-white font-bold capitalize">{winningSize}</p>
                 </div>
               </div>
-            </div>
+            )}
 
-            {/* Your Bet */}
+            {/* Your Bets */}
             <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 mb-4">
-              <h3 className="text-white font-bold mb-2">Your Bet</h3>
-              <p className="text-[#b1bad3]">
-                You bet on <span className="text-white font-medium">{betType}: {betValue}</span>
-              </p>
+              <h3 className="text-white font-bold mb-2">{legs.length > 1 ? 'Your Bets' : 'Your Bet'}</h3>
+              <div className="space-y-2">
+                {legs.map((leg) => (
+                  <div key={leg._id} className="flex items-center justify-between text-sm">
+                    <span className="text-[#b1bad3]">
+                      <span className="text-white font-medium capitalize">{leg.betType}: {leg.betValue}</span> · ${leg.amount.toFixed(2)}
+                    </span>
+                    {leg.result === 'pending' ? (
+                      <span className="flex items-center space-x-1 text-[#b1bad3]">
+                        <Clock className="h-4 w-4 animate-spin" />
+                        <span>Settling</span>
+                      </span>
+                    ) : leg.result === 'win' ? (
+                      <span className="text-[#00d4aa] font-bold">+${leg.payout.toFixed(2)}</span>
+                    ) : leg.result === 'refunded' ? (
+                      <span className="text-yellow-300 font-medium">Refunded</span>
+                    ) : (
+                      <span className="text-red-400 font-medium">Lost</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {legs.length > 1 && (
+                <div className="flex justify-between text-sm border-t border-[#2f4553] mt-3 pt-3">
+                  <span className="text-[#b1bad3]">Staked ${staked.toFixed(2)}</span>
+                  <span className="text-white font-medium">Returned ${payout.toFixed(2)}</span>
+                </div>
+              )}
             </div>
             
             {isWin && (
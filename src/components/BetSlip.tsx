@@ -0,0 +1,93 @@
+import { X, Ticket } from 'lucide-react';
+import { BetLeg, Paytable } from '../lib/api';
+import { findOption, getCommission, getPotentialPayout } from '../lib/paytable';
+
+interface BetSlipProps {
+  legs: BetLeg[];
+  paytable: Paytable | null;
+  balance: number;
+  loading: boolean;
+  onRemove: (index: number) => void;
+  onClear: () => void;
+  onSubmit: () => void;
+}
+
+export function BetSlip({ legs, paytable, balance, loading, onRemove, onClear, onSubmit }: BetSlipProps) {
+  const totalStake = legs.reduce((sum, leg) => sum + leg.amount, 0);
+  const totalCommission = legs.reduce((sum, leg) => sum + getCommission(paytable, leg.amount), 0);
+  const maxWin = legs.reduce((sum, leg) => sum + getPotentialPayout(paytable, leg), 0);
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+          <Ticket className="h-5 w-5 text-[#00d4aa]" />
+          <span>Bet Slip</span>
+        </h2>
+        {legs.length > 0 && (
+          <button onClick={onClear} className="text-[#b1bad3] hover:text-white text-sm transition-all">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {legs.length === 0 ? (
+        <p className="text-[#b1bad3] text-sm text-center py-4">
+          Add one or more bets to your slip, then place them together.
+        </p>
+      ) : (
+        <>
+          <div className="space-y-2 mb-4">
+            {legs.map((leg, index) => (
+              <div
+                key={`${leg.betType}-${leg.betValue}-${index}`}
+                className="flex items-center justify-between bg-[#0f212e] border border-[#2f4553] rounded-lg px-4 py-3"
+              >
+                <div>
+                  <p className="text-white font-medium capitalize">{leg.betType}: {leg.betValue}</p>
+                  <p className="text-[#b1bad3] text-xs">
+                    ${leg.amount.toFixed(2)} · {findOption(paytable, leg.betType, leg.betValue)?.multiplier ?? '-'}x
+                  </p>
+                </div>
+                <button
+                  onClick={() => onRemove(index)}
+                  className="p-1 text-[#b1bad3] hover:text-white transition-all"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 mb-4 space-y-2">
+            <div className="flex justify-between items-center">
+              <span className="text-[#b1bad3]">Total stake:</span>
+              <span className="text-white font-medium">${totalStake.toFixed(2)}</span>
+            </div>
+            {totalCommission > 0 && (
+              <div className="flex justify-between items-center">
+                <span className="text-[#b1bad3]">House commission:</span>
+                <span className="text-white font-medium">${totalCommission.toFixed(2)}</span>
+              </div>
+            )}
+            <div className="flex justify-between items-center">
+              <span className="text-[#b1bad3]">Best case return:</span>
+              <span className="text-[#00d4aa] font-bold">${maxWin.toFixed(2)}</span>
+            </div>
+          </div>
+
+          <button
+            onClick={onSubmit}
+            disabled={loading || totalStake > balance}
+            className="w-full bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-4 px-6 rounded-xl transition-all disabled:cursor-not-allowed"
+          >
+            {loading ? 'Placing Bets...' : `Place ${legs.length} ${legs.length === 1 ? 'Bet' : 'Bets'}`}
+          </button>
+          {totalStake > balance && (
+            <p className="text-red-400 text-sm text-center mt-2">Your balance doesn't cover this slip</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
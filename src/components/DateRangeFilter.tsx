@@ -0,0 +1,40 @@
+interface DateRangeFilterProps {
+  from: string;
+  to: string;
+  onChange: (range: { from: string; to: string }) => void;
+}
+
+// From/to date inputs for filtering a list; either end can be left open
+export function DateRangeFilter({ from, to, onChange }: DateRangeFilterProps) {
+  const inputClass = 'px-3 py-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent [color-scheme:dark]';
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="date"
+        value={from}
+        max={to || undefined}
+        onChange={(e) => onChange({ from: e.target.value, to })}
+        aria-label="From date"
+        className={inputClass}
+      />
+      <span className="text-[#b1bad3] text-sm">to</span>
+      <input
+        type="date"
+        value={to}
+        min={from || undefined}
+        onChange={(e) => onChange({ from, to: e.target.value })}
+        aria-label="To date"
+        className={inputClass}
+      />
+      {(from || to) && (
+        <button
+          onClick={() => onChange({ from: '', to: '' })}
+          className="text-[#b1bad3] hover:text-white text-sm transition-all"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
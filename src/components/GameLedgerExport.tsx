@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { api } from '../lib/api';
+import { toDateRange } from '../lib/dateRange';
+import { DateRangeFilter } from './DateRangeFilter';
+import { FileSpreadsheet, Download } from 'lucide-react';
+
+// Download the per-day game ledger (rounds, stakes, payouts, GGR) as CSV
+export function GameLedgerExport() {
+  const [dates, setDates] = useState({ from: '', to: '' });
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      await api.downloadDailyReport(toDateRange(dates.from, dates.to));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to download report');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+        <FileSpreadsheet className="h-5 w-5 text-[#00d4aa]" />
+        <span>Game Ledger Export</span>
+      </h2>
+      <p className="text-[#b1bad3] text-sm mb-4">
+        One row per day (UTC) with rounds, stakes, payouts, GGR, refunds, deposits and withdrawals.
+        Leave the dates empty for the last 30 days; a report covers at most a year.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <DateRangeFilter from={dates.from} to={dates.to} onChange={setDates} />
+        <button
+          onClick={handleDownload}
+          disabled={downloading}
+          className="flex items-center space-x-2 bg-[#00d4aa] hover:bg-[#00c49a] disabled:bg-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-2 px-4 rounded-lg transition-all disabled:cursor-not-allowed"
+        >
+          <Download className="h-4 w-4" />
+          <span>{downloading ? 'Preparing...' : 'Download CSV'}</span>
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { useEffect, useRef } from 'react';
+
+interface InfiniteScrollProps {
+  hasMore: boolean;
+  loading: boolean;
+  onLoadMore: () => void;
+}
+
+// Placed after a list: loads the next page as the end of the list scrolls
+// into view, with a button for when it can't tell
+export function InfiniteScroll({ hasMore, loading, onLoadMore }: InfiniteScrollProps) {
+  const sentinel = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const element = sentinel.current;
+    if (!hasMore || loading || !element) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0]?.isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinel} className="flex justify-center py-4">
+      {loading ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-[#00d4aa]"></div>
+      ) : (
+        <button
+          onClick={onLoadMore}
+          className="px-4 py-2 bg-[#2f4553] hover:bg-[#3a5664] text-white text-sm font-medium rounded-lg transition-all"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
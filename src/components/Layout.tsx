@@ -4,8 +4,11 @@ import { Outlet, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useAdmin } from '../contexts/AdminContext';
 import { useWallet } from '../hooks/useWallet';
+import { VerifyEmailBanner } from './VerifyEmailBanner';
+import { SessionReminder } from './SessionReminder';
+import { NotificationBell } from './NotificationBell';
 import { api } from '../lib/api';
-import { Coins, Home, History, Wallet, LogOut, Gamepad2, Menu, X, Shield } from 'lucide-react';
+import { Coins, Home, History, Wallet, LogOut, Gamepad2, Menu, X, Shield, Ticket, UserCog, HeartHandshake } from 'lucide-react';
 
 export function Layout() {
   const { user, signOut } = useAuth();
@@ -42,8 +45,11 @@ export function Layout() {
   const navigation = [
     { name: 'Casino', href: '/dashboard', icon: Home },
     { name: 'Game', href: '/game', icon: Gamepad2 },
+    { name: 'My Bets', href: '/bets', icon: Ticket },
     { name: 'Wallet', href: '/wallet', icon: Wallet },
     { name: 'History', href: '/history', icon: History },
+    { name: 'Account', href: '/account', icon: UserCog },
+    { name: 'Limits', href: '/responsible-gaming', icon: HeartHandshake },
   ];
 
   const handleSignOut = async () => {
@@ -63,6 +69,9 @@ export function Layout() {
         </div>
       )}
 
+      <VerifyEmailBanner />
+      <SessionReminder />
+
       {/* Top Navigation */}
       <nav className="bg-[#1a2c38] border-b border-[#2f4553]">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -108,6 +117,8 @@ export function Layout() {
                   ${wallet?.balance.toFixed(2) || '0.00'}
                 </span>
               </div>
+
+              <NotificationBell />
               
               {/* User menu */}
               <div className="hidden sm:flex items-center space-x-3">
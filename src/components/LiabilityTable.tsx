@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { api, RoundLiability } from '../lib/api';
+import { socket } from '../lib/socket';
+import { Scale } from 'lucide-react';
+
+interface LiabilityTableProps {
+  gameId: string;
+}
+
+// What the house pays out on each result of a round, kept up to date as bets come in
+export function LiabilityTable({ gameId }: LiabilityTableProps) {
+  const [liability, setLiability] = useState<RoundLiability | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchLiability = async () => {
+      try {
+        setLiability(await api.getRoundLiability(gameId));
+        setError('');
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load liability');
+      }
+    };
+
+    fetchLiability();
+    // Sent to admins whenever a bet is placed or a round changes
+    socket.on('admin:stats-changed', fetchLiability);
+    return () => {
+      socket.off('admin:stats-changed', fetchLiability);
+    };
+  }, [gameId]);
+
+  const cap = liability?.maxRoundLiability ?? null;
+  const scale = Math.max(cap ?? 0, liability?.worstCase ?? 0, 1);
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+          <Scale className="h-5 w-5 text-[#00d4aa]" />
+          <span>Round Liability{liability ? ` · Game #${liability.gameNumber}` : ''}</span>
+        </h2>
+        {liability && (
+          <div className="flex space-x-6 text-sm">
+            <p className="text-[#b1bad3]">Staked <span className="text-white font-bold">${liability.totalStake.toFixed(2)}</span></p>
+            <p className="text-[#b1bad3]">Worst case <span className="text-white font-bold">${liability.worstCase.toFixed(2)}</span></p>
+            <p className="text-[#b1bad3]">Cap <span className="text-white font-bold">{cap === null ? 'None' : `$${cap.toFixed(2)}`}</span></p>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-red-300 text-sm mb-4">{error}</p>}
+
+      {liability && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="border-b border-[#2f4553]">
+              <tr>
+                <th className="text-left p-2 text-[#b1bad3] font-medium">Result</th>
+                <th className="text-right p-2 text-[#b1bad3] font-medium">Payout</th>
+                <th className="text-right p-2 text-[#b1bad3] font-medium">House</th>
+                <th className="p-2 w-1/2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {liability.outcomes.map((outcome) => {
+                const nearCap = cap !== null && outcome.payout >= cap * 0.8;
+                return (
+                  <tr key={outcome.number} className="border-b border-[#2f4553]/50">
+                    <td className="p-2 text-white font-bold">{outcome.number}</td>
+                    <td className="p-2 text-right text-white">${outcome.payout.toFixed(2)}</td>
+                    <td className={`p-2 text-right font-medium ${outcome.houseResult >= 0 ? 'text-[#00d4aa]' : 'text-red-400'}`}>
+                      {outcome.houseResult >= 0 ? '+' : '-'}${Math.abs(outcome.houseResult).toFixed(2)}
+                    </td>
+                    <td className="p-2">
+                      <div className="h-2 bg-[#0f212e] rounded-full overflow-hidden">
+                        <div
+                          className={`h-full rounded-full ${nearCap ? 'bg-red-500' : 'bg-[#00d4aa]'}`}
+                          style={{ width: `${(outcome.payout / scale) * 100}%` }}
+                        />
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useNotifications } from '../hooks/useNotifications';
+import { Notification, NotificationType } from '../lib/api';
+import { InfiniteScroll } from './InfiniteScroll';
+import { Ban, Bell, CheckCheck, Trophy, Wallet, XCircle } from 'lucide-react';
+
+const NOTIFICATION_ICONS: Record<NotificationType, { icon: typeof Bell; className: string }> = {
+  deposit_approved: { icon: Wallet, className: 'text-[#00d4aa]' },
+  withdrawal_approved: { icon: Wallet, className: 'text-[#00d4aa]' },
+  deposit_rejected: { icon: XCircle, className: 'text-red-400' },
+  withdrawal_rejected: { icon: XCircle, className: 'text-red-400' },
+  round_won: { icon: Trophy, className: 'text-yellow-400' },
+  account_blocked: { icon: Ban, className: 'text-red-400' },
+};
+
+// Bell in the top bar with the unread count, opening the player's notifications
+export function NotificationBell() {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const menu = useRef<HTMLDivElement>(null);
+  const {
+    items: notifications,
+    loading,
+    loadingMore,
+    hasMore,
+    error,
+    loadMore,
+    unreadCount,
+    markRead,
+    markAllRead,
+  } = useNotifications();
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (event: MouseEvent) => {
+      if (menu.current && !menu.current.contains(event.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const runAction = async (action: () => Promise<void>) => {
+    try {
+      setActionError('');
+      await action();
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Failed to update notifications');
+    }
+  };
+
+  const handleOpen = (notification: Notification) => {
+    if (!notification.readAt) runAction(() => markRead(notification));
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div ref={menu} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-[#b1bad3] hover:text-white hover:bg-[#2f4553] rounded-lg transition-all"
+        aria-label="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 sm:w-96 bg-[#1a2c38] border border-[#2f4553] rounded-xl shadow-2xl z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-[#2f4553]">
+            <h3 className="text-white font-bold">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => runAction(markAllRead)}
+                className="flex items-center space-x-1 text-[#00d4aa] text-sm hover:underline"
+              >
+                <CheckCheck className="h-4 w-4" />
+                <span>Mark all read</span>
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {(error || actionError) && <p className="text-red-300 text-sm px-4 py-3">{actionError || error}</p>}
+            {loading && notifications.length === 0 && (
+              <div className="flex justify-center py-8">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-[#00d4aa]"></div>
+              </div>
+            )}
+            {!loading && !error && notifications.length === 0 && (
+              <p className="text-center text-[#b1bad3] text-sm py-8">You're all caught up</p>
+            )}
+
+            {notifications.map((notification) => {
+              const { icon: Icon, className } = NOTIFICATION_ICONS[notification.type];
+              return (
+                <div
+                  key={notification._id}
+                  className={`flex items-start space-x-3 px-4 py-3 border-b border-[#2f4553]/50 ${
+                    notification.readAt ? '' : 'bg-[#00d4aa]/5'
+                  }`}
+                >
+                  <Icon className={`h-5 w-5 mt-0.5 flex-shrink-0 ${className}`} />
+                  <button onClick={() => handleOpen(notification)} className="flex-1 min-w-0 text-left">
+                    <p className={`text-sm ${notification.readAt ? 'text-[#b1bad3]' : 'text-white font-medium'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="text-[#b1bad3] text-xs mt-0.5">{notification.message}</p>
+                    <p className="text-[#b1bad3]/70 text-xs mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </button>
+                  <button
+                    onClick={() => runAction(() => markRead(notification, !notification.readAt))}
+                    title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                    className="mt-1.5 flex-shrink-0"
+                  >
+                    <span
+                      className={`block w-2.5 h-2.5 rounded-full ${
+                        notification.readAt ? 'border border-[#2f4553] hover:border-[#b1bad3]' : 'bg-[#00d4aa]'
+                      }`}
+                    />
+                  </button>
+                </div>
+              );
+            })}
+            <InfiniteScroll hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api, PlayerRisk, RiskAlert, UserBlock } from '../lib/api';
+import { useAdmin } from '../contexts/AdminContext';
+import { RISK_ALERT_LABELS, RISK_LEVEL_LABELS, riskBadgeClass } from '../lib/risk';
+import { AlertTriangle, Ban, CheckCircle, Fingerprint, Globe, Link2, XCircle } from 'lucide-react';
+
+interface PlayerRiskDetailsProps {
+  userId: string;
+  onClose: () => void;
+  // Called after an alert is resolved, so the list can refresh its scores
+  onChanged?: () => void;
+}
+
+const SIGNAL_LABELS = { ip: 'IP', fingerprint: 'Device' };
+
+// How a block ended, for the history list
+const blockEnding = (block: UserBlock) => {
+  if (!block.endedAt) return 'Still in force';
+  const when = new Date(block.endedAt).toLocaleString();
+  switch (block.endReason) {
+    case 'expired':
+      return `Expired ${when}`;
+    case 'replaced':
+      return `Replaced by a new block ${when}`;
+    default:
+      return `Unblocked by ${block.endedBy?.username || 'an admin'} ${when}`;
+  }
+};
+
+// A player's alerts, blocks, the accounts linked to them and where they played from.
+// Linked accounts open in place, to follow a ring of accounts.
+export function PlayerRiskDetails({ userId, onClose, onChanged }: PlayerRiskDetailsProps) {
+  const { can } = useAdmin();
+  const [currentId, setCurrentId] = useState(userId);
+  const [details, setDetails] = useState<PlayerRisk | null>(null);
+  const [blocks, setBlocks] = useState<UserBlock[]>([]);
+  const [error, setError] = useState('');
+  const [resolving, setResolving] = useState<string | null>(null);
+
+  const fetchDetails = useCallback(async () => {
+    try {
+      setError('');
+      const [risk, history] = await Promise.all([api.getPlayerRisk(currentId), api.getUserBlocks(currentId)]);
+      setDetails(risk);
+      setBlocks(history.blocks);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load risk details');
+    }
+  }, [currentId]);
+
+  useEffect(() => {
+    setDetails(null);
+    fetchDetails();
+  }, [fetchDetails]);
+
+  const handleResolve = async (alert: RiskAlert) => {
+    const resolution = prompt(`Resolve "${alert.message}"? Add a note for the record (optional):`);
+    if (resolution === null) return;
+
+    try {
+      setResolving(alert._id);
+      await api.resolveRiskAlert(alert._id, resolution.trim() || undefined);
+      await fetchDetails();
+      onChanged?.();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to resolve alert');
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  const openAlerts = details?.alerts.filter((alert) => !alert.resolvedAt) || [];
+  const resolvedAlerts = details?.alerts.filter((alert) => alert.resolvedAt) || [];
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-2xl font-bold text-white">{details?.user.username || 'Risk Details'}</h3>
+            {details && <p className="text-[#b1bad3] text-sm">{details.user.email}</p>}
+          </div>
+          <div className="flex items-center space-x-3">
+            {details && (
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${riskBadgeClass(details.user.riskLevel)}`}>
+                {RISK_LEVEL_LABELS[details.user.riskLevel]} · {details.user.riskScore}
+              </span>
+            )}
+            <button onClick={onClose} className="p-2 text-[#b1bad3] hover:text-white transition-all">
+              <XCircle className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        {currentId !== userId && (
+          <button
+            onClick={() => setCurrentId(userId)}
+            className="text-[#00d4aa] text-sm hover:underline mb-4"
+          >
+            ← Back to the first account
+          </button>
+        )}
+
+        {error && <p className="text-red-300 text-sm mb-4">{error}</p>}
+
+        {!details && !error && (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+          </div>
+        )}
+
+        {details && (
+          <div className="space-y-6">
+            {/* Alerts */}
+            <div>
+              <h4 className="text-white font-bold mb-3 flex items-center space-x-2">
+                <AlertTriangle className="h-4 w-4 text-yellow-400" />
+                <span>Open Alerts ({openAlerts.length})</span>
+              </h4>
+              {openAlerts.length === 0 && <p className="text-[#b1bad3] text-sm">Nothing to review</p>}
+              <div className="space-y-2">
+                {openAlerts.map((alert) => (
+                  <div key={alert._id} className="bg-[#0f212e] border border-[#2f4553] rounded-lg p-3">
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <p className="text-white font-medium">{RISK_ALERT_LABELS[alert.code]}</p>
+                        <p className="text-[#b1bad3] text-sm">{alert.message}</p>
+                        {alert.relatedUserIds.length > 0 && (
+                          <p className="text-[#b1bad3] text-xs mt-1">
+                            With {alert.relatedUserIds.map((related) => related.username).join(', ')}
+                          </p>
+                        )}
+                        <p className="text-[#b1bad3] text-xs mt-1">
+                          {alert.occurrences} time{alert.occurrences !== 1 ? 's' : ''}, last{' '}
+                          {new Date(alert.lastSeenAt).toLocaleString()}
+                        </p>
+                      </div>
+                      {can('users:block') && (
+                        <button
+                          onClick={() => handleResolve(alert)}
+                          disabled={resolving === alert._id}
+                          className="px-3 py-1 bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30 rounded-lg text-sm hover:bg-[#00d4aa]/30 transition-all disabled:opacity-50 whitespace-nowrap"
+                        >
+                          {resolving === alert._id ? 'Resolving...' : 'Resolve'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {resolvedAlerts.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  {resolvedAlerts.map((alert) => (
+                    <p key={alert._id} className="text-[#b1bad3] text-xs flex items-center space-x-1">
+                      <CheckCircle className="h-3 w-3 text-[#00d4aa]" />
+                      <span>
+                        {RISK_ALERT_LABELS[alert.code]} resolved by {alert.resolvedBy?.username || 'an admin'} on{' '}
+                        {new Date(alert.resolvedAt as string).toLocaleString()}
+                        {alert.resolution && ` — ${alert.resolution}`}
+                      </span>
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Block History */}
+            <div>
+              <h4 className="text-white font-bold mb-3 flex items-center space-x-2">
+                <Ban className="h-4 w-4 text-red-400" />
+                <span>Block History ({blocks.length})</span>
+              </h4>
+              {blocks.length === 0 && <p className="text-[#b1bad3] text-sm">Never blocked</p>}
+              <div className="space-y-2">
+                {blocks.map((block) => (
+                  <div key={block._id} className="bg-[#0f212e] border border-[#2f4553] rounded-lg p-3 text-sm">
+                    <p className="text-white">
+                      Blocked by {block.blockedBy?.username || 'an admin'} on {new Date(block.createdAt).toLocaleString()}
+                      {block.reason && <span className="text-red-300"> · {block.reason}</span>}
+                    </p>
+                    <p className="text-[#b1bad3] text-xs mt-1">
+                      {block.until ? `Until ${new Date(block.until).toLocaleString()}` : 'Until unblocked'} ·{' '}
+                      {blockEnding(block)}
+                    </p>
+                    {block.message && <p className="text-[#b1bad3] text-xs mt-1 italic">"{block.message}"</p>}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Linked Accounts */}
+            <div>
+              <h4 className="text-white font-bold mb-3 flex items-center space-x-2">
+                <Link2 className="h-4 w-4 text-[#00d4aa]" />
+                <span>Linked Accounts ({details.linkedAccounts.length})</span>
+              </h4>
+              {details.linkedAccounts.length === 0 ? (
+                <p className="text-[#b1bad3] text-sm">No other account shares this player's devices or IPs</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <tbody>
+                    {details.linkedAccounts.map((account) => (
+                      <tr key={account.id} className="border-b border-[#2f4553]/50">
+                        <td className="py-2">
+                          <button
+                            onClick={() => setCurrentId(account.id)}
+                            className="text-white font-medium hover:text-[#00d4aa] transition-all"
+                          >
+                            {account.username || 'Deleted account'}
+                          </button>
+                          <p className="text-[#b1bad3] text-xs">{account.email}</p>
+                        </td>
+                        <td className="py-2 text-[#b1bad3]">
+                          Same {account.shared.map((kind) => SIGNAL_LABELS[kind]).join(' and ')}
+                        </td>
+                        <td className="py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${riskBadgeClass(account.riskLevel)}`}>
+                            {RISK_LEVEL_LABELS[account.riskLevel]}
+                          </span>
+                          {account.isBlocked && <span className="ml-2 text-red-400 text-xs">Blocked</span>}
+                        </td>
+                        <td className="py-2 text-right text-[#b1bad3] text-xs">
+                          {new Date(account.lastSeenAt).toLocaleDateString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Signals */}
+            <div>
+              <h4 className="text-white font-bold mb-3">IPs and Devices</h4>
+              {details.signals.length === 0 && <p className="text-[#b1bad3] text-sm">Nothing recorded yet</p>}
+              <div className="space-y-2">
+                {details.signals.map((signal) => (
+                  <div key={signal._id} className="flex items-start space-x-3 text-sm">
+                    {signal.kind === 'ip' ? (
+                      <Globe className="h-4 w-4 text-[#b1bad3] mt-0.5" />
+                    ) : (
+                      <Fingerprint className="h-4 w-4 text-[#b1bad3] mt-0.5" />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-white font-mono break-all">{signal.value}</p>
+                      <p className="text-[#b1bad3] text-xs truncate" title={signal.userAgent}>{signal.userAgent}</p>
+                      <p className="text-[#b1bad3] text-xs">
+                        Seen {signal.seenCount} time{signal.seenCount !== 1 ? 's' : ''} since{' '}
+                        {new Date(signal.firstSeenAt).toLocaleDateString()}, last on {signal.lastEvent}{' '}
+                        {new Date(signal.lastSeenAt).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+interface ResultHistogramProps {
+  digits: { number: number; count: number }[];
+  rounds: number;
+}
+
+// How often each digit came up; with a fair draw each should sit near 10%
+export function ResultHistogram({ digits, rounds }: ResultHistogramProps) {
+  const most = Math.max(...digits.map((digit) => digit.count), 1);
+  const expected = rounds / digits.length;
+
+  return (
+    <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4">
+      <div className="flex items-baseline justify-between mb-3">
+        <p className="text-[#b1bad3] text-sm font-medium">Results by digit</p>
+        <p className="text-white text-sm font-bold">{rounds.toLocaleString()} rounds</p>
+      </div>
+
+      <div className="relative h-40 flex items-end gap-2">
+        {rounds > 0 && (
+          <div
+            className="absolute left-0 right-0 border-t border-dashed border-[#b1bad3]/50"
+            style={{ bottom: `${(expected / most) * 100}%` }}
+            title={`Expected: ${expected.toFixed(1)} each`}
+          />
+        )}
+        {digits.map((digit) => {
+          const share = rounds > 0 ? (digit.count / rounds) * 100 : 0;
+          return (
+            <div key={digit.number} className="flex-1 h-full flex flex-col justify-end" title={`${digit.count} rounds (${share.toFixed(1)}%)`}>
+              <div className="bg-[#00d4aa] rounded-t" style={{ height: `${(digit.count / most) * 100}%` }} />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2 mt-2">
+        {digits.map((digit) => (
+          <div key={digit.number} className="flex-1 text-center">
+            <p className="text-white font-bold text-sm">{digit.number}</p>
+            <p className="text-[#b1bad3] text-xs">{rounds > 0 ? `${((digit.count / rounds) * 100).toFixed(1)}%` : '-'}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
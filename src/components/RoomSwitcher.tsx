@@ -0,0 +1,35 @@
+import { Room } from '../lib/api';
+
+interface RoomSwitcherProps {
+  rooms: Room[];
+  selected?: string;
+  onSelect: (slug: string) => void;
+}
+
+const formatDuration = (seconds: number) =>
+  seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds}s`;
+
+export function RoomSwitcher({ rooms, selected, onSelect }: RoomSwitcherProps) {
+  if (rooms.length <= 1) return null;
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-2 flex space-x-2 overflow-x-auto">
+      {rooms.map((room) => (
+        <button
+          key={room.slug}
+          onClick={() => onSelect(room.slug)}
+          className={`flex-1 min-w-[7rem] px-4 py-3 rounded-xl transition-all ${
+            selected === room.slug
+              ? 'bg-[#00d4aa] text-[#0f212e]'
+              : 'text-[#b1bad3] hover:bg-[#2f4553] hover:text-white'
+          }`}
+        >
+          <p className="font-bold">{room.name}</p>
+          <p className={`text-xs ${selected === room.slug ? 'text-[#0f212e]/70' : 'text-[#b1bad3]'}`}>
+            {formatDuration(room.roundDuration)} rounds · ${room.minBet}-${room.maxBet}
+          </p>
+        </button>
+      ))}
+    </div>
+  );
+}
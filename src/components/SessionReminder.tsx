@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Timer } from 'lucide-react';
+
+// Survives reloads, but not closing the tab
+const STARTED_KEY = 'sessionStartedAt';
+
+const formatDuration = (minutes: number) => {
+  if (minutes < 60) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return Number.isInteger(hours) ? `${hours} ${hours === 1 ? 'hour' : 'hours'}` : `${hours.toFixed(1)} hours`;
+};
+
+// Reminds players how long they've been playing, at the interval they chose
+export function SessionReminder() {
+  const { user, signOut } = useAuth();
+  const interval = user?.sessionReminderMinutes ?? null;
+  const [playedMinutes, setPlayedMinutes] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!interval) return;
+
+    const startedAt = Number(sessionStorage.getItem(STARTED_KEY)) || Date.now();
+    sessionStorage.setItem(STARTED_KEY, String(startedAt));
+
+    const played = () => Math.floor((Date.now() - startedAt) / 60000);
+    // Don't repeat a reminder that was already due before this page loaded
+    let lastReminder = Math.floor(played() / interval) * interval;
+
+    const timer = setInterval(() => {
+      const due = Math.floor(played() / interval) * interval;
+      if (due > lastReminder) {
+        lastReminder = due;
+        setPlayedMinutes(due);
+      }
+    }, 30 * 1000);
+
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  if (!interval || playedMinutes === null) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 max-w-md w-full text-center">
+        <div className="w-14 h-14 bg-[#00d4aa]/20 rounded-full flex items-center justify-center mx-auto mb-4">
+          <Timer className="h-7 w-7 text-[#00d4aa]" />
+        </div>
+        <h3 className="text-xl font-bold text-white mb-2">Time Check</h3>
+        <p className="text-[#b1bad3] mb-6">
+          You've been playing for {formatDuration(playedMinutes)}. Consider taking a break.
+        </p>
+        <div className="flex space-x-3">
+          <button
+            onClick={signOut}
+            className="flex-1 px-4 py-2 bg-[#2f4553] text-white rounded-lg hover:bg-[#3a5664] transition-all"
+          >
+            Sign Out
+          </button>
+          <button
+            onClick={() => setPlayedMinutes(null)}
+            className="flex-1 px-4 py-2 bg-[#00d4aa] text-[#0f212e] font-bold rounded-lg hover:bg-[#00c49a] transition-all"
+          >
+            Keep Playing
+          </button>
+        </div>
+        <Link
+          to="/responsible-gaming"
+          onClick={() => setPlayedMinutes(null)}
+          className="inline-block mt-4 text-sm text-[#00d4aa] hover:text-[#00c49a]"
+        >
+          Set limits or take a break
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { api, BetTypeLimit, PaytableBetType } from '../lib/api';
+import { getFieldErrors } from '../lib/formErrors';
+import { ShieldAlert } from 'lucide-react';
+
+interface StakeLimitsSettingsProps {
+  disabled?: boolean;
+  onSaved?: (message: string) => void;
+  onError?: (message: string) => void;
+}
+
+// Form state keeps amounts as typed; an empty box leaves that end open
+interface DraftLimit {
+  minStake: string;
+  maxStake: string;
+}
+
+const toAmount = (value: string) => (value.trim() === '' ? null : Number(value));
+const fromAmount = (value: number | null | undefined) => (value === null || value === undefined ? '' : value.toString());
+
+// Per-bet-type stake limits and the payout cap per round, kept in admin settings
+export function StakeLimitsSettings({ disabled = false, onSaved, onError }: StakeLimitsSettingsProps) {
+  const [betTypes, setBetTypes] = useState<PaytableBetType[]>([]);
+  const [limits, setLimits] = useState<Record<string, DraftLimit>>({});
+  const [maxRoundLiability, setMaxRoundLiability] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchLimits = async () => {
+      try {
+        const [paytableResponse, settingsResponse] = await Promise.all([api.getPaytable(), api.getAdminSettings()]);
+        const saved: BetTypeLimit[] = settingsResponse.settings.betTypeLimits || [];
+
+        setBetTypes(paytableResponse.paytable.betTypes);
+        setLimits(Object.fromEntries(saved.map((limit) => [
+          limit.betType,
+          { minStake: fromAmount(limit.minStake), maxStake: fromAmount(limit.maxStake) },
+        ])));
+        setMaxRoundLiability(fromAmount(settingsResponse.settings.maxRoundLiability));
+      } catch (error) {
+        console.error('Error fetching stake limits:', error);
+      }
+    };
+
+    fetchLimits();
+  }, []);
+
+  const updateLimit = (betType: string, changes: Partial<DraftLimit>) => {
+    const current = limits[betType] || { minStake: '', maxStake: '' };
+    setLimits({ ...limits, [betType]: { ...current, ...changes } });
+  };
+
+  const handleSave = async () => {
+    // Only bet types with at least one end set are kept
+    const betTypeLimits = betTypes
+      .map((betType) => ({
+        betType: betType.type,
+        minStake: toAmount(limits[betType.type]?.minStake || ''),
+        maxStake: toAmount(limits[betType.type]?.maxStake || ''),
+      }))
+      .filter((limit) => limit.minStake !== null || limit.maxStake !== null);
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      await api.updateAdminSettings({ betTypeLimits, maxRoundLiability: toAmount(maxRoundLiability) });
+      onSaved?.('Stake limits saved');
+    } catch (error) {
+      // Map errors on the sent list back onto the bet type rows
+      const errors = getFieldErrors(error);
+      const byBetType: Record<string, string> = {};
+      Object.entries(errors).forEach(([path, message]) => {
+        const match = path.match(/^betTypeLimits\.(\d+)/);
+        byBetType[match ? betTypeLimits[Number(match[1])]?.betType : path] = message;
+      });
+      setFieldErrors(byBetType);
+      onError?.(error instanceof Error ? error.message : 'Error saving stake limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+        <ShieldAlert className="h-5 w-5 text-yellow-400" />
+        <span>Stake &amp; Exposure Limits</span>
+      </h2>
+      <p className="text-[#b1bad3] text-sm mb-6">
+        Apply in every room on top of the room's own bet limits. Leave a box empty for no limit.
+      </p>
+
+      <div className="space-y-3">
+        {betTypes.map((betType) => (
+          <div key={betType.type}>
+            <div className="grid grid-cols-3 gap-3 items-center">
+              <span className="text-white font-medium">{betType.label}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={limits[betType.type]?.minStake ?? ''}
+                onChange={(e) => updateLimit(betType.type, { minStake: e.target.value })}
+                disabled={disabled}
+                placeholder="Min stake"
+                className="p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={limits[betType.type]?.maxStake ?? ''}
+                onChange={(e) => updateLimit(betType.type, { maxStake: e.target.value })}
+                disabled={disabled}
+                placeholder="Max stake"
+                className="p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+              />
+            </div>
+            {fieldErrors[betType.type] && (
+              <p className="text-red-400 text-xs mt-1 text-right">{fieldErrors[betType.type]}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-6">
+        <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+          Max payout per round (on any one result, across all players)
+        </label>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={maxRoundLiability}
+          onChange={(e) => setMaxRoundLiability(e.target.value)}
+          disabled={disabled}
+          placeholder="No cap"
+          className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+        />
+        {fieldErrors.maxRoundLiability && (
+          <p className="text-red-400 text-xs mt-1">{fieldErrors.maxRoundLiability}</p>
+        )}
+      </div>
+
+      <button
+        onClick={handleSave}
+        disabled={saving || disabled}
+        className="mt-6 w-full bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-400 hover:to-yellow-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed"
+      >
+        {saving ? 'Saving...' : 'Save Limits'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { AnalyticsInterval } from '../lib/api';
+
+interface TimeSeriesChartProps {
+  title: string;
+  points: { time: string; value: number }[];
+  interval: AnalyticsInterval;
+  color: string;
+  formatValue: (value: number) => string;
+}
+
+const HEIGHT = 100;
+
+// Daily buckets start at midnight UTC, so they're labelled by their UTC date
+const formatTime = (time: string, interval: AnalyticsInterval) => (interval === 'day'
+  ? new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' })
+  : new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+
+// An area chart of one series; hovering a bucket shows its value
+export function TimeSeriesChart({ title, points, interval, color, formatValue }: TimeSeriesChartProps) {
+  const [hovered, setHovered] = useState<number | null>(null);
+
+  const values = points.map((point) => point.value);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const span = max - min || 1;
+  const width = Math.max(points.length - 1, 1);
+  const y = (value: number) => HEIGHT - ((value - min) / span) * HEIGHT;
+
+  const line = points.map((point, index) => `${index},${y(point.value)}`).join(' ');
+  const area = `0,${y(0)} ${line} ${width},${y(0)}`;
+  const shown = hovered === null ? null : points[hovered];
+
+  return (
+    <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4">
+      <div className="flex items-baseline justify-between mb-3">
+        <p className="text-[#b1bad3] text-sm font-medium">{title}</p>
+        <p className="text-white text-sm font-bold">
+          {shown ? `${formatValue(shown.value)} · ${formatTime(shown.time, interval)}` : `Peak ${formatValue(max)}`}
+        </p>
+      </div>
+
+      <div className="relative h-32" onMouseLeave={() => setHovered(null)}>
+        <svg viewBox={`0 0 ${width} ${HEIGHT}`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full overflow-visible">
+          <polygon points={area} fill={color} fillOpacity={0.15} />
+          <polyline points={line} fill="none" stroke={color} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+          {min < 0 && (
+            <line x1={0} x2={width} y1={y(0)} y2={y(0)} stroke="#2f4553" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+          )}
+          {hovered !== null && (
+            <line x1={hovered} x2={hovered} y1={0} y2={HEIGHT} stroke="#b1bad3" strokeOpacity={0.5} vectorEffect="non-scaling-stroke" />
+          )}
+        </svg>
+        {/* One hover target per bucket */}
+        <div className="absolute inset-0 flex">
+          {points.map((point, index) => (
+            <div key={point.time} className="flex-1 h-full" onMouseEnter={() => setHovered(index)} />
+          ))}
+        </div>
+      </div>
+
+      {points.length > 0 && (
+        <div className="flex justify-between text-xs text-[#b1bad3] mt-2">
+          <span>{formatTime(points[0].time, interval)}</span>
+          <span>{formatTime(points[points.length - 1].time, interval)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { toDataURL } from 'qrcode';
+import { useAuth } from '../contexts/AuthContext';
+import { api, TwoFactorSetup, TwoFactorStatus } from '../lib/api';
+import { getFieldErrors } from '../lib/formErrors';
+import { ShieldCheck, ShieldAlert, KeyRound, Copy } from 'lucide-react';
+
+interface TwoFactorSettingsProps {
+  // Called after a change, e.g. turning it on signs out other devices
+  onChange?: () => void;
+}
+
+export function TwoFactorSettings({ onChange }: TwoFactorSettingsProps) {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<(TwoFactorSetup & { qrCode: string }) | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.getTwoFactorStatus();
+      setStatus(response.twoFactor);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load two-factor settings');
+    }
+  };
+
+  // Every change is confirmed with a current code
+  const runWithCode = async (action: () => Promise<{ message: string; recoveryCodes?: string[] }>) => {
+    try {
+      setLoading(true);
+      setError('');
+      setCodeError('');
+      setMessage('');
+      const response = await action();
+      setMessage(response.message);
+      if (response.recoveryCodes) {
+        setRecoveryCodes(response.recoveryCodes);
+      }
+      setCode('');
+      await Promise.all([fetchStatus(), refreshUser()]);
+      onChange?.();
+    } catch (error) {
+      const fieldErrors = getFieldErrors(error);
+      if (fieldErrors.code) {
+        setCodeError(fieldErrors.code);
+      } else {
+        setError(error instanceof Error ? error.message : 'Request failed');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.setupTwoFactor();
+      const qrCode = await toDataURL(response.otpauthUrl, { margin: 1, width: 200 });
+      setSetup({ ...response, qrCode });
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      setError(error instanceof Error ? error.message : 'Failed to start setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = () => runWithCode(async () => {
+    const response = await api.enableTwoFactor(code);
+    setSetup(null);
+    return response;
+  });
+
+  const handleDisable = () => {
+    if (!confirm('Turn off two-factor authentication?')) return;
+    runWithCode(async () => {
+      const response = await api.disableTwoFactor(code);
+      setRecoveryCodes([]);
+      return response;
+    });
+  };
+
+  const codeInput = (
+    <div>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={setup ? 'Code from your app' : 'Current code or recovery code'}
+        autoComplete="one-time-code"
+        className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent tracking-widest"
+      />
+      {codeError && <p className="text-red-400 text-sm mt-1">{codeError}</p>}
+    </div>
+  );
+
+  return (
+    <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+          <ShieldCheck className="h-5 w-5 text-[#00d4aa]" />
+          <span>Two-Factor Authentication</span>
+        </h2>
+        {status && (
+          <span className={`px-2 py-1 rounded-full text-xs font-medium border ${
+            status.enabled
+              ? 'bg-[#00d4aa]/20 text-[#00d4aa] border-[#00d4aa]/30'
+              : 'bg-red-500/20 text-red-300 border-red-500/30'
+          }`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/30 rounded-lg p-3 mb-4">
+          <p className="text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+      {message && (
+        <div className="bg-[#00d4aa]/20 border border-[#00d4aa]/30 rounded-lg p-3 mb-4">
+          <p className="text-[#00d4aa] text-sm">{message}</p>
+        </div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="bg-[#0f212e] border border-yellow-500/30 rounded-xl p-4 mb-4">
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-yellow-300 text-sm font-medium flex items-center space-x-2">
+              <KeyRound className="h-4 w-4" />
+              <span>Save these recovery codes. Each works once and they won't be shown again.</span>
+            </p>
+            <button
+              onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n'))}
+              className="p-2 text-[#b1bad3] hover:text-white transition-colors"
+              title="Copy codes"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2 font-mono text-white text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+        </div>
+      ) : !status.enabled ? (
+        <div className="space-y-4">
+          {status.required && (
+            <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-lg p-3 flex items-center space-x-2">
+              <ShieldAlert className="h-4 w-4 text-yellow-300 flex-shrink-0" />
+              <p className="text-yellow-300 text-sm">Admin accounts must turn on two-factor authentication before using the admin panel.</p>
+            </div>
+          )}
+
+          {!setup ? (
+            <>
+              <p className="text-[#b1bad3] text-sm">
+                Protect your account with a code from an authenticator app such as Google Authenticator or Authy.
+              </p>
+              <button
+                onClick={handleStartSetup}
+                disabled={loading}
+                className="px-4 py-2 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] text-[#0f212e] rounded-lg font-bold disabled:opacity-50"
+              >
+                Set up two-factor authentication
+              </button>
+            </>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-[#b1bad3] text-sm">
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <div className="flex flex-col sm:flex-row items-center gap-4">
+                <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40 rounded-lg bg-white p-1" />
+                <div className="space-y-1">
+                  <p className="text-[#b1bad3] text-xs">Can't scan it? Enter this key instead:</p>
+                  <p className="text-white font-mono text-sm break-all">{setup.secret}</p>
+                </div>
+              </div>
+              {codeInput}
+              <button
+                onClick={handleEnable}
+                disabled={loading || !code.trim()}
+                className="px-4 py-2 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] text-[#0f212e] rounded-lg font-bold disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Turn on'}
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-[#b1bad3] text-sm">
+            {status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left.
+            Enter a current code to change these settings.
+          </p>
+          {codeInput}
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => runWithCode(() => api.setWithdrawalTwoFactor(!status.requireForWithdrawals, code))}
+              disabled={loading || !code.trim()}
+              className="px-4 py-2 bg-[#2f4553] text-white rounded-lg font-medium hover:bg-[#3a5564] transition-all disabled:opacity-50"
+            >
+              {status.requireForWithdrawals ? 'Stop requiring a code for withdrawals' : 'Require a code for withdrawals'}
+            </button>
+            <button
+              onClick={() => runWithCode(() => api.regenerateRecoveryCodes(code))}
+              disabled={loading || !code.trim()}
+              className="px-4 py-2 bg-[#2f4553] text-white rounded-lg font-medium hover:bg-[#3a5564] transition-all disabled:opacity-50"
+            >
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                onClick={handleDisable}
+                disabled={loading || !code.trim()}
+                className="px-4 py-2 bg-red-500/20 text-red-300 border border-red-500/30 rounded-lg font-medium hover:bg-red-500/30 transition-all disabled:opacity-50"
+              >
+                Turn off
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { api } from '../lib/api';
+import { MailWarning } from 'lucide-react';
+
+// Reminds unverified players why deposits are locked and lets them resend the link
+export function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await api.resendVerificationEmail();
+      setMessage(response.message);
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-500/10 border-b border-yellow-500/30 px-4 py-2">
+      <div className="max-w-7xl mx-auto flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-sm">
+        <MailWarning className="h-4 w-4 text-yellow-300" />
+        <span className="text-yellow-200">
+          Verify your email ({user.email}) to deposit and withdraw.
+        </span>
+        {message ? (
+          <span className="text-[#b1bad3]">{message}</span>
+        ) : (
+          <button
+            onClick={handleResend}
+            disabled={sending}
+            className="text-yellow-300 font-semibold hover:text-yellow-200 disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react';
+import { ShieldCheck, ShieldAlert, X } from 'lucide-react';
+import { api } from '../lib/api';
+
+interface Verification {
+  gameId: string;
+  gameNumber: number;
+  status: 'waiting' | 'betting' | 'completed';
+  serverSeedHash: string;
+  clientSeed: string;
+  algorithm: string;
+  serverSeed?: string;
+  resultNumber?: number;
+}
+
+interface VerifyRoundProps {
+  gameId: string;
+  onClose: () => void;
+}
+
+const MAX_UNBIASED = Math.floor(0x100000000 / 10) * 10;
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+// Mirrors server/utils/provablyFair.js so the result is recomputed in the browser
+async function recomputeRound(serverSeed: string, clientSeed: string, gameNumber: number) {
+  const encoder = new TextEncoder();
+  const seedHash = toHex(await crypto.subtle.digest('SHA-256', encoder.encode(serverSeed)));
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(serverSeed),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const hmac = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(`${clientSeed}:${gameNumber}`)));
+
+  let result = parseInt(hmac.slice(0, 8), 16) % 10;
+  for (let i = 0; i + 8 <= hmac.length; i += 8) {
+    const value = parseInt(hmac.slice(i, i + 8), 16);
+    if (value < MAX_UNBIASED) {
+      result = value % 10;
+      break;
+    }
+  }
+
+  return { seedHash, result };
+}
+
+export function VerifyRound({ gameId, onClose }: VerifyRoundProps) {
+  const [verification, setVerification] = useState<Verification | null>(null);
+  const [computed, setComputed] = useState<{ seedHash: string; result: number } | null>(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await api.verifyGame(gameId);
+        const data: Verification = response.verification;
+        setVerification(data);
+
+        if (data.serverSeed) {
+          setComputed(await recomputeRound(data.serverSeed, data.clientSeed, data.gameNumber));
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Could not verify this round');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [gameId]);
+
+  const hashMatches = computed && verification && computed.seedHash === verification.serverSeedHash;
+  const resultMatches = computed && verification && computed.result === verification.resultNumber;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 max-w-lg w-full relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-2 text-[#b1bad3] hover:text-white transition-all"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h2 className="text-xl font-bold text-white mb-4">
+          Verify Round{verification ? ` #${verification.gameNumber}` : ''}
+        </h2>
+
+        {loading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa] mx-auto my-8"></div>
+        ) : error ? (
+          <p className="text-red-400">{error}</p>
+        ) : verification && (
+          <div className="space-y-3 text-sm">
+            <div>
+              <p className="text-[#b1bad3]">Server seed hash (published at round start)</p>
+              <p className="text-white font-mono break-all">{verification.serverSeedHash}</p>
+            </div>
+            <div>
+              <p className="text-[#b1bad3]">Client seed</p>
+              <p className="text-white font-mono break-all">{verification.clientSeed}</p>
+            </div>
+
+            {verification.serverSeed ? (
+              <>
+                <div>
+                  <p className="text-[#b1bad3]">Server seed (revealed)</p>
+                  <p className="text-white font-mono break-all">{verification.serverSeed}</p>
+                </div>
+                <p className="text-[#b1bad3]">
+                  Result = {verification.algorithm}, first 32-bit chunk below {MAX_UNBIASED} mod 10
+                </p>
+
+                {computed && (
+                  <div className="bg-[#0f212e] border border-[#2f4553] rounded-lg p-4 space-y-2">
+                    <p className={`flex items-center space-x-2 ${hashMatches ? 'text-[#00d4aa]' : 'text-red-400'}`}>
+                      {hashMatches ? <ShieldCheck className="h-4 w-4" /> : <ShieldAlert className="h-4 w-4" />}
+                      <span>Seed {hashMatches ? 'matches' : 'does not match'} the published hash</span>
+                    </p>
+                    <p className={`flex items-center space-x-2 ${resultMatches ? 'text-[#00d4aa]' : 'text-red-400'}`}>
+                      {resultMatches ? <ShieldCheck className="h-4 w-4" /> : <ShieldAlert className="h-4 w-4" />}
+                      <span>
+                        Recomputed result {computed.result}, recorded result {verification.resultNumber}
+                      </span>
+                    </p>
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="text-yellow-400">The server seed is revealed once this round completes.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import { useAuth } from './AuthContext';
 interface AdminContextType {
   isAdmin: boolean;
   loading: boolean;
+  permissions: string[];
+  can: (permission: string) => boolean;
 }
 
 const AdminContext = createContext<AdminContextType | undefined>(undefined);
@@ -23,8 +25,12 @@ export function AdminProvider({ children }: { children: React.ReactNode }) {
     }
   }, [user]);
 
+  // What the admin's role allows; the server checks the same list on every request
+  const permissions = user?.permissions ?? [];
+  const can = (permission: string) => permissions.includes(permission);
+
   return (
-    <AdminContext.Provider value={{ isAdmin, loading }}>
+    <AdminContext.Provider value={{ isAdmin, loading, permissions, can }}>
       {children}
     </AdminContext.Provider>
   );
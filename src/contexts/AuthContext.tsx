@@ -1,18 +1,33 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { api } from '../lib/api';
+import { socket } from '../lib/socket';
 
 interface User {
   id: string;
   email: string;
   username: string;
+  emailVerified: boolean;
   isAdmin: boolean;
+  adminRole: string | null;
+  permissions: string[];
+  twoFactorEnabled: boolean;
+  requireTwoFactorForWithdrawals: boolean;
+  sessionReminderMinutes: number | null;
+  excludedUntil: string | null;
+}
+
+// Returned by signIn when the account needs a second factor
+interface TwoFactorChallenge {
+  challengeToken: string;
 }
 
 interface AuthContextType {
   user: User | null;
   loading: boolean;
   signUp: (email: string, password: string, username: string) => Promise<void>;
-  signIn: (email: string, password: string) => Promise<void>;
+  signIn: (email: string, password: string) => Promise<TwoFactorChallenge | null>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>;
+  refreshUser: () => Promise<void>;
   signOut: () => Promise<void>;
 }
 
@@ -23,14 +38,60 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // Drop back to the login screen once the session can't be refreshed
+    api.onSessionExpired = () => setUser(null);
+
     // Check if user is logged in
     const token = localStorage.getItem('token');
     if (token) {
-      api.setToken(token);
       getCurrentUser();
     } else {
       setLoading(false);
     }
+
+    return () => {
+      api.onSessionExpired = null;
+    };
+  }, []);
+
+  // Keep the realtime connection open only while someone is signed in
+  useEffect(() => {
+    if (user) {
+      socket.connect();
+    } else {
+      socket.disconnect();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    // This device was signed out from elsewhere
+    const handleSessionRevoked = () => {
+      api.clearSession();
+      setUser(null);
+    };
+
+    // The access token expired while offline; refresh it and try again
+    const handleConnectError = async (error: Error) => {
+      if (error.message === 'Invalid token.' && await api.refreshSession()) {
+        socket.connect();
+      }
+    };
+
+    // The server dropped us, e.g. the account was blocked
+    const handleDisconnect = (reason: string) => {
+      if (reason === 'io server disconnect') {
+        getCurrentUser();
+      }
+    };
+
+    socket.on('session:revoked', handleSessionRevoked);
+    socket.on('connect_error', handleConnectError);
+    socket.on('disconnect', handleDisconnect);
+    return () => {
+      socket.off('session:revoked', handleSessionRevoked);
+      socket.off('connect_error', handleConnectError);
+      socket.off('disconnect', handleDisconnect);
+    };
   }, []);
 
   const getCurrentUser = async () => {
@@ -39,7 +100,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       setUser(response.user);
     } catch (error) {
       console.error('Get current user error:', error);
-      api.setToken(null);
+      api.clearSession();
+      setUser(null);
     } finally {
       setLoading(false);
     }
@@ -52,12 +114,27 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
 
   const signIn = async (email: string, password: string) => {
     const response = await api.login(email, password);
+    if (response.twoFactorRequired) {
+      return { challengeToken: response.challengeToken };
+    }
+
+    setUser(response.user);
+    return null;
+  };
+
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    const response = await api.verifyLogin(challengeToken, code);
     setUser(response.user);
   };
 
   const signOut = async () => {
-    api.setToken(null);
-    setUser(null);
+    try {
+      await api.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      setUser(null);
+    }
   };
 
   const value = {
@@ -65,6 +142,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     loading,
     signUp,
     signIn,
+    verifyTwoFactor,
+    refreshUser: getCurrentUser,
     signOut,
   };
 
@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { api } from '../lib/api';
+import { socket } from '../lib/socket';
+import { useSocketConnected } from './useSocket';
 
 export function useAdminData() {
   const [stats, setStats] = useState({
@@ -13,13 +15,36 @@ export function useAdminData() {
     todayRevenue: 0,
   });
   const [loading, setLoading] = useState(true);
+  const connected = useSocketConnected();
 
   useEffect(() => {
     fetchAdminStats();
-    // Refresh stats every 30 seconds
+  }, [connected]);
+
+  // Refresh when the server reports activity; bursts collapse into one fetch
+  useEffect(() => {
+    let timeout: ReturnType<typeof setTimeout> | null = null;
+    const handleStatsChanged = () => {
+      if (timeout) return;
+      timeout = setTimeout(() => {
+        timeout = null;
+        fetchAdminStats();
+      }, 1000);
+    };
+
+    socket.on('admin:stats-changed', handleStatsChanged);
+    return () => {
+      socket.off('admin:stats-changed', handleStatsChanged);
+      if (timeout) clearTimeout(timeout);
+    };
+  }, []);
+
+  // Fall back to refreshing every 30 seconds while the realtime connection is down
+  useEffect(() => {
+    if (connected) return;
     const interval = setInterval(fetchAdminStats, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [connected]);
 
   const fetchAdminStats = async () => {
     try {
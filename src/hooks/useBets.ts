@@ -1,19 +1,22 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { api } from '../lib/api';
+import { api, BetFilters } from '../lib/api';
+import { socket } from '../lib/socket';
+import { usePagedList, Page } from './usePagedList';
 
-interface Bet {
+export interface Bet {
   _id: string;
   userId: string;
-  gameId: string;
   betType: string;
   betValue: string;
   amount: number;
-  result: 'win' | 'loss' | 'pending';
+  result: 'win' | 'loss' | 'pending' | 'refunded';
   payout: number;
   createdAt: string;
   gameId?: {
+    _id: string;
     gameNumber: number;
+    status: 'waiting' | 'betting' | 'completed' | 'voided';
     resultNumber?: number;
     resultColor?: string;
     resultSize?: string;
@@ -30,9 +33,12 @@ interface UserStats {
   netProfit: number;
 }
 
-export function useBets() {
+// With no filters given: a stable object, so the list isn't refetched every render
+const NO_FILTERS: BetFilters = {};
+
+// The player's bets, loaded a page at a time under the given filters, and their overall stats
+export function useBets(filters: BetFilters = NO_FILTERS) {
   const { user } = useAuth();
-  const [bets, setBets] = useState<Bet[]>([]);
   const [stats, setStats] = useState<UserStats>({
     totalBets: 0,
     wins: 0,
@@ -42,29 +48,17 @@ export function useBets() {
     totalWon: 0,
     netProfit: 0,
   });
-  const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    if (user) {
-      fetchBets();
-      fetchStats();
-    }
-  }, [user]);
+  const fetchPage = useCallback(async (before?: string): Promise<Page<Bet>> => {
+    if (!user) return { items: [], nextCursor: null };
 
-  const fetchBets = async () => {
-    if (!user) return;
+    const response = await api.getUserBets({ ...filters, before });
+    return { items: response.bets || [], nextCursor: response.nextCursor };
+  }, [user, filters]);
 
-    try {
-      const response = await api.getUserBets();
-      setBets(response.bets || []);
-    } catch (error) {
-      console.error('Error fetching bets:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const { items: bets, loading, loadingMore, hasMore, loadMore, reload } = usePagedList(fetchPage);
 
-  const fetchStats = async () => {
+  const fetchStats = useCallback(async () => {
     if (!user) return;
 
     try {
@@ -73,17 +67,35 @@ export function useBets() {
     } catch (error) {
       console.error('Error fetching stats:', error);
     }
-  };
+  }, [user]);
+
+  useEffect(() => {
+    fetchStats();
+
+    // Pick up settlements as they happen
+    const handleBetSettled = () => {
+      reload();
+      fetchStats();
+    };
+
+    socket.on('bet:settled', handleBetSettled);
+    return () => {
+      socket.off('bet:settled', handleBetSettled);
+    };
+  }, [fetchStats, reload]);
 
   const getStats = () => stats;
 
   return {
     bets,
     loading,
+    loadingMore,
+    hasMore,
+    loadMore,
     getStats,
     refetch: () => {
-      fetchBets();
+      reload();
       fetchStats();
     },
   };
-}
\ No newline at end of file
+}
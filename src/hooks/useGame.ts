@@ -1,129 +1,239 @@
-import { useState, useEffect, useCallback } from 'react';
-import { api } from '../lib/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { api, BetLeg, Room } from '../lib/api';
+import { socket } from '../lib/socket';
 import { useAuth } from '../contexts/AuthContext';
+import { useSocketConnected } from './useSocket';
 
 interface Game {
   _id: string;
+  room: string;
   gameNumber: number;
-  status: 'waiting' | 'betting' | 'completed';
+  status: 'waiting' | 'betting' | 'completed' | 'voided';
   startTime: string;
   endTime?: string;
   resultNumber?: number;
-  resultColor?: 'red' | 'green';
-  resultSize?: 'big' | 'small';
-  isFixed: boolean;
-  fixedResult?: number;
+  resultColor?: string;
+  resultSize?: string;
+  voidReason?: string | null;
   createdAt: string;
 }
 
-interface Bet {
+export interface Bet {
   _id: string;
   userId: string;
   gameId: string;
+  slipId?: string | null;
   betType: string;
   betValue: string;
   amount: number;
-  result: 'win' | 'loss' | 'pending';
+  paytableVersion: number;
+  fee: number;
+  result: 'win' | 'loss' | 'pending' | 'refunded';
   payout: number;
   createdAt: string;
 }
 
-type BetType = 'number' | 'color' | 'size';
+interface GameUpdate {
+  room?: Room;
+  game: Game | null;
+  bettingEndsAt?: string | null;
+  serverTime: number;
+}
+
+// A finished round and the player's legs on it, settling one by one.
+// A voided round has no result; its legs are refunded instead.
+export interface RoundResult {
+  gameId: string;
+  gameNumber: number;
+  winningNumber: number | null;
+  winningColor: string | null;
+  winningSize: string | null;
+  voided: boolean;
+  voidReason: string | null;
+  legs: Bet[];
+}
+
+// Replace settled legs in a list of bets
+const mergeBets = (bets: Bet[], updates: Bet[]) =>
+  bets.map((bet) => updates.find((update) => update._id === bet._id) ?? bet);
 
-export function useGame() {
+// Follows the current round in one room; without a room, the first room
+export function useGame(roomSlug?: string) {
   const { user } = useAuth();
+  const connected = useSocketConnected();
+  const [room, setRoom] = useState<Room | null>(null);
   const [currentGame, setCurrentGame] = useState<Game | null>(null);
-  const [currentBet, setCurrentBet] = useState<Bet | null>(null);
+  const [currentBets, setCurrentBets] = useState<Bet[]>([]);
+  const [bettingEndsAt, setBettingEndsAt] = useState<number | null>(null);
   const [timeLeft, setTimeLeft] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [betResult, setBetResult] = useState<{
-    winningNumber: number;
-    winningColor: 'red' | 'green';
-    winningSize: 'big' | 'small';
-    isWin: boolean;
-    payout: number;
-    betType: string;
-    betValue: string;
-  } | null>(null);
-  const [lastCompletedGame, setLastCompletedGame] = useState<Game | null>(null);
+  const [betResult, setBetResult] = useState<RoundResult | null>(null);
+  // Server clock minus local clock, so countdowns match the server
+  const clockOffset = useRef(0);
+  // Round whose result has been shown, and the round whose result is still open
+  const shownResultFor = useRef<string | null>(null);
+  const openResultFor = useRef<string | null>(null);
+  const betLoaded = useRef(false);
+  const currentBetsRef = useRef<Bet[]>([]);
+  // Slug of the room being followed, once the server has resolved it
+  const activeRoom = useRef<string | null>(roomSlug ?? null);
+
+  const applyGameUpdate = useCallback((update: GameUpdate) => {
+    clockOffset.current = update.serverTime - Date.now();
+    if (update.room) {
+      activeRoom.current = update.room.slug;
+      setRoom(update.room);
+    }
+    setCurrentGame(update.game);
+    setBettingEndsAt(update.bettingEndsAt ? new Date(update.bettingEndsAt).getTime() : null);
+  }, []);
+
+  const updateCurrentBets = useCallback((bets: Bet[]) => {
+    currentBetsRef.current = bets;
+    setCurrentBets(bets);
+  }, []);
+
+  // Open the result once the first leg of a round settles, then update legs as they follow
+  const showRoundResult = useCallback((game: Game, legs: Bet[]) => {
+    const voided = game.status === 'voided';
+    if (!voided && (game.resultNumber === undefined || game.resultNumber === null)) return;
+    if (legs.every((leg) => leg.result === 'pending')) return;
+
+    if (openResultFor.current === game._id) {
+      setBetResult((current) => current && { ...current, legs: mergeBets(current.legs, legs) });
+      return;
+    }
+    if (shownResultFor.current === game._id) return;
+
+    shownResultFor.current = game._id;
+    openResultFor.current = game._id;
+    setBetResult({
+      gameId: game._id,
+      gameNumber: game.gameNumber,
+      winningNumber: voided ? null : game.resultNumber!,
+      winningColor: voided ? null : game.resultColor!,
+      winningSize: voided ? null : game.resultSize!,
+      voided,
+      voidReason: game.voidReason ?? null,
+      legs,
+    });
+  }, []);
+
+  const fetchCurrentGame = useCallback(async () => {
+    try {
+      const response = await api.getCurrentGame(roomSlug);
+      applyGameUpdate(response);
+    } catch (error) {
+      console.error('Error in fetchCurrentGame:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [applyGameUpdate, roomSlug]);
 
+  const fetchCurrentBet = useCallback(async () => {
+    try {
+      const response = await api.getCurrentBet(roomSlug);
+      const bets: Bet[] = response.bets || [];
+      updateCurrentBets(bets);
+      if (!betLoaded.current) {
+        // A result settled before the page opened has already been missed; don't pop it up now
+        betLoaded.current = true;
+        if (response.game && bets.some((bet) => bet.result !== 'pending')) {
+          shownResultFor.current = response.game._id;
+        }
+      } else if (bets.length > 0 && ['completed', 'voided'].includes(response.game?.status)) {
+        showRoundResult(response.game, bets);
+      }
+    } catch (error) {
+      console.error('Error fetching current bet:', error);
+    }
+  }, [showRoundResult, updateCurrentBets, roomSlug]);
+
+  // Start over when switching rooms
+  useEffect(() => {
+    activeRoom.current = roomSlug ?? null;
+    betLoaded.current = false;
+    setCurrentGame(null);
+    updateCurrentBets([]);
+    setLoading(true);
+  }, [roomSlug, updateCurrentBets]);
+
+  // Resync whenever the realtime connection (re)opens or the room changes
   useEffect(() => {
     fetchCurrentGame();
     fetchCurrentBet();
+  }, [connected, fetchCurrentGame, fetchCurrentBet]);
+
+  // Fall back to polling while the realtime connection is down
+  useEffect(() => {
+    if (connected) return;
+
     const interval = setInterval(() => {
       fetchCurrentGame();
       fetchCurrentBet();
     }, 3000); // Check every 3 seconds
     return () => clearInterval(interval);
-  }, []);
+  }, [connected, fetchCurrentGame, fetchCurrentBet]);
+
+  useEffect(() => {
+    const handleGameUpdate = (update: GameUpdate) => {
+      // Updates for every room arrive on the same socket. An update saying a
+      // room has no round names the room instead of a game.
+      const roomSlug = update.room?.slug ?? update.game?.room;
+      if (roomSlug !== activeRoom.current) return;
+      applyGameUpdate(update);
+      // A new round has no bets from this player yet
+      if (update.game?.status === 'waiting') {
+        updateCurrentBets([]);
+      }
+    };
+
+    // Legs settle one at a time
+    const handleBetSettled = ({ bet, game }: { bet: Bet; game: Game }) => {
+      if (game.room !== activeRoom.current) return;
+
+      const roundBets = currentBetsRef.current.filter((current) => current.gameId === game._id);
+      const legs = roundBets.some((current) => current._id === bet._id)
+        ? mergeBets(roundBets, [bet])
+        : [...roundBets, bet];
+      updateCurrentBets(legs);
+      showRoundResult(game, legs);
+    };
+
+    socket.on('game:update', handleGameUpdate);
+    socket.on('bet:settled', handleBetSettled);
+    return () => {
+      socket.off('game:update', handleGameUpdate);
+      socket.off('bet:settled', handleBetSettled);
+    };
+  }, [applyGameUpdate, showRoundResult, updateCurrentBets]);
 
   useEffect(() => {
     if (currentGame && (currentGame.status === 'betting' || currentGame.status === 'waiting')) {
-      const timer = setInterval(() => {
-        const now = new Date().getTime();
+      const tick = () => {
+        const now = Date.now() + clockOffset.current;
         const startTime = new Date(currentGame.startTime).getTime();
-        
+
         if (currentGame.status === 'waiting') {
           // Show countdown to game start
           const timeToStart = Math.max(0, Math.ceil((startTime - now) / 1000));
           setTimeLeft(timeToStart);
         } else if (currentGame.status === 'betting') {
-          // Show countdown for betting time (default 60 seconds)
-          const duration = 60000; // 60 seconds default
-          const elapsed = now - startTime;
-          const remaining = Math.max(0, Math.ceil((duration - elapsed) / 1000));
+          // Show countdown to the server's betting close (60 seconds if unknown)
+          const endTime = bettingEndsAt ?? startTime + 60000;
+          const remaining = Math.max(0, Math.ceil((endTime - now) / 1000));
           setTimeLeft(remaining);
         }
-      }, 1000);
+      };
 
+      tick();
+      const timer = setInterval(tick, 1000);
       return () => clearInterval(timer);
     }
-  }, [currentGame]);
+  }, [currentGame, bettingEndsAt]);
 
-  // Check for bet results when game completes
-  useEffect(() => {
-    if (currentGame && currentBet && 
-        currentGame.status === 'completed' && 
-        currentBet.result !== 'pending' &&
-        currentGame.resultNumber !== undefined &&
-        (!lastCompletedGame || lastCompletedGame._id !== currentGame._id)) {
-      
-      const isWin = currentBet.result === 'win';
-      setBetResult({
-        winningNumber: currentGame.resultNumber,
-        winningColor: currentGame.resultColor!,
-        winningSize: currentGame.resultSize!,
-        isWin,
-        payout: currentBet.payout,
-        betType: currentBet.betType,
-        betValue: currentBet.betValue,
-      });
-      
-      setLastCompletedGame(currentGame);
-    }
-  }, [currentGame, currentBet, lastCompletedGame]);
-
-  const fetchCurrentGame = async () => {
-    try {
-      const response = await api.getCurrentGame();
-      setCurrentGame(response.game);
-    } catch (error) {
-      console.error('Error in fetchCurrentGame:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const fetchCurrentBet = async () => {
-    try {
-      const response = await api.getCurrentBet();
-      setCurrentBet(response.bet);
-    } catch (error) {
-      console.error('Error fetching current bet:', error);
-    }
-  };
-
-  const placeBet = async (betType: BetType, betValue: string, amount: number) => {
+  // Submit a bet slip; the server accepts every leg or none of them
+  const placeBets = async (legs: BetLeg[]) => {
     if (!user || !currentGame) {
       throw new Error('User not authenticated or no active game');
     }
@@ -133,29 +243,31 @@ export function useGame() {
     }
 
     try {
-      await api.placeBet(currentGame._id, betType, betValue, amount);
+      await api.placeBet(currentGame._id, legs);
       await fetchCurrentBet(); // Refresh bet data
     } catch (error) {
-      console.error('Error placing bet:', error);
+      console.error('Error placing bets:', error);
       throw error;
     }
   };
 
   const clearBetResult = () => {
+    openResultFor.current = null;
     setBetResult(null);
   };
 
   return {
+    room,
     currentGame,
-    currentBet,
+    currentBets,
     timeLeft,
     loading,
     betResult,
-    placeBet,
+    placeBets,
     clearBetResult,
     refetch: () => {
       fetchCurrentGame();
       fetchCurrentBet();
     },
   };
-}
\ No newline at end of file
+}
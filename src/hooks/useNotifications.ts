@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { api, Notification } from '../lib/api';
+import { socket } from '../lib/socket';
+import { usePagedList, Page } from './usePagedList';
+
+// The player's notifications, newest first, and how many are unread.
+// New ones arrive over the socket.
+export function useNotifications() {
+  const { user } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchPage = useCallback(async (before?: string): Promise<Page<Notification>> => {
+    if (!user) return { items: [], nextCursor: null };
+
+    const response = await api.getNotifications({ before });
+    setUnreadCount(response.unreadCount);
+    return { items: response.notifications, nextCursor: response.nextCursor };
+  }, [user]);
+
+  const list = usePagedList(fetchPage);
+  const { reload } = list;
+
+  useEffect(() => {
+    socket.on('notification:new', reload);
+    return () => {
+      socket.off('notification:new', reload);
+    };
+  }, [reload]);
+
+  const markRead = useCallback(async (notification: Notification, read = true) => {
+    await api.markNotificationRead(notification._id, read);
+    reload();
+  }, [reload]);
+
+  const markAllRead = useCallback(async () => {
+    await api.markAllNotificationsRead();
+    reload();
+  }, [reload]);
+
+  return { ...list, unreadCount, markRead, markAllRead };
+}
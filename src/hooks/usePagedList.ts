@@ -0,0 +1,70 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+export interface Page<T> {
+  items: T[];
+  nextCursor: string | null;
+}
+
+// Loads a list newest first, a page at a time. Starts over from the first
+// page whenever `fetchPage` changes, so memoize it on the list's filters.
+export function usePagedList<T>(fetchPage: (before?: string) => Promise<Page<T>>) {
+  const [items, setItems] = useState<T[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [reloads, setReloads] = useState(0);
+  // Pages requested under filters that have since changed are dropped
+  const current = useRef(fetchPage);
+
+  useEffect(() => {
+    current.current = fetchPage;
+
+    const fetchFirstPage = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const page = await fetchPage();
+        if (current.current !== fetchPage) return;
+        setItems(page.items);
+        setNextCursor(page.nextCursor);
+      } catch (err) {
+        if (current.current !== fetchPage) return;
+        setError(err instanceof Error ? err.message : 'Failed to load');
+      } finally {
+        if (current.current === fetchPage) setLoading(false);
+      }
+    };
+
+    fetchFirstPage();
+  }, [fetchPage, reloads]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const page = await fetchPage(nextCursor);
+      if (current.current !== fetchPage) return;
+      setItems((loaded) => [...loaded, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchPage, nextCursor, loading, loadingMore]);
+
+  // Fetch the first page again, e.g. after something was added to the list
+  const reload = useCallback(() => setReloads((count) => count + 1), []);
+
+  return {
+    items,
+    loading,
+    loadingMore,
+    hasMore: nextCursor !== null,
+    error,
+    loadMore,
+    reload,
+  };
+}
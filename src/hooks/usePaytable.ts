@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { api, Paytable } from '../lib/api';
+import { socket } from '../lib/socket';
+
+export function usePaytable() {
+  const [paytable, setPaytable] = useState<Paytable | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchPaytable();
+  }, []);
+
+  // Switch to a newly published version straight away
+  useEffect(() => {
+    const handlePaytableUpdate = (data: { paytable: Paytable }) => setPaytable(data.paytable);
+
+    socket.on('paytable:update', handlePaytableUpdate);
+    return () => {
+      socket.off('paytable:update', handlePaytableUpdate);
+    };
+  }, []);
+
+  const fetchPaytable = async () => {
+    try {
+      const response = await api.getPaytable();
+      setPaytable(response.paytable);
+    } catch (error) {
+      console.error('Error fetching paytable:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return {
+    paytable,
+    loading,
+    refetch: fetchPaytable,
+  };
+}
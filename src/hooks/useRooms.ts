@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { api, Room } from '../lib/api';
+
+export function useRooms() {
+  const [rooms, setRooms] = useState<Room[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchRooms();
+  }, []);
+
+  const fetchRooms = async () => {
+    try {
+      const response = await api.getRooms();
+      setRooms(response.rooms || []);
+    } catch (error) {
+      console.error('Error fetching rooms:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return {
+    rooms,
+    loading,
+    refetch: fetchRooms,
+  };
+}
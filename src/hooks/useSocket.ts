@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { socket } from '../lib/socket';
+
+// Whether the realtime connection is up; hooks fall back to polling while it isn't
+export function useSocketConnected() {
+  const [connected, setConnected] = useState(socket.connected);
+
+  useEffect(() => {
+    const handleConnect = () => setConnected(true);
+    const handleDisconnect = () => setConnected(false);
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('connect_error', handleDisconnect);
+    setConnected(socket.connected);
+
+    return () => {
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('connect_error', handleDisconnect);
+    };
+  }, []);
+
+  return connected;
+}
@@ -0,0 +1,43 @@
+import { useCallback, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { api, PayoutDetails, TransactionFilters } from '../lib/api';
+import { socket } from '../lib/socket';
+import { usePagedList, Page } from './usePagedList';
+
+export interface Transaction {
+  _id: string;
+  userId: string;
+  type: string;
+  amount: number;
+  description: string;
+  status?: string;
+  screenshotUrl?: string;
+  adminNotes?: string;
+  payoutDetails?: PayoutDetails;
+  createdAt: string;
+}
+
+// The player's wallet transactions, loaded a page at a time under the given filters
+export function useTransactions(filters: TransactionFilters) {
+  const { user } = useAuth();
+
+  const fetchPage = useCallback(async (before?: string): Promise<Page<Transaction>> => {
+    if (!user) return { items: [], nextCursor: null };
+
+    const response = await api.getTransactions({ ...filters, before });
+    return { items: response.transactions || [], nextCursor: response.nextCursor };
+  }, [user, filters]);
+
+  const list = usePagedList(fetchPage);
+  const { reload } = list;
+
+  // Every balance change comes with a new transaction
+  useEffect(() => {
+    socket.on('wallet:update', reload);
+    return () => {
+      socket.off('wallet:update', reload);
+    };
+  }, [reload]);
+
+  return list;
+}
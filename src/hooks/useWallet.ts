@@ -1,38 +1,36 @@
 import { useState, useEffect } from 'react';
-import { api } from '../lib/api';
+import { api, PayoutDetails } from '../lib/api';
+import { socket } from '../lib/socket';
 import { useAuth } from '../contexts/AuthContext';
 
 interface Wallet {
   _id: string;
   userId: string;
   balance: number;
+  heldBalance: number;
   createdAt: string;
   updatedAt: string;
 }
 
-interface Transaction {
-  _id: string;
-  userId: string;
-  type: string;
-  amount: number;
-  description: string;
-  status?: string;
-  screenshotUrl?: string;
-  adminNotes?: string;
-  createdAt: string;
-}
-
 export function useWallet() {
   const { user } = useAuth();
   const [wallet, setWallet] = useState<Wallet | null>(null);
-  const [transactions, setTransactions] = useState<Transaction[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     if (user) {
       fetchWallet();
-      fetchTransactions();
     }
+
+    // Balance changes pushed by the server (bets, wins, deposit and withdrawal decisions)
+    const handleWalletUpdate = (update: { balance: number; heldBalance: number }) => {
+      setWallet((current) => current && { ...current, ...update });
+    };
+
+    socket.on('wallet:update', handleWalletUpdate);
+    return () => {
+      socket.off('wallet:update', handleWalletUpdate);
+    };
   }, [user]);
 
   const fetchWallet = async () => {
@@ -48,50 +46,34 @@ export function useWallet() {
     }
   };
 
-  const fetchTransactions = async () => {
-    if (!user) return;
-
-    try {
-      const response = await api.getTransactions();
-      setTransactions(response.transactions);
-    } catch (error) {
-      console.error('Error fetching transactions:', error);
-    }
-  };
-
-  const deposit = async (amount: number, screenshot: File) => {
+  const deposit = async (amount: number, utr: string, screenshot: File) => {
     if (!user || !wallet) return;
 
     try {
-      await api.createDepositRequest(amount, screenshot);
-      await fetchTransactions();
+      await api.createDepositRequest(amount, utr, screenshot);
     } catch (error) {
       console.error('Error depositing:', error);
       throw error;
     }
   };
 
-  const updateBalance = async (newBalance: number) => {
+  const withdraw = async (amount: number, payoutDetails: PayoutDetails, twoFactorCode?: string) => {
     if (!user || !wallet) return;
 
     try {
-      const response = await api.updateWalletBalance(newBalance);
-      setWallet({ ...wallet, balance: newBalance });
+      await api.createWithdrawalRequest(amount, payoutDetails, twoFactorCode);
+      await fetchWallet();
     } catch (error) {
-      console.error('Error updating balance:', error);
+      console.error('Error requesting withdrawal:', error);
       throw error;
     }
   };
 
   return {
     wallet,
-    transactions,
     loading,
     deposit,
-    updateBalance,
-    refetch: () => {
-      fetchWallet();
-      fetchTransactions();
-    },
+    withdraw,
+    refetch: fetchWallet,
   };
 }
\ No newline at end of file
@@ -1,34 +1,426 @@
+import { getDeviceFingerprint } from './fingerprint';
+
+export interface PayoutDetails {
+  method: 'upi' | 'bank';
+  upiId?: string;
+  accountHolder?: string;
+  accountNumber?: string;
+  ifsc?: string;
+}
+
+export interface Room {
+  _id: string;
+  slug: string;
+  name: string;
+  roundDuration: number;
+  minBet: number;
+  maxBet: number;
+  maxStakePerRound: number;
+  maxLegsPerRound: number;
+  isActive: boolean;
+  sortOrder: number;
+  continuousEnabled: boolean;
+}
+
+export type RoomSettings = Partial<Pick<
+  Room,
+  'name' | 'roundDuration' | 'minBet' | 'maxBet' | 'maxStakePerRound' | 'maxLegsPerRound' | 'isActive' | 'sortOrder'
+>>;
+
+export interface PaytableOption {
+  value: string;
+  label: string;
+  numbers: number[];
+  multiplier: number;
+}
+
+export interface PaytableBetType {
+  type: string;
+  label: string;
+  options: PaytableOption[];
+}
+
+export interface Paytable {
+  _id: string;
+  version: number;
+  commissionRate: number;
+  betTypes: PaytableBetType[];
+  createdBy?: { _id: string; username: string } | null;
+  createdAt: string;
+}
+
+export type PaytableSettings = Pick<Paytable, 'commissionRate' | 'betTypes'>;
+
+// Stake limits for a paytable bet type; null leaves that end open
+export interface BetTypeLimit {
+  betType: string;
+  minStake: number | null;
+  maxStake: number | null;
+}
+
+export interface RoundLiability {
+  gameId: string;
+  gameNumber: number;
+  maxRoundLiability: number | null;
+  totalStake: number;
+  worstCase: number;
+  outcomes: { number: number; payout: number; houseResult: number }[];
+}
+
+export interface Session {
+  _id: string;
+  device: string;
+  userAgent: string;
+  ip: string;
+  lastSeenAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  requireForWithdrawals: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+}
+
+export type LimitKind = 'deposit' | 'loss' | 'wager';
+export type LimitPeriod = 'daily' | 'weekly' | 'monthly';
+
+// A raised or removed limit waits in pendingAmount until pendingFrom
+export interface GamingLimit {
+  kind: LimitKind;
+  period: LimitPeriod;
+  amount: number | null;
+  pendingAmount: number | null;
+  pendingFrom: string | null;
+}
+
+export type LimitChanges = Partial<Record<LimitKind, Partial<Record<LimitPeriod, number | null>>>>;
+
+export interface ResponsibleGamingStatus {
+  limits: GamingLimit[];
+  usage: Record<LimitKind, Record<LimitPeriod, number>>;
+  raiseDelayHours: number;
+  sessionReminderMinutes: number | null;
+  exclusion: { type: 'cool_off' | 'self_exclusion'; until: string } | null;
+}
+
+export interface AuditEntry {
+  _id: string;
+  actorId: string;
+  actorUsername: string;
+  actorRole: string;
+  action: string;
+  targetType: string;
+  targetId: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  ip: string;
+  createdAt: string;
+}
+
+export interface AuditFilters {
+  action?: string;
+  targetType?: string;
+  targetId?: string;
+  before?: string;
+}
+
+// Paging for lists sorted newest first: `before` is the previous page's
+// nextCursor, and `from`/`to` are ISO timestamps bounding the list
+export interface PageFilters {
+  before?: string;
+  limit?: number;
+  from?: string;
+  to?: string;
+}
+
+export interface BetFilters extends PageFilters {
+  betType?: string;
+  result?: 'win' | 'loss' | 'pending' | 'refunded';
+}
+
+export interface TransactionFilters extends PageFilters {
+  // One or more types, comma separated
+  type?: string;
+  status?: 'pending' | 'approved' | 'rejected';
+}
+
+export interface NotificationFilters extends PageFilters {
+  unread?: boolean;
+}
+
+export type NotificationType =
+  | 'deposit_approved'
+  | 'deposit_rejected'
+  | 'withdrawal_approved'
+  | 'withdrawal_rejected'
+  | 'round_won'
+  | 'account_blocked';
+
+export interface Notification {
+  _id: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  // Where in the app it leads, e.g. /wallet
+  link: string | null;
+  transactionId: string | null;
+  gameId: string | null;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface AdminTransactionFilters extends TransactionFilters {
+  userId?: string;
+  flagged?: boolean;
+  search?: string;
+}
+
+// Why a deposit needs a closer look, naming the earlier deposit it matched
+export interface RiskFlag {
+  code: 'duplicate_screenshot' | 'similar_screenshot' | 'reused_screenshot' | 'rejected_screenshot';
+  message: string;
+  transactionId?: string;
+}
+
+// Dates for a download; the server covers the last 30 days when they're left out
+export interface ReportRange {
+  from?: string;
+  to?: string;
+}
+
+export type AnalyticsInterval = 'day' | 'hour';
+
+// One hourly or daily bucket, starting at `time` (UTC)
+export interface AnalyticsPoint {
+  time: string;
+  activePlayers: number;
+  bets: number;
+  stakes: number;
+  payouts: number;
+  ggr: number;
+  deposits: number;
+  registrations: number;
+}
+
+export interface Analytics {
+  from: string;
+  to: string;
+  interval: AnalyticsInterval;
+  series: AnalyticsPoint[];
+  totals: Omit<AnalyticsPoint, 'time'>;
+  distribution: {
+    rounds: number;
+    digits: { number: number; count: number }[];
+  };
+}
+
+export type RiskLevel = 'none' | 'low' | 'medium' | 'high';
+export type RiskAlertCode = 'shared_device' | 'shared_ip' | 'opposite_betting' | 'deposit_no_play';
+export type SignalKind = 'ip' | 'fingerprint';
+
+export interface SecurityFilters extends PageFilters {
+  risk?: Exclude<RiskLevel, 'none'> | 'flagged';
+  search?: string;
+}
+
+export interface SecurityUser {
+  id: string;
+  email: string;
+  username: string;
+  isBlocked: boolean;
+  blockReason: string | null;
+  blockMessage: string | null;
+  // null for a block that lasts until an admin lifts it
+  blockedUntil: string | null;
+  lastActive: string;
+  createdAt: string;
+  totalBets: number;
+  winRate: number;
+  riskScore: number;
+  riskLevel: RiskLevel;
+  // Kinds of the player's open alerts
+  alerts: RiskAlertCode[];
+}
+
+// What a blocked player is told when they try to sign in
+export interface BlockNotice {
+  message: string | null;
+  until: string | null;
+}
+
+export interface BlockOptions {
+  blockMessage?: string;
+  // Leave out for a block that lasts until an admin lifts it
+  durationHours?: number;
+}
+
+export interface UserBlock {
+  _id: string;
+  blockedBy: { _id: string; username: string } | null;
+  reason: string | null;
+  message: string | null;
+  until: string | null;
+  endedAt: string | null;
+  endReason: 'unblocked' | 'expired' | 'replaced' | null;
+  endedBy: { _id: string; username: string } | null;
+  createdAt: string;
+}
+
+export interface SecuritySummary {
+  activeUsers: number;
+  blockedUsers: number;
+  flaggedUsers: number;
+  highRiskUsers: number;
+  openAlerts: number;
+}
+
+// An IP or device a player signed up, logged in or bet from
+export interface RiskSignal {
+  _id: string;
+  kind: SignalKind;
+  value: string;
+  userAgent: string;
+  lastEvent: 'register' | 'login' | 'bet';
+  seenCount: number;
+  firstSeenAt: string;
+  lastSeenAt: string;
+}
+
+export interface LinkedAccount {
+  id: string;
+  email?: string;
+  username?: string;
+  isBlocked: boolean;
+  riskLevel: RiskLevel;
+  shared: SignalKind[];
+  lastSeenAt: string;
+}
+
+export interface RiskAlert {
+  _id: string;
+  code: RiskAlertCode;
+  message: string;
+  relatedUserIds: { _id: string; email: string; username: string }[];
+  occurrences: number;
+  gameId: string | null;
+  transactionId: string | null;
+  lastSeenAt: string;
+  resolvedAt: string | null;
+  resolvedBy: { _id: string; username: string } | null;
+  resolution: string | null;
+  createdAt: string;
+}
+
+export interface PlayerRisk {
+  user: Pick<SecurityUser, 'id' | 'email' | 'username' | 'isBlocked' | 'riskScore' | 'riskLevel'>;
+  signals: RiskSignal[];
+  linkedAccounts: LinkedAccount[];
+  alerts: RiskAlert[];
+}
+
+export interface TransactionCounts {
+  total: number;
+  pending: number;
+  approved: number;
+  rejected: number;
+  pendingWithdrawals: number;
+  flaggedPending: number;
+}
+
+export interface BetLeg {
+  betType: string;
+  betValue: string;
+  amount: number;
+}
+
+// A failed request. Validation failures also carry a message for each
+// invalid field, keyed by its path in the request (e.g. `legs.0.amount`).
+export class ApiError extends Error {
+  status: number;
+  fields: Record<string, string>;
+  // Set when the account is blocked
+  blocked?: BlockNotice;
+
+  constructor(message: string, status: number, fields: Record<string, string> = {}, blocked?: BlockNotice) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = fields;
+    this.blocked = blocked;
+  }
+}
+
+const roomQuery = (room?: string) => (room ? `?room=${encodeURIComponent(room)}` : '');
+
+// Query string for a set of filters, leaving out empty ones
+const filterQuery = (filters: object) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 class ApiClient {
   private baseURL: string;
   private token: string | null = null;
+  private refreshing: Promise<boolean> | null = null;
+
+  // Called when the session can't be refreshed and the user has to sign in again
+  onSessionExpired: (() => void) | null = null;
 
   constructor(baseURL: string) {
     this.baseURL = baseURL;
     this.token = localStorage.getItem('token');
   }
 
-  private async request(endpoint: string, options: RequestInit = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    
-    const config: RequestInit = {
+  private buildConfig(options: RequestInit): RequestInit {
+    return {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
+        // The browser sets the multipart boundary for form uploads itself
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
         ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        'X-Device-Fingerprint': getDeviceFingerprint(),
         ...options.headers,
       },
-      ...options,
     };
+  }
 
-    try {
-      const response = await fetch(url, config);
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Request failed');
+  // Fetch with the session attached, failing with an ApiError on an error status
+  private async send(endpoint: string, options: RequestInit = {}) {
+    const url = `${this.baseURL}${endpoint}`;
+    let response = await fetch(url, this.buildConfig(options));
+
+    // Access tokens are short-lived; refresh once and replay the request
+    if (response.status === 401 && this.token && endpoint !== '/auth/refresh') {
+      if (await this.refreshSession()) {
+        response = await fetch(url, this.buildConfig(options));
       }
+    }
 
+    if (!response.ok) {
+      const error = await response.json();
+      throw new ApiError(error.error || 'Request failed', response.status, error.fields, error.blocked);
+    }
+
+    return response;
+  }
+
+  private async request(endpoint: string, options: RequestInit = {}) {
+    try {
+      const response = await this.send(endpoint, options);
       return await response.json();
     } catch (error) {
       console.error('API request failed:', error);
@@ -36,15 +428,82 @@ class ApiClient {
     }
   }
 
-  setToken(token: string | null) {
+  // Save a file the server sends as an attachment, under the name it suggests
+  private async download(endpoint: string, fallbackName: string) {
+    try {
+      const response = await this.send(endpoint);
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const url = URL.createObjectURL(await response.blob());
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Download failed:', error);
+      throw error;
+    }
+  }
+
+  setSession(token: string, refreshToken: string) {
     this.token = token;
-    if (token) {
-      localStorage.setItem('token', token);
-    } else {
-      localStorage.removeItem('token');
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+
+  clearSession() {
+    this.token = null;
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+
+  // Swap the refresh token for a new pair. Concurrent callers share one
+  // refresh, since each refresh token can only be used once.
+  refreshSession(): Promise<boolean> {
+    if (!this.refreshing) {
+      this.refreshing = this.rotateTokens().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  private async rotateTokens() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      this.expireSession();
+      return false;
+    }
+
+    try {
+      const response = await this.request('/auth/refresh', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+      });
+      this.setSession(response.token, response.refreshToken);
+      return true;
+    } catch {
+      // Another tab may have refreshed with the same token a moment ago
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const latest = localStorage.getItem('refreshToken');
+      if (latest && latest !== refreshToken) {
+        this.token = localStorage.getItem('token');
+        return true;
+      }
+
+      this.expireSession();
+      return false;
     }
   }
 
+  private expireSession() {
+    this.clearSession();
+    this.onSessionExpired?.();
+  }
+
   // Auth endpoints
   async register(email: string, password: string, username: string) {
     const response = await this.request('/auth/register', {
@@ -53,7 +512,7 @@ class ApiClient {
     });
     
     if (response.token) {
-      this.setToken(response.token);
+      this.setSession(response.token, response.refreshToken);
     }
     
     return response;
@@ -66,86 +525,305 @@ class ApiClient {
     });
     
     if (response.token) {
-      this.setToken(response.token);
+      this.setSession(response.token, response.refreshToken);
     }
     
     return response;
   }
 
+  // Second login step when the password was accepted but a code is needed
+  async verifyLogin(challengeToken: string, code: string) {
+    const response = await this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+
+    if (response.token) {
+      this.setSession(response.token, response.refreshToken);
+    }
+
+    return response;
+  }
+
   async getCurrentUser() {
     return this.request('/auth/me');
   }
 
+  // Email verification and password reset
+  async verifyEmail(token: string) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async resendVerificationEmail() {
+    return this.request('/auth/verify-email/resend', {
+      method: 'POST',
+    });
+  }
+
+  async forgotPassword(email: string) {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(token: string, password: string) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
+  // Two-factor endpoints
+  async getTwoFactorStatus() {
+    return this.request('/auth/2fa');
+  }
+
+  async setupTwoFactor(): Promise<TwoFactorSetup> {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  async enableTwoFactor(code: string) {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor(code: string) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code: string) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async setWithdrawalTwoFactor(requireForWithdrawals: boolean, code: string) {
+    return this.request('/auth/2fa/withdrawals', {
+      method: 'PUT',
+      body: JSON.stringify({ requireForWithdrawals, code }),
+    });
+  }
+
+  async logout() {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  // Session endpoints
+  async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId: string) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async logoutEverywhere() {
+    try {
+      return await this.request('/auth/sessions', { method: 'DELETE' });
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  // Responsible gaming endpoints
+  async getResponsibleGaming(): Promise<ResponsibleGamingStatus> {
+    return this.request('/responsible-gaming');
+  }
+
+  async updateLimits(changes: LimitChanges) {
+    return this.request('/responsible-gaming/limits', {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async setSessionReminder(minutes: number | null) {
+    return this.request('/responsible-gaming/reminder', {
+      method: 'PUT',
+      body: JSON.stringify({ minutes }),
+    });
+  }
+
+  async startExclusion(type: 'cool_off' | 'self_exclusion', days: number) {
+    return this.request('/responsible-gaming/exclusion', {
+      method: 'POST',
+      body: JSON.stringify({ type, days }),
+    });
+  }
+
+  // Notification endpoints
+  async getNotifications(
+    filters: NotificationFilters = {}
+  ): Promise<{ notifications: Notification[]; nextCursor: string | null; unreadCount: number }> {
+    return this.request(`/notifications${filterQuery(filters)}`);
+  }
+
+  async markNotificationRead(notificationId: string, read = true): Promise<{ notification: Notification }> {
+    return this.request(`/notifications/${notificationId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ read }),
+    });
+  }
+
+  async markAllNotificationsRead() {
+    return this.request('/notifications', {
+      method: 'PATCH',
+      body: JSON.stringify({ read: true }),
+    });
+  }
+
   // Wallet endpoints
   async getWallet() {
     return this.request('/wallet');
   }
 
-  async getTransactions() {
-    return this.request('/wallet/transactions');
+  async getTransactions(filters: TransactionFilters = {}) {
+    return this.request(`/wallet/transactions${filterQuery(filters)}`);
   }
 
-  async updateWalletBalance(amount: number) {
-    return this.request('/wallet/balance', {
-      method: 'PUT',
-      body: JSON.stringify({ amount }),
-    });
+  async downloadStatement(range: ReportRange, format: 'csv' | 'pdf') {
+    return this.download(`/wallet/statement${filterQuery({ ...range, format })}`, `statement.${format}`);
   }
 
   // Game endpoints
-  async getCurrentGame() {
-    return this.request('/games/current');
+  async getRooms() {
+    return this.request('/games/rooms');
+  }
+
+  async getPaytable() {
+    return this.request('/games/paytable');
   }
 
-  async getCurrentBet() {
-    return this.request('/games/current-bet');
+  async getCurrentGame(room?: string) {
+    return this.request(`/games/current${roomQuery(room)}`);
   }
 
-  async placeBet(gameId: string, betType: string, betValue: string, amount: number) {
+  async getCurrentBet(room?: string) {
+    return this.request(`/games/current-bet${roomQuery(room)}`);
+  }
+
+  async placeBet(gameId: string, legs: BetLeg[]) {
     return this.request('/games/bet', {
       method: 'POST',
-      body: JSON.stringify({ gameId, betType, betValue, amount }),
+      body: JSON.stringify({ gameId, legs }),
     });
   }
 
+  async getUserBets(filters: BetFilters = {}) {
+    return this.request(`/games/user-bets${filterQuery(filters)}`);
+  }
+
+  async verifyGame(gameId: string) {
+    return this.request(`/games/${gameId}/verify`);
+  }
+
   // Get user betting statistics
   async getUserStats() {
     return this.request('/wallet/stats');
   }
 
   // Transaction endpoints
-  async createDepositRequest(amount: number, screenshot: File) {
+  async createDepositRequest(amount: number, utr: string, screenshot: File) {
     const formData = new FormData();
     formData.append('amount', amount.toString());
+    formData.append('utr', utr);
     formData.append('screenshot', screenshot);
 
     return this.request('/transactions/deposit', {
       method: 'POST',
-      headers: {
-        ...(this.token && { Authorization: `Bearer ${this.token}` }),
-      },
       body: formData,
     });
   }
 
+  async createWithdrawalRequest(amount: number, payoutDetails: PayoutDetails, twoFactorCode?: string) {
+    return this.request('/transactions/withdraw', {
+      method: 'POST',
+      body: JSON.stringify({ amount, ...payoutDetails, twoFactorCode }),
+    });
+  }
+
   // Admin endpoints
   async getAdminStats() {
     return this.request('/admin/stats');
   }
 
+  async getAnalytics(range: ReportRange, interval: AnalyticsInterval): Promise<{ analytics: Analytics }> {
+    return this.request(`/admin/analytics${filterQuery({ ...range, interval })}`);
+  }
+
   async getAdminUsers() {
     return this.request('/admin/users');
   }
 
-  async blockUser(userId: string, isBlocked: boolean, blockReason?: string) {
+  async blockUser(userId: string, isBlocked: boolean, blockReason?: string, options: BlockOptions = {}) {
     return this.request(`/admin/users/${userId}/block`, {
       method: 'PUT',
-      body: JSON.stringify({ isBlocked, blockReason }),
+      body: JSON.stringify({ isBlocked, blockReason, ...options }),
+    });
+  }
+
+  async getUserBlocks(userId: string): Promise<{ blocks: UserBlock[] }> {
+    return this.request(`/admin/users/${userId}/blocks`);
+  }
+
+  async forceLogoutUser(userId: string) {
+    return this.request(`/admin/users/${userId}/logout`, {
+      method: 'POST',
+    });
+  }
+
+  async setUserRole(userId: string, role: string | null) {
+    return this.request(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  async getSecurityOverview(
+    filters: SecurityFilters = {}
+  ): Promise<{ users: SecurityUser[]; nextCursor: string | null; summary: SecuritySummary }> {
+    return this.request(`/admin/security${filterQuery(filters)}`);
+  }
+
+  async getPlayerRisk(userId: string): Promise<PlayerRisk> {
+    return this.request(`/admin/security/users/${userId}`);
+  }
+
+  async resolveRiskAlert(alertId: string, resolution?: string) {
+    return this.request(`/admin/security/alerts/${alertId}/resolve`, {
+      method: 'PUT',
+      body: JSON.stringify({ resolution }),
     });
   }
 
-  async getAdminTransactions() {
-    return this.request('/admin/transactions');
+  async getAuditLog(filters: AuditFilters = {}) {
+    return this.request(`/admin/audit${filterQuery(filters)}`);
+  }
+
+  async getAdminTransactions(filters: AdminTransactionFilters = {}) {
+    return this.request(`/admin/transactions${filterQuery(filters)}`);
+  }
+
+  async downloadDailyReport(range: ReportRange) {
+    return this.download(`/admin/reports/daily${filterQuery({ ...range, format: 'csv' })}`, 'game-ledger.csv');
   }
 
   async updateTransaction(transactionId: string, status: string, adminNotes?: string) {
@@ -159,6 +837,16 @@ class ApiClient {
     return this.request('/admin/settings');
   }
 
+  async uploadQrCode(image: File) {
+    const formData = new FormData();
+    formData.append('qrCode', image);
+
+    return this.request('/admin/settings/qr-code', {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
   async updateAdminSettings(settings: any) {
     return this.request('/admin/settings', {
       method: 'PUT',
@@ -166,9 +854,10 @@ class ApiClient {
     });
   }
 
-  async createGame() {
+  async createGame(room: string) {
     return this.request('/games/create', {
       method: 'POST',
+      body: JSON.stringify({ room }),
     });
   }
 
@@ -178,25 +867,56 @@ class ApiClient {
     });
   }
 
-  async startContinuousGames() {
+  async voidGame(gameId: string, reason?: string) {
+    return this.request(`/games/${gameId}/void`, {
+      method: 'PUT',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async startContinuousGames(room: string) {
     return this.request('/games/start-continuous', {
       method: 'POST',
+      body: JSON.stringify({ room }),
     });
   }
 
-  async stopContinuousGames() {
+  async stopContinuousGames(room: string) {
     return this.request('/games/stop-continuous', {
       method: 'POST',
+      body: JSON.stringify({ room }),
+    });
+  }
+
+  async createRoom(slug: string, settings: RoomSettings) {
+    return this.request('/games/rooms', {
+      method: 'POST',
+      body: JSON.stringify({ slug, ...settings }),
     });
   }
 
-  async fixGameResult(gameId: string, fixedResult: number) {
-    return this.request(`/admin/games/${gameId}/fix`, {
+  async updateRoom(slug: string, settings: RoomSettings) {
+    return this.request(`/games/rooms/${slug}`, {
       method: 'PUT',
-      body: JSON.stringify({ fixedResult }),
+      body: JSON.stringify(settings),
     });
   }
 
+  async getPaytables() {
+    return this.request('/games/paytables');
+  }
+
+  async publishPaytable(paytable: PaytableSettings) {
+    return this.request('/games/paytables', {
+      method: 'POST',
+      body: JSON.stringify(paytable),
+    });
+  }
+
+  async getRoundLiability(gameId: string): Promise<RoundLiability> {
+    return this.request(`/games/${gameId}/liability`);
+  }
+
   async getContinuousGamesStatus() {
     return this.request('/games/continuous-status');
   }
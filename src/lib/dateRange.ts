@@ -0,0 +1,6 @@
+// A from/to pair of date input values (YYYY-MM-DD) as ISO timestamps
+// covering both days in full, in the player's own time zone
+export const toDateRange = (from: string, to: string) => ({
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+});
@@ -0,0 +1,47 @@
+// A hash of stable browser traits, sent with every request so the server can
+// spot accounts sharing a device. It isn't secret and is easy to fake, so the
+// server treats it as one signal among several.
+let fingerprint: string | null = null;
+
+// How the browser draws a short text; differs with fonts, GPU and drivers
+const canvasTrait = () => {
+  try {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    if (!context) return '';
+    context.textBaseline = 'top';
+    context.font = '14px Arial';
+    context.fillStyle = '#f60';
+    context.fillRect(0, 0, 120, 20);
+    context.fillStyle = '#069';
+    context.fillText('Colour Game 0123456789', 2, 2);
+    return canvas.toDataURL();
+  } catch {
+    return '';
+  }
+};
+
+// 32-bit FNV-1a, as 8 hex digits
+const hash32 = (text: string, seed: number) => {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+export function getDeviceFingerprint() {
+  if (fingerprint === null) {
+    const traits = [
+      navigator.language,
+      navigator.hardwareConcurrency,
+      navigator.maxTouchPoints,
+      `${screen.width}x${screen.height}x${screen.colorDepth}@${window.devicePixelRatio}`,
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+      canvasTrait(),
+    ].join('|');
+    fingerprint = hash32(traits, 0x811c9dc5) + hash32(traits, 0x050c5d1f);
+  }
+  return fingerprint;
+}
@@ -0,0 +1,20 @@
+import { FieldValues, Path, UseFormSetError } from 'react-hook-form';
+import { ApiError } from './api';
+
+// The server's message for each invalid field, if the request failed validation
+export const getFieldErrors = (error: unknown): Record<string, string> =>
+  error instanceof ApiError ? error.fields : {};
+
+// Show server validation messages under the matching form fields.
+// Returns false when none of the form's fields were rejected.
+export function applyFieldErrors<T extends FieldValues>(
+  error: unknown,
+  setError: UseFormSetError<T>,
+  fields: Path<T>[]
+) {
+  const fieldErrors = getFieldErrors(error);
+  const rejected = fields.filter((field) => fieldErrors[field]);
+
+  rejected.forEach((field) => setError(field, { type: 'server', message: fieldErrors[field] }));
+  return rejected.length > 0;
+}
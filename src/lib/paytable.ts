@@ -0,0 +1,37 @@
+import { Paytable, PaytableOption, BetLeg } from './api';
+
+// Button styles for the colours a paytable can use
+export const COLOR_STYLES: Record<string, { solid: string; from: string; to: string }> = {
+  red: { solid: 'bg-red-500 hover:bg-red-400', from: 'from-red-500', to: 'to-red-500' },
+  green: { solid: 'bg-green-500 hover:bg-green-400', from: 'from-green-500', to: 'to-green-500' },
+  violet: { solid: 'bg-violet-500 hover:bg-violet-400', from: 'from-violet-500', to: 'to-violet-500' },
+};
+
+export const findOption = (paytable: Paytable | null, betType: string, betValue: string): PaytableOption | undefined =>
+  paytable?.betTypes.find((entry) => entry.type === betType)?.options.find((option) => option.value === betValue);
+
+// The house commission on a stake, rounded to the cent like the server does
+export const getCommission = (paytable: Paytable | null, amount: number) =>
+  Math.round(amount * (paytable?.commissionRate || 0) * 100) / 100;
+
+// What a leg pays if it wins: the stake after commission times the multiplier
+export const getPotentialPayout = (paytable: Paytable | null, leg: BetLeg) => {
+  const option = findOption(paytable, leg.betType, leg.betValue);
+  if (!option) return 0;
+  return (leg.amount - getCommission(paytable, leg.amount)) * option.multiplier;
+};
+
+// Every colour a number wins for, e.g. green and violet for 5
+export const getNumberColors = (paytable: Paytable | null, number: number) =>
+  paytable?.betTypes
+    .find((entry) => entry.type === 'color')
+    ?.options.filter((option) => option.numbers.includes(number))
+    .map((option) => option.value) || [];
+
+// Background for a number ball, split diagonally when it has two colours
+export const getNumberBackground = (paytable: Paytable | null, number: number) => {
+  const colors = getNumberColors(paytable, number).filter((color) => COLOR_STYLES[color]);
+  if (colors.length === 0) return 'bg-[#2f4553]';
+  if (colors.length === 1) return COLOR_STYLES[colors[0]].solid;
+  return `bg-gradient-to-br ${COLOR_STYLES[colors[0]].from} ${COLOR_STYLES[colors[1]].to}`;
+};
@@ -0,0 +1,29 @@
+import { RiskAlertCode, RiskLevel } from './api';
+
+export const RISK_ALERT_LABELS: Record<RiskAlertCode, string> = {
+  shared_device: 'Shared device',
+  shared_ip: 'Shared IP',
+  opposite_betting: 'Opposite betting',
+  deposit_no_play: 'Withdrew without play',
+};
+
+export const RISK_LEVEL_LABELS: Record<RiskLevel, string> = {
+  none: 'No Risk',
+  low: 'Low Risk',
+  medium: 'Medium Risk',
+  high: 'High Risk',
+};
+
+// Badge colours for a risk level
+export const riskBadgeClass = (level: RiskLevel) => {
+  switch (level) {
+    case 'high':
+      return 'bg-red-500/20 text-red-300 border border-red-500/30';
+    case 'medium':
+      return 'bg-yellow-500/20 text-yellow-300 border border-yellow-500/30';
+    case 'low':
+      return 'bg-blue-500/20 text-blue-300 border border-blue-500/30';
+    default:
+      return 'bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30';
+  }
+};
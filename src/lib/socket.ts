@@ -0,0 +1,13 @@
+import { io } from 'socket.io-client';
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL ||
+  (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+// One shared connection for the app. The token is read on every (re)connect,
+// so it follows the user across login and logout.
+export const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: localStorage.getItem('token') }),
+  reconnectionDelay: 1000,
+  reconnectionDelayMax: 10000,
+});
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { api, Session } from '../lib/api';
+import { TwoFactorSettings } from '../components/TwoFactorSettings';
+import { UserCog, Monitor, Globe, Clock, LogOut, XCircle } from 'lucide-react';
+
+export function AccountPage() {
+  const { user, signOut } = useAuth();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getSessions();
+      setSessions(response.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session: Session) => {
+    if (session.current) {
+      await signOut();
+      return;
+    }
+
+    try {
+      setRevokingId(session._id);
+      await api.revokeSession(session._id);
+      setSessions((current) => current.filter((item) => item._id !== session._id));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      setError(error instanceof Error ? error.message : 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!confirm('Log out of every device, including this one?')) return;
+
+    try {
+      await api.logoutEverywhere();
+    } catch (error) {
+      console.error('Error logging out everywhere:', error);
+    } finally {
+      await signOut();
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      {/* Header */}
+      <div className="text-center">
+        <div className="flex items-center justify-center space-x-3 mb-4">
+          <div className="w-12 h-12 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] rounded-xl flex items-center justify-center">
+            <UserCog className="h-6 w-6 text-white" />
+          </div>
+          <h1 className="text-4xl font-bold text-white">Account</h1>
+        </div>
+        <p className="text-[#b1bad3] text-lg">Signed in as {user?.username}</p>
+      </div>
+
+      <TwoFactorSettings onChange={fetchSessions} />
+
+      {/* Active Sessions */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+            <Monitor className="h-5 w-5 text-[#00d4aa]" />
+            <span>Active Sessions</span>
+          </h2>
+          <button
+            onClick={handleLogoutEverywhere}
+            className="px-4 py-2 bg-red-500/20 text-red-300 border border-red-500/30 rounded-lg font-medium hover:bg-red-500/30 transition-all flex items-center space-x-2"
+          >
+            <LogOut className="h-4 w-4" />
+            <span>Log out everywhere</span>
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-500/20 border border-red-500/30 rounded-lg p-3 mb-4">
+            <p className="text-red-300 text-sm">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-[#b1bad3] text-center py-8">No active sessions</p>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map((session) => (
+              <div
+                key={session._id}
+                className="flex items-center justify-between p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl"
+              >
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-2">
+                    <p className="text-white font-medium">{session.device}</p>
+                    {session.current && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-[#b1bad3]">
+                    <span className="flex items-center space-x-1">
+                      <Globe className="h-3 w-3" />
+                      <span>{session.ip || 'Unknown IP'}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Clock className="h-3 w-3" />
+                      <span>Last seen {new Date(session.lastSeenAt).toLocaleString()}</span>
+                    </span>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId === session._id}
+                  className="px-3 py-1 bg-[#2f4553] text-[#b1bad3] rounded-lg text-sm hover:text-white transition-all flex items-center space-x-1 disabled:opacity-50"
+                >
+                  <XCircle className="h-3 w-3" />
+                  <span>{session.current ? 'Log out' : 'Revoke'}</span>
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,22 @@
 import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { LoginForm } from '../components/Auth/LoginForm';
 import { RegisterForm } from '../components/Auth/RegisterForm';
+import { ForgotPasswordForm } from '../components/Auth/ForgotPasswordForm';
+import { ResetPasswordForm } from '../components/Auth/ResetPasswordForm';
+import { VerifyEmail } from '../components/Auth/VerifyEmail';
 import { Target } from 'lucide-react';
 
-export function AuthPage() {
-  const [isLogin, setIsLogin] = useState(true);
+interface AuthPageProps {
+  // Pages opened from emailed links, which carry a ?token=
+  link?: 'reset-password' | 'verify-email';
+}
+
+export function AuthPage({ link }: AuthPageProps) {
+  const [mode, setMode] = useState<'login' | 'register' | 'forgot'>('login');
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-900 to-blue-900 flex items-center justify-center p-4">
@@ -17,10 +29,19 @@ export function AuthPage() {
           <p className="text-gray-300">The ultimate color betting experience</p>
         </div>
 
-        {isLogin ? (
-          <LoginForm onToggleMode={() => setIsLogin(false)} />
+        {link === 'reset-password' ? (
+          <ResetPasswordForm token={token} onDone={() => navigate('/auth')} />
+        ) : link === 'verify-email' ? (
+          <VerifyEmail token={token} onDone={() => navigate('/dashboard')} />
+        ) : mode === 'login' ? (
+          <LoginForm
+            onToggleMode={() => setMode('register')}
+            onForgotPassword={() => setMode('forgot')}
+          />
+        ) : mode === 'forgot' ? (
+          <ForgotPasswordForm onBack={() => setMode('login')} />
         ) : (
-          <RegisterForm onToggleMode={() => setIsLogin(true)} />
+          <RegisterForm onToggleMode={() => setMode('login')} />
         )}
       </div>
     </div>
@@ -1,188 +1,185 @@
-import React, { useState } from 'react';
-import { useWallet } from '../hooks/useWallet';
-import { useBets } from '../hooks/useBets';
-import { ColorButton } from '../components/ColorButton';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useGame, Bet } from '../hooks/useGame';
+import { useRooms } from '../hooks/useRooms';
+import { usePaytable } from '../hooks/usePaytable';
+import { RoomSwitcher } from '../components/RoomSwitcher';
 import { BetResult } from '../components/BetResult';
-import { ColorOption } from '../types/database';
-import { DollarSign, Gamepad2, Zap, Target } from 'lucide-react';
+import { findOption } from '../lib/paytable';
+import { Ticket, Clock, Trophy, TrendingDown, Gamepad2, RotateCcw } from 'lucide-react';
 
+// The player's bet slips on the current round, with each leg settling live
 export function BetPage() {
-  const { wallet, updateBalance } = useWallet();
-  const { placeBet } = useBets();
-  
-  const [selectedColor, setSelectedColor] = useState<ColorOption | null>(null);
-  const [betAmount, setBetAmount] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [result, setResult] = useState<{
-    winningColor: ColorOption;
-    isWin: boolean;
-    payout: number;
-  } | null>(null);
+  const [roomSlug, setRoomSlug] = useState<string>();
+  const { room, currentGame, currentBets, timeLeft, betResult, clearBetResult, loading } = useGame(roomSlug);
+  const { rooms } = useRooms();
+  const { paytable } = usePaytable();
 
-  const colors: ColorOption[] = ['red', 'green', 'blue', 'yellow'];
-  const maxBet = wallet?.balance || 0;
+  // Legs placed together share a slip; older single bets stand alone
+  const slips = currentBets.reduce<Bet[][]>((groups, bet) => {
+    const group = bet.slipId ? groups.find((legs) => legs[0].slipId === bet.slipId) : undefined;
+    if (group) {
+      group.push(bet);
+    } else {
+      groups.push([bet]);
+    }
+    return groups;
+  }, []);
 
-  const handlePlaceBet = async () => {
-    if (!selectedColor || !betAmount || !wallet) return;
+  const totalStake = currentBets.reduce((sum, bet) => sum + bet.amount, 0);
+  const totalReturned = currentBets.reduce((sum, bet) => sum + bet.payout, 0);
 
-    const amount = parseFloat(betAmount);
-    if (amount <= 0 || amount > wallet.balance) return;
+  // Multipliers are only known here for legs placed under the current paytable
+  const getMultiplier = (bet: Bet) =>
+    paytable?.version === bet.paytableVersion ? findOption(paytable, bet.betType, bet.betValue)?.multiplier : undefined;
 
-    try {
-      setLoading(true);
-      
-      // Place the bet and get result
-      const betResult = await placeBet(selectedColor, amount);
-      
-      // Update wallet balance
-      const newBalance = wallet.balance + (betResult.isWin ? betResult.payout - amount : -amount);
-      await updateBalance(newBalance);
-      
-      // Show result
-      setResult(betResult);
-      
-      // Reset form
-      setSelectedColor(null);
-      setBetAmount('');
-    } catch (error) {
-      console.error('Error placing bet:', error);
-    } finally {
-      setLoading(false);
+  const getLegStatus = (bet: Bet) => {
+    if (bet.result === 'win') {
+      return (
+        <span className="flex items-center space-x-1 text-[#00d4aa] font-bold">
+          <Trophy className="h-4 w-4" />
+          <span>+${bet.payout.toFixed(2)}</span>
+        </span>
+      );
+    }
+    if (bet.result === 'loss') {
+      return (
+        <span className="flex items-center space-x-1 text-red-400 font-medium">
+          <TrendingDown className="h-4 w-4" />
+          <span>Lost</span>
+        </span>
+      );
     }
+    if (bet.result === 'refunded') {
+      return (
+        <span className="flex items-center space-x-1 text-yellow-300 font-medium">
+          <RotateCcw className="h-4 w-4" />
+          <span>Refunded</span>
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center space-x-1 text-[#b1bad3]">
+        <Clock className="h-4 w-4" />
+        <span>{currentGame?.status === 'completed' ? 'Settling' : 'Open'}</span>
+      </span>
+    );
   };
 
   return (
-    <div className="max-w-4xl mx-auto space-y-8">
+    <div className="max-w-4xl mx-auto space-y-6">
       {/* Header */}
       <div className="text-center">
         <div className="flex items-center justify-center space-x-3 mb-4">
           <div className="w-12 h-12 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] rounded-xl flex items-center justify-center">
-            <Gamepad2 className="h-6 w-6 text-white" />
+            <Ticket className="h-6 w-6 text-white" />
           </div>
-          <h1 className="text-4xl font-bold text-white">Color Game</h1>
-        </div>
-        <p className="text-[#b1bad3] text-lg">Pick a color and place your bet</p>
-        <div className="flex items-center justify-center space-x-2 mt-2">
-          <Zap className="h-4 w-4 text-[#00d4aa]" />
-          <span className="text-[#00d4aa] font-medium">3x multiplier on wins</span>
+          <h1 className="text-4xl font-bold text-white">My Bet Slips</h1>
         </div>
+        <p className="text-[#b1bad3] text-lg">Follow every leg of this round as it settles</p>
       </div>
 
-      {/* Game Board */}
-      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-8">
-        {/* Color Selection */}
-        <div className="mb-8">
-          <h2 className="text-xl font-bold text-white mb-6 text-center flex items-center justify-center space-x-2">
-            <Target className="h-5 w-5 text-[#00d4aa]" />
-            <span>Choose Your Color</span>
-          </h2>
-          <div className="grid grid-cols-2 sm:grid-cols-4 gap-6 justify-items-center">
-            {colors.map((color) => (
-              <ColorButton
-                key={color}
-                color={color}
-                selected={selectedColor === color}
-                onClick={() => setSelectedColor(color)}
-                disabled={loading}
-              />
-            ))}
-          </div>
-        </div>
+      <RoomSwitcher rooms={rooms} selected={room?.slug ?? roomSlug} onSelect={setRoomSlug} />
 
-        {/* Bet Amount */}
-        <div className="mb-8">
-          <h3 className="text-lg font-bold text-white mb-4 text-center">Bet Amount</h3>
-          <div className="max-w-sm mx-auto">
-            <div className="relative mb-4">
-              <DollarSign className="absolute left-4 top-4 h-5 w-5 text-[#b1bad3]" />
-              <input
-                type="number"
-                value={betAmount}
-                onChange={(e) => setBetAmount(e.target.value)}
-                min="0.01"
-                max={maxBet}
-                step="0.01"
-                disabled={loading}
-                className="w-full pl-12 pr-4 py-4 text-lg bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent text-center"
-                placeholder="0.00"
-              />
-            </div>
-            
-            {/* Quick bet buttons */}
-            <div className="grid grid-cols-4 gap-2 mb-4">
-              {[1, 5, 10, 25].map((amount) => (
-                <button
-                  key={amount}
-                  onClick={() => setBetAmount(Math.min(amount, maxBet).toString())}
-                  disabled={loading || amount > maxBet}
-                  className="px-3 py-2 bg-[#2f4553] hover:bg-[#3a5664] text-white rounded-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
-                >
-                  ${amount}
-                </button>
-              ))}
-            </div>
-            
-            <div className="text-center">
+      {/* Round */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        {loading ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-[#00d4aa] mx-auto"></div>
+          </div>
+        ) : !currentGame ? (
+          <p className="text-[#b1bad3] text-center py-8">There's no active game in this room at the moment.</p>
+        ) : (
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-white text-xl font-bold">Game #{currentGame.gameNumber}</p>
               <p className="text-[#b1bad3] text-sm">
-                Balance: <span className="text-[#00d4aa] font-medium">${wallet?.balance.toFixed(2) || '0.00'}</span>
+                {room ? `${room.name} · ` : ''}Status: {currentGame.status}
               </p>
             </div>
-          </div>
-        </div>
-
-        {/* Bet Summary */}
-        {selectedColor && betAmount && (
-          <div className="mb-6 p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl max-w-md mx-auto">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-[#b1bad3]">Betting on:</span>
-              <div className="flex items-center space-x-2">
-                <div className={`w-4 h-4 rounded-full ${
-                  selectedColor === 'red' ? 'bg-red-500' :
-                  selectedColor === 'green' ? 'bg-emerald-500' :
-                  selectedColor === 'blue' ? 'bg-blue-500' :
-                  'bg-yellow-500'
-                }`} />
-                <span className="text-white font-medium capitalize">{selectedColor}</span>
+            {currentGame.status === 'betting' && (
+              <div className="text-right">
+                <p className="text-[#b1bad3] text-sm">Betting closes in</p>
+                <p className="text-2xl font-bold text-white">
+                  {Math.floor(timeLeft / 60)}:{(timeLeft % 60).toString().padStart(2, '0')}
+                </p>
               </div>
-            </div>
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-[#b1bad3]">Bet amount:</span>
-              <span className="text-white font-medium">${parseFloat(betAmount || '0').toFixed(2)}</span>
-            </div>
-            <div className="flex items-center justify-between">
-              <span className="text-[#b1bad3]">Potential win:</span>
-              <span className="text-[#00d4aa] font-bold">${(parseFloat(betAmount || '0') * 3).toFixed(2)}</span>
-            </div>
+            )}
+            {currentGame.status === 'completed' && currentGame.resultNumber !== undefined && (
+              <div className="text-right">
+                <p className="text-[#b1bad3] text-sm">Result</p>
+                <p className="text-2xl font-bold text-white">
+                  {currentGame.resultNumber} · <span className="capitalize">{currentGame.resultColor}</span> · <span className="capitalize">{currentGame.resultSize}</span>
+                </p>
+              </div>
+            )}
           </div>
         )}
+      </div>
 
-        {/* Bet Button */}
-        <div className="text-center">
-          <button
-            onClick={handlePlaceBet}
-            disabled={!selectedColor || !betAmount || loading || parseFloat(betAmount || '0') > maxBet || parseFloat(betAmount || '0') <= 0}
-            className="bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-4 px-12 rounded-xl transition-all disabled:cursor-not-allowed text-lg transform hover:scale-105 disabled:hover:scale-100"
+      {/* Slips */}
+      {currentGame && slips.length === 0 && (
+        <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-8 text-center">
+          <Gamepad2 className="h-12 w-12 text-[#b1bad3] mx-auto mb-4" />
+          <p className="text-[#b1bad3] mb-4">You have no bets on this round yet.</p>
+          <Link
+            to="/game"
+            className="inline-block bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] text-[#0f212e] font-bold py-3 px-6 rounded-lg transition-all"
           >
-            {loading ? (
-              <div className="flex items-center space-x-2">
-                <div className="w-5 h-5 border-2 border-[#0f212e] border-t-transparent rounded-full animate-spin" />
-                <span>Spinning...</span>
+            Build a Bet Slip
+          </Link>
+        </div>
+      )}
+
+      {slips.map((legs, index) => (
+        <div key={legs[0].slipId ?? legs[0]._id} className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+          <h2 className="text-white font-bold mb-4">
+            Slip {index + 1} · {legs.length} {legs.length === 1 ? 'leg' : 'legs'}
+          </h2>
+          <div className="space-y-2">
+            {legs.map((bet) => (
+              <div
+                key={bet._id}
+                className="flex items-center justify-between bg-[#0f212e] border border-[#2f4553] rounded-lg px-4 py-3"
+              >
+                <div>
+                  <p className="text-white font-medium capitalize">{bet.betType}: {bet.betValue}</p>
+                  <p className="text-[#b1bad3] text-xs">
+                    ${bet.amount.toFixed(2)}
+                    {getMultiplier(bet) !== undefined && ` · ${getMultiplier(bet)}x`}
+                    {bet.fee > 0 && ` · $${bet.fee.toFixed(2)} commission`}
+                  </p>
+                </div>
+                {getLegStatus(bet)}
               </div>
-            ) : (
-              'Place Bet'
-            )}
-          </button>
+            ))}
+          </div>
         </div>
-      </div>
+      ))}
+
+      {currentBets.length > 0 && (
+        <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 flex justify-between">
+          <span className="text-[#b1bad3]">
+            Staked <span className="text-white font-medium">${totalStake.toFixed(2)}</span>
+          </span>
+          <span className="text-[#b1bad3]">
+            Returned <span className="text-[#00d4aa] font-bold">${totalReturned.toFixed(2)}</span>
+          </span>
+        </div>
+      )}
 
-      {result && (
+      {betResult && (
         <BetResult
-          winningColor={result.winningColor}
-          isWin={result.isWin}
-          payout={result.payout}
-          onClose={() => setResult(null)}
+          winningNumber={betResult.winningNumber}
+          winningColor={betResult.winningColor}
+          winningSize={betResult.winningSize}
+          voided={betResult.voided}
+          voidReason={betResult.voidReason}
+          legs={betResult.legs}
+          paytable={paytable}
+          onClose={clearBetResult}
         />
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,104 +1,158 @@
 import React, { useState, useEffect } from 'react';
 import { useGame } from '../hooks/useGame';
 import { useWallet } from '../hooks/useWallet';
+import { useRooms } from '../hooks/useRooms';
+import { usePaytable } from '../hooks/usePaytable';
 import { BetResult } from '../components/BetResult';
-import { BetType } from '../types/database';
-import { Clock, Gamepad2, Target, Palette, Zap, Trophy, AlertCircle, CheckCircle } from 'lucide-react';
+import { RoomSwitcher } from '../components/RoomSwitcher';
+import { BetSlip } from '../components/BetSlip';
+import { BetLeg, PaytableBetType, PaytableOption } from '../lib/api';
+import { COLOR_STYLES, findOption, getPotentialPayout, getNumberBackground } from '../lib/paytable';
+import { Clock, Gamepad2, Target, Palette, Zap, Hash, Trophy, AlertCircle, CheckCircle } from 'lucide-react';
+
+const BET_TYPE_ICONS: Record<string, typeof Target> = {
+  number: Target,
+  color: Palette,
+  size: Zap,
+};
+
+// "9x", or the spread when a bet type's options pay differently
+const getMultiplierRange = (betType: PaytableBetType) => {
+  const multipliers = betType.options.map((option) => option.multiplier);
+  const min = Math.min(...multipliers);
+  const max = Math.max(...multipliers);
+  return min === max ? `${min}x` : `${min}x - ${max}x`;
+};
+
+// The result numbers an option wins on, e.g. "(0-4)" or "(0, 5)"
+const describeNumbers = (option: PaytableOption) => {
+  const numbers = [...option.numbers].sort((a, b) => a - b);
+  const contiguous = numbers.every((number, index) => index === 0 || number === numbers[index - 1] + 1);
+  if (contiguous && numbers.length > 2) {
+    return `(${numbers[0]}-${numbers[numbers.length - 1]})`;
+  }
+  return `(${numbers.join(', ')})`;
+};
 
 export function GamePage() {
-  const { currentGame, currentBet, timeLeft, placeBet, betResult, clearBetResult, loading: gameLoading } = useGame();
+  const [roomSlug, setRoomSlug] = useState<string>();
+  const { room, currentGame, currentBets, timeLeft, placeBets, betResult, clearBetResult, loading: gameLoading } = useGame(roomSlug);
   const { wallet, refetch: refetchWallet } = useWallet();
+  const { rooms } = useRooms();
+  const { paytable } = usePaytable();
   
-  const [selectedBetType, setSelectedBetType] = useState<BetType>('number');
+  const [selectedBetType, setSelectedBetType] = useState('number');
   const [selectedValue, setSelectedValue] = useState<string>('');
   const [betAmount, setBetAmount] = useState('');
+  const [slip, setSlip] = useState<BetLeg[]>([]);
   const [loading, setLoading] = useState(false);
 
-  const numbers = Array.from({ length: 10 }, (_, i) => i);
-  const colors = ['red', 'green'];
-  const sizes = ['small', 'big'];
+  const betTypes = paytable?.betTypes || [];
+  const selectedType = betTypes.find((entry) => entry.type === selectedBetType);
+  const selectedOption = findOption(paytable, selectedBetType, selectedValue);
 
-  const getNumberColor = (num: number) => {
-    if (num === 0) return 'bg-green-500';
-    return num % 2 === 0 ? 'bg-red-500' : 'bg-green-500';
+  const handleAddToSlip = () => {
+    if (!selectedValue || !betAmount) return;
+
+    const amount = parseFloat(betAmount);
+    if (amount <= 0) {
+      alert('Invalid bet amount');
+      return;
+    }
+
+    if (room && (amount < room.minBet || amount > room.maxBet)) {
+      alert(`Bets in this room must be between $${room.minBet} and $${room.maxBet}`);
+      return;
+    }
+
+    setSlip([...slip, { betType: selectedBetType, betValue: selectedValue, amount }]);
+    setSelectedValue('');
+    setBetAmount('');
   };
 
-  const handlePlaceBet = async () => {
-    if (!selectedValue || !betAmount || !currentGame || !wallet) return;
+  const handlePlaceBets = async () => {
+    if (slip.length === 0 || !currentGame || !wallet) return;
 
-    const amount = parseFloat(betAmount);
-    if (amount <= 0 || amount > wallet.balance) {
-      alert('Invalid bet amount or insufficient balance');
+    const totalStake = slip.reduce((sum, leg) => sum + leg.amount, 0);
+    if (totalStake > wallet.balance) {
+      alert('Insufficient balance for this bet slip');
       return;
     }
 
     try {
       setLoading(true);
-      await placeBet(selectedBetType, selectedValue, amount);
+      await placeBets(slip);
       
-      // Reset form
-      setSelectedValue('');
-      setBetAmount('');
+      // Reset slip
+      setSlip([]);
       
       // Refresh wallet to show updated balance
       await refetchWallet();
       
-      alert('Bet placed successfully!');
+      alert(slip.length > 1 ? 'Bets placed successfully!' : 'Bet placed successfully!');
     } catch (error: any) {
-      console.error('Error placing bet:', error);
-      alert(error.message || 'Error placing bet');
+      console.error('Error placing bets:', error);
+      alert(error.message || 'Error placing bets');
     } finally {
       setLoading(false);
     }
   };
 
-  const getMultiplier = () => {
-    switch (selectedBetType) {
-      case 'number': return '9x';
-      case 'color': return '2x';
-      case 'size': return '2x';
-      default: return '1x';
-    }
-  };
+  const getMultiplier = () => `${selectedOption?.multiplier ?? 1}x`;
 
   const getPotentialWin = () => {
     if (!betAmount) return 0;
-    const amount = parseFloat(betAmount);
-    switch (selectedBetType) {
-      case 'number': return amount * 9;
-      case 'color': return amount * 2;
-      case 'size': return amount * 2;
-      default: return amount;
-    }
+    return getPotentialPayout(paytable, { betType: selectedBetType, betValue: selectedValue, amount: parseFloat(betAmount) });
   };
 
+  const roomSwitcher = (
+    <RoomSwitcher
+      rooms={rooms}
+      selected={room?.slug ?? roomSlug}
+      onSelect={(slug) => {
+        setRoomSlug(slug);
+        setSelectedValue('');
+        setBetAmount('');
+        setSlip([]);
+      }}
+    />
+  );
+
   if (gameLoading) {
     return (
-      <div className="max-w-4xl mx-auto text-center py-20">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#00d4aa] mx-auto mb-4"></div>
-        <p className="text-[#b1bad3]">Loading game...</p>
+      <div className="max-w-4xl mx-auto space-y-6">
+        {roomSwitcher}
+        <div className="text-center py-20">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#00d4aa] mx-auto mb-4"></div>
+          <p className="text-[#b1bad3]">Loading game...</p>
+        </div>
       </div>
     );
   }
 
   if (!currentGame) {
     return (
-      <div className="max-w-4xl mx-auto text-center py-20">
-        <AlertCircle className="h-16 w-16 text-[#b1bad3] mx-auto mb-4" />
-        <h2 className="text-2xl font-bold text-white mb-2">No Active Game</h2>
-        <p className="text-[#b1bad3] mb-6">There's no active game at the moment. Please wait for the next game to start.</p>
-        <button
-          onClick={() => window.location.reload()}
-          className="bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] text-[#0f212e] font-bold py-3 px-6 rounded-lg transition-all"
-        >
-          Refresh Page
-        </button>
+      <div className="max-w-4xl mx-auto space-y-6">
+        {roomSwitcher}
+        <div className="text-center py-20">
+          <AlertCircle className="h-16 w-16 text-[#b1bad3] mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-white mb-2">No Active Game</h2>
+          <p className="text-[#b1bad3] mb-6">There's no active game in this room at the moment. Please wait for the next game to start.</p>
+          <button
+            onClick={() => window.location.reload()}
+            className="bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] text-[#0f212e] font-bold py-3 px-6 rounded-lg transition-all"
+          >
+            Refresh Page
+          </button>
+        </div>
       </div>
     );
   }
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
+      {roomSwitcher}
+
       {/* Game Header */}
       <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
         <div className="flex items-center justify-between mb-4">
@@ -108,7 +162,9 @@ export function GamePage() {
             </div>
             <div>
               <h1 className="text-2xl font-bold text-white">Game #{currentGame.gameNumber}</h1>
-              <p className="text-[#b1bad3]">Status: {currentGame.status}</p>
+              <p className="text-[#b1bad3]">
+                {room ? `${room.name} · ` : ''}Status: {currentGame.status}
+              </p>
             </div>
           </div>
           
@@ -136,127 +192,115 @@ export function GamePage() {
           </div>
         )}
 
-        {currentBet && currentGame.status === 'betting' && (
-          <div className="bg-[#00d4aa]/20 border border-[#00d4aa]/30 rounded-lg p-4 text-center">
-            <Trophy className="h-8 w-8 text-[#00d4aa] mx-auto mb-2" />
-            <p className="text-[#00d4aa] font-bold">Bet Placed Successfully!</p>
-            <p className="text-white text-sm">
-              You bet ${currentBet.amount} on {currentBet.betType}: {currentBet.betValue}
-            </p>
-            <p className="text-white text-sm">Good luck! Results will be announced when the timer ends.</p>
+        {currentBets.length > 0 && currentGame.status === 'betting' && (
+          <div className="bg-[#00d4aa]/20 border border-[#00d4aa]/30 rounded-lg p-4">
+            <div className="flex items-center justify-center space-x-2 mb-2">
+              <Trophy className="h-6 w-6 text-[#00d4aa]" />
+              <p className="text-[#00d4aa] font-bold">Your Bets This Round</p>
+            </div>
+            <div className="space-y-1">
+              {currentBets.map((bet) => (
+                <div key={bet._id} className="flex justify-between text-white text-sm">
+                  <span className="capitalize">{bet.betType}: {bet.betValue}</span>
+                  <span>${bet.amount.toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+            <p className="text-white text-sm text-center mt-2">Good luck! Results will be announced when the timer ends.</p>
           </div>
         )}
       </div>
 
-      {currentGame.status === 'betting' && !currentBet && (
+      {currentGame.status === 'betting' && (
         <>
           {/* Bet Type Selection */}
           <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
             <h2 className="text-xl font-bold text-white mb-4">Choose Bet Type</h2>
-            <div className="grid grid-cols-3 gap-4">
-              {[
-                { type: 'number' as BetType, label: 'Bet on Number', icon: Target, multiplier: '9x' },
-                { type: 'color' as BetType, label: 'Bet on Color', icon: Palette, multiplier: '2x' },
-                { type: 'size' as BetType, label: 'Big/Small', icon: Zap, multiplier: '2x' },
-              ].map((option) => {
-                const Icon = option.icon;
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {betTypes.map((betType) => {
+                const Icon = BET_TYPE_ICONS[betType.type] || Hash;
                 return (
                   <button
-                    key={option.type}
+                    key={betType.type}
                     onClick={() => {
-                      setSelectedBetType(option.type);
+                      setSelectedBetType(betType.type);
                       setSelectedValue('');
                     }}
                     className={`p-4 rounded-xl border-2 transition-all ${
-                      selectedBetType === option.type
+                      selectedBetType === betType.type
                         ? 'border-[#00d4aa] bg-[#00d4aa]/10'
                         : 'border-[#2f4553] hover:border-[#3a5664]'
                     }`}
                   >
                     <Icon className={`h-8 w-8 mx-auto mb-2 ${
-                      selectedBetType === option.type ? 'text-[#00d4aa]' : 'text-[#b1bad3]'
+                      selectedBetType === betType.type ? 'text-[#00d4aa]' : 'text-[#b1bad3]'
                     }`} />
-                    <p className="text-white font-medium">{option.label}</p>
-                    <p className="text-[#00d4aa] text-sm">{option.multiplier}</p>
+                    <p className="text-white font-medium">{betType.label}</p>
+                    <p className="text-[#00d4aa] text-sm">{getMultiplierRange(betType)}</p>
                   </button>
                 );
               })}
             </div>
+            {paytable && paytable.commissionRate > 0 && (
+              <p className="text-[#b1bad3] text-xs mt-4">
+                A {(paytable.commissionRate * 100).toFixed(1)}% house commission is taken from each stake; winnings are paid on the rest.
+              </p>
+            )}
           </div>
 
           {/* Bet Selection */}
-          <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-            <h2 className="text-xl font-bold text-white mb-4">
-              {selectedBetType === 'number' && 'Select Number (0-9)'}
-              {selectedBetType === 'color' && 'Select Color'}
-              {selectedBetType === 'size' && 'Select Size'}
-            </h2>
-
-            {selectedBetType === 'number' && (
-              <div className="grid grid-cols-5 gap-3 mb-6">
-                {numbers.map((num) => (
-                  <button
-                    key={num}
-                    onClick={() => setSelectedValue(num.toString())}
-                    className={`w-16 h-16 rounded-full text-white font-bold text-lg transition-all ${
-                      getNumberColor(num)
-                    } ${
-                      selectedValue === num.toString()
-                        ? 'ring-4 ring-white scale-110'
-                        : 'hover:scale-105'
-                    }`}
-                  >
-                    {num}
-                  </button>
-                ))}
-              </div>
-            )}
+          {selectedType && (
+            <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+              <h2 className="text-xl font-bold text-white mb-4">Select {selectedType.label}</h2>
 
-            {selectedBetType === 'color' && (
-              <div className="grid grid-cols-2 gap-4 mb-6">
-                {colors.map((color) => (
-                  <button
-                    key={color}
-                    onClick={() => setSelectedValue(color)}
-                    className={`p-6 rounded-xl text-white font-bold text-lg transition-all ${
-                      color === 'red' ? 'bg-red-500 hover:bg-red-400' : 'bg-green-500 hover:bg-green-400'
-                    } ${
-                      selectedValue === color
-                        ? 'ring-4 ring-white scale-105'
-                        : 'hover:scale-102'
-                    }`}
-                  >
-                    {color.toUpperCase()}
-                  </button>
-                ))}
-              </div>
-            )}
-
-            {selectedBetType === 'size' && (
-              <div className="grid grid-cols-2 gap-4 mb-6">
-                {sizes.map((size) => (
-                  <button
-                    key={size}
-                    onClick={() => setSelectedValue(size)}
-                    className={`p-6 rounded-xl text-white font-bold text-lg transition-all bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500 ${
-                      selectedValue === size
-                        ? 'ring-4 ring-white scale-105'
-                        : 'hover:scale-102'
-                    }`}
-                  >
-                    {size.toUpperCase()}
-                    <div className="text-sm font-normal mt-1">
-                      {size === 'small' ? '(0-4)' : '(5-9)'}
-                    </div>
-                  </button>
-                ))}
-              </div>
-            )}
-          </div>
+              {selectedType.type === 'number' ? (
+                <div className="grid grid-cols-5 gap-3 mb-6">
+                  {selectedType.options.map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setSelectedValue(option.value)}
+                      className={`w-16 h-16 rounded-full text-white font-bold text-lg transition-all ${
+                        getNumberBackground(paytable, option.numbers[0])
+                      } ${
+                        selectedValue === option.value
+                          ? 'ring-4 ring-white scale-110'
+                          : 'hover:scale-105'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <div className={`grid gap-4 mb-6 ${selectedType.options.length % 3 === 0 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                  {selectedType.options.map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setSelectedValue(option.value)}
+                      className={`p-6 rounded-xl text-white font-bold text-lg transition-all ${
+                        selectedType.type === 'color' && COLOR_STYLES[option.value]
+                          ? COLOR_STYLES[option.value].solid
+                          : 'bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500'
+                      } ${
+                        selectedValue === option.value
+                          ? 'ring-4 ring-white scale-105'
+                          : 'hover:scale-102'
+                      }`}
+                    >
+                      {option.label.toUpperCase()}
+                      <div className="text-sm font-normal mt-1">
+                        {describeNumbers(option)} · {option.multiplier}x
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Bet Amount */}
           <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-            <h2 className="text-xl font-bold text-white mb-4">Place Your Bet</h2>
+            <h2 className="text-xl font-bold text-white mb-4">Bet Amount</h2>
             
             <div className="grid grid-cols-5 gap-2 mb-4">
               {[10, 20, 50, 100, 500].map((amount) => (
@@ -277,8 +321,8 @@ export function GamePage() {
                 value={betAmount}
                 onChange={(e) => setBetAmount(e.target.value)}
                 placeholder="Enter amount"
-                min="1"
-                max={wallet?.balance || 0}
+                min={room?.minBet ?? 1}
+                max={Math.min(wallet?.balance || 0, room?.maxBet ?? Infinity)}
                 className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white text-center text-lg placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
               />
             </div>
@@ -287,7 +331,7 @@ export function GamePage() {
               <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 mb-4">
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-[#b1bad3]">Betting on:</span>
-                  <span className="text-white font-medium">{selectedBetType}: {selectedValue}</span>
+                  <span className="text-white font-medium">{selectedType?.label}: {selectedOption?.label}</span>
                 </div>
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-[#b1bad3]">Amount:</span>
@@ -307,22 +351,44 @@ export function GamePage() {
             )}
 
             <button
-              onClick={handlePlaceBet}
-              disabled={!selectedValue || !betAmount || loading || parseFloat(betAmount || '0') > (wallet?.balance || 0) || parseFloat(betAmount || '0') <= 0}
-              className="w-full bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-4 px-6 rounded-xl transition-all disabled:cursor-not-allowed"
+              onClick={handleAddToSlip}
+              disabled={!selectedValue || !betAmount || loading || parseFloat(betAmount || '0') <= 0}
+              className="w-full bg-[#2f4553] hover:bg-[#3a5664] disabled:cursor-not-allowed disabled:text-[#b1bad3] text-white font-bold py-4 px-6 rounded-xl transition-all"
             >
-              {loading ? 'Placing Bet...' : 'Place Bet'}
+              Add to Bet Slip
             </button>
 
             <div className="text-center mt-4">
               <p className="text-[#b1bad3] text-sm">
                 Balance: <span className="text-[#00d4aa] font-medium">${wallet?.balance.toFixed(2) || '0.00'}</span>
               </p>
+              {room && (
+                <p className="text-[#b1bad3] text-xs mt-1">
+                  Room limits: ${room.minBet} - ${room.maxBet} per bet, ${room.maxStakePerRound} per round
+                </p>
+              )}
             </div>
           </div>
+
+          <BetSlip
+            legs={slip}
+            paytable={paytable}
+            balance={wallet?.balance || 0}
+            loading={loading}
+            onRemove={(index) => setSlip(slip.filter((_, i) => i !== index))}
+            onClear={() => setSlip([])}
+            onSubmit={handlePlaceBets}
+          />
         </>
       )}
 
+      {currentGame.status === 'voided' && (
+        <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-2xl p-6 text-center text-yellow-200">
+          <h2 className="text-2xl font-bold text-yellow-300 mb-2">Round Voided</h2>
+          <p>This round was called off and every stake on it refunded. The next round opens shortly.</p>
+        </div>
+      )}
+
       {currentGame.status === 'completed' && (
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 text-center">
           <h2 className="text-2xl font-bold text-white mb-4">Game Results</h2>
@@ -332,7 +398,7 @@ export function GamePage() {
                 <div className="flex items-center justify-center space-x-4">
                   <span className="text-[#b1bad3]">Winning Number:</span>
                   <div className={`w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-xl ${
-                    getNumberColor(currentGame.resultNumber || 0)
+                    getNumberBackground(paytable, currentGame.resultNumber || 0)
                   }`}>
                     {currentGame.resultNumber}
                   </div>
@@ -357,10 +423,10 @@ export function GamePage() {
           winningNumber={betResult.winningNumber}
           winningColor={betResult.winningColor}
           winningSize={betResult.winningSize}
-          isWin={betResult.isWin}
-          payout={betResult.payout}
-          betType={betResult.betType}
-          betValue={betResult.betValue}
+          voided={betResult.voided}
+          voidReason={betResult.voidReason}
+          legs={betResult.legs}
+          paytable={paytable}
           onClose={() => {
             clearBetResult();
             setSelectedValue('');
@@ -1,22 +1,41 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useBets } from '../hooks/useBets';
-import { History, Filter, Trophy, TrendingDown, Calendar, Target } from 'lucide-react';
+import { usePaytable } from '../hooks/usePaytable';
+import { BetFilters } from '../lib/api';
+import { toDateRange } from '../lib/dateRange';
+import { VerifyRound } from '../components/VerifyRound';
+import { DateRangeFilter } from '../components/DateRangeFilter';
+import { InfiniteScroll } from '../components/InfiniteScroll';
+import { History, Filter, Trophy, TrendingDown, Calendar, Target, ShieldCheck, RotateCcw } from 'lucide-react';
 
 export function HistoryPage() {
-  const { bets, getStats } = useBets();
-  const [filter, setFilter] = useState<'all' | 'win' | 'loss'>('all');
+  const { paytable } = usePaytable();
+  const [filter, setFilter] = useState<'all' | 'win' | 'loss' | 'refunded'>('all');
+  const [betType, setBetType] = useState('');
+  const [dates, setDates] = useState({ from: '', to: '' });
+  const [verifyGameId, setVerifyGameId] = useState<string | null>(null);
+
+  // Filtering happens on the server, so the list pages through matching bets only
+  const filters = useMemo<BetFilters>(() => ({
+    result: filter === 'all' ? undefined : filter,
+    betType: betType || undefined,
+    ...toDateRange(dates.from, dates.to),
+  }), [filter, betType, dates]);
+
+  const { bets, loading, loadingMore, hasMore, loadMore, getStats } = useBets(filters);
+  const filtered = filter !== 'all' || betType !== '' || dates.from !== '' || dates.to !== '';
 
   const stats = getStats();
-  const filteredBets = bets.filter((bet) => {
-    if (filter === 'all') return true;
-    return bet.result === filter;
-  });
 
   const getBetTypeBadge = (betType: string, betValue: string) => {
     let colorClass = 'bg-blue-500/20 text-blue-300 border-blue-500/30';
     
     if (betType === 'color') {
-      colorClass = betValue === 'red' ? 'bg-red-500/20 text-red-300 border-red-500/30' : 'bg-green-500/20 text-green-300 border-green-500/30';
+      colorClass = betValue === 'red'
+        ? 'bg-red-500/20 text-red-300 border-red-500/30'
+        : betValue === 'violet'
+          ? 'bg-violet-500/20 text-violet-300 border-violet-500/30'
+          : 'bg-green-500/20 text-green-300 border-green-500/30';
     } else if (betType === 'number') {
       colorClass = 'bg-purple-500/20 text-purple-300 border-purple-500/30';
     }
@@ -96,7 +115,7 @@ export function HistoryPage() {
 
       {/* Filter and Bets List */}
       <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-        <div className="flex items-center justify-between mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
           <h2 className="text-xl font-bold text-white flex items-center space-x-2">
             <Filter className="h-5 w-5 text-[#00d4aa]" />
             <span>Betting History</span>
@@ -107,6 +126,7 @@ export function HistoryPage() {
               { key: 'all', label: 'All Bets' },
               { key: 'win', label: 'Wins' },
               { key: 'loss', label: 'Losses' },
+              { key: 'refunded', label: 'Refunds' },
             ].map((option) => (
               <button
                 key={option.key}
@@ -123,24 +143,53 @@ export function HistoryPage() {
           </div>
         </div>
 
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <select
+            value={betType}
+            onChange={(e) => setBetType(e.target.value)}
+            aria-label="Bet type"
+            className="px-3 py-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+          >
+            <option value="">All bet types</option>
+            {paytable?.betTypes.map((type) => (
+              <option key={type.type} value={type.type}>{type.label}</option>
+            ))}
+          </select>
+          <DateRangeFilter from={dates.from} to={dates.to} onChange={setDates} />
+        </div>
+
         <div className="space-y-3 max-h-96 overflow-y-auto">
-          {filteredBets.length === 0 ? (
+          {loading && bets.length === 0 ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+            </div>
+          ) : bets.length === 0 ? (
             <div className="text-center py-12">
               <History className="h-12 w-12 text-[#2f4553] mx-auto mb-4" />
               <p className="text-[#b1bad3] text-lg">No bets found</p>
-              <p className="text-[#2f4553]">Start betting to see your history here</p>
+              <p className="text-[#2f4553]">
+                {filtered ? 'Try different filters' : 'Start betting to see your history here'}
+              </p>
             </div>
           ) : (
-            filteredBets.map((bet) => (
+            bets.map((bet) => (
               <div
-                key={bet.id}
+                key={bet._id}
                 className="bg-[#0f212e] border border-[#2f4553] rounded-lg p-4 hover:bg-[#1a2c38] transition-all"
               >
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-4">
-                    <div className={`p-3 rounded-lg ${bet.result === 'win' ? 'bg-gradient-to-r from-[#00d4aa] to-[#00b4d8]' : 'bg-gradient-to-r from-red-500 to-red-600'}`}>
+                    <div className={`p-3 rounded-lg ${
+                      bet.result === 'win'
+                        ? 'bg-gradient-to-r from-[#00d4aa] to-[#00b4d8]'
+                        : bet.result === 'refunded'
+                          ? 'bg-yellow-500/20 border border-yellow-500/30'
+                          : 'bg-gradient-to-r from-red-500 to-red-600'
+                    }`}>
                       {bet.result === 'win' ? (
                         <Trophy className="h-4 w-4 text-white" />
+                      ) : bet.result === 'refunded' ? (
+                        <RotateCcw className="h-4 w-4 text-yellow-300" />
                       ) : (
                         <TrendingDown className="h-4 w-4 text-white" />
                       )}
@@ -152,7 +201,13 @@ export function HistoryPage() {
                           ${bet.amount.toFixed(2)}
                         </span>
                         {getBetTypeBadge(bet.betType, bet.betValue)}
-                        {bet.gameId && bet.gameId.resultNumber !== undefined && (
+                        {bet.gameId?.status === 'voided' && (
+                          <>
+                            <span className="text-[#b1bad3]">→</span>
+                            <span className="text-yellow-300 text-sm">Round voided</span>
+                          </>
+                        )}
+                        {bet.gameId && bet.gameId.resultNumber !== undefined && bet.gameId.resultNumber !== null && (
                           <>
                             <span className="text-[#b1bad3]">→</span>
                             <span className="text-[#b1bad3] text-sm">
@@ -171,24 +226,47 @@ export function HistoryPage() {
                         {bet.gameId && (
                           <span>Game #{bet.gameId.gameNumber}</span>
                         )}
+                        {bet.gameId?.status === 'completed' && (
+                          <button
+                            onClick={() => setVerifyGameId(bet.gameId!._id)}
+                            className="flex items-center space-x-1 text-[#00d4aa] hover:text-white transition-all"
+                          >
+                            <ShieldCheck className="h-3 w-3" />
+                            <span>Verify this round</span>
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
                   
                   <div className="text-right">
-                    <p className={`font-bold text-lg ${bet.result === 'win' ? 'text-[#00d4aa]' : 'text-red-400'}`}>
-                      {bet.result === 'win' ? `+$${bet.payout.toFixed(2)}` : `-$${bet.amount.toFixed(2)}`}
-                    </p>
-                    <p className="text-[#b1bad3] text-sm">
-                      {bet.result === 'win' ? 'Won' : 'Lost'}
-                    </p>
+                    {bet.result === 'refunded' ? (
+                      <>
+                        <p className="font-bold text-lg text-yellow-300">${bet.amount.toFixed(2)}</p>
+                        <p className="text-[#b1bad3] text-sm">Refunded</p>
+                      </>
+                    ) : (
+                      <>
+                        <p className={`font-bold text-lg ${bet.result === 'win' ? 'text-[#00d4aa]' : 'text-red-400'}`}>
+                          {bet.result === 'win' ? `+$${bet.payout.toFixed(2)}` : `-$${bet.amount.toFixed(2)}`}
+                        </p>
+                        <p className="text-[#b1bad3] text-sm">
+                          {bet.result === 'win' ? 'Won' : 'Lost'}
+                        </p>
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
             ))
           )}
+          <InfiniteScroll hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
         </div>
       </div>
+
+      {verifyGameId && (
+        <VerifyRound gameId={verifyGameId} onClose={() => setVerifyGameId(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
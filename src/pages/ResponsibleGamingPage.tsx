@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { api, GamingLimit, LimitChanges, LimitKind, LimitPeriod, ResponsibleGamingStatus } from '../lib/api';
+import { getFieldErrors } from '../lib/formErrors';
+import { HeartHandshake, Gauge, Timer, Hourglass, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const KINDS: { kind: LimitKind; label: string; hint: string }[] = [
+  { kind: 'deposit', label: 'Deposit limit', hint: 'Deposit requests, unless rejected' },
+  { kind: 'loss', label: 'Loss limit', hint: 'Stakes minus winnings' },
+  { kind: 'wager', label: 'Wager limit', hint: 'Total staked on bets' },
+];
+
+const PERIODS: { period: LimitPeriod; label: string }[] = [
+  { period: 'daily', label: '24 hours' },
+  { period: 'weekly', label: '7 days' },
+  { period: 'monthly', label: '30 days' },
+];
+
+const REMINDER_OPTIONS = [15, 30, 60, 120];
+
+const BREAKS = [
+  { type: 'cool_off' as const, days: 1, label: '24 hours' },
+  { type: 'cool_off' as const, days: 7, label: '7 days' },
+  { type: 'cool_off' as const, days: 30, label: '30 days' },
+  { type: 'self_exclusion' as const, days: 180, label: '6 months' },
+  { type: 'self_exclusion' as const, days: 365, label: '1 year' },
+  { type: 'self_exclusion' as const, days: 1825, label: '5 years' },
+];
+
+const cellKey = (kind: LimitKind, period: LimitPeriod) => `${kind}.${period}`;
+
+// Form state keeps each limit as typed; an empty box means no limit
+const toDraft = (limits: GamingLimit[]) => Object.fromEntries(
+  limits.map((limit) => [cellKey(limit.kind, limit.period), limit.amount === null ? '' : limit.amount.toString()])
+);
+
+export function ResponsibleGamingPage() {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState<ResponsibleGamingStatus | null>(null);
+  const [draft, setDraft] = useState<Record<string, string>>({});
+  const [edited, setEdited] = useState<string[]>([]);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await api.getResponsibleGaming();
+        setStatus(response);
+        setDraft(toDraft(response.limits));
+      } catch (error) {
+        setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to load your limits' });
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const findLimit = (kind: LimitKind, period: LimitPeriod) =>
+    status?.limits.find((limit) => limit.kind === kind && limit.period === period);
+
+  const handleChange = (key: string, value: string) => {
+    setDraft({ ...draft, [key]: value });
+    if (!edited.includes(key)) {
+      setEdited([...edited, key]);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    const changes: LimitChanges = {};
+    for (const key of edited) {
+      const [kind, period] = key.split('.') as [LimitKind, LimitPeriod];
+      const value = (draft[key] || '').trim();
+      changes[kind] = { ...changes[kind], [period]: value === '' ? null : Number(value) };
+    }
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      const response = await api.updateLimits(changes);
+      setStatus(response);
+      setDraft(toDraft(response.limits));
+      setEdited([]);
+      setMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to update limits' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReminderChange = async (value: string) => {
+    const minutes = value ? Number(value) : null;
+    try {
+      const response = await api.setSessionReminder(minutes);
+      if (status) {
+        setStatus({ ...status, sessionReminderMinutes: minutes });
+      }
+      await refreshUser();
+      setMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to update reminder' });
+    }
+  };
+
+  const handleBreak = async (option: typeof BREAKS[number]) => {
+    const what = option.type === 'self_exclusion' ? 'self-exclude' : 'take a break';
+    if (!confirm(`Are you sure you want to ${what} for ${option.label}? You won't be able to bet or deposit until it ends, and it can't be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await api.startExclusion(option.type, option.days);
+      if (status) {
+        setStatus({ ...status, exclusion: response.exclusion });
+      }
+      await refreshUser();
+      setMessage({ type: 'success', text: response.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to start your break' });
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        {message ? (
+          <p className="text-red-300">{message.text}</p>
+        ) : (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#00d4aa]"></div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      {/* Header */}
+      <div className="text-center">
+        <div className="flex items-center justify-center space-x-3 mb-4">
+          <div className="w-12 h-12 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] rounded-xl flex items-center justify-center">
+            <HeartHandshake className="h-6 w-6 text-white" />
+          </div>
+          <h1 className="text-4xl font-bold text-white">Responsible Gaming</h1>
+        </div>
+        <p className="text-[#b1bad3] text-lg">Set limits on your play and take a break whenever you need one</p>
+      </div>
+
+      {message && (
+        <div className={`p-4 rounded-xl border flex items-center space-x-3 ${
+          message.type === 'success'
+            ? 'bg-[#00d4aa]/20 border-[#00d4aa]/30 text-[#00d4aa]'
+            : 'bg-red-500/20 border-red-500/30 text-red-300'
+        }`}>
+          {message.type === 'success' ? <CheckCircle className="h-5 w-5" /> : <AlertTriangle className="h-5 w-5" />}
+          <span>{message.text}</span>
+        </div>
+      )}
+
+      {status.exclusion && (
+        <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-2xl p-6 text-yellow-200">
+          {status.exclusion.type === 'self_exclusion' ? 'You have self-excluded' : 'You are taking a break'} until{' '}
+          <strong>{new Date(status.exclusion.until).toLocaleString()}</strong>. Betting and deposits are blocked until then;
+          you can still withdraw your balance.
+        </div>
+      )}
+
+      {/* Limits */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+          <Gauge className="h-5 w-5 text-[#00d4aa]" />
+          <span>Limits</span>
+        </h2>
+        <p className="text-[#b1bad3] text-sm mb-6">
+          Lower limits apply straight away. Raising or removing a limit takes effect after {status.raiseDelayHours} hours.
+          Leave a box empty for no limit.
+        </p>
+
+        <div className="space-y-6">
+          {KINDS.map(({ kind, label, hint }) => (
+            <div key={kind}>
+              <p className="text-white font-medium">{label}</p>
+              <p className="text-[#b1bad3] text-xs mb-3">{hint}</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {PERIODS.map(({ period, label: periodLabel }) => {
+                  const key = cellKey(kind, period);
+                  const limit = findLimit(kind, period);
+                  return (
+                    <div key={period} className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-3 space-y-2">
+                      <label className="block text-sm text-[#b1bad3]">{periodLabel}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={draft[key] ?? ''}
+                        onChange={(e) => handleChange(key, e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 bg-[#1a2c38] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                      />
+                      {fieldErrors[key] && <p className="text-red-400 text-xs">{fieldErrors[key]}</p>}
+                      <p className="text-[#b1bad3] text-xs">
+                        Used ${status.usage[kind][period].toFixed(2)}
+                        {limit?.amount !== null && limit?.amount !== undefined && ` of $${limit.amount}`}
+                      </p>
+                      {limit?.pendingFrom && (
+                        <p className="text-yellow-300 text-xs">
+                          {limit.pendingAmount === null ? 'Removed' : `Rises to $${limit.pendingAmount}`} on{' '}
+                          {new Date(limit.pendingFrom).toLocaleString()}
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={handleSaveLimits}
+          disabled={saving || edited.length === 0}
+          className="mt-6 w-full bg-[#00d4aa] hover:bg-[#00c49a] disabled:bg-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Limits'}
+        </button>
+      </div>
+
+      {/* Session Reminders */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+          <Timer className="h-5 w-5 text-[#00d4aa]" />
+          <span>Session Reminders</span>
+        </h2>
+        <p className="text-[#b1bad3] text-sm mb-4">Get a reminder of how long you've been playing.</p>
+        <select
+          value={status.sessionReminderMinutes ?? ''}
+          onChange={(e) => handleReminderChange(e.target.value)}
+          className="w-full md:w-64 p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+        >
+          <option value="">Off</option>
+          {REMINDER_OPTIONS.map((minutes) => (
+            <option key={minutes} value={minutes}>Every {minutes} minutes</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Take a Break */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <h2 className="text-xl font-bold text-white mb-2 flex items-center space-x-2">
+          <Hourglass className="h-5 w-5 text-yellow-400" />
+          <span>Take a Break</span>
+        </h2>
+        <p className="text-[#b1bad3] text-sm mb-4">
+          A cool-off or self-exclusion blocks betting and deposits until it ends. It can be extended but never shortened.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {(['cool_off', 'self_exclusion'] as const).map((type) => (
+            <div key={type} className="space-y-2">
+              <p className="text-white font-medium">{type === 'cool_off' ? 'Cool-off' : 'Self-exclusion'}</p>
+              <div className="flex flex-wrap gap-2">
+                {BREAKS.filter((option) => option.type === type).map((option) => (
+                  <button
+                    key={option.days}
+                    onClick={() => handleBreak(option)}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium border transition-all ${
+                      type === 'self_exclusion'
+                        ? 'bg-red-500/20 text-red-300 border-red-500/30 hover:bg-red-500/30'
+                        : 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30 hover:bg-yellow-500/30'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
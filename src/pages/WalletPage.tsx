@@ -1,25 +1,60 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useWallet } from '../hooks/useWallet';
+import { useTransactions } from '../hooks/useTransactions';
 import { useForm } from 'react-hook-form';
-import { api } from '../lib/api';
+import { api, PayoutDetails, TransactionFilters } from '../lib/api';
+import { getFieldErrors } from '../lib/formErrors';
+import { toDateRange } from '../lib/dateRange';
 import { useAuth } from '../contexts/AuthContext';
-import { Wallet, Plus, History, DollarSign, Clock, TrendingUp, TrendingDown, CreditCard, QrCode, Upload, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { DateRangeFilter } from '../components/DateRangeFilter';
+import { InfiniteScroll } from '../components/InfiniteScroll';
+import { Wallet, Plus, History, DollarSign, Clock, TrendingUp, TrendingDown, CreditCard, QrCode, Upload, CheckCircle, AlertCircle, X, ArrowUpRight, Banknote, RotateCcw, Download } from 'lucide-react';
 
 interface DepositFormData {
   amount: number;
 }
 
+// Activity filters, each a set of transaction types
+const ACTIVITY_TYPES = [
+  { key: '', label: 'All' },
+  { key: 'pending_deposit,deposit', label: 'Deposits' },
+  { key: 'pending_withdrawal,withdrawal', label: 'Withdrawals' },
+  { key: 'bet,win,loss,refund', label: 'Bets' },
+];
+
 export function WalletPage() {
   const { user } = useAuth();
-  const { wallet, transactions, refetch } = useWallet();
+  const { wallet, refetch, withdraw } = useWallet();
+  const [activityType, setActivityType] = useState('');
+  const [dates, setDates] = useState({ from: '', to: '' });
+  const [downloading, setDownloading] = useState<'csv' | 'pdf' | null>(null);
+  const [statementError, setStatementError] = useState('');
+  const transactionFilters = useMemo<TransactionFilters>(() => ({
+    type: activityType || undefined,
+    ...toDateRange(dates.from, dates.to),
+  }), [activityType, dates]);
+  const {
+    items: transactions,
+    loading: transactionsLoading,
+    loadingMore,
+    hasMore,
+    loadMore,
+    reload: reloadTransactions,
+  } = useTransactions(transactionFilters);
+  const [activeTab, setActiveTab] = useState<'deposit' | 'withdraw'>('deposit');
   const [loading, setLoading] = useState(false);
   const [showQRModal, setShowQRModal] = useState(false);
   const [depositAmount, setDepositAmount] = useState(0);
   const [qrCodeUrl, setQrCodeUrl] = useState('');
   const [uploadedScreenshot, setUploadedScreenshot] = useState<string | null>(null);
   const [screenshotFile, setScreenshotFile] = useState<File | null>(null);
-  const [success, setSuccess] = useState(false);
+  const [utr, setUtr] = useState('');
+  const [success, setSuccess] = useState<'deposit' | 'withdraw' | null>(null);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [payoutDetails, setPayoutDetails] = useState<PayoutDetails>({ method: 'upi' });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
   
   const { register, handleSubmit, formState: { errors }, reset } = useForm<DepositFormData>();
 
@@ -77,9 +112,15 @@ export function WalletPage() {
       setError('Please upload a payment screenshot');
       return;
     }
+
+    if (!utr.trim()) {
+      setError('Please enter the UTR / reference number of your payment');
+      return;
+    }
     try {
       setLoading(true);
       setError('');
+      setFieldErrors({});
 
       // Convert file to base64 for now (simpler approach)
       const reader = new FileReader();
@@ -93,34 +134,85 @@ export function WalletPage() {
 
 
       // Create deposit request using the API
-      await api.createDepositRequest(depositAmount, screenshotFile);
+      await api.createDepositRequest(depositAmount, utr.trim(), screenshotFile);
 
-      setSuccess(true);
+      setSuccess('deposit');
       setShowQRModal(false);
       setUploadedScreenshot(null);
       setScreenshotFile(null);
+      setUtr('');
       setDepositAmount(0);
       await refetch();
+      reloadTransactions();
       
-      setTimeout(() => setSuccess(false), 5000);
+      setTimeout(() => setSuccess(null), 5000);
     } catch (error: any) {
       console.error('Error submitting deposit request:', error);
+      setFieldErrors(getFieldErrors(error));
       setError(error.message || 'Error submitting deposit request. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleWithdraw = async () => {
+    const amount = parseFloat(withdrawAmount);
+    if (!wallet || !(amount > 0) || amount > wallet.balance) {
+      setError('Invalid withdrawal amount or insufficient balance');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setFieldErrors({});
+      await withdraw(amount, payoutDetails, user?.requireTwoFactorForWithdrawals ? twoFactorCode : undefined);
+
+      setSuccess('withdraw');
+      reloadTransactions();
+      setWithdrawAmount('');
+      setTwoFactorCode('');
+      setTimeout(() => setSuccess(null), 5000);
+    } catch (error) {
+      console.error('Error submitting withdrawal request:', error);
+      setFieldErrors(getFieldErrors(error));
+      setError(error instanceof Error ? error.message : 'Error submitting withdrawal request. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderFieldError = (field: string) =>
+    fieldErrors[field] && <p className="text-red-400 text-sm mt-1">{fieldErrors[field]}</p>;
+
+  // A statement covers the chosen dates, or the last 30 days when none are set
+  const handleDownloadStatement = async (format: 'csv' | 'pdf') => {
+    try {
+      setDownloading(format);
+      setStatementError('');
+      await api.downloadStatement(toDateRange(dates.from, dates.to), format);
+    } catch (err) {
+      setStatementError(err instanceof Error ? err.message : 'Failed to download statement');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
   const getTransactionIcon = (type: string) => {
     switch (type) {
       case 'deposit':
         return <Plus className="h-4 w-4 text-[#00d4aa]" />;
       case 'win':
         return <TrendingUp className="h-4 w-4 text-[#00d4aa]" />;
+      case 'refund':
+        return <RotateCcw className="h-4 w-4 text-[#00d4aa]" />;
       case 'bet':
       case 'loss':
         return <TrendingDown className="h-4 w-4 text-red-400" />;
+      case 'withdrawal':
+        return <ArrowUpRight className="h-4 w-4 text-red-400" />;
       case 'pending_deposit':
+      case 'pending_withdrawal':
         return <Clock className="h-4 w-4 text-yellow-400" />;
       default:
         return <Clock className="h-4 w-4 text-[#b1bad3]" />;
@@ -128,7 +220,7 @@ export function WalletPage() {
   };
 
   const getTransactionColor = (type: string, status?: string) => {
-    if (type === 'pending_deposit') {
+    if (type === 'pending_deposit' || type === 'pending_withdrawal') {
       switch (status) {
         case 'pending': return 'text-yellow-400';
         case 'approved': return 'text-[#00d4aa]';
@@ -140,9 +232,11 @@ export function WalletPage() {
     switch (type) {
       case 'deposit':
       case 'win':
+      case 'refund':
         return 'text-[#00d4aa]';
       case 'bet':
       case 'loss':
+      case 'withdrawal':
         return 'text-red-400';
       default:
         return 'text-[#b1bad3]';
@@ -194,7 +288,9 @@ export function WalletPage() {
       {success && (
         <div className="bg-[#00d4aa]/20 border border-[#00d4aa]/50 text-[#00d4aa] px-6 py-4 rounded-xl text-center">
           <CheckCircle className="h-6 w-6 mx-auto mb-2" />
-          <p className="font-bold">Deposit request submitted successfully!</p>
+          <p className="font-bold">
+            {success === 'deposit' ? 'Deposit' : 'Withdrawal'} request submitted successfully!
+          </p>
           <p className="text-sm">Your request is being reviewed by our admin team.</p>
         </div>
       )}
@@ -216,87 +312,278 @@ export function WalletPage() {
             <span className="text-5xl font-bold">${wallet?.balance.toFixed(2) || '0.00'}</span>
           </div>
           <p className="text-white/80 text-lg">Available Balance</p>
+          {wallet && wallet.heldBalance > 0 && (
+            <p className="text-white/80 text-sm mt-2">
+              ${wallet.heldBalance.toFixed(2)} on hold for pending withdrawals
+            </p>
+          )}
         </div>
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-        {/* Deposit Form */}
+        {/* Deposit / Withdraw Form */}
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-          <h2 className="text-xl font-bold text-white mb-6 flex items-center space-x-2">
-            <CreditCard className="h-5 w-5 text-[#00d4aa]" />
-            <span>Add Funds</span>
-          </h2>
-
-          <div className="space-y-4">
-            <p className="text-[#b1bad3] text-sm mb-4">
-              Select an amount to deposit. You'll be shown a QR code for payment.
-            </p>
-
-            <div className="grid grid-cols-2 gap-3">
-              {[10, 25, 50, 100, 250, 500].map((amount) => (
+          <div className="flex space-x-2 mb-6">
+            {[
+              { key: 'deposit', label: 'Add Funds', icon: CreditCard },
+              { key: 'withdraw', label: 'Withdraw', icon: Banknote },
+            ].map((tab) => {
+              const Icon = tab.icon;
+              return (
                 <button
-                  key={amount}
-                  onClick={() => handleDepositClick(amount)}
-                  disabled={loading}
-                  className="px-4 py-4 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] rounded-xl transition-all font-bold transform hover:scale-105 disabled:hover:scale-100 disabled:cursor-not-allowed"
+                  key={tab.key}
+                  onClick={() => {
+                    setActiveTab(tab.key as typeof activeTab);
+                    setError('');
+                  }}
+                  className={`flex items-center space-x-2 px-4 py-2 rounded-lg font-bold transition-all ${
+                    activeTab === tab.key
+                      ? 'bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] text-[#0f212e]'
+                      : 'bg-[#2f4553] text-[#b1bad3] hover:bg-[#3a5664] hover:text-white'
+                  }`}
                 >
-                  ${amount}
+                  <Icon className="h-4 w-4" />
+                  <span>{tab.label}</span>
                 </button>
-              ))}
+              );
+            })}
+          </div>
+
+          {user && !user.emailVerified && (
+            <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 mb-4">
+              <p className="text-yellow-200 text-sm">
+                Verify your email address before adding funds or withdrawing. Use the link we emailed you, or resend it from the banner above.
+              </p>
             </div>
+          )}
 
-            <div className="relative">
-              <input
-                type="number"
-                placeholder="Custom amount (min $1, max $10,000)"
-                min="1"
-                max="10000"
-                disabled={loading}
-                className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent disabled:opacity-50"
-                onKeyPress={(e) => {
-                  if (e.key === 'Enter') {
-                    const amount = parseFloat((e.target as HTMLInputElement).value);
-                    if (amount >= 1 && amount <= 10000) {
-                      handleDepositClick(amount);
-                      (e.target as HTMLInputElement).value = '';
-                    }
-                  }
-                }}
-              />
+          {activeTab === 'deposit' && user?.excludedUntil && (
+            <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4 mb-4">
+              <p className="text-yellow-200 text-sm">
+                You're on a break until {new Date(user.excludedUntil).toLocaleString()}, so deposits are paused. You can still withdraw.
+              </p>
             </div>
-          </div>
+          )}
+
+          {activeTab === 'deposit' ? (
+            <>
+              <div className="space-y-4">
+                <p className="text-[#b1bad3] text-sm mb-4">
+                  Select an amount to deposit. You'll be shown a QR code for payment.
+                </p>
+
+                <div className="grid grid-cols-2 gap-3">
+                  {[10, 25, 50, 100, 250, 500].map((amount) => (
+                    <button
+                      key={amount}
+                      onClick={() => handleDepositClick(amount)}
+                      disabled={loading}
+                      className="px-4 py-4 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] rounded-xl transition-all font-bold transform hover:scale-105 disabled:hover:scale-100 disabled:cursor-not-allowed"
+                    >
+                      ${amount}
+                    </button>
+                  ))}
+                </div>
 
-          <div className="mt-6 p-4 bg-[#0f212e] border border-[#2f4553] rounded-lg">
-            <p className="text-[#b1bad3] text-sm">
-              <strong className="text-[#00d4aa]">How it works:</strong>
-            </p>
-            <ol className="text-[#b1bad3] text-sm mt-2 space-y-1">
-              <li>1. Select deposit amount</li>
-              <li>2. Scan QR code to make payment</li>
-              <li>3. Upload payment screenshot</li>
-              <li>4. Wait for admin approval</li>
-            </ol>
-          </div>
+                <div className="relative">
+                  <input
+                    type="number"
+                    placeholder="Custom amount (min $1, max $10,000)"
+                    min="1"
+                    max="10000"
+                    disabled={loading}
+                    className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent disabled:opacity-50"
+                    onKeyPress={(e) => {
+                      if (e.key === 'Enter') {
+                        const amount = parseFloat((e.target as HTMLInputElement).value);
+                        if (amount >= 1 && amount <= 10000) {
+                          handleDepositClick(amount);
+                          (e.target as HTMLInputElement).value = '';
+                        }
+                      }
+                    }}
+                  />
+                </div>
+              </div>
+
+              <div className="mt-6 p-4 bg-[#0f212e] border border-[#2f4553] rounded-lg">
+                <p className="text-[#b1bad3] text-sm">
+                  <strong className="text-[#00d4aa]">How it works:</strong>
+                </p>
+                <ol className="text-[#b1bad3] text-sm mt-2 space-y-1">
+                  <li>1. Select deposit amount</li>
+                  <li>2. Scan QR code to make payment</li>
+                  <li>3. Upload payment screenshot</li>
+                  <li>4. Wait for admin approval</li>
+                </ol>
+              </div>
+            </>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-[#b1bad3] text-sm">
+                The amount is put on hold from your balance until an admin pays it out. If the request is rejected, it is returned to your balance.
+              </p>
+
+              <div>
+                <input
+                  type="number"
+                  value={withdrawAmount}
+                  onChange={(e) => setWithdrawAmount(e.target.value)}
+                  placeholder={`Amount (max $${wallet?.balance.toFixed(2) || '0.00'})`}
+                  min="1"
+                  disabled={loading}
+                  className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent disabled:opacity-50"
+                />
+                {renderFieldError('amount')}
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                {(['upi', 'bank'] as const).map((method) => (
+                  <button
+                    key={method}
+                    onClick={() => setPayoutDetails({ method })}
+                    className={`px-4 py-3 rounded-xl font-medium transition-all ${
+                      payoutDetails.method === method
+                        ? 'bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/50'
+                        : 'bg-[#0f212e] text-[#b1bad3] border border-[#2f4553] hover:text-white'
+                    }`}
+                  >
+                    {method === 'upi' ? 'UPI' : 'Bank Transfer'}
+                  </button>
+                ))}
+              </div>
+
+              {payoutDetails.method === 'upi' ? (
+                <div>
+                  <input
+                    type="text"
+                    value={payoutDetails.upiId || ''}
+                    onChange={(e) => setPayoutDetails({ ...payoutDetails, upiId: e.target.value })}
+                    placeholder="UPI ID (e.g. name@bank)"
+                    className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                  />
+                  {renderFieldError('upiId')}
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <input
+                      type="text"
+                      value={payoutDetails.accountHolder || ''}
+                      onChange={(e) => setPayoutDetails({ ...payoutDetails, accountHolder: e.target.value })}
+                      placeholder="Account holder name"
+                      className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                    />
+                    {renderFieldError('accountHolder')}
+                  </div>
+                  <div>
+                    <input
+                      type="text"
+                      value={payoutDetails.accountNumber || ''}
+                      onChange={(e) => setPayoutDetails({ ...payoutDetails, accountNumber: e.target.value })}
+                      placeholder="Account number"
+                      className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                    />
+                    {renderFieldError('accountNumber')}
+                  </div>
+                  <div>
+                    <input
+                      type="text"
+                      value={payoutDetails.ifsc || ''}
+                      onChange={(e) => setPayoutDetails({ ...payoutDetails, ifsc: e.target.value.toUpperCase() })}
+                      placeholder="IFSC code"
+                      className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                    />
+                    {renderFieldError('ifsc')}
+                  </div>
+                </>
+              )}
+
+              {user?.requireTwoFactorForWithdrawals && (
+                <div>
+                  <input
+                    type="text"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    placeholder="Two-factor code"
+                    autoComplete="one-time-code"
+                    className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                  />
+                  {renderFieldError('twoFactorCode')}
+                </div>
+              )}
+
+              <button
+                onClick={handleWithdraw}
+                disabled={loading || !withdrawAmount || (user?.requireTwoFactorForWithdrawals && !twoFactorCode.trim())}
+                className="w-full px-4 py-4 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] rounded-xl transition-all font-bold disabled:cursor-not-allowed"
+              >
+                {loading ? 'Submitting...' : 'Request Withdrawal'}
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Transaction History */}
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-          <h2 className="text-xl font-bold text-white mb-6 flex items-center space-x-2">
+          <h2 className="text-xl font-bold text-white mb-4 flex items-center space-x-2">
             <History className="h-5 w-5 text-[#00d4aa]" />
             <span>Recent Activity</span>
           </h2>
 
+          <div className="space-y-3 mb-4">
+            <div className="flex flex-wrap gap-2">
+              {ACTIVITY_TYPES.map((option) => (
+                <button
+                  key={option.key}
+                  onClick={() => setActivityType(option.key)}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                    activityType === option.key
+                      ? 'bg-[#00d4aa] text-[#0f212e]'
+                      : 'bg-[#2f4553] text-[#b1bad3] hover:bg-[#3a5664] hover:text-white'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <DateRangeFilter from={dates.from} to={dates.to} onChange={setDates} />
+              <div className="flex items-center gap-2">
+                {(['csv', 'pdf'] as const).map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleDownloadStatement(format)}
+                    disabled={downloading !== null}
+                    title={`Download a statement for ${dates.from || dates.to ? 'these dates' : 'the last 30 days'}`}
+                    className="flex items-center space-x-1 px-3 py-2 bg-[#2f4553] hover:bg-[#3a5664] disabled:opacity-50 text-[#b1bad3] hover:text-white rounded-lg text-sm font-medium transition-all disabled:cursor-not-allowed"
+                  >
+                    <Download className="h-4 w-4" />
+                    <span>{downloading === format ? 'Preparing...' : `Statement ${format.toUpperCase()}`}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+            {statementError && <p className="text-red-400 text-sm">{statementError}</p>}
+          </div>
+
           <div className="space-y-3 max-h-96 overflow-y-auto">
-            {transactions.length === 0 ? (
+            {transactionsLoading && transactions.length === 0 ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+              </div>
+            ) : transactions.length === 0 ? (
               <div className="text-center py-12">
                 <History className="h-12 w-12 text-[#2f4553] mx-auto mb-4" />
-                <p className="text-[#b1bad3]">No transactions yet</p>
-                <p className="text-[#2f4553] text-sm">Your activity will appear here</p>
+                <p className="text-[#b1bad3]">No transactions found</p>
+                <p className="text-[#2f4553] text-sm">
+                  {activityType || dates.from || dates.to ? 'Try different filters' : 'Your activity will appear here'}
+                </p>
               </div>
             ) : (
               transactions.map((transaction) => (
                 <div
-                  key={transaction.id}
+                  key={transaction._id}
                   className="flex items-center justify-between p-4 bg-[#0f212e] border border-[#2f4553] rounded-lg hover:bg-[#1a2c38] transition-all"
                 >
                   <div className="flex items-center space-x-3">
@@ -307,14 +594,14 @@ export function WalletPage() {
                       <p className="text-white font-medium">{transaction.description}</p>
                       <div className="flex items-center space-x-2">
                         <p className="text-[#b1bad3] text-sm">
-                          {new Date(transaction.created_at).toLocaleDateString()} at{' '}
-                          {new Date(transaction.created_at).toLocaleTimeString()}
+                          {new Date(transaction.createdAt).toLocaleDateString()} at{' '}
+                          {new Date(transaction.createdAt).toLocaleTimeString()}
                         </p>
                         {transaction.status && getStatusBadge(transaction.status)}
                       </div>
-                      {transaction.admin_notes && (
+                      {transaction.adminNotes && (
                         <p className="text-[#b1bad3] text-xs mt-1 italic">
-                          Note: {transaction.admin_notes}
+                          Note: {transaction.adminNotes}
                         </p>
                       )}
                     </div>
@@ -325,6 +612,7 @@ export function WalletPage() {
                 </div>
               ))
             )}
+            <InfiniteScroll hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
           </div>
         </div>
       </div>
@@ -414,6 +702,22 @@ export function WalletPage() {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  UTR / Reference Number *
+                </label>
+                <input
+                  type="text"
+                  value={utr}
+                  onChange={(e) => setUtr(e.target.value)}
+                  placeholder="e.g. 412345678901"
+                  maxLength={30}
+                  className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                />
+                <p className="text-[#b1bad3] text-xs mt-1">Shown in your payment app once the transfer is complete</p>
+                {renderFieldError('utr')}
+              </div>
+
               {error && (
                 <div className="bg-red-500/20 border border-red-500/30 rounded-lg p-3">
                   <p className="text-red-300 text-sm">{error}</p>
@@ -427,7 +731,9 @@ export function WalletPage() {
                     setShowQRModal(false);
                     setUploadedScreenshot(null);
                     setScreenshotFile(null);
+                    setUtr('');
                     setError('');
+                    setFieldErrors({});
                   }}
                   disabled={loading}
                   className="flex-1 px-4 py-3 bg-[#2f4553] text-white rounded-xl hover:bg-[#3a5664] transition-all font-medium disabled:opacity-50"
@@ -436,7 +742,7 @@ export function WalletPage() {
                 </button>
                 <button
                   onClick={onSubmit}
-                  disabled={!uploadedScreenshot || loading}
+                  disabled={!uploadedScreenshot || !utr.trim() || loading}
                   className="flex-1 px-4 py-3 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] rounded-xl transition-all font-bold disabled:cursor-not-allowed"
                 >
                   {loading ? (
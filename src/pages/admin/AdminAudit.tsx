@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { api, AuditEntry, AuditFilters } from '../../lib/api';
+import { ScrollText, Search, ArrowRight } from 'lucide-react';
+
+const TARGET_TYPES = ['user', 'transaction', 'settings', 'game', 'room', 'paytable'];
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Fields whose value differs between the before and after snapshots
+const changedFields = (entry: AuditEntry) => {
+  const keys = new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]);
+  return [...keys].filter((key) => formatValue(entry.before?.[key]) !== formatValue(entry.after?.[key]));
+};
+
+export function AdminAudit() {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [draft, setDraft] = useState<AuditFilters>({});
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await api.getAuditLog(filters);
+        setEntries(response.entries || []);
+        setNextCursor(response.nextCursor);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error loading audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [filters]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setLoading(true);
+      const response = await api.getAuditLog({ ...filters, before: nextCursor });
+      setEntries([...entries, ...(response.entries || [])]);
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error loading audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="w-12 h-12 bg-gradient-to-r from-slate-500 to-slate-600 rounded-xl flex items-center justify-center">
+          <ScrollText className="h-6 w-6 text-white" />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-white">Audit Log</h1>
+          <p className="text-[#b1bad3]">Every change made from the admin panel, newest first</p>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters({ ...draft });
+        }}
+        className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 grid grid-cols-1 md:grid-cols-4 gap-4"
+      >
+        <input
+          type="text"
+          value={draft.action || ''}
+          onChange={(e) => setDraft({ ...draft, action: e.target.value })}
+          placeholder="Action (e.g. user.block)"
+          className="p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+        />
+        <select
+          value={draft.targetType || ''}
+          onChange={(e) => setDraft({ ...draft, targetType: e.target.value })}
+          className="p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+        >
+          <option value="">All targets</option>
+          {TARGET_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.targetId || ''}
+          onChange={(e) => setDraft({ ...draft, targetId: e.target.value })}
+          placeholder="Target ID"
+          className="p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+        />
+        <button
+          type="submit"
+          className="flex items-center justify-center space-x-2 bg-[#00d4aa] hover:bg-[#00c49a] text-[#0f212e] font-bold py-3 px-4 rounded-lg transition-all"
+        >
+          <Search className="h-4 w-4" />
+          <span>Filter</span>
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/30 text-red-300 rounded-xl p-4">{error}</div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-[#0f212e] border-b border-[#2f4553]">
+              <tr>
+                <th className="text-left p-4 text-[#b1bad3] font-medium">When</th>
+                <th className="text-left p-4 text-[#b1bad3] font-medium">Admin</th>
+                <th className="text-left p-4 text-[#b1bad3] font-medium">Action</th>
+                <th className="text-left p-4 text-[#b1bad3] font-medium">Target</th>
+                <th className="text-left p-4 text-[#b1bad3] font-medium">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry._id} className="border-b border-[#2f4553] align-top">
+                  <td className="p-4 text-[#b1bad3] text-sm whitespace-nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td className="p-4">
+                    <p className="text-white font-medium">{entry.actorUsername}</p>
+                    <p className="text-[#b1bad3] text-xs capitalize">{entry.actorRole}{entry.ip ? ` · ${entry.ip}` : ''}</p>
+                  </td>
+                  <td className="p-4 text-white font-mono text-sm">{entry.action}</td>
+                  <td className="p-4">
+                    <p className="text-white text-sm capitalize">{entry.targetType}</p>
+                    {entry.targetId && (
+                      <p className="text-[#b1bad3] text-xs font-mono">{entry.targetId}</p>
+                    )}
+                  </td>
+                  <td className="p-4 text-sm space-y-1 max-w-md">
+                    {changedFields(entry).map((key) => (
+                      <div key={key} className="flex flex-wrap items-center gap-x-2 break-all">
+                        <span className="text-[#b1bad3]">{key}:</span>
+                        {entry.before && <span className="text-red-300">{formatValue(entry.before[key])}</span>}
+                        {entry.before && <ArrowRight className="h-3 w-3 text-[#b1bad3]" />}
+                        <span className="text-[#00d4aa]">{formatValue(entry.after?.[key])}</span>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {!loading && entries.length === 0 && (
+          <p className="text-[#b1bad3] text-center p-8">No audit entries match these filters.</p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#00d4aa]"></div>
+        </div>
+      ) : nextCursor && (
+        <button
+          onClick={handleLoadMore}
+          className="w-full bg-[#2f4553] hover:bg-[#3a5664] text-white font-bold py-3 px-6 rounded-xl transition-all"
+        >
+          Load More
+        </button>
+      )}
+    </div>
+  );
+}
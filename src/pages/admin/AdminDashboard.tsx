@@ -2,9 +2,13 @@ import React from 'react';
 import { useAdminData } from '../../hooks/useAdminData';
 import { Users, DollarSign, Gamepad2, TrendingUp, Activity, Shield, Clock, CreditCard, AlertTriangle, Zap } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import { useAdmin } from '../../contexts/AdminContext';
+import { GameLedgerExport } from '../../components/GameLedgerExport';
+import { AnalyticsPanel } from '../../components/AnalyticsPanel';
 
 export function AdminDashboard() {
   const { stats, loading } = useAdminData();
+  const { can } = useAdmin();
 
   const cards = [
     {
@@ -112,6 +116,8 @@ export function AdminDashboard() {
         })}
       </div>
 
+      <AnalyticsPanel />
+
       {/* Quick Actions */}
       <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
         <h2 className="text-xl font-bold text-white mb-6 flex items-center space-x-2">
@@ -251,6 +257,8 @@ export function AdminDashboard() {
         </div>
       </div>
 
+      {can('ledger:view') && <GameLedgerExport />}
+
       {/* Alerts */}
       {stats.pendingTransactions > 0 && (
         <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-2xl p-6">
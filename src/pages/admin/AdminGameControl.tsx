@@ -1,40 +1,80 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../../lib/api';
-import { Settings, Target, Clock, Zap, Play, Square, AlertCircle, CheckCircle, StopCircle } from 'lucide-react';
+import { api, Room } from '../../lib/api';
+import { RoomSwitcher } from '../../components/RoomSwitcher';
+import { LiabilityTable } from '../../components/LiabilityTable';
+import { StakeLimitsSettings } from '../../components/StakeLimitsSettings';
+import { useAdmin } from '../../contexts/AdminContext';
+import { Settings, Clock, Zap, Play, Square, AlertCircle, CheckCircle, StopCircle, Plus, Ban } from 'lucide-react';
+
+interface RoomGame {
+  _id: string;
+  gameNumber: number;
+  status: 'waiting' | 'betting' | 'completed' | 'voided';
+}
 
 export function AdminGameControl() {
-  const [fixedResult, setFixedResult] = useState('');
-  const [isFixingEnabled, setIsFixingEnabled] = useState(false);
-  const [gameDuration, setGameDuration] = useState(60);
+  const { can } = useAdmin();
+  const [rooms, setRooms] = useState<Room[]>([]);
+  const [selectedRoom, setSelectedRoom] = useState<string>();
+  const [roomGames, setRoomGames] = useState<Record<string, RoomGame | null>>({});
+  const [roomSettings, setRoomSettings] = useState({
+    roundDuration: 60,
+    minBet: 1,
+    maxBet: 10000,
+    maxStakePerRound: 50000,
+    maxLegsPerRound: 20,
+  });
+  const [newRoom, setNewRoom] = useState({ slug: '', name: '', roundDuration: 60 });
   const [loading, setLoading] = useState(false);
-  const [currentGame, setCurrentGame] = useState<any>(null);
   const [gameStats, setGameStats] = useState({
     activePlayers: 0,
     totalBets: 0,
     gamesToday: 0,
   });
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
-  const [continuousGamesRunning, setContinuousGamesRunning] = useState(false);
+
+  const room = rooms.find((r) => r.slug === selectedRoom);
+  const currentGame = selectedRoom ? roomGames[selectedRoom] : null;
 
   useEffect(() => {
-    fetchCurrentGame();
+    fetchRooms();
     fetchGameStats();
-    fetchAdminSettings();
-    fetchContinuousStatus();
   }, []);
 
+  // Load the selected room's settings into the form
+  useEffect(() => {
+    if (room) {
+      setRoomSettings({
+        roundDuration: room.roundDuration,
+        minBet: room.minBet,
+        maxBet: room.maxBet,
+        maxStakePerRound: room.maxStakePerRound,
+        maxLegsPerRound: room.maxLegsPerRound,
+      });
+    }
+  }, [room]);
+
   const showMessage = (type: 'success' | 'error', text: string) => {
     setMessage({ type, text });
     setTimeout(() => setMessage(null), 5000);
   };
 
-  const fetchCurrentGame = async () => {
+  const fetchRooms = async () => {
     try {
-      const response = await api.getCurrentGame();
-      setCurrentGame(response.game);
-      setContinuousGamesRunning(response.game?.status === 'betting' || response.game?.status === 'waiting');
+      const response = await api.getRooms();
+      const roomList: Room[] = response.rooms || [];
+      setRooms(roomList);
+      setSelectedRoom((current) => current ?? roomList[0]?.slug);
+
+      // Each room's current round
+      const responses = await Promise.all(roomList.map((r) => api.getCurrentGame(r.slug)));
+      const games: Record<string, RoomGame | null> = {};
+      roomList.forEach((r, index) => {
+        games[r.slug] = responses[index].game;
+      });
+      setRoomGames(games);
     } catch (error) {
-      console.error('Error fetching current game:', error);
+      console.error('Error fetching rooms:', error);
     }
   };
 
@@ -51,75 +91,48 @@ export function AdminGameControl() {
     }
   };
 
-  const fetchAdminSettings = async () => {
-    try {
-      const response = await api.getAdminSettings();
-      setGameDuration(response.settings.gameDuration || 60);
-    } catch (error) {
-      console.error('Error fetching admin settings:', error);
-    }
-  };
-
-  const fetchContinuousStatus = async () => {
-    try {
-      const response = await api.getContinuousGamesStatus();
-      setContinuousGamesRunning(response.enabled);
-    } catch (error) {
-      console.error('Error fetching continuous status:', error);
-    }
-  };
-
-  const handleFixResult = async () => {
-    if (!fixedResult) {
-      showMessage('error', 'Please select a number (0-9)');
-      return;
-    }
-
-    if (!currentGame) {
-      showMessage('error', 'No active game found');
-      return;
-    }
-
-    if (currentGame.status === 'completed') {
-      showMessage('error', 'Cannot fix result of completed game');
-      return;
-    }
+  const handleUpdateRoom = async () => {
+    if (!room) return;
 
     setLoading(true);
     try {
-      await api.fixGameResult(currentGame._id, parseInt(fixedResult));
-      showMessage('success', `Game #${currentGame.gameNumber} result fixed to ${fixedResult}`);
-      await fetchCurrentGame();
-      setFixedResult('');
-      setIsFixingEnabled(false);
+      await api.updateRoom(room.slug, roomSettings);
+      showMessage('success', `${room.name} updated`);
+      await fetchRooms();
     } catch (error: any) {
-      console.error('Error fixing result:', error);
-      showMessage('error', 'Error fixing result: ' + error.message);
+      console.error('Error updating room:', error);
+      showMessage('error', 'Error updating room: ' + error.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleUpdateDuration = async () => {
+  const handleCreateRoom = async () => {
+    if (!newRoom.slug || !newRoom.name) {
+      showMessage('error', 'Please enter a slug and a name for the room');
+      return;
+    }
+
     setLoading(true);
     try {
-      await api.updateAdminSettings({ gameDuration });
-      showMessage('success', `Game duration updated to ${gameDuration} seconds`);
+      await api.createRoom(newRoom.slug, { name: newRoom.name, roundDuration: newRoom.roundDuration });
+      showMessage('success', `Room ${newRoom.name} created`);
+      setNewRoom({ slug: '', name: '', roundDuration: 60 });
+      await fetchRooms();
     } catch (error: any) {
-      console.error('Error updating duration:', error);
-      showMessage('error', 'Error updating duration: ' + error.message);
+      console.error('Error creating room:', error);
+      showMessage('error', 'Error creating room: ' + error.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleStartContinuousGames = async () => {
+  const handleStartContinuousGames = async (target: Room) => {
     setLoading(true);
     try {
-      await api.startContinuousGames();
-      showMessage('success', 'Continuous games started successfully!');
-      setContinuousGamesRunning(true);
-      await fetchCurrentGame();
+      await api.startContinuousGames(target.slug);
+      showMessage('success', `Continuous games started in ${target.name}!`);
+      await fetchRooms();
       await fetchGameStats();
     } catch (error: any) {
       console.error('Error starting continuous games:', error);
@@ -129,13 +142,12 @@ export function AdminGameControl() {
     }
   };
 
-  const handleStopContinuousGames = async () => {
+  const handleStopContinuousGames = async (target: Room) => {
     setLoading(true);
     try {
-      await api.stopContinuousGames();
-      showMessage('success', 'Continuous games stopped successfully!');
-      setContinuousGamesRunning(false);
-      await fetchCurrentGame();
+      await api.stopContinuousGames(target.slug);
+      showMessage('success', `Continuous games stopped in ${target.name}`);
+      await fetchRooms();
       await fetchGameStats();
     } catch (error: any) {
       console.error('Error stopping continuous games:', error);
@@ -155,7 +167,7 @@ export function AdminGameControl() {
     try {
       await api.endGame(currentGame._id);
       showMessage('success', `Game #${currentGame.gameNumber} ended successfully`);
-      await fetchCurrentGame();
+      await fetchRooms();
       await fetchGameStats();
     } catch (error: any) {
       console.error('Error ending game:', error);
@@ -165,6 +177,30 @@ export function AdminGameControl() {
     }
   };
 
+  // Call the round off without a result; every stake on it is refunded
+  const handleVoidGame = async () => {
+    if (!currentGame) {
+      showMessage('error', 'No active game to void');
+      return;
+    }
+
+    const reason = prompt(`Void Game #${currentGame.gameNumber} and refund every stake on it? Reason (optional):`);
+    if (reason === null) return;
+
+    setLoading(true);
+    try {
+      await api.voidGame(currentGame._id, reason.trim() || undefined);
+      showMessage('success', `Game #${currentGame.gameNumber} voided and stakes refunded`);
+      await fetchRooms();
+      await fetchGameStats();
+    } catch (error) {
+      console.error('Error voiding game:', error);
+      showMessage('error', 'Error voiding game: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -180,10 +216,8 @@ export function AdminGameControl() {
         </div>
         <button
           onClick={() => {
-            fetchCurrentGame();
+            fetchRooms();
             fetchGameStats();
-            fetchAdminSettings();
-            fetchContinuousStatus();
           }}
           className="bg-[#00d4aa] hover:bg-[#00c49a] text-[#0f212e] font-bold py-2 px-4 rounded-lg transition-all"
         >
@@ -216,83 +250,92 @@ export function AdminGameControl() {
           <span>Continuous Game Control</span>
         </h2>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
-          <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 text-center">
-            <div className={`w-4 h-4 rounded-full mx-auto mb-2 ${continuousGamesRunning ? 'bg-[#00d4aa] animate-pulse' : 'bg-red-500'}`}></div>
-            <p className="text-[#b1bad3] text-sm">Status</p>
-            <p className={`font-bold ${continuousGamesRunning ? 'text-[#00d4aa]' : 'text-red-400'}`}>
-              {continuousGamesRunning ? 'RUNNING' : 'STOPPED'}
-            </p>
-          </div>
-          
-          <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 text-center">
-            <p className="text-[#b1bad3] text-sm">Current Game</p>
-            <p className="text-2xl font-bold text-white">
-              #{currentGame?.gameNumber || 'None'}
-            </p>
-            <p className="text-[#b1bad3] text-xs">
-              {currentGame?.status?.toUpperCase() || 'No Game'}
-            </p>
-          </div>
-          
-          <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 text-center">
-            <p className="text-[#b1bad3] text-sm">Game Duration</p>
-            <p className="text-2xl font-bold text-white">{gameDuration}s</p>
-          </div>
-        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {rooms.map((r) => {
+            const game = roomGames[r.slug];
+            return (
+              <div key={r.slug} className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-white font-bold">{r.name}</p>
+                    <p className="text-[#b1bad3] text-xs">{r.roundDuration}s rounds · ${r.minBet}-${r.maxBet}</p>
+                  </div>
+                  <div className="text-right">
+                    <div className={`w-4 h-4 rounded-full ml-auto mb-1 ${r.continuousEnabled ? 'bg-[#00d4aa] animate-pulse' : 'bg-red-500'}`}></div>
+                    <p className={`text-xs font-bold ${r.continuousEnabled ? 'text-[#00d4aa]' : 'text-red-400'}`}>
+                      {r.continuousEnabled ? 'RUNNING' : 'STOPPED'}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="text-center">
+                  <p className="text-[#b1bad3] text-sm">Current Game</p>
+                  <p className="text-2xl font-bold text-white">
+                    #{game?.gameNumber || 'None'}
+                  </p>
+                  <p className="text-[#b1bad3] text-xs">
+                    {game?.status?.toUpperCase() || 'No Game'}
+                  </p>
+                </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <button
-            onClick={handleStartContinuousGames}
-            disabled={loading || continuousGamesRunning}
-            className="bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-4 px-6 rounded-xl transition-all disabled:cursor-not-allowed flex items-center justify-center space-x-2"
-          >
-            <Play className="h-5 w-5" />
-            <span>{loading ? 'Starting...' : 'Start Continuous Games'}</span>
-          </button>
-          
-          <button
-            onClick={handleStopContinuousGames}
-            disabled={loading || !continuousGamesRunning}
-            className="bg-gradient-to-r from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-white disabled:text-[#b1bad3] font-bold py-4 px-6 rounded-xl transition-all disabled:cursor-not-allowed flex items-center justify-center space-x-2"
-          >
-            <StopCircle className="h-5 w-5" />
-            <span>{loading ? 'Stopping...' : 'Stop Continuous Games'}</span>
-          </button>
+                {r.continuousEnabled ? (
+                  <button
+                    onClick={() => handleStopContinuousGames(r)}
+                    disabled={loading}
+                    className="w-full bg-gradient-to-r from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-white disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+                  >
+                    <StopCircle className="h-5 w-5" />
+                    <span>{loading ? 'Stopping...' : 'Stop'}</span>
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleStartContinuousGames(r)}
+                    disabled={loading}
+                    className="w-full bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+                  >
+                    <Play className="h-5 w-5" />
+                    <span>{loading ? 'Starting...' : 'Start'}</span>
+                  </button>
+                )}
+              </div>
+            );
+          })}
         </div>
       </div>
 
+      {/* Room selection for settings and manual control */}
+      <RoomSwitcher rooms={rooms} selected={selectedRoom} onSelect={setSelectedRoom} />
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Game Settings */}
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
           <h2 className="text-xl font-bold text-white mb-6 flex items-center space-x-2">
             <Clock className="h-5 w-5 text-blue-400" />
-            <span>Game Settings</span>
+            <span>Room Settings{room ? ` · ${room.name}` : ''}</span>
           </h2>
 
           <div className="space-y-6">
             <div>
               <label className="block text-sm font-medium text-[#b1bad3] mb-2">
-                Game Duration (seconds)
+                Round Duration (seconds)
               </label>
               <input
                 type="number"
-                min="30"
-                max="300"
-                value={gameDuration}
-                onChange={(e) => setGameDuration(parseInt(e.target.value))}
+                min="10"
+                value={roomSettings.roundDuration}
+                onChange={(e) => setRoomSettings({ ...roomSettings, roundDuration: parseInt(e.target.value) })}
                 className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
               <p className="text-[#b1bad3] text-sm mt-1">
-                Current: {Math.floor(gameDuration / 60)}:{(gameDuration % 60).toString().padStart(2, '0')}
+                Current: {Math.floor(roomSettings.roundDuration / 60)}:{(roomSettings.roundDuration % 60).toString().padStart(2, '0')}
               </p>
             </div>
 
             <div className="grid grid-cols-3 gap-3">
-              {[30, 60, 120].map((duration) => (
+              {[60, 180, 300].map((duration) => (
                 <button
                   key={duration}
-                  onClick={() => setGameDuration(duration)}
+                  onClick={() => setRoomSettings({ ...roomSettings, roundDuration: duration })}
                   className="px-4 py-3 bg-[#2f4553] hover:bg-[#3a5664] text-white rounded-lg transition-all font-medium"
                 >
                   {duration}s
@@ -300,14 +343,110 @@ export function AdminGameControl() {
               ))}
             </div>
 
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  Min Bet
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={roomSettings.minBet}
+                  onChange={(e) => setRoomSettings({ ...roomSettings, minBet: parseFloat(e.target.value) })}
+                  className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  Max Bet
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={roomSettings.maxBet}
+                  onChange={(e) => setRoomSettings({ ...roomSettings, maxBet: parseFloat(e.target.value) })}
+                  className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  Max Stake per Player per Round
+                </label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={roomSettings.maxStakePerRound}
+                  onChange={(e) => setRoomSettings({ ...roomSettings, maxStakePerRound: parseFloat(e.target.value) })}
+                  className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  Max Bets per Player per Round
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={roomSettings.maxLegsPerRound}
+                  onChange={(e) => setRoomSettings({ ...roomSettings, maxLegsPerRound: parseInt(e.target.value) })}
+                  className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
             <button
-              onClick={handleUpdateDuration}
-              disabled={loading}
+              onClick={handleUpdateRoom}
+              disabled={loading || !room || !can('rooms:edit')}
               className="w-full bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-400 hover:to-blue-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-white disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed"
             >
-              {loading ? 'Updating...' : 'Update Game Duration'}
+              {loading ? 'Updating...' : 'Update Room'}
             </button>
 
+            {/* New Room */}
+            <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4 space-y-3">
+              <h3 className="text-white font-medium flex items-center space-x-2">
+                <Plus className="h-4 w-4 text-[#00d4aa]" />
+                <span>Add Room</span>
+              </h3>
+              <div className="grid grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={newRoom.slug}
+                  onChange={(e) => setNewRoom({ ...newRoom, slug: e.target.value })}
+                  placeholder="Slug (e.g. 10m)"
+                  className="p-3 bg-[#1a2c38] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                />
+                <input
+                  type="text"
+                  value={newRoom.name}
+                  onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })}
+                  placeholder="Name"
+                  className="p-3 bg-[#1a2c38] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                />
+                <input
+                  type="number"
+                  min="10"
+                  value={newRoom.roundDuration}
+                  onChange={(e) => setNewRoom({ ...newRoom, roundDuration: parseInt(e.target.value) })}
+                  placeholder="Seconds"
+                  className="p-3 bg-[#1a2c38] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                />
+              </div>
+              <button
+                onClick={handleCreateRoom}
+                disabled={loading || !can('rooms:edit')}
+                className="w-full bg-[#2f4553] hover:bg-[#3a5664] disabled:cursor-not-allowed text-white font-medium py-2 px-4 rounded-lg transition-all"
+              >
+                Create Room
+              </button>
+            </div>
+
             {/* Game Statistics */}
             <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4">
               <h3 className="text-white font-medium mb-3">Game Statistics</h3>
@@ -328,108 +467,18 @@ export function AdminGameControl() {
             </div>
           </div>
         </div>
-
-        {/* Game Result Fixer */}
-        <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
-          <h2 className="text-xl font-bold text-white mb-6 flex items-center space-x-2">
-            <Target className="h-5 w-5 text-red-400" />
-            <span>Fix Next Game Result</span>
-          </h2>
-
-          <div className="space-y-6">
-            <div className="flex items-center justify-between">
-              <span className="text-[#b1bad3]">Enable result fixing</span>
-              <button
-                onClick={() => setIsFixingEnabled(!isFixingEnabled)}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                  isFixingEnabled ? 'bg-red-500' : 'bg-[#2f4553]'
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                    isFixingEnabled ? 'translate-x-6' : 'translate-x-1'
-                  }`}
-                />
-              </button>
-            </div>
-
-            {isFixingEnabled && (
-              <>
-                <div>
-                  <label className="block text-sm font-medium text-[#b1bad3] mb-2">
-                    Fixed Result (0-9)
-                  </label>
-                  <input
-                    type="number"
-                    min="0"
-                    max="9"
-                    value={fixedResult}
-                    onChange={(e) => setFixedResult(e.target.value)}
-                    placeholder="Enter number 0-9"
-                    className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent text-center text-2xl font-bold"
-                  />
-                </div>
-
-                {fixedResult && (
-                  <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4">
-                    <h3 className="text-white font-medium mb-3">Result Preview:</h3>
-                    <div className="grid grid-cols-3 gap-4 text-center">
-                      <div>
-                        <p className="text-[#b1bad3] text-sm mb-1">Number</p>
-                        <div className={`w-12 h-12 rounded-full mx-auto flex items-center justify-center text-white font-bold ${
-                          parseInt(fixedResult) === 0 ? 'bg-green-500' : 
-                          parseInt(fixedResult) % 2 === 0 ? 'bg-red-500' : 'bg-green-500'
-                        }`}>
-                          {fixedResult}
-                        </div>
-                      </div>
-                      <div>
-                        <p className="text-[#b1bad3] text-sm mb-1">Color</p>
-                        <p className="text-white font-medium">
-                          {parseInt(fixedResult) === 0 ? 'GREEN' : 
-                           parseInt(fixedResult) % 2 === 0 ? 'RED' : 'GREEN'}
-                        </p>
-                      </div>
-                      <div>
-                        <p className="text-[#b1bad3] text-sm mb-1">Size</p>
-                        <p className="text-white font-medium">
-                          {parseInt(fixedResult) >= 5 ? 'BIG' : 'SMALL'}
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                )}
-
-                <button
-                  onClick={handleFixResult}
-                  disabled={!fixedResult || loading || !currentGame}
-                  className="w-full bg-gradient-to-r from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-white disabled:text-[#b1bad3] font-bold py-3 px-4 rounded-xl transition-all disabled:cursor-not-allowed"
-                >
-                  {loading ? 'Applying...' : 'Fix Next Game Result'}
-                </button>
-              </>
-            )}
-
-            <div className="bg-yellow-500/20 border border-yellow-500/30 rounded-lg p-4">
-              <p className="text-yellow-300 text-sm">
-                <strong>Warning:</strong> Use this feature responsibly. Fixed results will only apply to the current game.
-              </p>
-            </div>
-          </div>
-        </div>
       </div>
 
       {/* Manual Game Control */}
       {currentGame && (
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
           <h2 className="text-xl font-bold text-white mb-4">Manual Game Control</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-[#0f212e] border border-[#2f4553] rounded-xl p-4">
               <h3 className="text-white font-medium mb-2">Current Game Info</h3>
               <div className="space-y-1 text-sm">
-                <p className="text-[#b1bad3]">Game #{currentGame.gameNumber}</p>
+                <p className="text-[#b1bad3]">{room?.name} · Game #{currentGame.gameNumber}</p>
                 <p className="text-[#b1bad3]">Status: <span className="text-white">{currentGame.status}</span></p>
-                <p className="text-[#b1bad3]">Fixed: <span className="text-white">{currentGame.isFixed ? 'Yes' : 'No'}</span></p>
               </div>
             </div>
             
@@ -441,9 +490,27 @@ export function AdminGameControl() {
               <Square className="h-5 w-5" />
               <span>Force End Current Game</span>
             </button>
+
+            <button
+              onClick={handleVoidGame}
+              disabled={!currentGame || currentGame.status === 'completed' || currentGame.status === 'voided' || loading}
+              className="bg-gradient-to-r from-red-500 to-red-600 hover:from-red-400 hover:to-red-500 disabled:from-[#2f4553] disabled:to-[#2f4553] text-white disabled:text-[#b1bad3] font-bold py-4 px-6 rounded-xl transition-all disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+            >
+              <Ban className="h-5 w-5" />
+              <span>Void Round &amp; Refund</span>
+            </button>
           </div>
         </div>
       )}
+
+      {/* Live payout exposure for the selected room's round */}
+      {currentGame && <LiabilityTable gameId={currentGame._id} />}
+
+      <StakeLimitsSettings
+        disabled={!can('settings:edit')}
+        onSaved={(text) => showMessage('success', text)}
+        onError={(text) => showMessage('error', text)}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,317 @@
+import { useState, useEffect } from 'react';
+import { api, Paytable, PaytableSettings } from '../../lib/api';
+import { Percent, Plus, Trash2, Upload, History } from 'lucide-react';
+
+// Form state keeps numbers as typed until the paytable is published
+interface DraftOption {
+  value: string;
+  label: string;
+  numbers: string;
+  multiplier: string;
+}
+
+interface DraftBetType {
+  type: string;
+  label: string;
+  isNew: boolean;
+  options: DraftOption[];
+}
+
+const toDraft = (paytable: Paytable): DraftBetType[] =>
+  paytable.betTypes.map((betType) => ({
+    type: betType.type,
+    label: betType.label,
+    isNew: false,
+    options: betType.options.map((option) => ({
+      value: option.value,
+      label: option.label,
+      numbers: option.numbers.join(', '),
+      multiplier: option.multiplier.toString(),
+    })),
+  }));
+
+const fromDraft = (commission: string, betTypes: DraftBetType[]): PaytableSettings => ({
+  commissionRate: (parseFloat(commission) || 0) / 100,
+  betTypes: betTypes.map((betType) => ({
+    type: betType.type.trim(),
+    label: betType.label.trim(),
+    options: betType.options.map((option) => ({
+      value: option.value.trim(),
+      label: option.label.trim() || option.value.trim(),
+      numbers: option.numbers
+        .split(',')
+        .map((number) => number.trim())
+        .filter(Boolean)
+        .map(Number),
+      multiplier: parseFloat(option.multiplier),
+    })),
+  })),
+});
+
+const emptyOption = (): DraftOption => ({ value: '', label: '', numbers: '', multiplier: '2' });
+
+export function AdminPaytable() {
+  const [paytables, setPaytables] = useState<Paytable[]>([]);
+  const [commission, setCommission] = useState('0');
+  const [betTypes, setBetTypes] = useState<DraftBetType[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    fetchPaytables();
+  }, []);
+
+  const showMessage = (type: 'success' | 'error', text: string) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 5000);
+  };
+
+  const fetchPaytables = async () => {
+    try {
+      const response = await api.getPaytables();
+      const versions: Paytable[] = response.paytables || [];
+      setPaytables(versions);
+
+      // Start editing from the version in force
+      if (versions.length > 0) {
+        setCommission((versions[0].commissionRate * 100).toString());
+        setBetTypes(toDraft(versions[0]));
+      }
+    } catch (error) {
+      console.error('Error fetching paytables:', error);
+    }
+  };
+
+  const updateBetType = (typeIndex: number, changes: Partial<DraftBetType>) => {
+    setBetTypes(betTypes.map((betType, i) => (i === typeIndex ? { ...betType, ...changes } : betType)));
+  };
+
+  const updateOption = (typeIndex: number, optionIndex: number, changes: Partial<DraftOption>) => {
+    const betType = betTypes[typeIndex];
+    updateBetType(typeIndex, {
+      options: betType.options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option)),
+    });
+  };
+
+  const handlePublish = async () => {
+    if (!confirm('Publish these rules as a new paytable version? New bets will be placed under it straight away.')) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.publishPaytable(fromDraft(commission, betTypes));
+      showMessage('success', response.message);
+      await fetchPaytables();
+    } catch (error) {
+      console.error('Error publishing paytable:', error);
+      showMessage('error', error instanceof Error ? error.message : 'Error publishing paytable');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const active = paytables[0];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="w-12 h-12 bg-gradient-to-r from-purple-500 to-purple-600 rounded-xl flex items-center justify-center">
+            <Percent className="h-6 w-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-white">Paytable</h1>
+            <p className="text-[#b1bad3]">
+              Bet types, multipliers and house commission
+              {active && ` · version ${active.version} in force`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handlePublish}
+          disabled={loading || betTypes.length === 0}
+          className="flex items-center space-x-2 bg-gradient-to-r from-[#00d4aa] to-[#00b4d8] hover:from-[#00c49a] hover:to-[#00a4c8] disabled:from-[#2f4553] disabled:to-[#2f4553] text-[#0f212e] disabled:text-[#b1bad3] font-bold py-3 px-6 rounded-lg transition-all"
+        >
+          <Upload className="h-4 w-4" />
+          <span>{loading ? 'Publishing...' : 'Publish New Version'}</span>
+        </button>
+      </div>
+
+      {/* Message Display */}
+      {message && (
+        <div className={`p-4 rounded-lg border ${
+          message.type === 'success'
+            ? 'bg-[#00d4aa]/20 border-[#00d4aa]/30 text-[#00d4aa]'
+            : 'bg-red-500/20 border-red-500/30 text-red-300'
+        }`}>
+          <p>{message.text}</p>
+        </div>
+      )}
+
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <label className="block text-[#b1bad3] text-sm font-medium mb-2">House Commission (% of each stake)</label>
+        <input
+          type="number"
+          value={commission}
+          onChange={(e) => setCommission(e.target.value)}
+          min={0}
+          max={50}
+          step={0.1}
+          className="w-full md:w-48 p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+        />
+        <p className="text-[#b1bad3] text-xs mt-2">
+          Winning bets are paid the multiplier on the stake left after commission. Published versions never change; bets
+          settle under the version they were placed on.
+        </p>
+      </div>
+
+      {/* Bet Types */}
+      {betTypes.map((betType, typeIndex) => (
+        <div key={typeIndex} className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+          <div className="flex items-end space-x-4 mb-4">
+            <div className="flex-1">
+              <label className="block text-[#b1bad3] text-sm font-medium mb-2">Bet Type Key</label>
+              <input
+                type="text"
+                value={betType.type}
+                onChange={(e) => updateBetType(typeIndex, { type: e.target.value.toLowerCase() })}
+                disabled={!betType.isNew}
+                placeholder="e.g. parity"
+                className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white disabled:text-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-[#b1bad3] text-sm font-medium mb-2">Label</label>
+              <input
+                type="text"
+                value={betType.label}
+                onChange={(e) => updateBetType(typeIndex, { label: e.target.value })}
+                className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+              />
+            </div>
+            <button
+              onClick={() => setBetTypes(betTypes.filter((_, i) => i !== typeIndex))}
+              className="p-3 text-red-400 hover:bg-red-500/20 rounded-lg transition-all"
+              title="Remove bet type"
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-[#b1bad3] text-sm">
+                  <th className="pb-2 pr-2 font-medium">Value</th>
+                  <th className="pb-2 pr-2 font-medium">Label</th>
+                  <th className="pb-2 pr-2 font-medium">Wins on numbers</th>
+                  <th className="pb-2 pr-2 font-medium">Multiplier</th>
+                  <th className="pb-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {betType.options.map((option, optionIndex) => (
+                  <tr key={optionIndex}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={option.value}
+                        onChange={(e) => updateOption(typeIndex, optionIndex, { value: e.target.value })}
+                        className="w-full p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={option.label}
+                        onChange={(e) => updateOption(typeIndex, optionIndex, { label: e.target.value })}
+                        className="w-full p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={option.numbers}
+                        onChange={(e) => updateOption(typeIndex, optionIndex, { numbers: e.target.value })}
+                        placeholder="0, 5"
+                        className="w-full p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+                      />
+                    </td>
+                    <td className="py-1 pr-2 w-28">
+                      <input
+                        type="number"
+                        value={option.multiplier}
+                        onChange={(e) => updateOption(typeIndex, optionIndex, { multiplier: e.target.value })}
+                        min={1}
+                        step={0.05}
+                        className="w-full p-2 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+                      />
+                    </td>
+                    <td className="py-1 w-10">
+                      <button
+                        onClick={() => updateBetType(typeIndex, {
+                          options: betType.options.filter((_, i) => i !== optionIndex),
+                        })}
+                        className="p-2 text-[#b1bad3] hover:text-red-400 transition-all"
+                        title="Remove option"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={() => updateBetType(typeIndex, { options: [...betType.options, emptyOption()] })}
+            className="mt-3 flex items-center space-x-2 text-[#00d4aa] hover:text-[#00c49a] text-sm font-medium transition-all"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Option</span>
+          </button>
+        </div>
+      ))}
+
+      <button
+        onClick={() => setBetTypes([...betTypes, { type: '', label: '', isNew: true, options: [emptyOption()] }])}
+        className="w-full flex items-center justify-center space-x-2 bg-[#2f4553] hover:bg-[#3a5664] text-white font-bold py-3 px-6 rounded-xl transition-all"
+      >
+        <Plus className="h-4 w-4" />
+        <span>Add Bet Type</span>
+      </button>
+
+      {/* Version History */}
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+        <h2 className="text-xl font-bold text-white mb-4 flex items-center space-x-2">
+          <History className="h-5 w-5 text-[#00d4aa]" />
+          <span>Version History</span>
+        </h2>
+        {paytables.length === 0 ? (
+          <p className="text-[#b1bad3] text-sm">No paytable has been published yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {paytables.map((paytable) => (
+              <div
+                key={paytable._id}
+                className="flex items-center justify-between bg-[#0f212e] border border-[#2f4553] rounded-lg px-4 py-3 text-sm"
+              >
+                <span className="text-white font-medium">Version {paytable.version}</span>
+                <span className="text-[#b1bad3]">
+                  {paytable.betTypes.length} bet types · {(paytable.commissionRate * 100).toFixed(1)}% commission
+                </span>
+                <span className="text-[#b1bad3]">
+                  {new Date(paytable.createdAt).toLocaleString()}
+                  {paytable.createdBy ? ` by ${paytable.createdBy.username}` : ''}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,9 @@ import { QrCode, Image, Save, Upload } from 'lucide-react';
 
 export function AdminQRBanner() {
   const [qrCodeUrl, setQrCodeUrl] = useState('');
+  // An uploaded image comes back as an expiring link, so the URL is only saved when typed in
+  const [qrCodeUploaded, setQrCodeUploaded] = useState(false);
+  const [uploading, setUploading] = useState(false);
   const [bannerText, setBannerText] = useState('');
   const [bannerActive, setBannerActive] = useState(true);
   const [loading, setLoading] = useState(false);
@@ -23,6 +26,7 @@ export function AdminQRBanner() {
       const response = await api.getAdminSettings();
       const settings = response.settings;
       setQrCodeUrl(settings.qrCodeUrl || '');
+      setQrCodeUploaded(Boolean(settings.qrCode?.key));
       setBannerText(settings.headerBannerText || 'Welcome to ColorBet Casino!');
       setBannerActive(settings.headerBannerActive || true);
     } catch (error) {
@@ -34,7 +38,7 @@ export function AdminQRBanner() {
     setLoading(true);
     try {
       await api.updateAdminSettings({
-        qrCodeUrl,
+        ...(!qrCodeUploaded && { qrCodeUrl }),
         headerBannerText: bannerText,
         headerBannerActive: bannerActive,
       });
@@ -48,6 +52,24 @@ export function AdminQRBanner() {
     }
   };
 
+  const handleUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const image = event.target.files?.[0];
+    event.target.value = '';
+    if (!image) return;
+
+    setUploading(true);
+    try {
+      const response = await api.uploadQrCode(image);
+      setQrCodeUrl(response.settings.qrCodeUrl);
+      setQrCodeUploaded(true);
+      showMessage('success', response.message);
+    } catch (error) {
+      showMessage('error', error instanceof Error ? error.message : 'Error uploading QR code');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -96,24 +118,41 @@ export function AdminQRBanner() {
             </div>
 
             {/* Upload New QR Code */}
+            <div>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/gif,image/webp"
+                onChange={handleUpload}
+                className="hidden"
+                id="qr-code-upload"
+              />
+              <label
+                htmlFor="qr-code-upload"
+                className={`w-full flex items-center justify-center space-x-2 p-4 border-2 border-dashed border-[#2f4553] hover:border-purple-500 rounded-xl text-[#b1bad3] hover:text-white transition-all ${
+                  uploading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'
+                }`}
+              >
+                <Upload className="h-5 w-5" />
+                <span>{uploading ? 'Uploading...' : 'Upload QR code image'}</span>
+              </label>
+              <p className="text-[#b1bad3] text-xs mt-2">JPEG, PNG, GIF or WebP, up to 5MB. Saved straight away.</p>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-[#b1bad3] mb-2">
-                QR Code URL
+                Or use an image URL
               </label>
               <input
                 type="url"
-                value={qrCodeUrl}
-                onChange={(e) => setQrCodeUrl(e.target.value)}
+                value={qrCodeUploaded ? '' : qrCodeUrl}
+                onChange={(e) => {
+                  setQrCodeUrl(e.target.value);
+                  setQrCodeUploaded(false);
+                }}
                 placeholder="Enter QR code image URL..."
                 className="w-full p-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
               />
             </div>
-
-            <div className="bg-blue-500/20 border border-blue-500/30 rounded-lg p-4">
-              <p className="text-blue-300 text-sm">
-                <strong>Instructions:</strong> Upload your QR code image to a service like Imgur, Google Drive, or Dropbox and paste the direct image URL above.
-              </p>
-            </div>
           </div>
         </div>
 
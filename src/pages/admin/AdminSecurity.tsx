@@ -1,80 +1,100 @@
-import React, { useState } from 'react';
-import { Shield, Search, Ban, MessageSquare, AlertTriangle, Users, Mail } from 'lucide-react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { api, SecurityFilters, SecuritySummary, SecurityUser } from '../../lib/api';
+import { usePagedList, Page } from '../../hooks/usePagedList';
+import { InfiniteScroll } from '../../components/InfiniteScroll';
+import { PlayerRiskDetails } from '../../components/PlayerRiskDetails';
+import { RISK_ALERT_LABELS, RISK_LEVEL_LABELS, riskBadgeClass } from '../../lib/risk';
+import { useAdmin } from '../../contexts/AdminContext';
+import { Shield, Search, Ban, AlertTriangle, Users, Mail, Bell } from 'lucide-react';
+
+const RISK_TABS = [
+  { key: 'all' as const, label: 'All Players' },
+  { key: 'flagged' as const, label: 'Flagged' },
+  { key: 'high' as const, label: 'High Risk' },
+  { key: 'medium' as const, label: 'Medium Risk' },
+  { key: 'low' as const, label: 'Low Risk' },
+];
+
+// Block lengths in hours; 0 blocks until an admin lifts it
+const BLOCK_DURATIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 24 * 7, label: '7 days' },
+  { hours: 24 * 30, label: '30 days' },
+  { hours: 0, label: 'Until unblocked' },
+];
 
 export function AdminSecurity() {
+  const { can } = useAdmin();
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState('');
+  const [riskFilter, setRiskFilter] = useState<typeof RISK_TABS[number]['key']>('all');
+  const [summary, setSummary] = useState<SecuritySummary | null>(null);
+  const [detailsUserId, setDetailsUserId] = useState<string | null>(null);
   const [showBlockModal, setShowBlockModal] = useState(false);
-  const [selectedUser, setSelectedUser] = useState<any>(null);
+  const [selectedUser, setSelectedUser] = useState<SecurityUser | null>(null);
   const [blockReason, setBlockReason] = useState('');
   const [blockMessage, setBlockMessage] = useState('');
+  const [blockDuration, setBlockDuration] = useState(0);
+  const [blocking, setBlocking] = useState(false);
 
-  // Mock data - replace with real data
-  const users = [
-    {
-      id: '1',
-      email: 'user1@example.com',
-      username: 'player1',
-      balance: 150.50,
-      totalBets: 45,
-      winRate: 65.5,
-      isBlocked: false,
-      createdAt: '2024-01-15',
-      lastActive: '2024-01-20',
-      suspiciousActivity: false,
-    },
-    {
-      id: '2',
-      email: 'user2@example.com',
-      username: 'player2',
-      balance: 75.25,
-      totalBets: 23,
-      winRate: 43.2,
-      isBlocked: true,
-      blockReason: 'Multiple account violation',
-      createdAt: '2024-01-10',
-      lastActive: '2024-01-18',
-      suspiciousActivity: true,
-    },
-    // Add more mock users...
-  ];
+  // Search once typing pauses rather than on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  const filteredUsers = users.filter(user =>
-    user.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    user.username.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const filters = useMemo<SecurityFilters>(() => ({
+    risk: riskFilter === 'all' ? undefined : riskFilter,
+    search: search || undefined,
+  }), [riskFilter, search]);
 
-  const handleBlockUser = (user: any) => {
+  const fetchPage = useCallback(async (before?: string): Promise<Page<SecurityUser>> => {
+    const response = await api.getSecurityOverview({ ...filters, before });
+    setSummary(response.summary);
+    return { items: response.users, nextCursor: response.nextCursor };
+  }, [filters]);
+
+  const { items: users, loading, loadingMore, hasMore, error, loadMore, reload } = usePagedList(fetchPage);
+
+  const handleBlockUser = (user: SecurityUser) => {
     setSelectedUser(user);
     setShowBlockModal(true);
   };
 
+  const closeBlockModal = () => {
+    setShowBlockModal(false);
+    setBlockReason('');
+    setBlockMessage('');
+    setBlockDuration(0);
+    setSelectedUser(null);
+  };
+
   const confirmBlock = async () => {
+    if (!selectedUser || !blockReason) return;
+
     try {
-      // Implement block user logic here
-      console.log('Blocking user:', selectedUser.id, 'Reason:', blockReason, 'Message:', blockMessage);
-      
-      // Close modal and reset
-      setShowBlockModal(false);
-      setBlockReason('');
-      setBlockMessage('');
-      setSelectedUser(null);
-      
-      // Show success message
-      alert('User blocked successfully');
-    } catch (error) {
-      console.error('Error blocking user:', error);
-      alert('Error blocking user');
+      setBlocking(true);
+      await api.blockUser(selectedUser.id, true, blockReason, {
+        blockMessage: blockMessage.trim() || undefined,
+        durationHours: blockDuration || undefined,
+      });
+      closeBlockModal();
+      reload();
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to block user');
+    } finally {
+      setBlocking(false);
     }
   };
 
-  const handleUnblockUser = async (userId: string) => {
+  const handleUnblockUser = async (user: SecurityUser) => {
+    if (!confirm(`Unblock ${user.username}?`)) return;
+
     try {
-      // Implement unblock user logic here
-      console.log('Unblocking user:', userId);
-      alert('User unblocked successfully');
-    } catch (error) {
-      console.error('Error unblocking user:', error);
-      alert('Error unblocking user');
+      await api.blockUser(user.id, false);
+      reload();
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to unblock user');
     }
   };
 
@@ -100,7 +120,7 @@ export function AdminSecurity() {
             <Users className="h-8 w-8 text-[#00d4aa]" />
             <div>
               <p className="text-[#b1bad3] text-sm">Active Users</p>
-              <p className="text-xl font-bold text-white">{users.filter(u => !u.isBlocked).length}</p>
+              <p className="text-xl font-bold text-white">{summary?.activeUsers ?? '-'}</p>
             </div>
           </div>
         </div>
@@ -109,7 +129,7 @@ export function AdminSecurity() {
             <Ban className="h-8 w-8 text-red-400" />
             <div>
               <p className="text-[#b1bad3] text-sm">Blocked Users</p>
-              <p className="text-xl font-bold text-red-400">{users.filter(u => u.isBlocked).length}</p>
+              <p className="text-xl font-bold text-red-400">{summary?.blockedUsers ?? '-'}</p>
             </div>
           </div>
         </div>
@@ -117,24 +137,42 @@ export function AdminSecurity() {
           <div className="flex items-center space-x-3">
             <AlertTriangle className="h-8 w-8 text-yellow-400" />
             <div>
-              <p className="text-[#b1bad3] text-sm">Suspicious Activity</p>
-              <p className="text-xl font-bold text-yellow-400">{users.filter(u => u.suspiciousActivity).length}</p>
+              <p className="text-[#b1bad3] text-sm">Flagged Players</p>
+              <p className="text-xl font-bold text-yellow-400">
+                {summary?.flaggedUsers ?? '-'}
+                {summary && <span className="text-sm font-medium text-red-300"> ({summary.highRiskUsers} high)</span>}
+              </p>
             </div>
           </div>
         </div>
         <div className="bg-[#1a2c38] border border-[#2f4553] rounded-xl p-4">
           <div className="flex items-center space-x-3">
-            <Shield className="h-8 w-8 text-blue-400" />
+            <Bell className="h-8 w-8 text-blue-400" />
             <div>
-              <p className="text-[#b1bad3] text-sm">Security Score</p>
-              <p className="text-xl font-bold text-blue-400">98%</p>
+              <p className="text-[#b1bad3] text-sm">Open Alerts</p>
+              <p className="text-xl font-bold text-blue-400">{summary?.openAlerts ?? '-'}</p>
             </div>
           </div>
         </div>
       </div>
 
       {/* Search and Filters */}
-      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {RISK_TABS.map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => setRiskFilter(tab.key)}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                riskFilter === tab.key
+                  ? 'bg-[#00d4aa] text-[#0f212e]'
+                  : 'bg-[#2f4553] text-[#b1bad3] hover:bg-[#3a5664] hover:text-white'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
         <div className="flex items-center space-x-4">
           <div className="relative flex-1">
             <Search className="absolute left-4 top-4 h-5 w-5 text-[#b1bad3]" />
@@ -163,7 +201,7 @@ export function AdminSecurity() {
               </tr>
             </thead>
             <tbody>
-              {filteredUsers.map((user) => (
+              {users.map((user) => (
                 <tr key={user.id} className="border-b border-[#2f4553] hover:bg-[#1e3240]">
                   <td className="p-4">
                     <div className="flex items-center space-x-3">
@@ -183,19 +221,24 @@ export function AdminSecurity() {
                     <div>
                       <p className="text-white text-sm">{user.totalBets} bets</p>
                       <p className="text-[#b1bad3] text-sm">{user.winRate}% win rate</p>
-                      <p className="text-[#b1bad3] text-xs">Last: {user.lastActive}</p>
+                      <p className="text-[#b1bad3] text-xs">Last: {new Date(user.lastActive).toLocaleDateString()}</p>
                     </div>
                   </td>
                   <td className="p-4">
-                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                      user.suspiciousActivity 
-                        ? 'bg-red-500/20 text-red-300 border border-red-500/30'
-                        : user.winRate > 80
-                        ? 'bg-yellow-500/20 text-yellow-300 border border-yellow-500/30'
-                        : 'bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30'
-                    }`}>
-                      {user.suspiciousActivity ? 'High Risk' : user.winRate > 80 ? 'Medium Risk' : 'Low Risk'}
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${riskBadgeClass(user.riskLevel)}`}>
+                      {RISK_LEVEL_LABELS[user.riskLevel]}
+                      {user.riskScore > 0 && ` · ${user.riskScore}`}
                     </span>
+                    {user.alerts.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {user.alerts.map((code) => (
+                          <span key={code} className="text-xs text-yellow-300 flex items-center">
+                            <AlertTriangle className="h-3 w-3 mr-1" />
+                            {RISK_ALERT_LABELS[code]}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </td>
                   <td className="p-4">
                     {user.isBlocked ? (
@@ -207,6 +250,9 @@ export function AdminSecurity() {
                         {user.blockReason && (
                           <p className="text-red-400 text-xs mt-1">{user.blockReason}</p>
                         )}
+                        <p className="text-[#b1bad3] text-xs mt-1">
+                          {user.blockedUntil ? `Until ${new Date(user.blockedUntil).toLocaleString()}` : 'Until unblocked'}
+                        </p>
                       </div>
                     ) : (
                       <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30">
@@ -217,7 +263,7 @@ export function AdminSecurity() {
                   </td>
                   <td className="p-4">
                     <div className="flex space-x-2">
-                      {!user.isBlocked ? (
+                      {can('users:block') && (!user.isBlocked ? (
                         <button
                           onClick={() => handleBlockUser(user)}
                           className="px-3 py-1 bg-red-500/20 text-red-300 border border-red-500/30 rounded-lg text-sm hover:bg-red-500/30 transition-all flex items-center space-x-1"
@@ -227,14 +273,17 @@ export function AdminSecurity() {
                         </button>
                       ) : (
                         <button
-                          onClick={() => handleUnblockUser(user.id)}
+                          onClick={() => handleUnblockUser(user)}
                           className="px-3 py-1 bg-[#00d4aa]/20 text-[#00d4aa] border border-[#00d4aa]/30 rounded-lg text-sm hover:bg-[#00d4aa]/30 transition-all flex items-center space-x-1"
                         >
                           <Shield className="h-3 w-3" />
                           <span>Unblock</span>
                         </button>
-                      )}
-                      <button className="px-3 py-1 bg-[#2f4553] text-white rounded-lg text-sm hover:bg-[#3a5664] transition-all">
+                      ))}
+                      <button
+                        onClick={() => setDetailsUserId(user.id)}
+                        className="px-3 py-1 bg-[#2f4553] text-white rounded-lg text-sm hover:bg-[#3a5664] transition-all"
+                      >
                         View Details
                       </button>
                     </div>
@@ -243,9 +292,18 @@ export function AdminSecurity() {
               ))}
             </tbody>
           </table>
+          {error && <p className="text-center text-red-300 py-4">{error}</p>}
+          {!loading && !error && users.length === 0 && (
+            <p className="text-center text-[#b1bad3] py-12">No players match these filters</p>
+          )}
         </div>
+        <InfiniteScroll hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
       </div>
 
+      {detailsUserId && (
+        <PlayerRiskDetails userId={detailsUserId} onClose={() => setDetailsUserId(null)} onChanged={reload} />
+      )}
+
       {/* Block User Modal */}
       {showBlockModal && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -278,6 +336,21 @@ export function AdminSecurity() {
                 </select>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium text-[#b1bad3] mb-2">
+                  Duration
+                </label>
+                <select
+                  value={blockDuration}
+                  onChange={(e) => setBlockDuration(Number(e.target.value))}
+                  className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
+                >
+                  {BLOCK_DURATIONS.map((duration) => (
+                    <option key={duration.hours} value={duration.hours}>{duration.label}</option>
+                  ))}
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-[#b1bad3] mb-2">
                   Message to user (optional)
@@ -285,7 +358,8 @@ export function AdminSecurity() {
                 <textarea
                   value={blockMessage}
                   onChange={(e) => setBlockMessage(e.target.value)}
-                  placeholder="Enter a message that will be sent to the user..."
+                  placeholder="Shown to the player when they try to sign in..."
+                  maxLength={1000}
                   className="w-full p-3 bg-[#0f212e] border border-[#2f4553] rounded-lg text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
                   rows={3}
                 />
@@ -294,18 +368,18 @@ export function AdminSecurity() {
             
             <div className="flex space-x-3 mt-6">
               <button
-                onClick={() => setShowBlockModal(false)}
+                onClick={closeBlockModal}
                 className="flex-1 px-4 py-2 bg-[#2f4553] text-white rounded-lg hover:bg-[#3a5664] transition-all"
               >
                 Cancel
               </button>
               <button
                 onClick={confirmBlock}
-                disabled={!blockReason}
+                disabled={!blockReason || blocking}
                 className="flex-1 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
               >
                 <Ban className="h-4 w-4" />
-                <span>Block User</span>
+                <span>{blocking ? 'Blocking...' : 'Block User'}</span>
               </button>
             </div>
           </div>
@@ -1,6 +1,11 @@
-import React, { useState, useEffect } from 'react';
-import { api } from '../../lib/api';
-import { CreditCard, Search, CheckCircle, XCircle, Clock, Eye, Download } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { api, PayoutDetails, AdminTransactionFilters, TransactionCounts, RiskFlag } from '../../lib/api';
+import { useAdmin } from '../../contexts/AdminContext';
+import { usePagedList, Page } from '../../hooks/usePagedList';
+import { toDateRange } from '../../lib/dateRange';
+import { DateRangeFilter } from '../../components/DateRangeFilter';
+import { InfiniteScroll } from '../../components/InfiniteScroll';
+import { CreditCard, Search, CheckCircle, XCircle, Clock, Eye, Download, ShieldAlert } from 'lucide-react';
 
 interface Transaction {
   id: string;
@@ -13,43 +18,59 @@ interface Transaction {
   admin_notes?: string;
   created_at: string;
   user_email?: string;
+  payoutDetails?: PayoutDetails;
+  utr?: string;
+  riskFlags?: RiskFlag[];
 }
 
+const TYPE_GROUPS = {
+  all: undefined,
+  deposits: 'pending_deposit,deposit',
+  withdrawals: 'pending_withdrawal,withdrawal',
+};
+
 export function AdminTransactions() {
-  const [transactions, setTransactions] = useState<Transaction[]>([]);
-  const [loading, setLoading] = useState(true);
+  const { can } = useAdmin();
+  const [counts, setCounts] = useState<TransactionCounts | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState<'all' | 'pending' | 'approved' | 'rejected'>('all');
+  const [typeFilter, setTypeFilter] = useState<'all' | 'deposits' | 'withdrawals'>('all');
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [dates, setDates] = useState({ from: '', to: '' });
   const [selectedTransaction, setSelectedTransaction] = useState<Transaction | null>(null);
   const [showModal, setShowModal] = useState(false);
   const [adminNotes, setAdminNotes] = useState('');
   const [actionLoading, setActionLoading] = useState(false);
 
+  // Search once typing pauses rather than on every keystroke
   useEffect(() => {
-    fetchTransactions();
-  }, []);
+    const timer = setTimeout(() => setSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  const fetchTransactions = async () => {
-    try {
-      setLoading(true);
-      const response = await api.getAdminTransactions();
-      setTransactions(response.transactions || []);
-    } catch (error) {
-      console.error('Error fetching transactions:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const filters = useMemo<AdminTransactionFilters>(() => ({
+    type: TYPE_GROUPS[typeFilter],
+    status: statusFilter === 'all' ? undefined : statusFilter,
+    flagged: flaggedOnly || undefined,
+    search: search || undefined,
+    ...toDateRange(dates.from, dates.to),
+  }), [typeFilter, statusFilter, flaggedOnly, search, dates]);
 
-  const filteredTransactions = transactions.filter(transaction => {
-    const matchesSearch = transaction.user_email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         transaction.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         transaction.id.toLowerCase().includes(searchTerm.toLowerCase());
-    
-    const matchesStatus = statusFilter === 'all' || transaction.status === statusFilter;
-    
-    return matchesSearch && matchesStatus;
-  });
+  const fetchPage = useCallback(async (before?: string): Promise<Page<Transaction>> => {
+    const response = await api.getAdminTransactions({ ...filters, before });
+    setCounts(response.counts);
+    return { items: response.transactions || [], nextCursor: response.nextCursor };
+  }, [filters]);
+
+  const {
+    items: transactions,
+    loading,
+    loadingMore,
+    hasMore,
+    loadMore,
+    reload: fetchTransactions,
+  } = usePagedList(fetchPage);
 
   const handleTransactionAction = async (transactionId: string, action: 'approve' | 'reject') => {
     if (!selectedTransaction || !selectedTransaction._id) {
@@ -62,7 +83,7 @@ export function AdminTransactions() {
       const newStatus = action === 'approve' ? 'approved' : 'rejected';
       await api.updateTransaction(selectedTransaction._id, newStatus, adminNotes);
 
-      await fetchTransactions();
+      fetchTransactions();
       setShowModal(false);
       setSelectedTransaction(null);
       setAdminNotes('');
@@ -117,20 +138,24 @@ export function AdminTransactions() {
   const getTypeColor = (type: string) => {
     switch (type) {
       case 'pending_deposit':
+      case 'pending_withdrawal':
         return 'text-yellow-400';
       case 'deposit':
         return 'text-[#00d4aa]';
       case 'bet':
       case 'loss':
+      case 'withdrawal':
         return 'text-red-400';
       case 'win':
+      case 'refund':
         return 'text-[#00d4aa]';
       default:
         return 'text-[#b1bad3]';
     }
   };
 
-  if (loading) {
+  // Only the first load takes over the page; later ones keep the filters on screen
+  if (loading && counts === null) {
     return (
       <div className="flex items-center justify-center min-h-96">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#00d4aa]"></div>
@@ -166,7 +191,7 @@ export function AdminTransactions() {
             <CreditCard className="h-8 w-8 text-[#00d4aa]" />
             <div>
               <p className="text-[#b1bad3] text-sm">Total Transactions</p>
-              <p className="text-xl font-bold text-white">{transactions.length}</p>
+              <p className="text-xl font-bold text-white">{counts?.total ?? 0}</p>
             </div>
           </div>
         </div>
@@ -176,7 +201,7 @@ export function AdminTransactions() {
             <div>
               <p className="text-[#b1bad3] text-sm">Pending</p>
               <p className="text-xl font-bold text-yellow-400">
-                {transactions.filter(t => t.status === 'pending').length}
+                {counts?.pending ?? 0}
               </p>
             </div>
           </div>
@@ -187,7 +212,7 @@ export function AdminTransactions() {
             <div>
               <p className="text-[#b1bad3] text-sm">Approved</p>
               <p className="text-xl font-bold text-[#00d4aa]">
-                {transactions.filter(t => t.status === 'approved').length}
+                {counts?.approved ?? 0}
               </p>
             </div>
           </div>
@@ -198,7 +223,7 @@ export function AdminTransactions() {
             <div>
               <p className="text-[#b1bad3] text-sm">Rejected</p>
               <p className="text-xl font-bold text-red-400">
-                {transactions.filter(t => t.status === 'rejected').length}
+                {counts?.rejected ?? 0}
               </p>
             </div>
           </div>
@@ -206,7 +231,37 @@ export function AdminTransactions() {
       </div>
 
       {/* Search and Filters */}
-      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6">
+      <div className="bg-[#1a2c38] border border-[#2f4553] rounded-2xl p-6 space-y-4">
+        <div className="flex space-x-2">
+          {[
+            { key: 'all', label: 'All' },
+            { key: 'deposits', label: 'Deposits' },
+            { key: 'withdrawals', label: `Withdrawals (${counts?.pendingWithdrawals ?? 0} pending)` },
+          ].map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => setTypeFilter(tab.key as typeof typeFilter)}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                typeFilter === tab.key
+                  ? 'bg-[#00d4aa] text-[#0f212e]'
+                  : 'bg-[#2f4553] text-[#b1bad3] hover:bg-[#3a5664] hover:text-white'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+          <button
+            onClick={() => setFlaggedOnly(!flaggedOnly)}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg font-medium transition-all ${
+              flaggedOnly
+                ? 'bg-red-500 text-white'
+                : 'bg-red-500/20 text-red-300 border border-red-500/30 hover:bg-red-500/30'
+            }`}
+          >
+            <ShieldAlert className="h-4 w-4" />
+            <span>Flagged ({counts?.flaggedPending ?? 0} pending)</span>
+          </button>
+        </div>
         <div className="flex flex-col sm:flex-row gap-4">
           <div className="relative flex-1">
             <Search className="absolute left-4 top-4 h-5 w-5 text-[#b1bad3]" />
@@ -214,7 +269,7 @@ export function AdminTransactions() {
               type="text"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="Search by user email, description, or transaction ID..."
+              placeholder="Search by user email, description, reference number, or transaction ID..."
               className="w-full pl-12 pr-4 py-4 bg-[#0f212e] border border-[#2f4553] rounded-xl text-white placeholder-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa] focus:border-transparent"
             />
           </div>
@@ -229,6 +284,7 @@ export function AdminTransactions() {
             <option value="rejected">Rejected</option>
           </select>
         </div>
+        <DateRangeFilter from={dates.from} to={dates.to} onChange={setDates} />
       </div>
 
       {/* Transactions Table */}
@@ -246,12 +302,21 @@ export function AdminTransactions() {
               </tr>
             </thead>
             <tbody>
-              {filteredTransactions.map((transaction) => (
+              {transactions.map((transaction) => (
                 <tr key={transaction.id} className="border-b border-[#2f4553] hover:bg-[#1e3240]">
                   <td className="p-4">
                     <div>
                       <p className="text-white font-medium">{transaction.user_email}</p>
                       <p className="text-[#b1bad3] text-sm">{transaction.description}</p>
+                      {transaction.riskFlags && transaction.riskFlags.length > 0 && (
+                        <span
+                          className="inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-500/20 text-red-300 border border-red-500/30"
+                          title={transaction.riskFlags.map((flag) => flag.message).join('\n')}
+                        >
+                          <ShieldAlert className="h-3 w-3 mr-1" />
+                          {transaction.riskFlags.length} risk flag{transaction.riskFlags.length !== 1 ? 's' : ''}
+                        </span>
+                      )}
                     </div>
                   </td>
                   <td className="p-4">
@@ -290,7 +355,11 @@ export function AdminTransactions() {
               ))}
             </tbody>
           </table>
+          {!loading && transactions.length === 0 && (
+            <p className="text-center text-[#b1bad3] py-12">No transactions match these filters</p>
+          )}
         </div>
+        <InfiniteScroll hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
       </div>
 
       {/* Transaction Detail Modal */}
@@ -341,6 +410,60 @@ export function AdminTransactions() {
                 </p>
               </div>
 
+              {selectedTransaction.payoutDetails?.method && (
+                <div>
+                  <label className="block text-sm font-medium text-[#b1bad3] mb-2">Payout Details</label>
+                  <div className="bg-[#0f212e] border border-[#2f4553] rounded-lg p-4 space-y-1 text-white">
+                    {selectedTransaction.payoutDetails.method === 'upi' ? (
+                      <p>UPI: <span className="font-mono">{selectedTransaction.payoutDetails.upiId}</span></p>
+                    ) : (
+                      <>
+                        <p>Account holder: {selectedTransaction.payoutDetails.accountHolder}</p>
+                        <p>Account number: <span className="font-mono">{selectedTransaction.payoutDetails.accountNumber}</span></p>
+                        <p>IFSC: <span className="font-mono">{selectedTransaction.payoutDetails.ifsc}</span></p>
+                      </>
+                    )}
+                  </div>
+                  {selectedTransaction.status === 'pending' && (
+                    <p className="text-[#b1bad3] text-xs mt-2">
+                      Approve once the payout has been sent. Rejecting returns the held amount to the player's wallet.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {selectedTransaction.utr && (
+                <div>
+                  <label className="block text-sm font-medium text-[#b1bad3] mb-1">Reference Number (UTR)</label>
+                  <p className="text-white font-mono">{selectedTransaction.utr}</p>
+                </div>
+              )}
+
+              {selectedTransaction.riskFlags && selectedTransaction.riskFlags.length > 0 && (
+                <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 space-y-2">
+                  <p className="text-red-300 font-medium flex items-center space-x-2">
+                    <ShieldAlert className="h-4 w-4" />
+                    <span>Check this deposit before approving</span>
+                  </p>
+                  {selectedTransaction.riskFlags.map((flag) => (
+                    <div key={flag.code} className="flex items-center justify-between gap-4 text-sm">
+                      <span className="text-red-200">{flag.message}</span>
+                      {flag.transactionId && (
+                        <button
+                          onClick={() => {
+                            setSearchTerm(flag.transactionId || '');
+                            setShowModal(false);
+                          }}
+                          className="text-red-300 hover:text-white underline whitespace-nowrap transition-all"
+                        >
+                          View match
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {(selectedTransaction.screenshotUrl || selectedTransaction.screenshot_url) && (
                 <div>
                   <label className="block text-sm font-medium text-[#b1bad3] mb-2">Payment Screenshot</label>
@@ -375,7 +498,7 @@ export function AdminTransactions() {
               </div>
             </div>
 
-            {selectedTransaction.status === 'pending' && (
+            {selectedTransaction.status === 'pending' && can('transactions:decide') && (
               <div className="flex space-x-3">
                 <button
                   onClick={() => handleTransactionAction(selectedTransaction._id || selectedTransaction.id, 'reject')}
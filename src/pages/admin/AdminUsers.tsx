@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { api } from '../../lib/api';
-import { Users, Search, Shield, ShieldOff, Mail, Calendar, Ban, CheckCircle } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAdmin } from '../../contexts/AdminContext';
+import { Users, Search, Shield, ShieldOff, Mail, Calendar, Ban, CheckCircle, LogOut, UserCog } from 'lucide-react';
+
+const ADMIN_ROLES = ['superadmin', 'support', 'finance', 'operator'];
 
 interface User {
   id: string;
@@ -11,11 +15,15 @@ interface User {
   winRate: number;
   isBlocked: boolean;
   blockReason?: string;
+  isAdmin: boolean;
+  adminRole: string | null;
   createdAt: string;
   lastActive: string;
 }
 
 export function AdminUsers() {
+  const { user: currentUser } = useAuth();
+  const { can } = useAdmin();
   const [users, setUsers] = useState<User[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -78,6 +86,32 @@ export function AdminUsers() {
     }
   };
 
+  const handleForceLogout = async (user: User) => {
+    if (!confirm(`Log ${user.username} out of every device?`)) return;
+
+    try {
+      const response = await api.forceLogoutUser(user.id);
+      alert(response.message);
+    } catch (error) {
+      console.error('Error forcing logout:', error);
+      alert('Error forcing logout');
+    }
+  };
+
+  const handleRoleChange = async (user: User, role: string | null) => {
+    const label = role ? `make ${user.username} ${role}` : `remove admin access from ${user.username}`;
+    if (!confirm(`Are you sure you want to ${label}?`)) return;
+
+    try {
+      const response = await api.setUserRole(user.id, role);
+      alert(response.message);
+      await fetchUsers();
+    } catch (error) {
+      console.error('Error updating role:', error);
+      alert(error instanceof Error ? error.message : 'Error updating role');
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-96">
@@ -178,10 +212,16 @@ export function AdminUsers() {
                         Active
                       </span>
                     )}
+                    {user.adminRole && (
+                      <span className="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-500/20 text-purple-300 border border-purple-500/30 capitalize">
+                        <UserCog className="h-3 w-3 mr-1" />
+                        {user.adminRole}
+                      </span>
+                    )}
                   </td>
                   <td className="p-4">
                     <div className="flex space-x-2">
-                      {!user.isBlocked ? (
+                      {can('users:block') && (!user.isBlocked ? (
                         <button
                           onClick={() => handleBlockUser(user)}
                           className="px-3 py-1 bg-red-500/20 text-red-300 border border-red-500/30 rounded-lg text-sm hover:bg-red-500/30 transition-all flex items-center space-x-1"
@@ -197,6 +237,27 @@ export function AdminUsers() {
                           <CheckCircle className="h-3 w-3" />
                           <span>Unblock</span>
                         </button>
+                      ))}
+                      {can('users:logout') && (
+                        <button
+                          onClick={() => handleForceLogout(user)}
+                          className="px-3 py-1 bg-[#2f4553] text-[#b1bad3] border border-[#2f4553] rounded-lg text-sm hover:text-white transition-all flex items-center space-x-1"
+                        >
+                          <LogOut className="h-3 w-3" />
+                          <span>Force Logout</span>
+                        </button>
+                      )}
+                      {can('users:roles') && user.id !== currentUser?.id && (
+                        <select
+                          value={user.adminRole ?? ''}
+                          onChange={(e) => handleRoleChange(user, e.target.value || null)}
+                          className="px-2 py-1 bg-[#0f212e] border border-[#2f4553] rounded-lg text-sm text-[#b1bad3] focus:outline-none focus:ring-2 focus:ring-[#00d4aa]"
+                        >
+                          <option value="">Player</option>
+                          {ADMIN_ROLES.map((role) => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
                       )}
                     </div>
                   </td>
@@ -18,7 +18,7 @@ export interface Wallet {
 export interface Transaction {
   id: string;
   user_id: string;
-  type: 'deposit' | 'bet' | 'win' | 'loss' | 'pending_deposit';
+  type: 'deposit' | 'bet' | 'win' | 'loss' | 'pending_deposit' | 'refund';
   amount: number;
   description: string;
   status: 'pending' | 'approved' | 'rejected';
@@ -34,7 +34,7 @@ export interface Bet {
   bet_type: 'number' | 'color' | 'size';
   bet_value: string; // number (0-9), color (red/green), or size (big/small)
   amount: number;
-  result: 'win' | 'loss' | 'pending';
+  result: 'win' | 'loss' | 'pending' | 'refunded';
   payout: number;
   created_at: string;
 }
@@ -42,7 +42,7 @@ export interface Bet {
 export interface Game {
   id: string;
   game_number: number;
-  status: 'waiting' | 'betting' | 'completed';
+  status: 'waiting' | 'betting' | 'completed' | 'voided';
   start_time: string;
   end_time?: string;
   result_number?: number;